@@ -1,9 +1,11 @@
-import Alert from '../models/Alert.js';
+import Alert, { CLOSED_STATUSES } from '../models/Alert.js';
 import AlertHistory from '../models/AlertHistory.js';
+import AlertComment from '../models/AlertComment.js';
+import User from '../models/User.js';
 import { logger } from '../utils/logger.js';
 import cacheManager from '../utils/cache.js';
-import { v4 as uuidv4 } from 'uuid';
 import ruleEngine from '../services/ruleEngine.js';
+import alertIngestion from '../services/alertIngestion.js';
 
 /**
  * Alert Controller
@@ -11,46 +13,27 @@ import ruleEngine from '../services/ruleEngine.js';
  */
 
 /**
- * @desc    Create new alert
+ * Who submitted alerts in this request, for the alert history
+ * Time Complexity: O(1)
+ */
+const submitter = (req) => (req.apiKey ? { apiKey: req.apiKey } : { userId: req.user._id });
+
+/**
+ * @desc    Create new alert (repeat events within the dedup window are folded)
  * @route   POST /api/alerts
- * @access  Private
+ * @access  Private (user or API key)
  * 
- * Time Complexity: O(log n) for insert with indexes
+ * Time Complexity: O(log n) for insert or fold with indexes
  * Space Complexity: O(1)
  */
 export const createAlert = async (req, res, next) => {
   try {
     const { sourceType, severity, metadata } = req.body;
 
-    // Generate unique alert ID
-    const alertId = `ALT-${Date.now()}-${uuidv4().split('-')[0]}`;
-
-    // Set expiry date (30 days from now by default)
-    const expiryDays = parseInt(process.env.ALERT_EXPIRY_DAYS) || 30;
-    const expiresAt = new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
-
-    // Create alert
-    const alert = await Alert.create({
-      alertId,
-      sourceType,
-      severity: severity || 'INFO',
-      status: 'OPEN',
-      metadata: {
-        ...metadata,
-        eventCount: 1
-      },
-      expiresAt
-    });
-
-    // Log history
-    await AlertHistory.logTransition(
-      alertId,
-      alert,
-      null,
-      'OPEN',
-      'Alert created',
-      'SYSTEM',
-      req.user._id
+    // Create alert, or fold a repeat event into the matching open alert
+    const { alert, deduplicated } = await alertIngestion.ingest(
+      { sourceType, severity, metadata },
+      submitter(req)
     );
 
     // Process through rule engine immediately
@@ -60,12 +43,14 @@ export const createAlert = async (req, res, next) => {
     cacheManager.invalidatePattern('alerts:');
     cacheManager.invalidatePattern('dashboard:');
 
-    logger.info(`Alert created: ${alertId}`);
+    logger.info(`Alert ${deduplicated ? 'occurrence recorded' : 'created'}: ${alert.alertId}`);
 
-    res.status(201).json({
+    res.status(deduplicated ? 200 : 201).json({
       success: true,
-      message: 'Alert created successfully',
-      data: { alert }
+      message: deduplicated
+        ? 'Repeat event folded into existing alert'
+        : 'Alert created successfully',
+      data: { alert, deduplicated }
     });
   } catch (error) {
     logger.error('Create alert error:', error);
@@ -73,6 +58,85 @@ export const createAlert = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Create many alerts in one request (partial failures reported per item)
+ * @route   POST /api/alerts/bulk
+ * @access  Private (user or API key)
+ *
+ * Items are validated individually; invalid items are reported and skipped.
+ * Valid items are folded/inserted in bulk and the touched alerts go through
+ * one batched rule engine pass.
+ *
+ * Time Complexity: O(n + g log m) where n is items, g is distinct fingerprints
+ * Space Complexity: O(n)
+ */
+export const bulkCreateAlerts = async (req, res, next) => {
+  try {
+    const { valid, invalid } = req.bulkItems;
+
+    const items = valid.map(({ index, data }) => ({
+      index,
+      data: {
+        sourceType: data.sourceType,
+        severity: data.severity,
+        metadata: data.metadata
+      }
+    }));
+
+    const { results: ingested, alerts } = items.length > 0
+      ? await alertIngestion.ingestBatch(items, submitter(req))
+      : { results: [], alerts: [] };
+
+    // Evaluate rules once for every touched alert
+    const evaluation = await ruleEngine.processBatch(alerts);
+
+    if (alerts.length > 0) {
+      cacheManager.invalidatePattern('alerts:');
+      cacheManager.invalidatePattern('dashboard:');
+    }
+
+    const results = [
+      ...invalid.map(({ index, errors }) => ({
+        index,
+        success: false,
+        message: 'Validation failed',
+        errors
+      })),
+      ...ingested.map(({ index, status, alertId, message }) => (
+        status === 'error'
+          ? { index, success: false, message }
+          : { index, success: true, alertId, deduplicated: status === 'folded' }
+      ))
+    ].sort((a, b) => a.index - b.index);
+
+    const summary = {
+      received: results.length,
+      created: ingested.filter(result => result.status === 'created').length,
+      folded: ingested.filter(result => result.status === 'folded').length,
+      failed: results.filter(result => !result.success).length,
+      escalated: evaluation.escalated,
+      autoClosed: evaluation.autoClosed
+    };
+
+    logger.info(`Bulk alert ingestion: ${summary.created} created, ${summary.folded} folded, ${summary.failed} failed`);
+
+    let statusCode = 201;
+    if (summary.failed === summary.received) statusCode = 400;
+    else if (summary.failed > 0) statusCode = 207;
+
+    res.status(statusCode).json({
+      success: summary.failed < summary.received,
+      message: summary.failed > 0
+        ? `${summary.received - summary.failed} of ${summary.received} alerts accepted`
+        : 'All alerts accepted',
+      data: { summary, results }
+    });
+  } catch (error) {
+    logger.error('Bulk create alerts error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get all alerts with filters
  * @route   GET /api/alerts
@@ -88,6 +152,7 @@ export const getAlerts = async (req, res, next) => {
       severity,
       sourceType,
       driverId,
+      assignedTo,
       page = 1,
       limit = 20,
       sortBy = 'timestamp',
@@ -100,6 +165,7 @@ export const getAlerts = async (req, res, next) => {
     if (severity) filter.severity = severity;
     if (sourceType) filter.sourceType = sourceType;
     if (driverId) filter['metadata.driverId'] = driverId;
+    if (assignedTo) filter.assignedTo = assignedTo === 'me' ? req.user._id.toString() : assignedTo;
 
     // Build cache key
     const cacheKey = `alerts:list:${JSON.stringify(filter)}:${page}:${limit}:${sortBy}:${order}`;
@@ -157,7 +223,8 @@ export const getAlerts = async (req, res, next) => {
  */
 export const getAlert = async (req, res, next) => {
   try {
-    const alert = await Alert.findOne({ alertId: req.params.id });
+    const alert = await Alert.findOne({ alertId: req.params.id })
+      .populate('assignedTo acknowledgedBy', 'name email');
 
     if (!alert) {
       return res.status(404).json({
@@ -166,17 +233,22 @@ export const getAlert = async (req, res, next) => {
       });
     }
 
-    // Get alert history
-    const history = await AlertHistory.find({ alertId: req.params.id })
-      .sort({ timestamp: -1 })
-      .populate('userId', 'name email')
-      .lean();
+    // Get alert history and discussion
+    const [history, comments] = await Promise.all([
+      AlertHistory.find({ alertId: req.params.id })
+        .sort({ timestamp: -1 })
+        .populate('userId', 'name email')
+        .populate('apiKey', 'name prefix')
+        .lean(),
+      AlertComment.getThreads(req.params.id)
+    ]);
 
     res.status(200).json({
       success: true,
       data: {
         alert,
-        history
+        history,
+        comments
       }
     });
   } catch (error) {
@@ -186,7 +258,7 @@ export const getAlert = async (req, res, next) => {
 };
 
 /**
- * @desc    Manually resolve alert
+ * @desc    Manually resolve alert; 409 unless the alert is active
  * @route   PUT /api/alerts/:id/resolve
  * @access  Private
  * 
@@ -205,23 +277,15 @@ export const resolveAlert = async (req, res, next) => {
       });
     }
 
-    if (alert.status === 'RESOLVED' || alert.status === 'AUTO_CLOSED') {
-      return res.status(400).json({
-        success: false,
-        message: 'Alert is already closed'
-      });
-    }
-
-    const oldStatus = alert.status;
-    alert.resolve(req.user._id, notes);
+    const { fromStatus, toStatus } = alert.transition('resolve', { actor: 'USER', userId: req.user._id, notes });
     await alert.save();
 
     // Log history
     await AlertHistory.logTransition(
       alert.alertId,
       alert,
-      oldStatus,
-      'RESOLVED',
+      fromStatus,
+      toStatus,
       notes || 'Manually resolved',
       'USER',
       req.user._id
@@ -245,7 +309,298 @@ export const resolveAlert = async (req, res, next) => {
 };
 
 /**
- * @desc    Update alert metadata
+ * @desc    Acknowledge alert; stops further escalation (409 unless OPEN or ESCALATED)
+ * @route   PUT /api/alerts/:id/acknowledge
+ * @access  Private
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const acknowledgeAlert = async (req, res, next) => {
+  try {
+    const { notes } = req.body;
+    const alert = await Alert.findOne({ alertId: req.params.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const { fromStatus, toStatus } = alert.transition('acknowledge', { actor: 'USER', userId: req.user._id, notes });
+    await alert.save();
+
+    // Log history
+    await AlertHistory.logTransition(
+      alert.alertId,
+      alert,
+      fromStatus,
+      toStatus,
+      notes || 'Acknowledged',
+      'USER',
+      req.user._id,
+      { escalationLevel: alert.escalationLevel }
+    );
+
+    // Invalidate cache
+    cacheManager.invalidatePattern('alerts:');
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Alert acknowledged: ${alert.alertId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert acknowledged successfully',
+      data: { alert }
+    });
+  } catch (error) {
+    logger.error('Acknowledge alert error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Reopen a resolved or auto-closed alert (409 otherwise)
+ * @route   PUT /api/alerts/:id/reopen
+ * @access  Private
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const reopenAlert = async (req, res, next) => {
+  try {
+    const { reason } = req.body;
+    const alert = await Alert.findOne({ alertId: req.params.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const closure = {
+      closedAt: alert.resolvedAt || alert.autoClosedAt,
+      closureReason: alert.closureReason,
+      resolvedBy: alert.resolvedBy
+    };
+
+    const { fromStatus, toStatus } = alert.transition('reopen', { actor: 'USER', userId: req.user._id, reason });
+    await alert.save();
+
+    // Log history, keeping what the reopen cleared
+    await AlertHistory.logTransition(
+      alert.alertId,
+      alert,
+      fromStatus,
+      toStatus,
+      reason,
+      'USER',
+      req.user._id,
+      { reopenCount: alert.reopenCount, previousClosure: closure }
+    );
+
+    // Invalidate cache
+    cacheManager.invalidatePattern('alerts:');
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Alert reopened: ${alert.alertId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert reopened successfully',
+      data: { alert }
+    });
+  } catch (error) {
+    logger.error('Reopen alert error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Assign or reassign alert to a user
+ * @route   PUT /api/alerts/:id/assign
+ * @access  Private
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const assignAlert = async (req, res, next) => {
+  try {
+    const { userId } = req.body;
+    const alert = await Alert.findOne({ alertId: req.params.id })
+      .populate('assignedTo', 'name email');
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    if (CLOSED_STATUSES.includes(alert.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Alert is ${alert.status}; reopen it before assigning`
+      });
+    }
+
+    const assignee = await User.findById(userId).select('name email');
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const previous = alert.assignedTo;
+    if (previous && previous._id.equals(assignee._id)) {
+      return res.status(400).json({
+        success: false,
+        message: `Alert is already assigned to ${assignee.name}`
+      });
+    }
+
+    alert.assign(assignee._id, req.user._id);
+    await alert.save();
+
+    // Log history; the status is unchanged
+    await AlertHistory.logTransition(
+      alert.alertId,
+      alert,
+      alert.status,
+      alert.status,
+      previous ? `Reassigned from ${previous.name} to ${assignee.name}` : `Assigned to ${assignee.name}`,
+      'USER',
+      req.user._id,
+      {
+        activity: 'assign',
+        assignedTo: assignee._id,
+        previousAssignee: previous?._id || null
+      }
+    );
+
+    // Invalidate cache
+    cacheManager.invalidatePattern('alerts:');
+
+    logger.info(`Alert ${alert.alertId} assigned to ${assignee.email} by ${req.user.email}`);
+
+    await alert.populate('assignedTo', 'name email');
+
+    res.status(200).json({
+      success: true,
+      message: 'Alert assigned successfully',
+      data: { alert }
+    });
+  } catch (error) {
+    logger.error('Assign alert error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get alert comments as threads
+ * @route   GET /api/alerts/:id/comments
+ * @access  Private
+ *
+ * Time Complexity: O(log n + c) where c is number of comments
+ * Space Complexity: O(c)
+ */
+export const getComments = async (req, res, next) => {
+  try {
+    const exists = await Alert.exists({ alertId: req.params.id });
+
+    if (!exists) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    const comments = await AlertComment.getThreads(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { comments }
+    });
+  } catch (error) {
+    logger.error('Get comments error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Comment on an alert, or reply to a comment (parentId)
+ * @route   POST /api/alerts/:id/comments
+ * @access  Private
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const addComment = async (req, res, next) => {
+  try {
+    const { body, parentId } = req.body;
+    const alert = await Alert.findOne({ alertId: req.params.id });
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert not found'
+      });
+    }
+
+    let parent = null;
+    if (parentId) {
+      parent = await AlertComment.findOne({ _id: parentId, alertId: alert.alertId });
+      if (!parent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Comment not found'
+        });
+      }
+    }
+
+    const comment = await AlertComment.create({
+      alertId: alert.alertId,
+      alert: alert._id,
+      // Replies to replies join the thread of the comment they answer
+      parent: parent ? (parent.parent || parent._id) : null,
+      author: req.user._id,
+      body
+    });
+
+    // Log history; the status is unchanged
+    await AlertHistory.logTransition(
+      alert.alertId,
+      alert,
+      alert.status,
+      alert.status,
+      parent ? 'Replied to a comment' : 'Commented',
+      'USER',
+      req.user._id,
+      {
+        activity: 'comment',
+        commentId: comment._id,
+        parentId: comment.parent
+      }
+    );
+
+    await comment.populate('author', 'name email');
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added successfully',
+      data: { comment }
+    });
+  } catch (error) {
+    logger.error('Add comment error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update alert metadata; closed alerts are rejected with 409 by the model
  * @route   PUT /api/alerts/:id
  * @access  Private
  * 
@@ -295,7 +650,7 @@ export const updateAlert = async (req, res, next) => {
 /**
  * @desc    Delete alert
  * @route   DELETE /api/alerts/:id
- * @access  Private (Admin only)
+ * @access  Private (alerts:delete)
  * 
  * Time Complexity: O(log n)
  * Space Complexity: O(1)
@@ -0,0 +1,156 @@
+import ApiKey from '../models/ApiKey.js';
+import apiKeyService from '../services/apiKeyService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * API Key Controller
+ * Manages the keys that alert producers authenticate with
+ */
+
+const EDITABLE_FIELDS = ['name', 'description', 'scopes', 'sourceTypes', 'expiresAt'];
+
+/**
+ * @desc    Get all API keys (never the keys themselves)
+ * @route   GET /api/api-keys
+ * @access  Private (apiKeys:manage)
+ *
+ * Time Complexity: O(k log k) where k is number of keys
+ * Space Complexity: O(k)
+ */
+export const getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKey.find()
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single API key
+ * @route   GET /api/api-keys/:id
+ * @access  Private (apiKeys:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const getApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id)
+      .populate('createdBy', 'name email')
+      .populate('revokedBy', 'name email');
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { apiKey }
+    });
+  } catch (error) {
+    logger.error('Get API key error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Issue API key; the response is the only time the key is returned
+ * @route   POST /api/api-keys
+ * @access  Private (apiKeys:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const createApiKey = async (req, res, next) => {
+  try {
+    const { apiKey, key } = await apiKeyService.create(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created; copy it now, it will not be shown again',
+      data: { apiKey, key }
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update API key name, description, scopes, source types or expiry
+ * @route   PUT /api/api-keys/:id
+ * @access  Private (apiKeys:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const updateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    if (apiKey.revokedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Revoked API keys cannot be changed'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) apiKey.set(field, req.body[field]);
+    });
+    await apiKey.save();
+
+    logger.info(`API key updated: ${apiKey.name} (${apiKey.prefix}) by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key updated successfully',
+      data: { apiKey }
+    });
+  } catch (error) {
+    logger.error('Update API key error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke API key; it stops working at once but stays listed
+ * @route   POST /api/api-keys/:id/revoke
+ * @access  Private (apiKeys:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await apiKeyService.revoke(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: { apiKey }
+    });
+  } catch (error) {
+    logger.error('Revoke API key error:', error);
+    next(error);
+  }
+};
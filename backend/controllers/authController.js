@@ -1,23 +1,55 @@
 import User from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
+import { DEFAULT_ROLE } from '../models/permissions.js';
+import tokenService from '../services/tokenService.js';
+import userAdmin from '../services/userAdmin.js';
+import roleRegistry from '../services/roleRegistry.js';
 import { logger } from '../utils/logger.js';
 
 /**
  * Authentication Controller
- * Handles user registration, login, and profile management
+ * Handles user registration, login, sessions, and profile management
  */
 
 /**
- * @desc    Register new user
+ * Client details recorded with a session
+ * Time Complexity: O(1)
+ */
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * The signed-in user as returned to the client, with the permissions of
+ * their role so the UI can hide actions they cannot perform
+ * Time Complexity: O(r) where r is number of roles
+ */
+const sessionUser = async (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  permissions: await roleRegistry.getPermissions(user.role)
+});
+
+/**
+ * @desc    Register new user (always the default role; other roles are invited)
  * @route   POST /api/auth/register
- * @access  Public
+ * @access  Public (unless ALLOW_REGISTRATION=false)
  * 
  * Time Complexity: O(1) for user creation, O(n) for password hashing
  * Space Complexity: O(1)
  */
 export const register = async (req, res, next) => {
   try {
-    const { name, email, password, role } = req.body;
+    if (!userAdmin.isRegistrationOpen()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is disabled. Ask an administrator for an invite'
+      });
+    }
+
+    const { name, email, password } = req.body;
 
     // Check if user already exists
     const userExists = await User.findOne({ email });
@@ -33,11 +65,13 @@ export const register = async (req, res, next) => {
       name,
       email,
       password,
-      role: role || 'user'
+      role: DEFAULT_ROLE
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    await userAdmin.audit(user, 'registered', { to: user.role });
+
+    // Start a session
+    const tokens = await tokenService.issue(user, requestContext(req));
 
     logger.info(`New user registered: ${email}`);
 
@@ -45,13 +79,10 @@ export const register = async (req, res, next) => {
       success: true,
       message: 'User registered successfully',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        },
-        token
+        user: await sessionUser(user),
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
       }
     });
   } catch (error) {
@@ -89,6 +120,14 @@ export const login = async (req, res, next) => {
       });
     }
 
+    // Invited users have no password yet
+    if (user.status === 'INVITED') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid credentials'
+      });
+    }
+
     // Check if password matches
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
@@ -98,8 +137,15 @@ export const login = async (req, res, next) => {
       });
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    if (user.status === 'DISABLED') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is disabled'
+      });
+    }
+
+    // Start a session
+    const tokens = await tokenService.issue(user, requestContext(req));
 
     logger.info(`User logged in: ${email}`);
 
@@ -107,17 +153,168 @@ export const login = async (req, res, next) => {
       success: true,
       message: 'Login successful',
       data: {
-        user: {
-          id: user._id,
+        user: await sessionUser(user),
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      }
+    });
+  } catch (error) {
+    logger.error('Login error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the invitee of an invite link
+ * @route   GET /api/auth/invites/:token
+ * @access  Public (invite token)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const getInvite = async (req, res, next) => {
+  try {
+    const user = await userAdmin.findInvite(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        invite: {
           name: user.name,
           email: user.email,
-          role: user.role
-        },
-        token
+          role: user.role,
+          expiresAt: user.inviteExpiresAt
+        }
       }
     });
   } catch (error) {
-    logger.error('Login error:', error);
+    logger.error('Get invite error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accept an invite: set a password and log in
+ * @route   POST /api/auth/accept-invite
+ * @access  Public (invite token)
+ *
+ * Time Complexity: O(log n) plus password hashing
+ * Space Complexity: O(1)
+ */
+export const acceptInvite = async (req, res, next) => {
+  try {
+    const user = await userAdmin.acceptInvite(req.body.token, req.body.password);
+    const tokens = await tokenService.issue(user, requestContext(req));
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite accepted',
+      data: {
+        user: await sessionUser(user),
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      }
+    });
+  } catch (error) {
+    logger.error('Accept invite error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Exchange a refresh token for a new access / refresh token pair
+ * @route   POST /api/auth/refresh
+ * @access  Public (refresh token)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const refresh = async (req, res, next) => {
+  try {
+    const { user, tokens } = await tokenService.refresh(req.body.refreshToken, requestContext(req));
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: await sessionUser(user),
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      }
+    });
+  } catch (error) {
+    logger.error('Refresh token error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out: revoke the session of a refresh token
+ * @route   POST /api/auth/logout
+ * @access  Public (refresh token)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const logout = async (req, res, next) => {
+  try {
+    await tokenService.revoke(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    logger.error('Logout error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Log out everywhere: revoke all sessions of the current user
+ * @route   POST /api/auth/logout-all
+ * @access  Private
+ *
+ * Time Complexity: O(s) where s is the user's sessions
+ * Space Complexity: O(1)
+ */
+export const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await tokenService.revokeAll(req.user._id);
+
+    logger.info(`User logged out of all sessions: ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all sessions',
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the current user's active sessions
+ * @route   GET /api/auth/sessions
+ * @access  Private
+ *
+ * Time Complexity: O(s log s)
+ * Space Complexity: O(s)
+ */
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await tokenService.getSessions(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { sessions }
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
     next(error);
   }
 };
@@ -138,10 +335,7 @@ export const getMe = async (req, res, next) => {
       success: true,
       data: {
         user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role,
+          ...(await sessionUser(user)),
           createdAt: user.createdAt
         }
       }
@@ -177,12 +371,7 @@ export const updateProfile = async (req, res, next) => {
       success: true,
       message: 'Profile updated successfully',
       data: {
-        user: {
-          id: user._id,
-          name: user.name,
-          email: user.email,
-          role: user.role
-        }
+        user: await sessionUser(user)
       }
     });
   } catch (error) {
@@ -1,5 +1,7 @@
-import Alert from '../models/Alert.js';
+import Alert, { ACTIVE_STATUSES } from '../models/Alert.js';
 import AlertHistory from '../models/AlertHistory.js';
+import Driver from '../models/Driver.js';
+import Vehicle from '../models/Vehicle.js';
 import { logger } from '../utils/logger.js';
 import cacheManager from '../utils/cache.js';
 
@@ -35,7 +37,7 @@ export const getOverview = async (req, res, next) => {
       // Severity breakdown
       Alert.aggregate([
         {
-          $match: { status: { $in: ['OPEN', 'ESCALATED'] } }
+          $match: { status: { $in: ACTIVE_STATUSES } }
         },
         {
           $group: {
@@ -78,6 +80,7 @@ export const getOverview = async (req, res, next) => {
     // Format status data
     const status = {
       OPEN: 0,
+      ACKNOWLEDGED: 0,
       ESCALATED: 0,
       AUTO_CLOSED: 0,
       RESOLVED: 0
@@ -92,7 +95,7 @@ export const getOverview = async (req, res, next) => {
         severity,
         status,
         totalAlerts,
-        activeAlerts: status.OPEN + status.ESCALATED,
+        activeAlerts: status.OPEN + status.ACKNOWLEDGED + status.ESCALATED,
         recentEscalations
       }
     };
@@ -109,10 +112,11 @@ export const getOverview = async (req, res, next) => {
 
 /**
  * @desc    Get top offenders (drivers with most alerts)
+ *          Names and risk come from the driver records, so renames apply
  * @route   GET /api/dashboard/top-offenders
  * @access  Private
  * 
- * Time Complexity: O(n log n) for sorting
+ * Time Complexity: O(n log n) for sorting, O(k log d) for the driver lookup
  * Space Complexity: O(k) where k is number of unique drivers
  */
 export const getTopOffenders = async (req, res, next) => {
@@ -129,7 +133,7 @@ export const getTopOffenders = async (req, res, next) => {
     const topOffenders = await Alert.aggregate([
       {
         $match: {
-          status: { $in: ['OPEN', 'ESCALATED'] },
+          status: { $in: ACTIVE_STATUSES },
           'metadata.driverId': { $exists: true, $ne: null }
         }
       },
@@ -159,10 +163,21 @@ export const getTopOffenders = async (req, res, next) => {
       {
         $limit: parseInt(limit)
       },
+      {
+        $lookup: {
+          from: Driver.collection.name,
+          localField: '_id',
+          foreignField: 'driverId',
+          as: 'driver'
+        }
+      },
       {
         $project: {
           driverId: '$_id',
-          driverName: 1,
+          // Alert metadata only for drivers without a record
+          driverName: { $ifNull: [{ $arrayElemAt: ['$driver.name', 0] }, '$driverName'] },
+          riskScore: { $ifNull: [{ $arrayElemAt: ['$driver.risk.score', 0] }, 0] },
+          riskLevel: { $ifNull: [{ $arrayElemAt: ['$driver.risk.level', 0] }, 'LOW'] },
           totalAlerts: 1,
           criticalAlerts: 1,
           warningAlerts: 1,
@@ -189,6 +204,61 @@ export const getTopOffenders = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Get riskiest drivers and vehicles with the risk level distribution
+ * @route   GET /api/dashboard/risk
+ * @access  Private
+ *
+ * Time Complexity: O(log n + k) per collection (risk.score index) plus O(n) for levels
+ * Space Complexity: O(k)
+ */
+export const getRiskOverview = async (req, res, next) => {
+  try {
+    const { limit = 5 } = req.query;
+    const cacheKey = `dashboard:risk:${limit}`;
+    const cached = cacheManager.get(cacheKey);
+
+    if (cached) {
+      return res.status(200).json(cached);
+    }
+
+    const [drivers, vehicles, driverLevels] = await Promise.all([
+      Driver.find({ status: 'ACTIVE' })
+        .sort({ 'risk.score': -1 })
+        .limit(parseInt(limit))
+        .select('driverId name vehicleId risk')
+        .lean(),
+      Vehicle.find({ status: { $ne: 'INACTIVE' } })
+        .sort({ 'risk.score': -1 })
+        .limit(parseInt(limit))
+        .select('vehicleId registrationNumber risk')
+        .lean(),
+      Driver.aggregate([
+        { $match: { status: 'ACTIVE' } },
+        { $group: { _id: '$risk.level', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const levels = { HIGH: 0, MEDIUM: 0, LOW: 0 };
+    driverLevels.forEach(item => {
+      levels[item._id || 'LOW'] += item.count;
+    });
+
+    const response = {
+      success: true,
+      data: { drivers, vehicles, levels }
+    };
+
+    // Cache for 2 minutes
+    cacheManager.set(cacheKey, response, 120);
+
+    res.status(200).json(response);
+  } catch (error) {
+    logger.error('Get risk overview error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get recent alert events
  * @route   GET /api/dashboard/recent-events
@@ -215,6 +285,7 @@ export const getRecentEvents = async (req, res, next) => {
       .sort({ timestamp: -1 })
       .limit(parseInt(limit))
       .populate('userId', 'name email')
+      .populate('apiKey', 'name prefix')
       .populate('alert', 'sourceType severity metadata')
       .lean();
 
@@ -366,7 +437,7 @@ export const getAlertsBySource = async (req, res, next) => {
     const bySource = await Alert.aggregate([
       {
         $match: {
-          status: { $in: ['OPEN', 'ESCALATED'] }
+          status: { $in: ACTIVE_STATUSES }
         }
       },
       {
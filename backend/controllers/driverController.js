@@ -0,0 +1,231 @@
+import Driver from '../models/Driver.js';
+import Alert, { ACTIVE_STATUSES } from '../models/Alert.js';
+import Incident from '../models/Incident.js';
+import riskScoring from '../services/riskScoring.js';
+import cacheManager from '../utils/cache.js';
+import { escapeRegex } from '../utils/regex.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Driver Controller
+ * Manages driver master data and driver profiles
+ */
+
+const EDITABLE_FIELDS = ['name', 'phone', 'email', 'licenseNumber', 'licenseExpiresAt', 'vehicleId', 'status'];
+const PROFILE_ALERT_LIMIT = 100;
+
+/**
+ * @desc    Get drivers, riskiest first
+ * @route   GET /api/drivers
+ * @access  Private
+ *
+ * Time Complexity: O(log n + k) where k is result count
+ * Space Complexity: O(k)
+ */
+export const getDrivers = async (req, res, next) => {
+  try {
+    const { search, status, riskLevel, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (riskLevel) filter['risk.level'] = riskLevel;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ driverId: pattern }, { name: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [drivers, total] = await Promise.all([
+      Driver.find(filter)
+        .sort({ 'risk.score': -1, name: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Driver.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        drivers,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get drivers error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get driver profile with alerts, incidents and alert stats
+ * @route   GET /api/drivers/:id
+ * @access  Private
+ *
+ * Time Complexity: O(log n + a + i) where a is alerts (capped), i is incidents
+ * Space Complexity: O(a + i)
+ */
+export const getDriver = async (req, res, next) => {
+  try {
+    const driver = await Driver.findOne({ driverId: req.params.id }).lean();
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const [alerts, incidents, byStatus] = await Promise.all([
+      Alert.find({ 'metadata.driverId': driver.driverId })
+        .sort({ timestamp: -1 })
+        .limit(PROFILE_ALERT_LIMIT)
+        .select('-occurrences')
+        .lean(),
+      Incident.find({ keys: `driverId:${driver.driverId}` })
+        .sort({ lastAlertAt: -1 })
+        .lean(),
+      Alert.aggregate([
+        { $match: { 'metadata.driverId': driver.driverId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const stats = Object.fromEntries(byStatus.map(item => [item._id, item.count]));
+    stats.total = byStatus.reduce((sum, item) => sum + item.count, 0);
+    stats.active = ACTIVE_STATUSES.reduce((sum, status) => sum + (stats[status] || 0), 0);
+
+    res.status(200).json({
+      success: true,
+      data: { driver, alerts, incidents, stats }
+    });
+  } catch (error) {
+    logger.error('Get driver error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create driver
+ * @route   POST /api/drivers
+ * @access  Private (fleet:write)
+ *
+ * Time Complexity: O(log n + a) including the initial risk score
+ * Space Complexity: O(a)
+ */
+export const createDriver = async (req, res, next) => {
+  try {
+    const driver = new Driver({ driverId: req.body.driverId });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) driver.set(field, req.body[field]);
+    });
+    await driver.save();
+
+    // The driver may already have alerts from before it was registered
+    driver.risk = await riskScoring.recompute('driver', driver.driverId);
+
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Driver created: ${driver.driverId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Driver created successfully',
+      data: { driver }
+    });
+  } catch (error) {
+    logger.error('Create driver error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update driver (the driverId is fixed; alerts refer to it)
+ * @route   PUT /api/drivers/:id
+ * @access  Private (fleet:write)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const updateDriver = async (req, res, next) => {
+  try {
+    const driver = await Driver.findOne({ driverId: req.params.id });
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) driver.set(field, req.body[field]);
+    });
+    await driver.save();
+
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Driver updated: ${driver.driverId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver updated successfully',
+      data: { driver }
+    });
+  } catch (error) {
+    logger.error('Update driver error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete driver; refused while the driver has active alerts
+ * @route   DELETE /api/drivers/:id
+ * @access  Private (fleet:write)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const deleteDriver = async (req, res, next) => {
+  try {
+    const driver = await Driver.findOne({ driverId: req.params.id });
+
+    if (!driver) {
+      return res.status(404).json({
+        success: false,
+        message: 'Driver not found'
+      });
+    }
+
+    const active = await Alert.countDocuments({
+      'metadata.driverId': driver.driverId,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (active > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Driver has ${active} active alert(s); mark the driver inactive instead`
+      });
+    }
+
+    await driver.deleteOne();
+
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Driver deleted: ${driver.driverId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Driver deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete driver error:', error);
+    next(error);
+  }
+};
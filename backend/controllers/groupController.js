@@ -0,0 +1,182 @@
+import Group from '../models/Group.js';
+import Rule from '../models/Rule.js';
+import groupService from '../services/groupService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Group Controller
+ * Manages named driver/vehicle groups used to scope rules
+ */
+
+const EDITABLE_FIELDS = ['name', 'description', 'driverIds', 'vehicleIds'];
+
+/**
+ * @desc    Get all groups
+ * @route   GET /api/groups
+ * @access  Private
+ *
+ * Time Complexity: O(g)
+ * Space Complexity: O(g)
+ */
+export const getGroups = async (req, res, next) => {
+  try {
+    const groups = await Group.find().sort({ groupId: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: { groups }
+    });
+  } catch (error) {
+    logger.error('Get groups error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single group with the rules scoped to it
+ * @route   GET /api/groups/:id
+ * @access  Private
+ *
+ * Time Complexity: O(log n + r)
+ * Space Complexity: O(m + r)
+ */
+export const getGroup = async (req, res, next) => {
+  try {
+    const group = await Group.findOne({ groupId: req.params.id.toLowerCase() });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const rules = await Rule.find({ 'scope.groups': group.groupId }).select('ruleId name sourceType enabled').lean();
+
+    res.status(200).json({
+      success: true,
+      data: { group, rules }
+    });
+  } catch (error) {
+    logger.error('Get group error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create group
+ * @route   POST /api/groups
+ * @access  Private (groups:write)
+ *
+ * Time Complexity: O(m)
+ * Space Complexity: O(m)
+ */
+export const createGroup = async (req, res, next) => {
+  try {
+    const { groupId, name, description, driverIds, vehicleIds } = req.body;
+
+    const group = await Group.create({
+      groupId,
+      name,
+      description,
+      driverIds,
+      vehicleIds,
+      createdBy: req.user._id
+    });
+
+    groupService.invalidate();
+
+    logger.info(`Group created: ${group.groupId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created successfully',
+      data: { group }
+    });
+  } catch (error) {
+    logger.error('Create group error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update group
+ * @route   PUT /api/groups/:id
+ * @access  Private (groups:write)
+ *
+ * Time Complexity: O(m)
+ * Space Complexity: O(m)
+ */
+export const updateGroup = async (req, res, next) => {
+  try {
+    const group = await Group.findOne({ groupId: req.params.id.toLowerCase() });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) group.set(field, req.body[field]);
+    });
+    await group.save();
+
+    groupService.invalidate();
+
+    logger.info(`Group updated: ${group.groupId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group updated successfully',
+      data: { group }
+    });
+  } catch (error) {
+    logger.error('Update group error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete group; refused while rules are scoped to it
+ * @route   DELETE /api/groups/:id
+ * @access  Private (groups:write)
+ *
+ * Time Complexity: O(log n + r)
+ * Space Complexity: O(r)
+ */
+export const deleteGroup = async (req, res, next) => {
+  try {
+    const group = await Group.findOne({ groupId: req.params.id.toLowerCase() });
+
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const rules = await Rule.find({ 'scope.groups': group.groupId }).select('ruleId').lean();
+    if (rules.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Group is used by rules: ${rules.map(rule => rule.ruleId).join(', ')}`
+      });
+    }
+
+    await group.deleteOne();
+
+    groupService.invalidate();
+
+    logger.info(`Group deleted: ${req.params.id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete group error:', error);
+    next(error);
+  }
+};
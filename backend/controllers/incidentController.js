@@ -0,0 +1,101 @@
+import Incident from '../models/Incident.js';
+import Alert from '../models/Alert.js';
+import AlertHistory from '../models/AlertHistory.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Incident Controller
+ * Read access to correlated alert incidents
+ */
+
+/**
+ * @desc    Get incidents with filters
+ * @route   GET /api/incidents
+ * @access  Private
+ *
+ * Time Complexity: O(log n + k) where k is result count
+ * Space Complexity: O(k)
+ */
+export const getIncidents = async (req, res, next) => {
+  try {
+    const { status, severity, key, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (severity) filter.severity = severity;
+    if (key) filter.keys = key;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [incidents, total] = await Promise.all([
+      Incident.find(filter)
+        .sort({ lastAlertAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Incident.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incidents,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get incidents error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get incident with its member alerts and merged timeline
+ * @route   GET /api/incidents/:id
+ * @access  Private
+ *
+ * Time Complexity: O(log n + a + h) where a is member alerts, h is their history entries
+ * Space Complexity: O(a + h)
+ */
+export const getIncident = async (req, res, next) => {
+  try {
+    const incident = await Incident.findOne({ incidentId: req.params.id }).lean();
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        message: 'Incident not found'
+      });
+    }
+
+    // Member alerts and the history of all of them as one timeline
+    const [alerts, timeline] = await Promise.all([
+      Alert.find({ incidentId: incident.incidentId })
+        .sort({ timestamp: 1 })
+        .select('-occurrences')
+        .lean(),
+      AlertHistory.find({ alertId: { $in: incident.alertIds } })
+        .sort({ timestamp: 1 })
+        .populate('userId', 'name email')
+        .populate('apiKey', 'name prefix')
+        .lean()
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        incident,
+        alerts,
+        timeline
+      }
+    });
+  } catch (error) {
+    logger.error('Get incident error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,302 @@
+import IngestSource from '../models/IngestSource.js';
+import webhookIngestion from '../services/webhookIngestion.js';
+import { logger } from '../utils/logger.js';
+import cacheManager from '../utils/cache.js';
+
+/**
+ * Ingest Controller
+ * Receives webhooks from external systems and manages webhook sources
+ */
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'sourceType',
+  'enabled',
+  'signatureHeader',
+  'signatureAlgorithm',
+  'mapping'
+];
+
+/**
+ * @desc    Receive a webhook delivery from a registered source
+ * @route   POST /api/ingest/:sourceId
+ * @access  Public (HMAC signature required)
+ *
+ * Time Complexity: O(b + m + log n) where b is body size, m is mapping size
+ * Space Complexity: O(b)
+ */
+export const receiveEvent = async (req, res, next) => {
+  try {
+    const result = await webhookIngestion.receive(req.params.sourceId, {
+      payload: req.body,
+      rawBody: req.rawBody,
+      headers: req.headers
+    });
+
+    if (result.duplicate) {
+      return res.status(200).json({
+        success: true,
+        message: 'Duplicate event ignored',
+        data: { eventId: result.eventId, duplicate: true }
+      });
+    }
+
+    cacheManager.invalidatePattern('alerts:');
+    cacheManager.invalidatePattern('dashboard:');
+
+    res.status(result.deduplicated ? 200 : 201).json({
+      success: true,
+      message: result.deduplicated
+        ? 'Repeat event folded into existing alert'
+        : 'Alert created successfully',
+      data: {
+        eventId: result.eventId,
+        alertId: result.alert.alertId,
+        deduplicated: result.deduplicated
+      }
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Receive webhook error:', error);
+    }
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get all webhook sources
+ * @route   GET /api/ingest/sources
+ * @access  Private (ingest:manage)
+ *
+ * Time Complexity: O(n)
+ * Space Complexity: O(n)
+ */
+export const getSources = async (req, res, next) => {
+  try {
+    const sources = await IngestSource.find()
+      .select('-rejectedSamples -compiledMapping')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      data: { sources }
+    });
+  } catch (error) {
+    logger.error('Get ingest sources error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single webhook source with its recent rejected payloads
+ * @route   GET /api/ingest/sources/:sourceId
+ * @access  Private (ingest:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(s) where s is stored samples
+ */
+export const getSource = async (req, res, next) => {
+  try {
+    const source = await IngestSource.findOne({ sourceId: req.params.sourceId });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingest source not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { source }
+    });
+  } catch (error) {
+    logger.error('Get ingest source error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Register a webhook source
+ * @route   POST /api/ingest/sources
+ * @access  Private (ingest:manage)
+ *
+ * The secret is only returned here and on rotation.
+ *
+ * Time Complexity: O(m + log n)
+ * Space Complexity: O(m)
+ */
+export const createSource = async (req, res, next) => {
+  try {
+    const secret = req.body.secret || IngestSource.generateSecret();
+    const fields = Object.fromEntries(
+      EDITABLE_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])
+    );
+
+    const source = await IngestSource.create({
+      ...fields,
+      sourceId: req.body.sourceId,
+      secret,
+      createdBy: req.user._id
+    });
+
+    webhookIngestion.invalidateSources();
+
+    logger.info(`Ingest source created: ${source.sourceId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Ingest source created successfully',
+      data: { source, secret }
+    });
+  } catch (error) {
+    logger.error('Create ingest source error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update a webhook source
+ * @route   PUT /api/ingest/sources/:sourceId
+ * @access  Private (ingest:manage)
+ *
+ * Time Complexity: O(m + log n)
+ * Space Complexity: O(m)
+ */
+export const updateSource = async (req, res, next) => {
+  try {
+    const source = await IngestSource.findOne({ sourceId: req.params.sourceId });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingest source not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        source.set(field, req.body[field]);
+      }
+    });
+    await source.save();
+
+    logger.info(`Ingest source updated: ${source.sourceId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ingest source updated successfully',
+      data: { source }
+    });
+  } catch (error) {
+    logger.error('Update ingest source error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete a webhook source
+ * @route   DELETE /api/ingest/sources/:sourceId
+ * @access  Private (ingest:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const deleteSource = async (req, res, next) => {
+  try {
+    const source = await IngestSource.findOneAndDelete({ sourceId: req.params.sourceId });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingest source not found'
+      });
+    }
+
+    webhookIngestion.invalidateSources();
+
+    logger.info(`Ingest source deleted: ${source.sourceId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ingest source deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete ingest source error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Generate a new HMAC secret for a webhook source
+ * @route   POST /api/ingest/sources/:sourceId/rotate-secret
+ * @access  Private (ingest:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const rotateSecret = async (req, res, next) => {
+  try {
+    const secret = IngestSource.generateSecret();
+    const source = await IngestSource.findOneAndUpdate(
+      { sourceId: req.params.sourceId },
+      { $set: { secret } },
+      { new: true }
+    );
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingest source not found'
+      });
+    }
+
+    logger.info(`Ingest source secret rotated: ${source.sourceId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Secret rotated successfully',
+      data: { sourceId: source.sourceId, secret }
+    });
+  } catch (error) {
+    logger.error('Rotate ingest secret error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Apply a source's mapping to a sample payload without creating an alert
+ * @route   POST /api/ingest/sources/:sourceId/test
+ * @access  Private (ingest:manage)
+ *
+ * Time Complexity: O(m)
+ * Space Complexity: O(m)
+ */
+export const testMapping = async (req, res, next) => {
+  try {
+    const source = await IngestSource.findOne({ sourceId: req.params.sourceId });
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ingest source not found'
+      });
+    }
+
+    const headers = Object.fromEntries(
+      Object.entries(req.body.headers || {}).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    const result = webhookIngestion.mapPayload(source, req.body.payload, headers);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (!error.statusCode) {
+      logger.error('Test ingest mapping error:', error);
+    }
+    next(error);
+  }
+};
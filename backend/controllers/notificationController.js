@@ -0,0 +1,153 @@
+import NotificationOutbox from '../models/NotificationOutbox.js';
+import notificationService from '../services/notificationService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Notification Controller
+ * Inspects the notification outbox and delivery status
+ */
+
+/**
+ * @desc    Get notifications with filters
+ * @route   GET /api/notifications
+ * @access  Private (notifications:read)
+ *
+ * Time Complexity: O(log n + k) where k is result count
+ * Space Complexity: O(k)
+ */
+export const getNotifications = async (req, res, next) => {
+  try {
+    const { status, channel, alertId, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (channel) filter.channel = channel;
+    if (alertId) filter.alertId = alertId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [notifications, total] = await Promise.all([
+      NotificationOutbox.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      NotificationOutbox.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        notifications,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get notifications error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get delivery status counts per channel
+ * @route   GET /api/notifications/stats
+ * @access  Private (notifications:read)
+ *
+ * Time Complexity: O(n)
+ * Space Complexity: O(c * s) where c is channels, s is statuses
+ */
+export const getNotificationStats = async (req, res, next) => {
+  try {
+    const counts = await NotificationOutbox.aggregate([
+      {
+        $group: {
+          _id: { channel: '$channel', status: '$status' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const byChannel = {};
+    counts.forEach(({ _id, count }) => {
+      byChannel[_id.channel] = byChannel[_id.channel] || { PENDING: 0, SENDING: 0, SENT: 0, DEAD: 0 };
+      byChannel[_id.channel][_id.status] = count;
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        channels: notificationService.getChannels(),
+        byChannel
+      }
+    });
+  } catch (error) {
+    logger.error('Get notification stats error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single notification with attempt log
+ * @route   GET /api/notifications/:id
+ * @access  Private (notifications:read)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const getNotification = async (req, res, next) => {
+  try {
+    const notification = await NotificationOutbox.findOne({ notificationId: req.params.id }).lean();
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { notification }
+    });
+  } catch (error) {
+    logger.error('Get notification error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Retry delivery of a notification now
+ * @route   POST /api/notifications/:id/retry
+ * @access  Private (notifications:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const retryNotification = async (req, res, next) => {
+  try {
+    const notification = await notificationService.retry(req.params.id);
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    logger.info(`Notification retry requested: ${req.params.id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Notification queued for retry',
+      data: { notification }
+    });
+  } catch (error) {
+    logger.error('Retry notification error:', error);
+    next(error);
+  }
+};
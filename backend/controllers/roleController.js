@@ -0,0 +1,217 @@
+import Role from '../models/Role.js';
+import User from '../models/User.js';
+import { PERMISSIONS, ADMIN_ROLE } from '../models/permissions.js';
+import roleRegistry from '../services/roleRegistry.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Role Controller
+ * Manages roles, the named permission sets users are given
+ */
+
+const EDITABLE_FIELDS = ['label', 'description', 'permissions'];
+
+/**
+ * 403 response when the request puts permissions into a role that the
+ * actor's own role lacks; otherwise roles:manage would grant everything
+ * Time Complexity: O(r + p)
+ */
+const rejectUnheld = async (req, res) => {
+  const missing = await roleRegistry.lacking(req.user, req.body.permissions || []);
+  if (missing.length === 0) return false;
+
+  res.status(403).json({
+    success: false,
+    message: `Cannot grant permissions your role lacks: '${missing.join("', '")}'`
+  });
+  return true;
+};
+
+/**
+ * @desc    Get all roles with their effective permissions and user counts
+ * @route   GET /api/roles
+ * @access  Private
+ *
+ * Time Complexity: O(r + u) where u is number of users
+ * Space Complexity: O(r)
+ */
+export const getRoles = async (req, res, next) => {
+  try {
+    const [roles, counts] = await Promise.all([
+      roleRegistry.getAll(),
+      User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }])
+    ]);
+    const usersByRole = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    const data = await Promise.all(roles.map(async role => ({
+      ...role,
+      permissions: await roleRegistry.getPermissions(role.name),
+      users: usersByRole[role.name] || 0
+    })));
+
+    res.status(200).json({
+      success: true,
+      data: { roles: data }
+    });
+  } catch (error) {
+    logger.error('Get roles error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the permission catalogue
+ * @route   GET /api/roles/permissions
+ * @access  Private
+ *
+ * Time Complexity: O(p)
+ * Space Complexity: O(p)
+ */
+export const getPermissionCatalogue = async (req, res, next) => {
+  try {
+    const permissions = Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+
+    res.status(200).json({
+      success: true,
+      data: { permissions }
+    });
+  } catch (error) {
+    logger.error('Get permissions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create role
+ * @route   POST /api/roles
+ * @access  Private (roles:manage)
+ *
+ * Time Complexity: O(p)
+ * Space Complexity: O(p)
+ */
+export const createRole = async (req, res, next) => {
+  try {
+    const { name, label, description, permissions } = req.body;
+
+    if (await rejectUnheld(req, res)) return;
+
+    const role = await Role.create({
+      name,
+      label,
+      description,
+      permissions,
+      createdBy: req.user._id
+    });
+
+    roleRegistry.invalidate();
+
+    logger.info(`Role created: ${role.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: { role }
+    });
+  } catch (error) {
+    logger.error('Create role error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update role (the name is fixed; users refer to it)
+ * @route   PUT /api/roles/:name
+ * @access  Private (roles:manage)
+ *
+ * Time Complexity: O(p)
+ * Space Complexity: O(p)
+ */
+export const updateRole = async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.name === ADMIN_ROLE) {
+      return res.status(403).json({
+        success: false,
+        message: 'The admin role always has every permission and cannot be edited'
+      });
+    }
+
+    if (await rejectUnheld(req, res)) return;
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) role.set(field, req.body[field]);
+    });
+    await role.save();
+
+    roleRegistry.invalidate();
+
+    logger.info(`Role updated: ${role.name} (${role.permissions.join(', ')}) by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { role }
+    });
+  } catch (error) {
+    logger.error('Update role error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete role; refused for built-in roles and while users have it
+ * @route   DELETE /api/roles/:name
+ * @access  Private (roles:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const deleteRole = async (req, res, next) => {
+  try {
+    const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Role not found'
+      });
+    }
+
+    if (role.builtIn) {
+      return res.status(403).json({
+        success: false,
+        message: 'Built-in roles cannot be deleted'
+      });
+    }
+
+    const users = await User.countDocuments({ role: role.name });
+    if (users > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Role is assigned to ${users} user(s); change their role first`
+      });
+    }
+
+    await role.deleteOne();
+
+    roleRegistry.invalidate();
+
+    logger.info(`Role deleted: ${role.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete role error:', error);
+    next(error);
+  }
+};
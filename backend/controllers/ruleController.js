@@ -2,6 +2,9 @@ import Rule from '../models/Rule.js';
 import { logger } from '../utils/logger.js';
 import cacheManager from '../utils/cache.js';
 import ruleEngine from '../services/ruleEngine.js';
+import ruleSimulator from '../services/ruleSimulator.js';
+import ruleVersioning from '../services/ruleVersioning.js';
+import ruleBundle from '../services/ruleBundle.js';
 
 /**
  * Rule Controller
@@ -36,6 +39,72 @@ export const getRules = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Export all rules as a portable bundle
+ * @route   GET /api/rules/export?format=json|yaml
+ * @access  Private
+ *
+ * Time Complexity: O(n)
+ * Space Complexity: O(n)
+ */
+export const exportRules = async (req, res, next) => {
+  try {
+    const format = req.query.format === 'yaml' ? 'yaml' : 'json';
+    const bundle = await ruleBundle.exportBundle();
+    const stamp = bundle.exportedAt.slice(0, 10);
+
+    res.set('Content-Disposition', `attachment; filename="sentinel-rules-${stamp}.${format}"`);
+    res.type(format === 'yaml' ? 'application/yaml' : 'application/json');
+    res.status(200).send(ruleBundle.serialize(bundle, format));
+  } catch (error) {
+    logger.error('Export rules error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Import a rule bundle (JSON or YAML); dry run returns the plan only
+ * @route   POST /api/rules/import?dryRun=true&prune=true&comment=...
+ * @access  Private (rules:write)
+ *
+ * Time Complexity: O(n) where n is rules in bundle and database
+ * Space Complexity: O(n)
+ */
+export const importRules = async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const result = await ruleBundle.importBundle(req.body, {
+      dryRun,
+      prune: req.query.prune === 'true',
+      user: req.user,
+      comment: req.query.comment
+    });
+
+    if (result.applied) {
+      // Reload rule engine
+      await ruleEngine.reloadRules();
+
+      // Invalidate cache
+      cacheManager.delete('rules:all');
+
+      logger.info(`Rules imported by ${req.user.email}: ${JSON.stringify(result.summary)}`);
+    }
+
+    let message = 'Rule bundle imported successfully';
+    if (!result.valid) message = 'Bundle has invalid rules; nothing was applied';
+    else if (dryRun) message = 'Dry run: no changes were applied';
+
+    res.status(!result.valid && !dryRun ? 422 : 200).json({
+      success: result.valid,
+      message,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Import rules error:', error);
+    next(error);
+  }
+};
+
 /**
  * @desc    Get single rule
  * @route   GET /api/rules/:id
@@ -68,26 +137,31 @@ export const getRule = async (req, res, next) => {
 /**
  * @desc    Create new rule
  * @route   POST /api/rules
- * @access  Private (Admin only)
+ * @access  Private (rules:write)
  * 
  * Time Complexity: O(1)
  * Space Complexity: O(1)
  */
 export const createRule = async (req, res, next) => {
   try {
-    const { ruleId, sourceType, name, description, enabled, priority, conditions, actions } = req.body;
+    const { ruleId, sourceType, name, description, enabled, priority, stopProcessing, scope, schedule, conditions, actions, escalationPolicy, comment } = req.body;
 
-    const rule = await Rule.create({
+    const rule = new Rule({
       ruleId,
       sourceType,
       name,
       description,
       enabled: enabled !== undefined ? enabled : true,
       priority: priority || 0,
+      stopProcessing: stopProcessing || false,
+      scope,
+      schedule,
       conditions,
       actions,
+      escalationPolicy,
       createdBy: req.user._id
     });
+    await ruleVersioning.save(rule, { action: 'create', user: req.user, comment });
 
     // Reload rule engine
     await ruleEngine.reloadRules();
@@ -111,14 +185,14 @@ export const createRule = async (req, res, next) => {
 /**
  * @desc    Update rule
  * @route   PUT /api/rules/:id
- * @access  Private (Admin only)
+ * @access  Private (rules:write)
  * 
  * Time Complexity: O(1)
  * Space Complexity: O(1)
  */
 export const updateRule = async (req, res, next) => {
   try {
-    const { name, description, enabled, priority, conditions, actions } = req.body;
+    const { name, description, enabled, priority, stopProcessing, scope, schedule, conditions, actions, escalationPolicy, comment } = req.body;
 
     const rule = await Rule.findOne({ ruleId: req.params.id });
 
@@ -129,28 +203,39 @@ export const updateRule = async (req, res, next) => {
       });
     }
 
+    const before = ruleVersioning.snapshot(rule);
     if (name) rule.name = name;
     if (description !== undefined) rule.description = description;
     if (enabled !== undefined) rule.enabled = enabled;
     if (priority !== undefined) rule.priority = priority;
+    if (stopProcessing !== undefined) rule.stopProcessing = stopProcessing;
+    if (scope !== undefined) rule.scope = scope;
+    if (schedule !== undefined) rule.schedule = schedule;
     if (conditions) rule.conditions = { ...rule.conditions, ...conditions };
     if (actions) rule.actions = { ...rule.actions, ...actions };
+    if (escalationPolicy !== undefined) rule.escalationPolicy = escalationPolicy;
 
-    rule.lastModified = new Date();
-    await rule.save();
+    const { changed, version } = await ruleVersioning.save(rule, {
+      before,
+      action: 'update',
+      user: req.user,
+      comment
+    });
 
-    // Reload rule engine
-    await ruleEngine.reloadRules();
+    if (changed) {
+      // Reload rule engine
+      await ruleEngine.reloadRules();
 
-    // Invalidate cache
-    cacheManager.delete('rules:all');
+      // Invalidate cache
+      cacheManager.delete('rules:all');
 
-    logger.info(`Rule updated: ${rule.ruleId} by ${req.user.email}`);
+      logger.info(`Rule updated: ${rule.ruleId} by ${req.user.email}`);
+    }
 
     res.status(200).json({
       success: true,
-      message: 'Rule updated successfully',
-      data: { rule }
+      message: changed ? 'Rule updated successfully' : 'No changes to save',
+      data: { rule, version }
     });
   } catch (error) {
     logger.error('Update rule error:', error);
@@ -161,7 +246,7 @@ export const updateRule = async (req, res, next) => {
 /**
  * @desc    Delete rule
  * @route   DELETE /api/rules/:id
- * @access  Private (Admin only)
+ * @access  Private (rules:write)
  * 
  * Time Complexity: O(1)
  * Space Complexity: O(1)
@@ -177,6 +262,7 @@ export const deleteRule = async (req, res, next) => {
       });
     }
 
+    await ruleVersioning.recordDeletion(rule, { user: req.user, comment: req.body?.comment });
     await rule.deleteOne();
 
     // Reload rule engine
@@ -200,7 +286,7 @@ export const deleteRule = async (req, res, next) => {
 /**
  * @desc    Toggle rule enabled/disabled
  * @route   PATCH /api/rules/:id/toggle
- * @access  Private (Admin only)
+ * @access  Private (rules:toggle)
  * 
  * Time Complexity: O(1)
  * Space Complexity: O(1)
@@ -216,9 +302,9 @@ export const toggleRule = async (req, res, next) => {
       });
     }
 
+    const before = ruleVersioning.snapshot(rule);
     rule.enabled = !rule.enabled;
-    rule.lastModified = new Date();
-    await rule.save();
+    await ruleVersioning.save(rule, { before, action: 'toggle', user: req.user });
 
     // Reload rule engine
     await ruleEngine.reloadRules();
@@ -238,3 +324,178 @@ export const toggleRule = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * @desc    Get version history of a rule
+ * @route   GET /api/rules/:id/versions
+ * @access  Private
+ *
+ * Time Complexity: O(v) where v is versions returned
+ * Space Complexity: O(v)
+ */
+export const getRuleVersions = async (req, res, next) => {
+  try {
+    const versions = await ruleVersioning.getVersions(req.params.id, {
+      limit: parseInt(req.query.limit) || 50
+    });
+    const rule = await Rule.findOne({ ruleId: req.params.id }).select('version').lean();
+
+    if (!rule && versions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ruleId: req.params.id,
+        currentVersion: rule ? rule.version : null,
+        versions
+      }
+    });
+  } catch (error) {
+    logger.error('Get rule versions error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a single version of a rule
+ * @route   GET /api/rules/:id/versions/:version
+ * @access  Private
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+export const getRuleVersion = async (req, res, next) => {
+  try {
+    const version = await ruleVersioning.getVersion(req.params.id, parseInt(req.params.version));
+
+    if (!version) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule version not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { version }
+    });
+  } catch (error) {
+    logger.error('Get rule version error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Roll a rule back to an earlier version (recorded as a new version)
+ * @route   POST /api/rules/:id/rollback
+ * @access  Private (rules:write)
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+export const rollbackRule = async (req, res, next) => {
+  try {
+    const rule = await Rule.findOne({ ruleId: req.params.id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const { changed, version } = await ruleVersioning.rollback(rule, req.body.version, {
+      user: req.user,
+      comment: req.body.comment
+    });
+
+    if (changed) {
+      // Reload rule engine
+      await ruleEngine.reloadRules();
+
+      // Invalidate cache
+      cacheManager.delete('rules:all');
+
+      logger.info(`Rule ${rule.ruleId} rolled back to version ${req.body.version} by ${req.user.email}`);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: changed
+        ? `Rule rolled back to version ${req.body.version}`
+        : `Rule already matches version ${req.body.version}`,
+      data: { rule, version }
+    });
+  } catch (error) {
+    logger.error('Rollback rule error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replay a saved rule against historical alerts (read-only)
+ * @route   POST /api/rules/:id/simulate
+ * @access  Private (rules:write)
+ *
+ * Time Complexity: see RuleSimulator.simulate
+ * Space Complexity: O(n) where n is alerts in range
+ */
+export const simulateRule = async (req, res, next) => {
+  try {
+    const rule = await Rule.findOne({ ruleId: req.params.id });
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Rule not found'
+      });
+    }
+
+    const simulation = await ruleSimulator.simulate(rule, { from: req.body.from, to: req.body.to });
+
+    res.status(200).json({
+      success: true,
+      data: simulation
+    });
+  } catch (error) {
+    logger.error('Simulate rule error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Replay an unsaved rule definition against historical alerts (read-only)
+ * @route   POST /api/rules/simulate
+ * @access  Private (rules:write)
+ *
+ * Time Complexity: see RuleSimulator.simulate
+ * Space Complexity: O(n) where n is alerts in range
+ */
+export const simulateDraftRule = async (req, res, next) => {
+  try {
+    const { rule: definition, from, to } = req.body;
+
+    // Validated like a rule about to be saved, but never persisted
+    const rule = new Rule({
+      ...definition,
+      ruleId: definition.ruleId || 'draft',
+      name: definition.name || 'Draft rule'
+    });
+    await rule.validate();
+
+    const simulation = await ruleSimulator.simulate(rule, { from, to });
+
+    res.status(200).json({
+      success: true,
+      data: simulation
+    });
+  } catch (error) {
+    logger.error('Simulate draft rule error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,259 @@
+import crypto from 'crypto';
+import Silence from '../models/Silence.js';
+import silenceService from '../services/silenceService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Silence Controller
+ * Manages maintenance silences that suppress escalation and notification
+ */
+
+const EDITABLE_FIELDS = ['scope', 'startsAt', 'endsAt', 'suppress', 'reason'];
+
+/**
+ * @desc    Get silences; state filter: current (default), active, upcoming, expired, all
+ * @route   GET /api/silences
+ * @access  Private
+ *
+ * Time Complexity: O(log n + k) where k is result count
+ * Space Complexity: O(k)
+ */
+export const getSilences = async (req, res, next) => {
+  try {
+    const { state = 'current', driverId, vehicleId, sourceType, page = 1, limit = 50 } = req.query;
+    const now = new Date();
+
+    const filter = {};
+    if (state === 'current') filter.endsAt = { $gt: now };
+    if (state === 'active') Object.assign(filter, { startsAt: { $lte: now }, endsAt: { $gt: now } });
+    if (state === 'upcoming') filter.startsAt = { $gt: now };
+    if (state === 'expired') filter.endsAt = { $lte: now };
+    if (driverId) filter['scope.driverId'] = driverId;
+    if (vehicleId) filter['scope.vehicleId'] = vehicleId;
+    if (sourceType) filter['scope.sourceType'] = sourceType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [silences, total] = await Promise.all([
+      Silence.find(filter)
+        .sort({ startsAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name email')
+        .lean(),
+      Silence.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        silences,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get silences error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single silence
+ * @route   GET /api/silences/:id
+ * @access  Private
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+export const getSilence = async (req, res, next) => {
+  try {
+    const silence = await Silence.findOne({ silenceId: req.params.id })
+      .populate('createdBy', 'name email')
+      .populate('expiredBy', 'name email');
+
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Silence not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { silence }
+    });
+  } catch (error) {
+    logger.error('Get silence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create silence
+ * @route   POST /api/silences
+ * @access  Private (silences:write)
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+export const createSilence = async (req, res, next) => {
+  try {
+    const { scope, startsAt, endsAt, suppress, reason } = req.body;
+
+    const silence = await Silence.create({
+      silenceId: `SIL-${Date.now()}-${crypto.randomUUID().split('-')[0]}`,
+      scope,
+      startsAt: startsAt || new Date(),
+      endsAt,
+      suppress,
+      reason,
+      createdBy: req.user._id
+    });
+
+    silenceService.invalidate();
+
+    logger.info(`Silence created: ${silence.silenceId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Silence created successfully',
+      data: { silence }
+    });
+  } catch (error) {
+    logger.error('Create silence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update silence
+ * @route   PUT /api/silences/:id
+ * @access  Private (silences:write)
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+export const updateSilence = async (req, res, next) => {
+  try {
+    const silence = await Silence.findOne({ silenceId: req.params.id });
+
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Silence not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) silence.set(field, req.body[field]);
+    });
+    await silence.save();
+
+    silenceService.invalidate();
+
+    logger.info(`Silence updated: ${silence.silenceId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Silence updated successfully',
+      data: { silence }
+    });
+  } catch (error) {
+    logger.error('Update silence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    End a silence now (kept for the record)
+ * @route   POST /api/silences/:id/expire
+ * @access  Private (silences:write)
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+export const expireSilence = async (req, res, next) => {
+  try {
+    const silence = await Silence.findOne({ silenceId: req.params.id });
+
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Silence not found'
+      });
+    }
+
+    const now = new Date();
+    if (silence.endsAt <= now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Silence has already ended'
+      });
+    }
+
+    if (silence.startsAt > now) {
+      return res.status(400).json({
+        success: false,
+        message: 'Silence has not started yet; delete it instead'
+      });
+    }
+
+    silence.endsAt = now;
+    silence.expiredAt = now;
+    silence.expiredBy = req.user._id;
+    await silence.save();
+
+    silenceService.invalidate();
+
+    logger.info(`Silence expired: ${silence.silenceId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Silence expired successfully',
+      data: { silence }
+    });
+  } catch (error) {
+    logger.error('Expire silence error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete silence
+ * @route   DELETE /api/silences/:id
+ * @access  Private (silences:write)
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+export const deleteSilence = async (req, res, next) => {
+  try {
+    const silence = await Silence.findOne({ silenceId: req.params.id });
+
+    if (!silence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Silence not found'
+      });
+    }
+
+    await silence.deleteOne();
+
+    silenceService.invalidate();
+
+    logger.info(`Silence deleted: ${req.params.id} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Silence deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete silence error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,197 @@
+import SourceType from '../models/SourceType.js';
+import Alert from '../models/Alert.js';
+import Rule from '../models/Rule.js';
+import Silence from '../models/Silence.js';
+import IngestSource from '../models/IngestSource.js';
+import sourceTypeRegistry from '../services/sourceTypeRegistry.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Source Type Controller
+ * Manages the registered kinds of alert source
+ */
+
+const EDITABLE_FIELDS = ['label', 'description', 'metadataSchema', 'defaultSeverity', 'riskWeight', 'icon', 'enabled'];
+
+/**
+ * @desc    Get all source types
+ * @route   GET /api/source-types
+ * @access  Private
+ *
+ * Time Complexity: O(t) on cache miss, O(1) on hit
+ * Space Complexity: O(t)
+ */
+export const getSourceTypes = async (req, res, next) => {
+  try {
+    const sourceTypes = await sourceTypeRegistry.getAll();
+
+    res.status(200).json({
+      success: true,
+      data: { sourceTypes }
+    });
+  } catch (error) {
+    logger.error('Get source types error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get single source type
+ * @route   GET /api/source-types/:name
+ * @access  Private
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const getSourceType = async (req, res, next) => {
+  try {
+    const sourceType = await SourceType.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!sourceType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source type not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { sourceType }
+    });
+  } catch (error) {
+    logger.error('Get source type error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create source type
+ * @route   POST /api/source-types
+ * @access  Private (sourceTypes:write)
+ *
+ * Time Complexity: O(s) where s is the size of the metadata schema
+ * Space Complexity: O(s)
+ */
+export const createSourceType = async (req, res, next) => {
+  try {
+    const { name, label, description, metadataSchema, defaultSeverity, riskWeight, icon, enabled } = req.body;
+
+    const sourceType = await SourceType.create({
+      name,
+      label,
+      description,
+      metadataSchema,
+      defaultSeverity,
+      riskWeight,
+      icon,
+      enabled,
+      createdBy: req.user._id
+    });
+
+    sourceTypeRegistry.invalidate();
+
+    logger.info(`Source type created: ${sourceType.name} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Source type created successfully',
+      data: { sourceType }
+    });
+  } catch (error) {
+    logger.error('Create source type error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update source type (the name is fixed; alerts refer to it)
+ * @route   PUT /api/source-types/:name
+ * @access  Private (sourceTypes:write)
+ *
+ * Time Complexity: O(s)
+ * Space Complexity: O(s)
+ */
+export const updateSourceType = async (req, res, next) => {
+  try {
+    const sourceType = await SourceType.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!sourceType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source type not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) sourceType.set(field, req.body[field]);
+    });
+    await sourceType.save();
+
+    sourceTypeRegistry.invalidate();
+
+    logger.info(`Source type updated: ${sourceType.name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Source type updated successfully',
+      data: { sourceType }
+    });
+  } catch (error) {
+    logger.error('Update source type error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete source type; refused while alerts, rules, silences or
+ *          webhook sources use it (disable it instead)
+ * @route   DELETE /api/source-types/:name
+ * @access  Private (sourceTypes:write)
+ *
+ * Time Complexity: O(log n) per referencing collection
+ * Space Complexity: O(1)
+ */
+export const deleteSourceType = async (req, res, next) => {
+  try {
+    const sourceType = await SourceType.findOne({ name: req.params.name.toLowerCase() });
+
+    if (!sourceType) {
+      return res.status(404).json({
+        success: false,
+        message: 'Source type not found'
+      });
+    }
+
+    const { name } = sourceType;
+    const [alerts, rules, silences, sources] = await Promise.all([
+      Alert.exists({ sourceType: name }),
+      Rule.exists({ sourceType: name }),
+      Silence.exists({ 'scope.sourceType': name }),
+      IngestSource.exists({ sourceType: name })
+    ]);
+    const usedBy = Object.entries({ alerts, rules, silences, 'webhook sources': sources })
+      .filter(([, used]) => used)
+      .map(([collection]) => collection);
+
+    if (usedBy.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Source type is used by ${usedBy.join(', ')}; disable it instead`
+      });
+    }
+
+    await sourceType.deleteOne();
+
+    sourceTypeRegistry.invalidate();
+
+    logger.info(`Source type deleted: ${name} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Source type deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete source type error:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,26 @@
+import alertStream from '../services/alertStream.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Stream Controller
+ * Real-time push of alert lifecycle events
+ */
+
+/**
+ * @desc    Subscribe to alert events (created, escalated, auto-closed, resolved)
+ * @route   GET /api/stream/alerts
+ * @access  Private
+ *
+ * Responds with a text/event-stream that stays open until the client disconnects.
+ *
+ * Time Complexity: O(1) to connect, O(1) per pushed event
+ * Space Complexity: O(1) per client
+ */
+export const streamAlerts = (req, res, next) => {
+  try {
+    alertStream.connect(req, res);
+  } catch (error) {
+    logger.error('Stream alerts error:', error);
+    next(error);
+  }
+};
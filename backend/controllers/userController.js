@@ -0,0 +1,253 @@
+import User from '../models/User.js';
+import UserAudit from '../models/UserAudit.js';
+import tokenService from '../services/tokenService.js';
+import userAdmin from '../services/userAdmin.js';
+import roleRegistry from '../services/roleRegistry.js';
+import { escapeRegex } from '../utils/regex.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * User Controller
+ * Directory of users (e.g. to pick an alert assignee) and user administration
+ */
+
+const AUDIT_PAGE_LIMIT = 100;
+
+/**
+ * @desc    Get all users; user managers also see invited and disabled accounts
+ * @route   GET /api/users
+ * @access  Private
+ *
+ * Time Complexity: O(u log u)
+ * Space Complexity: O(u)
+ */
+export const getUsers = async (req, res, next) => {
+  try {
+    const { role, status, search } = req.query;
+    const canManage = await roleRegistry.can(req.user, 'users:manage');
+
+    // Accounts created before statuses existed have none and count as ACTIVE
+    const filter = {};
+    if (role) filter.role = role;
+    if (canManage && status && status !== 'ACTIVE') filter.status = status;
+    if (!canManage || status === 'ACTIVE') filter.status = { $nin: ['INVITED', 'DISABLED'] };
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const fields = canManage ? 'name email role status inviteExpiresAt createdAt' : 'name email role';
+    const users = await User.find(filter).select(fields).sort({ name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: { users }
+    });
+  } catch (error) {
+    logger.error('Get users error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get a user with their audit trail
+ * @route   GET /api/users/:id
+ * @access  Private (users:manage)
+ *
+ * Time Complexity: O(log n + a) where a is audit entries of the user
+ * Space Complexity: O(a)
+ */
+export const getUser = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select('name email role status inviteExpiresAt invitedBy createdAt')
+      .populate('invitedBy', 'name email')
+      .lean();
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [audit, sessions] = await Promise.all([
+      UserAudit.find({ user: user._id }).sort({ createdAt: -1 }).lean(),
+      tokenService.getSessions(user._id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: { user, audit, sessions: sessions.length }
+    });
+  } catch (error) {
+    logger.error('Get user error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get the user administration audit log, newest first
+ * @route   GET /api/users/audit
+ * @access  Private (users:manage)
+ *
+ * Time Complexity: O(log n + k) where k is limit
+ * Space Complexity: O(k)
+ */
+export const getUserAudit = async (req, res, next) => {
+  try {
+    const { action, limit = 50 } = req.query;
+
+    const filter = {};
+    if (action) filter.action = action;
+
+    const audit = await UserAudit.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(limit), AUDIT_PAGE_LIMIT))
+      .lean();
+
+    res.status(200).json({
+      success: true,
+      data: { audit }
+    });
+  } catch (error) {
+    logger.error('Get user audit error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Invite a user; returns the invite link to pass on
+ * @route   POST /api/users/invite
+ * @access  Private (users:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const inviteUser = async (req, res, next) => {
+  try {
+    const { name, email, role, reason } = req.body;
+    const { user, inviteUrl, expiresAt } = await userAdmin.invite({ name, email, role }, req.user, reason);
+
+    res.status(201).json({
+      success: true,
+      message: 'User invited successfully',
+      data: {
+        user: { _id: user._id, name: user.name, email: user.email, role: user.role, status: user.status },
+        inviteUrl,
+        expiresAt
+      }
+    });
+  } catch (error) {
+    logger.error('Invite user error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Issue a new invite link for a user who has not accepted yet
+ * @route   POST /api/users/:id/invite
+ * @access  Private (users:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const resendInvite = async (req, res, next) => {
+  try {
+    const { inviteUrl, expiresAt } = await userAdmin.resendInvite(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link renewed',
+      data: { inviteUrl, expiresAt }
+    });
+  } catch (error) {
+    logger.error('Resend invite error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Change the role of a user (audited)
+ * @route   PATCH /api/users/:id/role
+ * @access  Private (users:manage)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const updateUserRole = async (req, res, next) => {
+  try {
+    const user = await userAdmin.changeRole(req.params.id, req.body.role, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'User role updated',
+      data: {
+        user: { _id: user._id, name: user.name, email: user.email, role: user.role, status: user.status }
+      }
+    });
+  } catch (error) {
+    logger.error('Update user role error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Enable or disable a user (audited); disabling ends their sessions
+ * @route   PATCH /api/users/:id/status
+ * @access  Private (users:manage)
+ *
+ * Time Complexity: O(log n + s) where s is the user's sessions
+ * Space Complexity: O(1)
+ */
+export const updateUserStatus = async (req, res, next) => {
+  try {
+    const user = await userAdmin.changeStatus(req.params.id, req.body.status, req.user, req.body.reason);
+
+    res.status(200).json({
+      success: true,
+      message: 'User status updated',
+      data: {
+        user: { _id: user._id, name: user.name, email: user.email, role: user.role, status: user.status }
+      }
+    });
+  } catch (error) {
+    logger.error('Update user status error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Revoke all sessions of a user (e.g. a lost device or stolen token)
+ * @route   DELETE /api/users/:id/sessions
+ * @access  Private (users:manage)
+ *
+ * Time Complexity: O(s) where s is the user's sessions
+ * Space Complexity: O(1)
+ */
+export const revokeUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('email role');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await userAdmin.assertCanManage(user, req.user);
+    const revoked = await tokenService.revokeAll(user._id, 'admin');
+
+    logger.info(`Sessions of ${user.email} revoked by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'User sessions revoked',
+      data: { revoked }
+    });
+  } catch (error) {
+    logger.error('Revoke user sessions error:', error);
+    next(error);
+  }
+};
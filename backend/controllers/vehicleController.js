@@ -0,0 +1,233 @@
+import Vehicle from '../models/Vehicle.js';
+import Driver from '../models/Driver.js';
+import Alert, { ACTIVE_STATUSES } from '../models/Alert.js';
+import Incident from '../models/Incident.js';
+import riskScoring from '../services/riskScoring.js';
+import cacheManager from '../utils/cache.js';
+import { escapeRegex } from '../utils/regex.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Vehicle Controller
+ * Manages vehicle master data and vehicle profiles
+ */
+
+const EDITABLE_FIELDS = ['registrationNumber', 'make', 'model', 'year', 'status'];
+const PROFILE_ALERT_LIMIT = 100;
+
+/**
+ * @desc    Get vehicles, riskiest first
+ * @route   GET /api/vehicles
+ * @access  Private
+ *
+ * Time Complexity: O(log n + k) where k is result count
+ * Space Complexity: O(k)
+ */
+export const getVehicles = async (req, res, next) => {
+  try {
+    const { search, status, riskLevel, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (riskLevel) filter['risk.level'] = riskLevel;
+    if (search) {
+      const pattern = new RegExp(escapeRegex(search), 'i');
+      filter.$or = [{ vehicleId: pattern }, { registrationNumber: pattern }];
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [vehicles, total] = await Promise.all([
+      Vehicle.find(filter)
+        .sort({ 'risk.score': -1, vehicleId: 1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      Vehicle.countDocuments(filter)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        vehicles,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get vehicles error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Get vehicle profile with alerts, incidents, assigned drivers and alert stats
+ * @route   GET /api/vehicles/:id
+ * @access  Private
+ *
+ * Time Complexity: O(log n + a + i) where a is alerts (capped), i is incidents
+ * Space Complexity: O(a + i)
+ */
+export const getVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findOne({ vehicleId: req.params.id }).lean();
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const [alerts, incidents, drivers, byStatus] = await Promise.all([
+      Alert.find({ 'metadata.vehicleId': vehicle.vehicleId })
+        .sort({ timestamp: -1 })
+        .limit(PROFILE_ALERT_LIMIT)
+        .select('-occurrences')
+        .lean(),
+      Incident.find({ keys: `vehicleId:${vehicle.vehicleId}` })
+        .sort({ lastAlertAt: -1 })
+        .lean(),
+      Driver.find({ vehicleId: vehicle.vehicleId }).select('driverId name status risk').lean(),
+      Alert.aggregate([
+        { $match: { 'metadata.vehicleId': vehicle.vehicleId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const stats = Object.fromEntries(byStatus.map(item => [item._id, item.count]));
+    stats.total = byStatus.reduce((sum, item) => sum + item.count, 0);
+    stats.active = ACTIVE_STATUSES.reduce((sum, status) => sum + (stats[status] || 0), 0);
+
+    res.status(200).json({
+      success: true,
+      data: { vehicle, alerts, incidents, drivers, stats }
+    });
+  } catch (error) {
+    logger.error('Get vehicle error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Create vehicle
+ * @route   POST /api/vehicles
+ * @access  Private (fleet:write)
+ *
+ * Time Complexity: O(log n + a) including the initial risk score
+ * Space Complexity: O(a)
+ */
+export const createVehicle = async (req, res, next) => {
+  try {
+    const vehicle = new Vehicle({ vehicleId: req.body.vehicleId });
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) vehicle.set(field, req.body[field]);
+    });
+    await vehicle.save();
+
+    // The vehicle may already have alerts from before it was registered
+    vehicle.risk = await riskScoring.recompute('vehicle', vehicle.vehicleId);
+
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Vehicle created: ${vehicle.vehicleId} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Vehicle created successfully',
+      data: { vehicle }
+    });
+  } catch (error) {
+    logger.error('Create vehicle error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Update vehicle (the vehicleId is fixed; alerts refer to it)
+ * @route   PUT /api/vehicles/:id
+ * @access  Private (fleet:write)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const updateVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findOne({ vehicleId: req.params.id });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) vehicle.set(field, req.body[field]);
+    });
+    await vehicle.save();
+
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Vehicle updated: ${vehicle.vehicleId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle updated successfully',
+      data: { vehicle }
+    });
+  } catch (error) {
+    logger.error('Update vehicle error:', error);
+    next(error);
+  }
+};
+
+/**
+ * @desc    Delete vehicle; refused while the vehicle has active alerts
+ * @route   DELETE /api/vehicles/:id
+ * @access  Private (fleet:write)
+ *
+ * Time Complexity: O(log n)
+ * Space Complexity: O(1)
+ */
+export const deleteVehicle = async (req, res, next) => {
+  try {
+    const vehicle = await Vehicle.findOne({ vehicleId: req.params.id });
+
+    if (!vehicle) {
+      return res.status(404).json({
+        success: false,
+        message: 'Vehicle not found'
+      });
+    }
+
+    const active = await Alert.countDocuments({
+      'metadata.vehicleId': vehicle.vehicleId,
+      status: { $in: ACTIVE_STATUSES }
+    });
+    if (active > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Vehicle has ${active} active alert(s); mark the vehicle inactive instead`
+      });
+    }
+
+    await vehicle.deleteOne();
+
+    cacheManager.invalidatePattern('dashboard:');
+
+    logger.info(`Vehicle deleted: ${vehicle.vehicleId} by ${req.user.email}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Vehicle deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Delete vehicle error:', error);
+    next(error);
+  }
+};
@@ -1,9 +1,27 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import roleRegistry from '../services/roleRegistry.js';
+import apiKeyService, { ApiKeyError } from '../services/apiKeyService.js';
+
+// Marks middleware created by requirePermission (see isPermissionGated)
+const PERMISSION_GATE = Symbol('permissionGate');
+
+/**
+ * Whether the matched route runs a requirePermission check
+ * API keys are only accepted on such routes, so a key's scopes decide
+ * everything it can reach and a route without a permission never leaks to it
+ * Time Complexity: O(h) where h is handlers on the route
+ */
+const isPermissionGated = (req) =>
+  Boolean(req.route?.stack.some(layer => layer.handle[PERMISSION_GATE]));
 
 /**
  * Authentication Middleware
- * Protects routes by verifying JWT tokens
+ * Protects routes by verifying JWT tokens, or an API key sent in the
+ * X-API-Key header (req.apiKey is set and req.user stands in for the key).
+ * Keys are refused on routes not gated by requirePermission.
+ * req.authExpiresAt is when the credential stops being valid (the access
+ * token's expiry, or the key's), for connections that outlive the request.
  * 
  * Time Complexity: O(1) for token verification, O(log n) for user lookup
  * Space Complexity: O(1)
@@ -12,6 +30,29 @@ export const protect = async (req, res, next) => {
   let token;
 
   try {
+    const rawKey = req.get('x-api-key');
+    if (rawKey) {
+      if (!isPermissionGated(req)) {
+        return res.status(403).json({
+          success: false,
+          message: 'This route requires a user session, not an API key'
+        });
+      }
+
+      try {
+        req.apiKey = await apiKeyService.authenticate(rawKey, req.ip);
+        req.user = apiKeyService.principal(req.apiKey);
+        req.authExpiresAt = req.apiKey.expiresAt;
+        return next();
+      } catch (error) {
+        if (!(error instanceof ApiKeyError)) throw error;
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+    }
+
     // Check for token in Authorization header
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
       token = req.headers.authorization.split(' ')[1];
@@ -39,6 +80,16 @@ export const protect = async (req, res, next) => {
         });
       }
 
+      // All of the user's sessions were revoked after this token was issued
+      if ((decoded.tv || 0) !== (req.user.tokenVersion || 0)) {
+        return res.status(401).json({
+          success: false,
+          message: 'Not authorized - Session revoked'
+        });
+      }
+
+      req.authExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : undefined;
+
       next();
     } catch (error) {
       return res.status(401).json({
@@ -55,12 +106,15 @@ export const protect = async (req, res, next) => {
 };
 
 /**
- * Role-based authorization middleware
- * Time Complexity: O(n) where n is number of allowed roles
+ * Permission-based authorization middleware
+ * Passes when the user's role (or the API key's scopes) grants every listed
+ * permission (see models/permissions.js); the granted permissions are
+ * attached as req.permissions.
+ * Time Complexity: O(r + p) where r is roles and p is permissions
  * Space Complexity: O(1)
  */
-export const authorize = (...roles) => {
-  return (req, res, next) => {
+export const requirePermission = (...permissions) => {
+  const middleware = async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -68,23 +122,35 @@ export const authorize = (...roles) => {
       });
     }
 
-    if (!roles.includes(req.user.role)) {
+    try {
+      req.permissions = req.apiKey ? req.apiKey.scopes : await roleRegistry.getPermissions(req.user.role);
+    } catch (error) {
+      return next(error);
+    }
+
+    const missing = permissions.filter(permission => !req.permissions.includes(permission));
+    if (missing.length > 0) {
+      const holder = req.apiKey ? `API key '${req.apiKey.name}'` : `Role '${req.user.role}'`;
       return res.status(403).json({
         success: false,
-        message: `User role '${req.user.role}' is not authorized to access this route`
+        message: `${holder} lacks permission '${missing.join("', '")}'`
       });
     }
     next();
   };
+  middleware[PERMISSION_GATE] = true;
+  return middleware;
 };
 
 /**
- * Generate JWT Token
+ * Generate a short-lived JWT access token
+ * Carries the user's tokenVersion so that revoking all sessions also
+ * invalidates access tokens that have not expired yet.
  * Time Complexity: O(1)
  * Space Complexity: O(1)
  */
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+export const generateToken = (user) => {
+  return jwt.sign({ id: user._id, tv: user.tokenVersion || 0 }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
   });
 };
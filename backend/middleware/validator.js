@@ -15,7 +15,7 @@ export const validate = (req, res, next) => {
       success: false,
       message: 'Validation failed',
       errors: errors.array().map(err => ({
-        field: err.param,
+        field: err.path || err.param,
         message: err.msg
       }))
     });
@@ -23,3 +23,44 @@ export const validate = (req, res, next) => {
   
   next();
 };
+
+/**
+ * Per-item Validation Middleware for bulk payloads
+ * Runs the given express-validator chains against each element of req.body[field]
+ * (as if it were a single request body) and splits items into valid and invalid
+ * instead of rejecting the whole request.
+ *
+ * Sets req.bulkItems = { valid: [{ index, data }], invalid: [{ index, errors }] }
+ *
+ * Time Complexity: O(n * c) where n is number of items, c is number of chains
+ * Space Complexity: O(n)
+ */
+export const validateEach = (field, chains) => async (req, res, next) => {
+  try {
+    const items = Array.isArray(req.body[field]) ? req.body[field] : [];
+    const bulkItems = { valid: [], invalid: [] };
+
+    for (const [index, item] of items.entries()) {
+      const itemReq = { body: item && typeof item === 'object' ? item : {} };
+      await Promise.all(chains.map(chain => chain.run(itemReq)));
+
+      const errors = validationResult(itemReq);
+      if (errors.isEmpty()) {
+        bulkItems.valid.push({ index, data: itemReq.body });
+      } else {
+        bulkItems.invalid.push({
+          index,
+          errors: errors.array().map(err => ({
+            field: err.path || err.param,
+            message: err.msg
+          }))
+        });
+      }
+    }
+
+    req.bulkItems = bulkItems;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
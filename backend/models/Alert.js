@@ -1,10 +1,38 @@
 import mongoose from 'mongoose';
+import {
+  ALERT_STATUSES,
+  ACTIVE_STATUSES,
+  CLOSED_STATUSES,
+  AlertTransitionError,
+  assertTransition
+} from './alertStateMachine.js';
+
+export { ACTIVE_STATUSES, CLOSED_STATUSES };
+
+/**
+ * Most occurrences kept per alert (ALERT_MAX_OCCURRENCES); older ones are
+ * dropped, so count-based rules cannot see more than this per alert
+ * Time Complexity: O(1)
+ */
+export const getMaxOccurrences = () => parseInt(process.env.ALERT_MAX_OCCURRENCES) || 100;
+
+/**
+ * Fields that cannot change while an alert is closed (reopen it first)
+ */
+const CLOSED_LOCKED_FIELDS = ['severity', 'metadata', 'notes', 'tags', 'assignedTo'];
 
 /**
  * Alert Model - Central alert management
  * Supports multiple source types and dynamic state transitions
  * 
  * State Machine: OPEN → ESCALATED → AUTO_CLOSED/RESOLVED
+ * While ESCALATED, the acting rule's escalation policy may step the alert up
+ * through further levels (escalationLevel)
+ * OPEN/ESCALATED → ACKNOWLEDGED once an operator takes it on; acknowledged
+ * alerts are neither escalated nor stepped up further
+ * AUTO_CLOSED/RESOLVED → OPEN when a user reopens the alert
+ * Allowed transitions are listed in models/alertStateMachine.js and status
+ * changes must go through transition(); saving any other change is rejected
  * 
  * Time Complexity for queries:
  * - Insert: O(log n) due to indexes
@@ -20,10 +48,10 @@ const alertSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Registered source type name (see models/SourceType.js), checked on ingest
   sourceType: {
     type: String,
     required: true,
-    enum: ['overspeed', 'compliance', 'feedback_negative', 'maintenance', 'other'],
     index: true
   },
   severity: {
@@ -36,7 +64,7 @@ const alertSchema = new mongoose.Schema({
   status: {
     type: String,
     required: true,
-    enum: ['OPEN', 'ESCALATED', 'AUTO_CLOSED', 'RESOLVED'],
+    enum: ALERT_STATUSES,
     default: 'OPEN',
     index: true
   },
@@ -67,15 +95,92 @@ const alertSchema = new mongoose.Schema({
     },
     additionalInfo: mongoose.Schema.Types.Mixed
   },
+  // Dedup fingerprint of the configured fields (see services/alertIngestion.js)
+  fingerprint: {
+    type: String,
+    index: true
+  },
+  // Fingerprint of the one active alert that repeats fold into; unique, so
+  // concurrent ingests of the same event cannot both create an alert. Cleared
+  // when the alert closes or falls out of the dedup window
+  dedupKey: String,
+  lastSeenAt: Date,
+  // Individual events folded into this alert, most recent last (capped)
+  occurrences: [{
+    _id: false,
+    timestamp: {
+      type: Date,
+      default: Date.now
+    },
+    metadata: mongoose.Schema.Types.Mixed
+  }],
   escalatedAt: Date,
+  // Position in the escalation chain: 1 once escalated, higher after step-ups
+  escalationLevel: {
+    type: Number,
+    default: 0
+  },
+  // Rule whose escalation policy drives the chain
+  escalationRuleId: String,
+  // When the next step-up is due; unset at the end of the chain or once closed
+  nextEscalationAt: Date,
+  acknowledgedAt: Date,
+  acknowledgedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   autoClosedAt: Date,
   resolvedAt: Date,
   closureReason: String,
+  reopenedAt: Date,
+  reopenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reopenCount: {
+    type: Number,
+    default: 0
+  },
   resolvedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
   notes: String,
+  tags: {
+    type: [String],
+    index: true
+  },
+  assignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: Date,
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Incident this alert was correlated into (see services/incidentService.js)
+  incidentId: {
+    type: String,
+    index: true
+  },
+  // Escalations / notifications held back by silences, one entry per silence and effect
+  suppressions: [{
+    _id: false,
+    silenceId: String,
+    effect: {
+      type: String,
+      enum: ['escalation', 'notification']
+    },
+    ruleId: String,
+    reason: String,
+    firstAt: Date,
+    lastAt: Date,
+    count: {
+      type: Number,
+      default: 1
+    }
+  }],
   expiresAt: {
     type: Date,
     index: true
@@ -87,8 +192,12 @@ const alertSchema = new mongoose.Schema({
 // Compound indexes for common queries
 alertSchema.index({ status: 1, timestamp: -1 });
 alertSchema.index({ 'metadata.driverId': 1, status: 1 });
+alertSchema.index({ 'metadata.vehicleId': 1, status: 1 });
 alertSchema.index({ sourceType: 1, status: 1, timestamp: -1 });
 alertSchema.index({ severity: 1, status: 1 });
+alertSchema.index({ fingerprint: 1, status: 1, lastSeenAt: -1 });
+alertSchema.index({ dedupKey: 1 }, { unique: true, partialFilterExpression: { dedupKey: { $type: 'string' } } });
+alertSchema.index({ status: 1, nextEscalationAt: 1 });
 
 // TTL index for automatic document expiration
 alertSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
@@ -101,51 +210,141 @@ alertSchema.virtual('ageInHours').get(function() {
 });
 
 /**
- * Method to escalate alert
+ * Method to (re)assign alert to a user
  * Time Complexity: O(1)
  */
-alertSchema.methods.escalate = function(reason) {
-  if (this.status === 'OPEN') {
-    this.status = 'ESCALATED';
-    this.severity = 'CRITICAL';
-    this.escalatedAt = new Date();
-    this.notes = reason || 'Auto-escalated by rule engine';
+alertSchema.methods.assign = function(userId, assignedBy) {
+  this.assignedTo = userId;
+  this.assignedAt = new Date();
+  this.assignedBy = assignedBy;
+  return this;
+};
+
+/**
+ * Record that a silence held back an escalation or notification
+ * Repeated suppressions by the same silence update one entry
+ * Time Complexity: O(s) where s is number of suppression entries
+ */
+alertSchema.methods.recordSuppression = function(silence, effect, ruleId, reason) {
+  const now = new Date();
+  const existing = this.suppressions.find(entry =>
+    entry.silenceId === silence.silenceId && entry.effect === effect
+  );
+
+  if (existing) {
+    existing.lastAt = now;
+    existing.count += 1;
+    existing.ruleId = ruleId;
+    existing.reason = reason;
+  } else {
+    this.suppressions.push({ silenceId: silence.silenceId, effect, ruleId, reason, firstAt: now, lastAt: now });
   }
   return this;
 };
 
 /**
- * Method to auto-close alert
- * Time Complexity: O(1)
+ * Field updates made by each transition (status is set by transition())
+ * Each runs with the alert as `this` and the transition context
  */
-alertSchema.methods.autoClose = function(reason) {
-  if (this.status === 'OPEN' || this.status === 'ESCALATED') {
-    this.status = 'AUTO_CLOSED';
+const TRANSITION_EFFECTS = {
+  // Severity is only changed when given; the rule engine sets it through
+  // the rule's escalate_to_severity action
+  escalate({ reason, severity }) {
+    if (severity) this.severity = severity;
+    this.escalatedAt = new Date();
+    this.notes = reason;
+  },
+  step_up({ severity }) {
+    if (severity) this.severity = severity;
+  },
+  // Stops any running escalation chain
+  acknowledge({ userId, notes }) {
+    this.acknowledgedAt = new Date();
+    this.acknowledgedBy = userId;
+    if (notes) this.notes = notes;
+    this.nextEscalationAt = undefined;
+  },
+  // Closing also releases the dedup claim, so the next repeat creates a new alert
+  auto_close({ reason }) {
     this.autoClosedAt = new Date();
     this.closureReason = reason;
+    this.nextEscalationAt = undefined;
+    this.dedupKey = undefined;
+  },
+  resolve({ userId, notes }) {
+    this.resolvedAt = new Date();
+    this.resolvedBy = userId;
+    this.notes = notes;
+    this.nextEscalationAt = undefined;
+    this.dedupKey = undefined;
+  },
+  // Back to a fresh OPEN alert; closure, acknowledgement and escalation are
+  // cleared so the rule engine can escalate it again. The dedup claim is not
+  // retaken, since a newer alert may hold it by now
+  reopen({ userId, reason }) {
+    this.reopenedAt = new Date();
+    this.reopenedBy = userId;
+    this.reopenCount += 1;
+    this.notes = reason;
+    ['autoClosedAt', 'resolvedAt', 'resolvedBy', 'closureReason', 'acknowledgedAt', 'acknowledgedBy',
+      'escalatedAt', 'escalationRuleId', 'nextEscalationAt'].forEach(field => {
+      this[field] = undefined;
+    });
+    this.escalationLevel = 0;
   }
-  return this;
 };
 
 /**
- * Method to manually resolve alert
+ * Apply a transition from the state machine table
+ * Checks the current status, the actor and the required context fields,
+ * then updates the alert; the caller saves and records history
+ *
+ * @param {string} action - Key of TRANSITIONS (escalate, acknowledge, ...)
+ * @param {Object} context - { actor, userId, reason, notes, severity }
+ * @returns {{ fromStatus, toStatus }}
+ * @throws {AlertTransitionError}
  * Time Complexity: O(1)
  */
-alertSchema.methods.resolve = function(userId, notes) {
-  this.status = 'RESOLVED';
-  this.resolvedAt = new Date();
-  this.resolvedBy = userId;
-  this.notes = notes;
-  return this;
+alertSchema.methods.transition = function(action, context = {}) {
+  const { to } = assertTransition(this.status, action, context);
+  const fromStatus = this.status;
+
+  TRANSITION_EFFECTS[action].call(this, context);
+  this.status = to;
+
+  this.$locals.transitions = [...(this.$locals.transitions || []), { action, fromStatus, toStatus: to }];
+  return { fromStatus, toStatus: to };
 };
 
+/**
+ * Reject status changes made outside transition() and edits to closed alerts
+ * Time Complexity: O(f) where f is number of locked fields
+ */
+alertSchema.pre('save', function(next) {
+  if (this.isNew) return next();
+
+  if (this.isModified('status')) {
+    if (this.$locals.transitions?.at(-1)?.toStatus !== this.status) {
+      return next(new AlertTransitionError(`Status of alert ${this.alertId} can only change through a transition`));
+    }
+  } else if (CLOSED_STATUSES.includes(this.status) && CLOSED_LOCKED_FIELDS.some(field => this.isModified(field))) {
+    return next(new AlertTransitionError(`Alert ${this.alertId} is ${this.status}; reopen it before changing it`));
+  }
+
+  next();
+});
+
+alertSchema.post('save', function() {
+  this.$locals.transitions = [];
+});
+
 /**
  * Static method to get alerts needing evaluation
  * Time Complexity: O(log n + k) where k is result count
  */
 alertSchema.statics.getNeedingEvaluation = function() {
   return this.find({
-    status: { $in: ['OPEN', 'ESCALATED'] },
+    status: { $in: ACTIVE_STATUSES },
     expiresAt: { $gt: new Date() }
   }).sort({ timestamp: 1 });
 };
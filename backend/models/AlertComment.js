@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+/**
+ * AlertComment Model - Operator discussion on an alert
+ * Comments are threaded: a reply points at the top-level comment it answers
+ * (replies to replies are attached to the same thread root)
+ *
+ * Time Complexity: O(log n) for inserts and lookups by alert
+ * Space Complexity: O(1) per document
+ */
+const alertCommentSchema = new mongoose.Schema({
+  alertId: {
+    type: String,
+    required: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertComment',
+    default: null
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [2000, 'Comment cannot be more than 2000 characters']
+  }
+}, {
+  timestamps: true
+});
+
+alertCommentSchema.index({ alertId: 1, createdAt: 1 });
+
+/**
+ * Static method to get an alert's comments as threads, oldest first
+ * @returns {Array} top-level comments, each with its `replies`
+ * Time Complexity: O(log n + c) where c is comments on the alert
+ */
+alertCommentSchema.statics.getThreads = async function(alertId) {
+  const comments = await this.find({ alertId })
+    .sort({ createdAt: 1 })
+    .populate('author', 'name email')
+    .lean();
+
+  const threads = new Map();
+  comments.forEach(comment => {
+    if (!comment.parent) threads.set(comment._id.toString(), { ...comment, replies: [] });
+  });
+  comments.forEach(comment => {
+    if (comment.parent) threads.get(comment.parent.toString())?.replies.push(comment);
+  });
+
+  return [...threads.values()];
+};
+
+const AlertComment = mongoose.model('AlertComment', alertCommentSchema);
+
+export default AlertComment;
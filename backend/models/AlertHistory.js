@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import eventBus, { ALERT_EVENTS, ACTIVITY_EVENTS, summarizeAlert } from '../utils/eventBus.js';
+import { ALERT_STATUSES } from './alertStateMachine.js';
 
 /**
  * AlertHistory Model - Tracks all state transitions
@@ -20,13 +22,13 @@ const alertHistorySchema = new mongoose.Schema({
   },
   fromStatus: {
     type: String,
-    enum: ['OPEN', 'ESCALATED', 'AUTO_CLOSED', 'RESOLVED', null],
+    enum: [...ALERT_STATUSES, null],
     default: null
   },
   toStatus: {
     type: String,
     required: true,
-    enum: ['OPEN', 'ESCALATED', 'AUTO_CLOSED', 'RESOLVED']
+    enum: ALERT_STATUSES
   },
   reason: String,
   triggeredBy: {
@@ -38,6 +40,11 @@ const alertHistorySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Set instead of userId for alerts submitted with an API key
+  apiKey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ApiKey'
+  },
   metadata: mongoose.Schema.Types.Mixed,
   timestamp: {
     type: Date,
@@ -52,12 +59,31 @@ const alertHistorySchema = new mongoose.Schema({
 alertHistorySchema.index({ alertId: 1, timestamp: -1 });
 alertHistorySchema.index({ timestamp: -1 });
 
+/**
+ * Publish a recorded transition on the event bus (real-time stream)
+ * Activity entries (assignments, comments) publish their own event type
+ * Time Complexity: O(l) where l is number of subscribers
+ */
+const publishTransition = (entry, alert) => {
+  const type = ACTIVITY_EVENTS[entry.metadata?.activity]
+    || (entry.fromStatus && entry.toStatus === 'OPEN' ? ALERT_EVENTS.REOPENED : ALERT_EVENTS[entry.toStatus]);
+  eventBus.publish(type, {
+    alertId: entry.alertId,
+    fromStatus: entry.fromStatus,
+    toStatus: entry.toStatus,
+    reason: entry.reason,
+    triggeredBy: entry.triggeredBy,
+    timestamp: entry.timestamp,
+    alert: summarizeAlert(alert)
+  });
+};
+
 /**
  * Static method to log state transition
  * Time Complexity: O(log n)
  */
-alertHistorySchema.statics.logTransition = async function(alertId, alert, fromStatus, toStatus, reason, triggeredBy, userId, metadata) {
-  return await this.create({
+alertHistorySchema.statics.logTransition = async function(alertId, alert, fromStatus, toStatus, reason, triggeredBy, userId, metadata, apiKey) {
+  const entry = await this.create({
     alertId,
     alert: alert._id,
     fromStatus,
@@ -65,8 +91,30 @@ alertHistorySchema.statics.logTransition = async function(alertId, alert, fromSt
     reason,
     triggeredBy,
     userId,
-    metadata
+    metadata,
+    apiKey
   });
+
+  publishTransition(entry, alert);
+  return entry;
+};
+
+/**
+ * Static method to log many transitions in one insert (bulk ingestion)
+ * Each item: { alert, fromStatus, toStatus, reason, triggeredBy, userId, apiKey, metadata }
+ * Time Complexity: O(k log n) where k is number of transitions
+ */
+alertHistorySchema.statics.logTransitions = async function(transitions) {
+  if (transitions.length === 0) return [];
+
+  const entries = await this.insertMany(transitions.map(({ alert, ...transition }) => ({
+    ...transition,
+    alertId: alert.alertId,
+    alert: alert._id
+  })));
+
+  entries.forEach((entry, index) => publishTransition(entry, transitions[index].alert));
+  return entries;
 };
 
 const AlertHistory = mongoose.model('AlertHistory', alertHistorySchema);
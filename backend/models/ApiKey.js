@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { API_KEY_SCOPES } from './permissions.js';
+
+const KEY_PREFIX = 'snk_';
+
+/**
+ * ApiKey Model - Credential for a system that submits alerts
+ *
+ * Only the SHA-256 hash of the key is stored; the key itself is shown once
+ * when it is issued. `prefix` (the first characters of the key) identifies
+ * it in lists and logs. A key is limited to its scopes (permissions from
+ * API_KEY_SCOPES) and, when sourceTypes is not empty, to those source types.
+ * Revoked keys are kept so alert history can still name them.
+ *
+ * Time Complexity: O(log n) for lookups by hash
+ * Space Complexity: O(s) per key where s is number of scopes and source types
+ */
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true
+  },
+  description: String,
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [String],
+    enum: API_KEY_SCOPES,
+    default: ['alerts:create']
+  },
+  // Source types the key may submit alerts for; empty allows all
+  sourceTypes: {
+    type: [String],
+    default: []
+  },
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ createdAt: -1 });
+
+/**
+ * Generate a random API key
+ * Time Complexity: O(1)
+ */
+apiKeySchema.statics.generateKey = function() {
+  return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+};
+
+/**
+ * Hash of a raw key, as stored
+ * Time Complexity: O(1)
+ */
+apiKeySchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+/**
+ * Whether the key can be used now
+ * Time Complexity: O(1)
+ */
+apiKeySchema.methods.isUsable = function(now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { riskProfileSchema } from './riskProfile.js';
+
+/**
+ * Driver Model - Master record of a driver
+ *
+ * Alerts refer to drivers by metadata.driverId. The name here is the
+ * current one; alert metadata keeps the name as it was when the alert
+ * was raised. Drivers first seen on an alert are registered automatically.
+ *
+ * Time Complexity: O(log n) for lookups by driverId
+ * Space Complexity: O(1) per driver
+ */
+const driverSchema = new mongoose.Schema({
+  driverId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  phone: String,
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  licenseNumber: String,
+  licenseExpiresAt: Date,
+  // Vehicle the driver usually drives
+  vehicleId: String,
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE'],
+    default: 'ACTIVE'
+  },
+  risk: {
+    type: riskProfileSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+driverSchema.index({ 'risk.score': -1 });
+driverSchema.index({ name: 1 });
+
+const Driver = mongoose.model('Driver', driverSchema);
+
+export default Driver;
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+
+/**
+ * Group Model - Named set of drivers and vehicles (e.g. trainees) that rules
+ * can be scoped to
+ *
+ * An alert belongs to a group when its driverId or vehicleId is a member.
+ *
+ * Time Complexity: O(log n) for lookups by groupId or member
+ * Space Complexity: O(m) per group where m is number of members
+ */
+const groupSchema = new mongoose.Schema({
+  groupId: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_-]+$/, 'groupId may only contain letters, digits, "-" and "_"']
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: String,
+  driverIds: [String],
+  vehicleIds: [String],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ driverIds: 1 });
+groupSchema.index({ vehicleIds: 1 });
+
+/**
+ * Whether the alert's driver or vehicle is a member
+ * Time Complexity: O(m)
+ */
+groupSchema.methods.includesAlert = function(alert) {
+  const { driverId, vehicleId } = alert.metadata || {};
+  return (!!driverId && this.driverIds.includes(driverId)) ||
+    (!!vehicleId && this.vehicleIds.includes(vehicleId));
+};
+
+const Group = mongoose.model('Group', groupSchema);
+
+export default Group;
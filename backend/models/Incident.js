@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+
+/**
+ * Incident Model - Related alerts grouped into one unit of work
+ *
+ * Alerts are correlated by shared keys (e.g. the same driverId or vehicleId)
+ * raised close together in time (see services/incidentService.js). Status,
+ * severity and the member summary are rolled up from the member alerts:
+ * the incident is OPEN while any member is active and CLOSED once all are
+ * closed, and its severity is the highest of the active members.
+ *
+ * Time Complexity: O(log n) for lookups by incidentId or key
+ * Space Complexity: O(a + k) per incident where a is member alerts, k is keys
+ */
+const incidentSchema = new mongoose.Schema({
+  incidentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['OPEN', 'CLOSED'],
+    default: 'OPEN'
+  },
+  severity: {
+    type: String,
+    enum: ['INFO', 'WARNING', 'CRITICAL'],
+    default: 'INFO'
+  },
+  // Correlation keys of all members, e.g. "driverId:DRV001"
+  keys: [String],
+  alertIds: [String],
+  alertCount: {
+    type: Number,
+    default: 0
+  },
+  sourceTypes: [String],
+  driverName: String,
+  firstAlertAt: Date,
+  lastAlertAt: Date,
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+incidentSchema.index({ status: 1, keys: 1, lastAlertAt: -1 });
+incidentSchema.index({ lastAlertAt: -1 });
+
+const Incident = mongoose.model('Incident', incidentSchema);
+
+export default Incident;
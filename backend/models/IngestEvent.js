@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * IngestEvent Model - Event ids already accepted from a webhook source
+ * The unique (sourceId, eventId) index makes replays fail atomically;
+ * entries expire after the replay window (INGEST_REPLAY_WINDOW_HOURS).
+ *
+ * Time Complexity: O(log n) for insert / duplicate detection
+ * Space Complexity: O(1) per document
+ */
+const ingestEventSchema = new mongoose.Schema({
+  sourceId: {
+    type: String,
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  alertId: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+ingestEventSchema.index({ sourceId: 1, eventId: 1 }, { unique: true });
+
+// TTL index - MongoDB removes entries once the replay window has passed
+ingestEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IngestEvent = mongoose.model('IngestEvent', ingestEventSchema);
+
+export default IngestEvent;
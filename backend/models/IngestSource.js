@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { compileExpression, ExpressionError } from '../utils/expression.js';
+
+/**
+ * Identifiers a mapping expression may reference
+ *   payload - parsed JSON body sent by the source system
+ *   headers - lower-cased request headers
+ */
+export const MAPPING_ROOTS = ['payload', 'headers'];
+
+/**
+ * IngestSource Model - External system allowed to push alerts via webhook
+ * Each source has its own HMAC secret and a mapping template that turns the
+ * vendor payload into { sourceType, severity, metadata }.
+ *
+ * Mapping fields are expressions (see utils/expression.js) evaluated against
+ * { payload, headers }, e.g. metadata.speed = "payload.telemetry.speed_kmh".
+ *
+ * Time Complexity: O(log n) for lookup by sourceId
+ * Space Complexity: O(m + s) per document where m is mapping size, s is stored samples
+ */
+const rejectedSampleSchema = new mongoose.Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: Number,
+  reason: String,
+  eventId: String,
+  headers: mongoose.Schema.Types.Mixed,
+  body: String,
+  truncated: Boolean
+}, { _id: false });
+
+const ingestSourceSchema = new mongoose.Schema({
+  sourceId: {
+    type: String,
+    required: [true, 'Source ID is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9][a-z0-9_-]*$/, 'Source ID may only contain letters, digits, - and _']
+  },
+  name: {
+    type: String,
+    required: [true, 'Source name is required']
+  },
+  description: String,
+  sourceType: {
+    type: String,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  signatureHeader: {
+    type: String,
+    lowercase: true,
+    default: 'x-sentinel-signature'
+  },
+  signatureAlgorithm: {
+    type: String,
+    enum: ['sha256', 'sha1'],
+    default: 'sha256'
+  },
+  mapping: {
+    // Expression yielding the vendor's unique event id (replay protection)
+    eventId: {
+      type: String,
+      default: "headers['x-event-id']"
+    },
+    // Expression yielding the severity; translated through severityMap when set
+    severity: String,
+    severityMap: {
+      type: Map,
+      of: {
+        type: String,
+        enum: ['INFO', 'WARNING', 'CRITICAL']
+      }
+    },
+    defaultSeverity: {
+      type: String,
+      enum: ['INFO', 'WARNING', 'CRITICAL'],
+      default: 'INFO'
+    },
+    // Alert metadata field -> expression
+    metadata: {
+      type: Map,
+      of: String,
+      default: {}
+    }
+  },
+  compiledMapping: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  stats: {
+    received: { type: Number, default: 0 },
+    accepted: { type: Number, default: 0 },
+    duplicates: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 },
+    lastReceivedAt: Date,
+    lastAcceptedAt: Date
+  },
+  rejectedSamples: [rejectedSampleSchema],
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Parse mapping expressions once on save, like rule conditions
+ * Invalid expressions fail validation with a position-aware message
+ * Time Complexity: O(m) where m is total expression length
+ */
+ingestSourceSchema.pre('validate', function(next) {
+  const compiled = { metadata: {} };
+  const compile = (path, source) => {
+    try {
+      return { source, ast: compileExpression(source, { roots: MAPPING_ROOTS }) };
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      this.invalidate(path, `${path}: ${error.message}`, source);
+      return null;
+    }
+  };
+
+  const { mapping } = this;
+  if (mapping?.eventId) compiled.eventId = compile('mapping.eventId', mapping.eventId);
+  if (mapping?.severity) compiled.severity = compile('mapping.severity', mapping.severity);
+  for (const [field, source] of mapping?.metadata || []) {
+    compiled.metadata[field] = compile(`mapping.metadata.${field}`, source);
+  }
+
+  this.compiledMapping = compiled;
+  next();
+});
+
+/**
+ * Source type must be registered
+ */
+ingestSourceSchema.path('sourceType').validate({
+  validator: async function(name) {
+    if (!name) return true;
+    return Boolean(await mongoose.model('SourceType').exists({ name }));
+  },
+  message: props => `Unknown source type "${props.value}"`
+});
+
+/**
+ * Generate a random HMAC secret
+ * Time Complexity: O(1)
+ */
+ingestSourceSchema.statics.generateSecret = function() {
+  return crypto.randomBytes(32).toString('hex');
+};
+
+/**
+ * Verify the HMAC signature of a raw request body
+ * Accepts "<hex>" or "<algorithm>=<hex>" header values; compares in constant time
+ * Time Complexity: O(b) where b is body size
+ */
+ingestSourceSchema.methods.verifySignature = function(rawBody, signature) {
+  if (!signature || !this.secret) return false;
+
+  const provided = String(signature).replace(/^[a-z0-9]+=/i, '');
+  const expected = crypto
+    .createHmac(this.signatureAlgorithm, this.secret)
+    .update(rawBody || '')
+    .digest('hex');
+
+  const providedBuffer = Buffer.from(provided, 'utf8');
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  return providedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+};
+
+/**
+ * Hide the secret and parsed ASTs from API responses
+ */
+ingestSourceSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    delete ret.compiledMapping;
+    return ret;
+  }
+});
+
+const IngestSource = mongoose.model('IngestSource', ingestSourceSchema);
+
+export default IngestSource;
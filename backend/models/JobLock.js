@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * JobLock Model - Lease held by the instance currently running a background job
+ * One document per job name. An instance owns the lock while `owner` is its id
+ * and `expiresAt` is in the future; an expired lease may be taken over.
+ *
+ * `lastTick` records the scheduled tick the lock was last acquired for, so a
+ * cron tick fired on several instances runs on exactly one of them.
+ * `checkpoint` lets whichever instance holds the lock next resume a scan.
+ *
+ * Time Complexity: O(1) per acquire / renew / release (lookup by unique name)
+ * Space Complexity: O(1) per job
+ */
+const jobLockSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    default: null
+  },
+  lockedAt: Date,
+  expiresAt: Date,
+  renewedAt: Date,
+  lastTick: Date,
+  releasedAt: Date,
+  acquisitions: {
+    type: Number,
+    default: 0
+  },
+  takeovers: {
+    type: Number,
+    default: 0
+  },
+  lastTakeover: {
+    at: Date,
+    from: String,
+    to: String
+  },
+  lastRun: {
+    owner: String,
+    startedAt: Date,
+    finishedAt: Date,
+    durationMs: Number,
+    error: String
+  },
+  // Progress of jobs that scan in resumable chunks (see BackgroundJobs.scanAlerts)
+  checkpoint: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+export default JobLock;
@@ -0,0 +1,113 @@
+import mongoose from 'mongoose';
+
+/**
+ * NotificationOutbox Model - Persistent queue of outbound notifications
+ * Each document is one message for one channel, retried with backoff
+ *
+ * Lifecycle: PENDING → SENT | PENDING (retry) → DEAD (retries exhausted)
+ * `delivered` lists recipients that already got the message, so a retry
+ * after a partial failure only sends to the rest.
+ *
+ * Time Complexity: O(log n) for inserts and due-message lookups
+ * Space Complexity: O(1) per document
+ */
+const attemptSchema = new mongoose.Schema({
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['SENT', 'FAILED']
+  },
+  detail: String
+}, { _id: false });
+
+const notificationOutboxSchema = new mongoose.Schema({
+  notificationId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    index: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  alertId: {
+    type: String,
+    index: true
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  ruleId: String,
+  recipients: [String],
+  delivered: [String],
+  subject: String,
+  body: String,
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['PENDING', 'SENDING', 'SENT', 'DEAD'],
+    default: 'PENDING',
+    index: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedUntil: Date,
+  lastError: String,
+  sentAt: Date,
+  attemptLog: [attemptSchema]
+}, {
+  timestamps: true
+});
+
+// Due-message scan used by the delivery job
+notificationOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationOutboxSchema.index({ createdAt: -1 });
+
+/**
+ * Static method to atomically claim the next due message
+ * Claiming sets a short lease so concurrent workers never send twice
+ * Time Complexity: O(log n)
+ */
+notificationOutboxSchema.statics.claimNext = function(leaseMs = 60000) {
+  const now = new Date();
+  return this.findOneAndUpdate(
+    {
+      status: { $in: ['PENDING', 'SENDING'] },
+      nextAttemptAt: { $lte: now },
+      $or: [
+        { lockedUntil: { $exists: false } },
+        { lockedUntil: null },
+        { lockedUntil: { $lte: now } }
+      ]
+    },
+    {
+      $set: { status: 'SENDING', lockedUntil: new Date(now.getTime() + leaseMs) },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const NotificationOutbox = mongoose.model('NotificationOutbox', notificationOutboxSchema);
+
+export default NotificationOutbox;
@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+/**
+ * RefreshToken Model - One server-side session per login
+ *
+ * Only the SHA-256 hash of the token is stored. Each refresh revokes the
+ * presented token and issues its successor in the same family, so a family
+ * is the chain of tokens of one login. Presenting a revoked token again
+ * means it was copied, and the whole family is revoked.
+ *
+ * Time Complexity: O(log n) for lookups by hash
+ * Space Complexity: O(1) per token
+ */
+const refreshTokenSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  family: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'admin']
+  },
+  replacedByHash: String,
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+refreshTokenSchema.index({ user: 1, revokedAt: 1 });
+refreshTokenSchema.index({ family: 1 });
+
+// TTL index - MongoDB removes tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Generate a random refresh token
+ * Time Complexity: O(1)
+ */
+refreshTokenSchema.statics.generateToken = function() {
+  return crypto.randomBytes(48).toString('base64url');
+};
+
+/**
+ * Hash of a raw token, as stored
+ * Time Complexity: O(1)
+ */
+refreshTokenSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+
+export default RefreshToken;
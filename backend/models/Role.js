@@ -0,0 +1,57 @@
+import mongoose from 'mongoose';
+import { isPermission } from './permissions.js';
+
+/**
+ * Role Model - A named set of permissions
+ *
+ * Users refer to a role by its name. The built-in roles (user, operator,
+ * admin) are registered on first start; further roles are added at runtime.
+ * Built-in roles cannot be deleted and the admin role cannot be edited.
+ *
+ * Time Complexity: O(log n) for lookups by name
+ * Space Complexity: O(p) per document where p is number of permissions
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Role name may only contain lowercase letters, digits and "_"']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  permissions: {
+    type: [String],
+    default: []
+  },
+  builtIn: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Only permissions from the catalogue may be granted
+ */
+roleSchema.path('permissions').validate({
+  validator: function(permissions) {
+    return permissions.every(isPermission);
+  },
+  message: props => `Unknown permission(s): ${props.value.filter(name => !isPermission(name)).join(', ')}`
+});
+
+const Role = mongoose.model('Role', roleSchema);
+
+export default Role;
@@ -1,4 +1,23 @@
 import mongoose from 'mongoose';
+import { compileCondition, evaluateExpression, ExpressionError } from '../utils/expression.js';
+import { isValidTimezone, isWithinWindows, parseTime } from '../utils/timeWindows.js';
+import { getMaxOccurrences } from './Alert.js';
+
+/**
+ * Condition fields written in the expression language (see utils/expression.js)
+ */
+export const EXPRESSION_CONDITIONS = ['auto_close_if', 'escalate_if'];
+
+/**
+ * Weight of each scope dimension in a rule's specificity; individual drivers
+ * and vehicles outrank groups, which outrank locations
+ */
+export const SCOPE_WEIGHTS = {
+  driverIds: 4,
+  vehicleIds: 4,
+  groups: 2,
+  locations: 1
+};
 
 /**
  * Rule Model - Configurable escalation rules
@@ -17,7 +36,6 @@ const ruleSchema = new mongoose.Schema({
   sourceType: {
     type: String,
     required: true,
-    enum: ['overspeed', 'compliance', 'feedback_negative', 'maintenance', 'other'],
     index: true
   },
   name: {
@@ -34,12 +52,57 @@ const ruleSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // When this rule matches, lower-priority rules for the same source type are skipped
+  stopProcessing: {
+    type: Boolean,
+    default: false
+  },
+  // Subset of alerts the rule applies to; every dimension that is set must
+  // match (any listed value). An empty scope applies fleet-wide.
+  scope: {
+    driverIds: [String],
+    vehicleIds: [String],
+    locations: [String],
+    // groupIds (see Group)
+    groups: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }]
+  },
+  // Weekly activation windows; an enabled rule without windows is always active
+  schedule: {
+    timezone: {
+      type: String,
+      default: 'UTC'
+    },
+    windows: [{
+      _id: false,
+      // 0 = Sunday ... 6 = Saturday; empty means every day
+      days: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      start: {
+        type: String,
+        required: true
+      },
+      end: {
+        type: String,
+        required: true
+      }
+    }]
+  },
   conditions: {
     // Escalation conditions
     escalate_if_count: Number,
     window_mins: Number,
     
-    // Auto-close conditions
+    // Expression escalation condition, e.g. "metadata.speed > metadata.speedLimit * 1.5"
+    escalate_if: String,
+
+    // Auto-close conditions (expression or legacy keyword such as 'document_valid')
     auto_close_if: String,
     auto_close_after_mins: Number,
     
@@ -51,13 +114,53 @@ const ruleSchema = new mongoose.Schema({
       type: String,
       enum: ['INFO', 'WARNING', 'CRITICAL']
     },
+    add_tags: [String],
+    assign_to: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
     notify: Boolean,
-    notificationChannels: [String]
+    notificationChannels: [String],
+    // Events that send notifications; defaults to ['escalate'] when empty
+    notify_on: [{
+      type: String,
+      enum: ['escalate', 'auto_close']
+    }]
+  },
+  // Step-ups after this rule escalates an alert (level 1). Level n + 1 applies
+  // levels[n - 1] once the alert has been ESCALATED at level n for after_mins
+  // (see services/escalationChain.js)
+  escalationPolicy: {
+    levels: [{
+      _id: false,
+      after_mins: {
+        type: Number,
+        required: true,
+        min: 1
+      },
+      severity: {
+        type: String,
+        enum: ['INFO', 'WARNING', 'CRITICAL']
+      },
+      notificationChannels: [String],
+      // Overrides the channel's configured recipients
+      recipients: [String]
+    }]
+  },
+  // Parsed ASTs of expression conditions, keyed by condition name: { source, ast }
+  compiledConditions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  // Current version number (see RuleVersion); referenced by alert history
+  version: {
+    type: Number,
+    default: 0
+  },
   lastModified: {
     type: Date,
     default: Date.now
@@ -70,9 +173,163 @@ const ruleSchema = new mongoose.Schema({
 ruleSchema.index({ sourceType: 1, enabled: 1 });
 ruleSchema.index({ priority: -1 });
 
+/**
+ * Parse expression conditions once on save so evaluation never re-parses
+ * Invalid expressions fail validation with a position-aware message
+ * Time Complexity: O(n) where n is total expression length
+ */
+ruleSchema.pre('validate', function(next) {
+  const compiled = {};
+
+  for (const name of EXPRESSION_CONDITIONS) {
+    const source = this.conditions?.[name];
+    if (!source) continue;
+
+    try {
+      compiled[name] = { source, ast: compileCondition(source) };
+    } catch (error) {
+      if (!(error instanceof ExpressionError)) throw error;
+      this.invalidate(`conditions.${name}`, `conditions.${name}: ${error.message}`, source);
+    }
+  }
+
+  this.compiledConditions = compiled;
+
+  // Occurrences are capped per alert, so a higher threshold could never be reached
+  const threshold = this.conditions?.escalate_if_count;
+  if (threshold > getMaxOccurrences()) {
+    this.invalidate(
+      'conditions.escalate_if_count',
+      `conditions.escalate_if_count cannot exceed ALERT_MAX_OCCURRENCES (${getMaxOccurrences()})`,
+      threshold
+    );
+  }
+
+  const timezone = this.schedule?.timezone;
+  if (timezone && !isValidTimezone(timezone)) {
+    this.invalidate('schedule.timezone', `Unknown timezone '${timezone}'`, timezone);
+  }
+  (this.schedule?.windows || []).forEach((window, index) => {
+    ['start', 'end'].forEach(field => {
+      if (window[field] && parseTime(window[field]) === null) {
+        this.invalidate(`schedule.windows.${index}.${field}`, `schedule.windows.${index}.${field} must be HH:mm`, window[field]);
+      }
+    });
+  });
+
+  next();
+});
+
+/**
+ * Scoped groups must exist
+ */
+ruleSchema.path('scope.groups').validate({
+  validator: async function(groupIds) {
+    if (!groupIds || groupIds.length === 0) return true;
+    const found = await mongoose.model('Group').countDocuments({ groupId: { $in: groupIds } });
+    return found === new Set(groupIds).size;
+  },
+  message: 'scope.groups references an unknown group'
+});
+
+/**
+ * Source type must be registered
+ */
+ruleSchema.path('sourceType').validate({
+  validator: async function(name) {
+    if (!name) return true;
+    return Boolean(await mongoose.model('SourceType').exists({ name }));
+  },
+  message: props => `Unknown source type "${props.value}"`
+});
+
+/**
+ * Sum of the weights of the scope dimensions the rule sets (0 = fleet-wide)
+ * Time Complexity: O(1)
+ */
+ruleSchema.methods.getScopeSpecificity = function() {
+  return Object.entries(SCOPE_WEIGHTS).reduce(
+    (total, [field, weight]) => total + (this.scope?.[field]?.length > 0 ? weight : 0),
+    0
+  );
+};
+
+/**
+ * Whether an alert falls inside the rule's scope
+ *
+ * @param {Object} alert
+ * @param {Set<string>} [groupIds] - groups the alert belongs to (see groupService)
+ * Time Complexity: O(s) where s is number of scope values
+ */
+ruleSchema.methods.matchesScope = function(alert, groupIds = new Set()) {
+  const { driverIds, vehicleIds, locations, groups } = this.scope || {};
+  const metadata = alert.metadata || {};
+
+  if (driverIds?.length > 0 && !driverIds.includes(metadata.driverId)) return false;
+  if (vehicleIds?.length > 0 && !vehicleIds.includes(metadata.vehicleId)) return false;
+  if (groups?.length > 0 && !groups.some(groupId => groupIds.has(groupId))) return false;
+  if (locations?.length > 0) {
+    const location = (metadata.location || '').trim().toLowerCase();
+    if (!locations.some(value => value.trim().toLowerCase() === location)) return false;
+  }
+  return true;
+};
+
+/**
+ * Outcomes the rule has conditions for: 'escalate' and/or 'auto_close'
+ * Time Complexity: O(1)
+ */
+ruleSchema.methods.getOutcomes = function() {
+  const conditions = this.conditions || {};
+  const outcomes = [];
+  if ((conditions.escalate_if_count && conditions.window_mins) || conditions.escalate_if) {
+    outcomes.push('escalate');
+  }
+  if (conditions.auto_close_if || conditions.auto_close_after_mins) {
+    outcomes.push('auto_close');
+  }
+  return outcomes;
+};
+
+/**
+ * Policy level an alert at `level` steps up to, or null at the end of the chain
+ * Time Complexity: O(1)
+ */
+ruleSchema.methods.getStepUp = function(level) {
+  return this.escalationPolicy?.levels?.[level - 1] || null;
+};
+
+/**
+ * Whether the rule is enabled and inside one of its activation windows
+ * Time Complexity: O(w) where w is number of windows
+ */
+ruleSchema.methods.isActiveAt = function(date = new Date()) {
+  if (!this.enabled) return false;
+  return isWithinWindows(this.schedule?.windows, date, this.schedule?.timezone || 'UTC');
+};
+
+/**
+ * Get the parsed AST for an expression condition
+ * Falls back to parsing (and memoising) for rules saved before compilation existed
+ * Time Complexity: O(1) when compiled, O(n) otherwise
+ */
+ruleSchema.methods.getCompiledCondition = function(name) {
+  const source = this.conditions?.[name];
+  if (!source) return null;
+
+  const compiled = this.compiledConditions?.[name];
+  if (compiled && compiled.source === source) {
+    return compiled.ast;
+  }
+
+  const ast = compileCondition(source);
+  this.compiledConditions = { ...(this.compiledConditions || {}), [name]: { source, ast } };
+  return ast;
+};
+
 /**
  * Method to evaluate if rule conditions are met
- * Time Complexity: O(1) for direct condition checks
+ * Time Complexity: O(1) for count checks, O(m) for expressions where m is AST size
  */
 ruleSchema.methods.evaluate = function(alertData) {
   if (!this.enabled) return false;
@@ -84,9 +341,12 @@ ruleSchema.methods.evaluate = function(alertData) {
     return alertData.count >= conditions.escalate_if_count;
   }
   
-  // Check auto-close conditions
-  if (conditions.auto_close_if) {
-    return alertData.metadata?.[conditions.auto_close_if] === true;
+  // Check expression conditions
+  for (const name of EXPRESSION_CONDITIONS) {
+    const ast = this.getCompiledCondition(name);
+    if (ast && evaluateExpression(ast, alertData) === true) {
+      return true;
+    }
   }
   
   return false;
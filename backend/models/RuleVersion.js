@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+/**
+ * RuleVersion Model - Immutable record of every saved state of a rule
+ * Version numbers are per ruleId and increase by one on every change; the
+ * unique (ruleId, version) index doubles as an optimistic lock so two
+ * concurrent edits cannot both claim the same version.
+ *
+ * Versions outlive their rule, so a deleted and re-created ruleId keeps its
+ * full history.
+ *
+ * Time Complexity: O(log n) per insert / lookup
+ * Space Complexity: O(1) per version
+ */
+const ruleVersionSchema = new mongoose.Schema({
+  ruleId: {
+    type: String,
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['baseline', 'create', 'update', 'toggle', 'rollback', 'delete']
+  },
+  // Rule fields as they were after this change (see ruleVersioning.snapshot)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Leaf-level differences from the previous version: [{ path, from, to }]
+  changes: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  comment: String,
+  // Version whose snapshot was restored (rollback only)
+  restoredVersion: Number,
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  authorEmail: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+ruleVersionSchema.index({ ruleId: 1, version: -1 }, { unique: true });
+
+/**
+ * Versions are append-only
+ */
+ruleVersionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Rule versions are immutable'));
+});
+
+ruleVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Rule versions are immutable'));
+  }
+  next();
+});
+
+const RuleVersion = mongoose.model('RuleVersion', ruleVersionSchema);
+
+export default RuleVersion;
@@ -0,0 +1,112 @@
+import mongoose from 'mongoose';
+
+/**
+ * Effects a silence can suppress
+ */
+export const SILENCE_EFFECTS = ['escalation', 'notification'];
+
+/**
+ * Silence Model - Suppresses escalation and/or notification for matching
+ * alerts between two timestamps (e.g. a vehicle in planned service)
+ *
+ * A silence matches an alert when every scope field it sets equals the
+ * alert's value; at least one scope field is required so a silence can never
+ * mute everything by accident.
+ *
+ * Time Complexity: O(log n) for lookups by time range
+ * Space Complexity: O(1) per silence
+ */
+const silenceSchema = new mongoose.Schema({
+  silenceId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    sourceType: String,
+    driverId: String,
+    vehicleId: String
+  },
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  suppress: {
+    type: [{
+      type: String,
+      enum: SILENCE_EFFECTS
+    }],
+    default: () => [...SILENCE_EFFECTS]
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set when a silence is ended before endsAt
+  expiredAt: Date,
+  expiredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+silenceSchema.index({ endsAt: 1, startsAt: 1 });
+
+silenceSchema.pre('validate', function(next) {
+  const { sourceType, driverId, vehicleId } = this.scope || {};
+  if (!sourceType && !driverId && !vehicleId) {
+    this.invalidate('scope', 'Silence scope needs a sourceType, driverId or vehicleId');
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate('endsAt', 'endsAt must be after startsAt');
+  }
+  if (!this.suppress || this.suppress.length === 0) {
+    this.invalidate('suppress', 'Silence must suppress escalation, notification or both');
+  }
+  next();
+});
+
+/**
+ * Source type must be registered
+ */
+silenceSchema.path('scope.sourceType').validate({
+  validator: async function(name) {
+    if (!name) return true;
+    return Boolean(await mongoose.model('SourceType').exists({ name }));
+  },
+  message: props => `Unknown source type "${props.value}"`
+});
+
+/**
+ * Whether the silence is in effect at a given instant
+ * Time Complexity: O(1)
+ */
+silenceSchema.methods.isActiveAt = function(date = new Date()) {
+  return this.startsAt <= date && date < this.endsAt;
+};
+
+/**
+ * Whether the silence scope covers an alert
+ * Time Complexity: O(1)
+ */
+silenceSchema.methods.matches = function(alert) {
+  const { sourceType, driverId, vehicleId } = this.scope || {};
+  if (sourceType && alert.sourceType !== sourceType) return false;
+  if (driverId && alert.metadata?.driverId !== driverId) return false;
+  if (vehicleId && alert.metadata?.vehicleId !== vehicleId) return false;
+  return true;
+};
+
+const Silence = mongoose.model('Silence', silenceSchema);
+
+export default Silence;
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose';
+import { checkSchema } from '../utils/jsonSchema.js';
+
+/**
+ * SourceType Model - Registered kinds of alert source (overspeed, compliance, ...)
+ *
+ * Alerts, rules, silences and webhook sources refer to a source type by its
+ * name. New types are added at runtime; a type can be disabled to stop new
+ * alerts of that kind without touching the ones already stored.
+ *
+ * Time Complexity: O(log n) for lookups by name
+ * Space Complexity: O(s) per document where s is the size of the metadata schema
+ */
+const sourceTypeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9_]+$/, 'Source type name may only contain lowercase letters, digits and "_"']
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: String,
+  // JSON Schema (supported subset, see utils/jsonSchema.js) for alert metadata
+  metadataSchema: {
+    type: mongoose.Schema.Types.Mixed,
+    default: () => ({ type: 'object' })
+  },
+  defaultSeverity: {
+    type: String,
+    enum: ['INFO', 'WARNING', 'CRITICAL'],
+    default: 'INFO'
+  },
+  // Multiplier for this source's alerts in driver and vehicle risk scores
+  riskWeight: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+  // Icon name from the frontend icon set (lucide), e.g. "Gauge"
+  icon: {
+    type: String,
+    default: 'AlertCircle'
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * The metadata schema must use supported keywords only
+ */
+sourceTypeSchema.path('metadataSchema').validate({
+  validator: function(schema) {
+    return checkSchema(schema).length === 0;
+  },
+  message: props => `Invalid metadata schema: ${checkSchema(props.value).join('; ')}`
+});
+
+const SourceType = mongoose.model('SourceType', sourceTypeSchema);
+
+export default SourceType;
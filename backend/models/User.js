@@ -1,9 +1,16 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { DEFAULT_ROLE } from './permissions.js';
+
+export const USER_STATUSES = ['INVITED', 'ACTIVE', 'DISABLED'];
 
 /**
  * User Model for Authentication
  * Implements secure password hashing and validation
+ *
+ * Invited users have no password until they accept their invite; only
+ * ACTIVE users can log in.
  */
 const userSchema = new mongoose.Schema({
   name: {
@@ -25,14 +32,34 @@ const userSchema = new mongoose.Schema({
   },
   password: {
     type: String,
-    required: [true, 'Please provide a password'],
+    required: [function() { return this.status !== 'INVITED'; }, 'Please provide a password'],
     minlength: [6, 'Password must be at least 6 characters'],
     select: false // Don't return password by default
   },
+  // Name of a Role (see models/Role.js); checked against the registry by the routes
   role: {
     type: String,
-    enum: ['user', 'admin', 'operator'],
-    default: 'user'
+    default: DEFAULT_ROLE
+  },
+  status: {
+    type: String,
+    enum: USER_STATUSES,
+    default: 'ACTIVE'
+  },
+  // SHA-256 of the pending invite token
+  inviteTokenHash: {
+    type: String,
+    select: false
+  },
+  inviteExpiresAt: Date,
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bumped to invalidate every access token issued before (see tokenService.revokeAll)
+  tokenVersion: {
+    type: Number,
+    default: 0
   },
   createdAt: {
     type: Date,
@@ -51,10 +78,10 @@ userSchema.index({ email: 1 });
  * Space Complexity: O(1)
  */
 userSchema.pre('save', async function(next) {
-  if (!this.isModified('password')) {
-    next();
+  if (!this.isModified('password') || !this.password) {
+    return next();
   }
-  
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
 });
@@ -68,6 +95,25 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+/**
+ * Start a new invite; returns the raw token (only its hash is stored)
+ * Time Complexity: O(1)
+ */
+userSchema.methods.createInviteToken = function(ttlHours) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.inviteTokenHash = userSchema.statics.hashInviteToken(token);
+  this.inviteExpiresAt = new Date(Date.now() + ttlHours * 60 * 60 * 1000);
+  return token;
+};
+
+/**
+ * Hash of a raw invite token, as stored
+ * Time Complexity: O(1)
+ */
+userSchema.statics.hashInviteToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+/**
+ * UserAudit Model - Append-only record of account administration
+ * Every invite, role change and status change is recorded with who made it,
+ * the value before and after, and an optional reason.
+ *
+ * Time Complexity: O(log n) per insert / lookup
+ * Space Complexity: O(1) per entry
+ */
+const userAuditSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userEmail: String,
+  action: {
+    type: String,
+    required: true,
+    enum: ['registered', 'invited', 'invite_accepted', 'role_changed', 'status_changed']
+  },
+  from: String,
+  to: String,
+  reason: String,
+  // Missing for self-service actions (registration, accepting an invite)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorEmail: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+userAuditSchema.index({ user: 1, createdAt: -1 });
+userAuditSchema.index({ createdAt: -1 });
+
+/**
+ * Audit entries are append-only
+ */
+userAuditSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('User audit entries are immutable'));
+});
+
+const UserAudit = mongoose.model('UserAudit', userAuditSchema);
+
+export default UserAudit;
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+import { riskProfileSchema } from './riskProfile.js';
+
+/**
+ * Vehicle Model - Master record of a vehicle
+ *
+ * Alerts refer to vehicles by metadata.vehicleId. Vehicles first seen on an
+ * alert are registered automatically with the alert's vehicleNumber.
+ *
+ * Time Complexity: O(log n) for lookups by vehicleId
+ * Space Complexity: O(1) per vehicle
+ */
+const vehicleSchema = new mongoose.Schema({
+  vehicleId: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  registrationNumber: {
+    type: String,
+    trim: true
+  },
+  make: String,
+  model: String,
+  year: Number,
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'INACTIVE', 'IN_MAINTENANCE'],
+    default: 'ACTIVE'
+  },
+  risk: {
+    type: riskProfileSchema,
+    default: () => ({})
+  }
+}, {
+  timestamps: true
+});
+
+vehicleSchema.index({ 'risk.score': -1 });
+
+const Vehicle = mongoose.model('Vehicle', vehicleSchema);
+
+export default Vehicle;
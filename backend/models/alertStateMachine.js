@@ -0,0 +1,120 @@
+/**
+ * Alert State Machine - The single table of allowed alert status transitions
+ *
+ * Every status change goes through Alert#transition, which checks the
+ * transition here: the status it may start from, the actors (AlertHistory
+ * triggeredBy values) allowed to perform it and the context fields it needs.
+ *
+ *   OPEN ──escalate──▶ ESCALATED ──step_up──▶ ESCALATED
+ *   OPEN / ESCALATED ──acknowledge──▶ ACKNOWLEDGED
+ *   OPEN / ACKNOWLEDGED / ESCALATED ──auto_close──▶ AUTO_CLOSED
+ *   OPEN / ACKNOWLEDGED / ESCALATED ──resolve──▶ RESOLVED
+ *   AUTO_CLOSED / RESOLVED ──reopen──▶ OPEN
+ *
+ * Time Complexity: O(1) per check
+ * Space Complexity: O(1)
+ */
+
+export const ALERT_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'ESCALATED', 'AUTO_CLOSED', 'RESOLVED'];
+
+/**
+ * Statuses of alerts that are still being worked (not closed)
+ */
+export const ACTIVE_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'ESCALATED'];
+
+/**
+ * Terminal statuses; only reopen leaves them
+ */
+export const CLOSED_STATUSES = ['AUTO_CLOSED', 'RESOLVED'];
+
+export const TRANSITIONS = {
+  escalate: {
+    from: ['OPEN'],
+    to: 'ESCALATED',
+    actors: ['RULE_ENGINE'],
+    requires: ['reason']
+  },
+  step_up: {
+    from: ['ESCALATED'],
+    to: 'ESCALATED',
+    actors: ['RULE_ENGINE'],
+    requires: []
+  },
+  acknowledge: {
+    from: ['OPEN', 'ESCALATED'],
+    to: 'ACKNOWLEDGED',
+    actors: ['USER'],
+    requires: ['userId']
+  },
+  auto_close: {
+    from: ACTIVE_STATUSES,
+    to: 'AUTO_CLOSED',
+    actors: ['RULE_ENGINE', 'AUTO_CLOSE_JOB'],
+    requires: ['reason']
+  },
+  resolve: {
+    from: ACTIVE_STATUSES,
+    to: 'RESOLVED',
+    actors: ['USER'],
+    requires: ['userId']
+  },
+  reopen: {
+    from: CLOSED_STATUSES,
+    to: 'OPEN',
+    actors: ['USER'],
+    requires: ['userId', 'reason']
+  }
+};
+
+/**
+ * Error raised for a transition the table does not allow
+ * statusCode is picked up by the global error handler
+ */
+export class AlertTransitionError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'AlertTransitionError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether `action` may be applied to an alert in `status`
+ * Time Complexity: O(1)
+ */
+export const canTransition = (status, action) => {
+  return TRANSITIONS[action]?.from.includes(status) || false;
+};
+
+/**
+ * Check a transition against the table
+ * @param {string} status - Current alert status
+ * @param {string} action - Key of TRANSITIONS
+ * @param {Object} context - { actor, ...fields listed in `requires` }
+ * @returns {Object} the transition
+ * @throws {AlertTransitionError} 409 for a disallowed status or actor, 400 for missing fields
+ * Time Complexity: O(1)
+ */
+export const assertTransition = (status, action, context = {}) => {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new AlertTransitionError(`Unknown alert transition: ${action}`, 400);
+  }
+
+  if (!transition.from.includes(status)) {
+    throw new AlertTransitionError(
+      `Cannot ${action.replace('_', '-')} an alert that is ${status} (allowed from ${transition.from.join(', ')})`
+    );
+  }
+
+  if (!transition.actors.includes(context.actor)) {
+    throw new AlertTransitionError(`${context.actor || 'Unknown actor'} may not ${action.replace('_', '-')} alerts`);
+  }
+
+  const missing = transition.requires.filter(field => !context[field]);
+  if (missing.length > 0) {
+    throw new AlertTransitionError(`${action} requires ${missing.join(', ')}`, 400);
+  }
+
+  return transition;
+};
@@ -0,0 +1,61 @@
+/**
+ * Permissions - The catalogue of named permissions routes are gated on
+ *
+ * Roles (see models/Role.js) are sets of these names; API keys (see
+ * models/ApiKey.js) are scoped to some of them. Reference data
+ * (groups, source types, drivers, vehicles, silences) is readable by every
+ * signed-in user; changing it needs the matching :write permission.
+ *
+ * Time Complexity: O(1) per lookup
+ * Space Complexity: O(p) where p is number of permissions
+ */
+
+export const PERMISSIONS = {
+  'alerts:read': 'View alerts, incidents, the dashboard and the live stream',
+  'alerts:create': 'Raise alerts through the API',
+  'alerts:update': 'Edit alert details',
+  'alerts:acknowledge': 'Acknowledge alerts',
+  'alerts:resolve': 'Resolve and reopen alerts',
+  'alerts:assign': 'Assign alerts to users',
+  'alerts:comment': 'Comment on alerts',
+  'alerts:delete': 'Delete alerts',
+  'rules:read': 'View rules and their versions',
+  'rules:write': 'Create, edit, import, simulate, roll back and delete rules',
+  'rules:toggle': 'Enable and disable rules',
+  'silences:write': 'Create, edit and expire silences',
+  'groups:write': 'Manage driver groups',
+  'sourceTypes:write': 'Manage source types',
+  'fleet:write': 'Manage drivers and vehicles',
+  'ingest:manage': 'Manage webhook sources',
+  'notifications:read': 'View outbound notifications and their delivery attempts',
+  'notifications:manage': 'Retry outbound notifications',
+  'monitoring:read': 'View cache, background job, stream and job lock statistics',
+  'users:manage': 'Invite users and change their role and status',
+  'roles:manage': 'Create, edit and delete roles',
+  'apiKeys:manage': 'Issue, edit and revoke API keys'
+};
+
+export const PERMISSION_NAMES = Object.keys(PERMISSIONS);
+
+/**
+ * Permissions an API key can be scoped to; keys are for systems that
+ * produce alerts, so they never act on behalf of a user
+ */
+export const API_KEY_SCOPES = ['alerts:create', 'alerts:read'];
+
+/**
+ * The admin role always holds every permission and cannot be edited, so
+ * an account that can repair the role setup always exists
+ */
+export const ADMIN_ROLE = 'admin';
+
+/**
+ * Role new accounts get (registration, and invites without a role)
+ */
+export const DEFAULT_ROLE = 'user';
+
+/**
+ * Whether a name is in the catalogue
+ * Time Complexity: O(1)
+ */
+export const isPermission = (name) => Object.prototype.hasOwnProperty.call(PERMISSIONS, name);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * Risk profile embedded in drivers and vehicles
+ * Computed from their alerts by services/riskScoring.js; never edited directly
+ */
+
+export const RISK_LEVELS = ['LOW', 'MEDIUM', 'HIGH'];
+
+export const riskProfileSchema = new mongoose.Schema({
+  // 0-100, higher is riskier
+  score: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  level: {
+    type: String,
+    enum: RISK_LEVELS,
+    default: 'LOW'
+  },
+  // Alerts inside the scoring window
+  alertCount: {
+    type: Number,
+    default: 0
+  },
+  lastAlertAt: Date,
+  updatedAt: Date
+}, {
+  _id: false
+});
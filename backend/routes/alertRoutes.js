@@ -2,14 +2,22 @@ import express from 'express';
 import { body } from 'express-validator';
 import {
   createAlert,
+  bulkCreateAlerts,
   getAlerts,
   getAlert,
   resolveAlert,
+  acknowledgeAlert,
+  reopenAlert,
+  assignAlert,
+  getComments,
+  addComment,
   updateAlert,
   deleteAlert
 } from '../controllers/alertController.js';
-import { protect, authorize } from '../middleware/auth.js';
-import { validate } from '../middleware/validator.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate, validateEach } from '../middleware/validator.js';
+import alertIngestion from '../services/alertIngestion.js';
+import sourceTypeRegistry from '../services/sourceTypeRegistry.js';
 
 const router = express.Router();
 
@@ -17,34 +25,67 @@ const router = express.Router();
  * Alert Routes
  */
 
+// Shared by the single and bulk create routes
+const alertRules = [
+  body('sourceType')
+    .isString()
+    .withMessage('Source type is required')
+    .bail()
+    .custom(name => sourceTypeRegistry.assertEnabled(name)),
+  body('severity')
+    .optional()
+    .isIn(['INFO', 'WARNING', 'CRITICAL'])
+    .withMessage('Invalid severity'),
+  body('metadata')
+    .isObject()
+    .withMessage('Metadata must be an object')
+    .bail()
+    .custom(async (metadata, { req }) => {
+      const sourceType = await sourceTypeRegistry.get(req.body.sourceType);
+      const errors = sourceType ? sourceTypeRegistry.validateMetadata(sourceType, metadata) : [];
+      if (errors.length > 0) throw new Error(errors.join(', '));
+      return true;
+    })
+];
+
 // @route   POST /api/alerts
 router.post(
   '/',
   protect,
+  requirePermission('alerts:create'),
+  [...alertRules, validate],
+  createAlert
+);
+
+// @route   POST /api/alerts/bulk
+router.post(
+  '/bulk',
+  protect,
+  requirePermission('alerts:create'),
   [
-    body('sourceType')
-      .isIn(['overspeed', 'compliance', 'feedback_negative', 'maintenance', 'other'])
-      .withMessage('Invalid source type'),
-    body('severity')
-      .optional()
-      .isIn(['INFO', 'WARNING', 'CRITICAL'])
-      .withMessage('Invalid severity'),
-    body('metadata').isObject().withMessage('Metadata must be an object'),
-    validate
+    body('alerts')
+      .isArray({ min: 1 })
+      .withMessage('Alerts must be a non-empty array')
+      .bail()
+      .custom(alerts => alerts.length <= alertIngestion.getMaxBatchSize())
+      .withMessage(() => `At most ${alertIngestion.getMaxBatchSize()} alerts per request`),
+    validate,
+    validateEach('alerts', alertRules)
   ],
-  createAlert
+  bulkCreateAlerts
 );
 
 // @route   GET /api/alerts
-router.get('/', protect, getAlerts);
+router.get('/', protect, requirePermission('alerts:read'), getAlerts);
 
 // @route   GET /api/alerts/:id
-router.get('/:id', protect, getAlert);
+router.get('/:id', protect, requirePermission('alerts:read'), getAlert);
 
 // @route   PUT /api/alerts/:id/resolve
 router.put(
   '/:id/resolve',
   protect,
+  requirePermission('alerts:resolve'),
   [
     body('notes').optional().isString(),
     validate
@@ -52,10 +93,63 @@ router.put(
   resolveAlert
 );
 
+// @route   PUT /api/alerts/:id/acknowledge
+router.put(
+  '/:id/acknowledge',
+  protect,
+  requirePermission('alerts:acknowledge'),
+  [
+    body('notes').optional().isString(),
+    validate
+  ],
+  acknowledgeAlert
+);
+
+// @route   PUT /api/alerts/:id/reopen
+router.put(
+  '/:id/reopen',
+  protect,
+  requirePermission('alerts:resolve'),
+  [
+    body('reason').isString().trim().notEmpty().withMessage('A reason is required to reopen an alert'),
+    validate
+  ],
+  reopenAlert
+);
+
+// @route   PUT /api/alerts/:id/assign
+router.put(
+  '/:id/assign',
+  protect,
+  requirePermission('alerts:assign'),
+  [
+    body('userId').isMongoId().withMessage('A valid userId is required'),
+    validate
+  ],
+  assignAlert
+);
+
+// @route   GET /api/alerts/:id/comments
+router.get('/:id/comments', protect, requirePermission('alerts:read'), getComments);
+
+// @route   POST /api/alerts/:id/comments
+router.post(
+  '/:id/comments',
+  protect,
+  requirePermission('alerts:comment'),
+  [
+    body('body').isString().trim().notEmpty().withMessage('Comment body is required'),
+    body('parentId').optional({ values: 'null' }).isMongoId().withMessage('Invalid parentId'),
+    validate
+  ],
+  addComment
+);
+
 // @route   PUT /api/alerts/:id
 router.put(
   '/:id',
   protect,
+  requirePermission('alerts:update'),
   [
     body('metadata').optional().isObject(),
     body('notes').optional().isString(),
@@ -65,6 +159,6 @@ router.put(
 );
 
 // @route   DELETE /api/alerts/:id
-router.delete('/:id', protect, authorize('admin'), deleteAlert);
+router.delete('/:id', protect, requirePermission('alerts:delete'), deleteAlert);
 
 export default router;
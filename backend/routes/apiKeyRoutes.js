@@ -0,0 +1,68 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getApiKeys,
+  getApiKey,
+  createApiKey,
+  updateApiKey,
+  revokeApiKey
+} from '../controllers/apiKeyController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { API_KEY_SCOPES } from '../models/permissions.js';
+import sourceTypeRegistry from '../services/sourceTypeRegistry.js';
+
+const router = express.Router();
+
+/**
+ * API Key Routes
+ */
+
+const apiKeyIdRule = param('id').isMongoId().withMessage('Invalid API key id');
+
+/**
+ * Validate API key fields; `optional` relaxes the required ones for updates
+ */
+const apiKeyRules = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+  return [
+    required(body('name')).isString().trim().notEmpty().withMessage('Name is required'),
+    body('description').optional().isString(),
+    body('scopes').optional().isArray({ min: 1 }).withMessage('scopes must be a non-empty array'),
+    body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+    body('sourceTypes').optional().isArray().withMessage('sourceTypes must be an array'),
+    body('sourceTypes.*').custom(name => sourceTypeRegistry.assertExists(name)),
+    body('expiresAt')
+      .optional({ values: 'null' })
+      .isISO8601()
+      .withMessage('expiresAt must be an ISO 8601 date')
+      .bail()
+      .custom(value => {
+        if (new Date(value) <= new Date()) throw new Error('expiresAt must be in the future');
+        return true;
+      })
+  ];
+};
+
+// @route   GET /api/api-keys
+router.get('/', protect, requirePermission('apiKeys:manage'), getApiKeys);
+
+// @route   GET /api/api-keys/:id
+router.get('/:id', protect, requirePermission('apiKeys:manage'), [apiKeyIdRule, validate], getApiKey);
+
+// @route   POST /api/api-keys
+router.post('/', protect, requirePermission('apiKeys:manage'), [...apiKeyRules(), validate], createApiKey);
+
+// @route   PUT /api/api-keys/:id
+router.put(
+  '/:id',
+  protect,
+  requirePermission('apiKeys:manage'),
+  [apiKeyIdRule, ...apiKeyRules(true), validate],
+  updateApiKey
+);
+
+// @route   POST /api/api-keys/:id/revoke
+router.post('/:id/revoke', protect, requirePermission('apiKeys:manage'), [apiKeyIdRule, validate], revokeApiKey);
+
+export default router;
@@ -3,6 +3,12 @@ import { body } from 'express-validator';
 import {
   register,
   login,
+  getInvite,
+  acceptInvite,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
   getMe,
   updateProfile
 } from '../controllers/authController.js';
@@ -24,6 +30,7 @@ router.post(
     body('password')
       .isLength({ min: 6 })
       .withMessage('Password must be at least 6 characters'),
+    body('role').not().exists().withMessage('Role cannot be chosen at registration'),
     validate
   ],
   register
@@ -40,6 +47,48 @@ router.post(
   login
 );
 
+// @route   GET /api/auth/invites/:token
+router.get('/invites/:token', getInvite);
+
+// @route   POST /api/auth/accept-invite
+router.post(
+  '/accept-invite',
+  [
+    body('token').isString().notEmpty().withMessage('Invite token is required'),
+    body('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters'),
+    validate
+  ],
+  acceptInvite
+);
+
+// @route   POST /api/auth/refresh
+router.post(
+  '/refresh',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+    validate
+  ],
+  refresh
+);
+
+// @route   POST /api/auth/logout
+router.post(
+  '/logout',
+  [
+    body('refreshToken').isString().notEmpty().withMessage('Refresh token is required'),
+    validate
+  ],
+  logout
+);
+
+// @route   POST /api/auth/logout-all
+router.post('/logout-all', protect, logoutAll);
+
+// @route   GET /api/auth/sessions
+router.get('/sessions', protect, getSessions);
+
 // @route   GET /api/auth/me
 router.get('/me', protect, getMe);
 
@@ -2,12 +2,13 @@ import express from 'express';
 import {
   getOverview,
   getTopOffenders,
+  getRiskOverview,
   getRecentEvents,
   getAutoClosedAlerts,
   getTrends,
   getAlertsBySource
 } from '../controllers/dashboardController.js';
-import { protect } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -16,21 +17,24 @@ const router = express.Router();
  */
 
 // @route   GET /api/dashboard/overview
-router.get('/overview', protect, getOverview);
+router.get('/overview', protect, requirePermission('alerts:read'), getOverview);
 
 // @route   GET /api/dashboard/top-offenders
-router.get('/top-offenders', protect, getTopOffenders);
+router.get('/top-offenders', protect, requirePermission('alerts:read'), getTopOffenders);
+
+// @route   GET /api/dashboard/risk
+router.get('/risk', protect, requirePermission('alerts:read'), getRiskOverview);
 
 // @route   GET /api/dashboard/recent-events
-router.get('/recent-events', protect, getRecentEvents);
+router.get('/recent-events', protect, requirePermission('alerts:read'), getRecentEvents);
 
 // @route   GET /api/dashboard/auto-closed
-router.get('/auto-closed', protect, getAutoClosedAlerts);
+router.get('/auto-closed', protect, requirePermission('alerts:read'), getAutoClosedAlerts);
 
 // @route   GET /api/dashboard/trends
-router.get('/trends', protect, getTrends);
+router.get('/trends', protect, requirePermission('alerts:read'), getTrends);
 
 // @route   GET /api/dashboard/by-source
-router.get('/by-source', protect, getAlertsBySource);
+router.get('/by-source', protect, requirePermission('alerts:read'), getAlertsBySource);
 
 export default router;
@@ -0,0 +1,76 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getDrivers,
+  getDriver,
+  createDriver,
+  updateDriver,
+  deleteDriver
+} from '../controllers/driverController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { RISK_LEVELS } from '../models/riskProfile.js';
+
+const router = express.Router();
+
+/**
+ * Driver Routes
+ */
+
+/**
+ * Validate fields shared by create and update
+ */
+const driverRules = [
+  body('phone').optional().isString().trim(),
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Invalid email'),
+  body('licenseNumber').optional().isString().trim(),
+  body('licenseExpiresAt').optional({ values: 'null' }).isISO8601().withMessage('licenseExpiresAt must be an ISO 8601 date'),
+  body('vehicleId').optional().isString().trim(),
+  body('status').optional().isIn(['ACTIVE', 'INACTIVE']).withMessage('Invalid status')
+];
+
+// @route   GET /api/drivers
+router.get(
+  '/',
+  protect,
+  [
+    query('riskLevel').optional().isIn(RISK_LEVELS).withMessage('Invalid risk level'),
+    validate
+  ],
+  getDrivers
+);
+
+// @route   GET /api/drivers/:id
+router.get('/:id', protect, getDriver);
+
+// @route   POST /api/drivers
+router.post(
+  '/',
+  protect,
+  requirePermission('fleet:write'),
+  [
+    body('driverId').trim().notEmpty().withMessage('Driver ID is required'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    ...driverRules,
+    validate
+  ],
+  createDriver
+);
+
+// @route   PUT /api/drivers/:id
+router.put(
+  '/:id',
+  protect,
+  requirePermission('fleet:write'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    ...driverRules,
+    validate
+  ],
+  updateDriver
+);
+
+// @route   DELETE /api/drivers/:id
+router.delete('/:id', protect, requirePermission('fleet:write'), deleteDriver);
+
+export default router;
@@ -0,0 +1,68 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getGroups,
+  getGroup,
+  createGroup,
+  updateGroup,
+  deleteGroup
+} from '../controllers/groupController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+
+const router = express.Router();
+
+/**
+ * Group Routes
+ */
+
+/**
+ * Validate member lists shared by create and update
+ */
+const memberRules = [
+  body('driverIds').optional().isArray().withMessage('driverIds must be an array'),
+  body('driverIds.*').isString().trim().notEmpty().withMessage('driverIds entries must be non-empty strings'),
+  body('vehicleIds').optional().isArray().withMessage('vehicleIds must be an array'),
+  body('vehicleIds.*').isString().trim().notEmpty().withMessage('vehicleIds entries must be non-empty strings')
+];
+
+// @route   GET /api/groups
+router.get('/', protect, getGroups);
+
+// @route   GET /api/groups/:id
+router.get('/:id', protect, getGroup);
+
+// @route   POST /api/groups
+router.post(
+  '/',
+  protect,
+  requirePermission('groups:write'),
+  [
+    body('groupId')
+      .trim()
+      .matches(/^[a-zA-Z0-9_-]+$/)
+      .withMessage('groupId may only contain letters, digits, "-" and "_"'),
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    ...memberRules,
+    validate
+  ],
+  createGroup
+);
+
+// @route   PUT /api/groups/:id
+router.put(
+  '/:id',
+  protect,
+  requirePermission('groups:write'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+    ...memberRules,
+    validate
+  ],
+  updateGroup
+);
+
+// @route   DELETE /api/groups/:id
+router.delete('/:id', protect, requirePermission('groups:write'), deleteGroup);
+
+export default router;
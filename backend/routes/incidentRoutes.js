@@ -0,0 +1,17 @@
+import express from 'express';
+import { getIncidents, getIncident } from '../controllers/incidentController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Incident Routes
+ */
+
+// @route   GET /api/incidents
+router.get('/', protect, requirePermission('alerts:read'), getIncidents);
+
+// @route   GET /api/incidents/:id
+router.get('/:id', protect, requirePermission('alerts:read'), getIncident);
+
+export default router;
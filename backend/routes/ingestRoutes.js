@@ -0,0 +1,107 @@
+import express from 'express';
+import rateLimit from 'express-rate-limit';
+import { body } from 'express-validator';
+import {
+  receiveEvent,
+  getSources,
+  getSource,
+  createSource,
+  updateSource,
+  deleteSource,
+  rotateSecret,
+  testMapping
+} from '../controllers/ingestController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import sourceTypeRegistry from '../services/sourceTypeRegistry.js';
+import webhookIngestion from '../services/webhookIngestion.js';
+
+const router = express.Router();
+
+/**
+ * Ingest Routes
+ * Source management needs ingest:manage; webhook deliveries are authenticated by HMAC signature
+ */
+
+/**
+ * Deliveries to registered sources are limited per source, not per IP: one
+ * upstream producer delivers far more than the global /api limit allows,
+ * and several sources may share an egress IP. Deliveries to unknown ids stay
+ * under the global per-IP limit (see server.js) and are skipped here.
+ */
+const deliveryLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: () => parseInt(process.env.INGEST_RATE_LIMIT_PER_MIN) || 600,
+  skip: async (req) => !(await webhookIngestion.isRegistered(req.params.sourceId)),
+  keyGenerator: (req) => webhookIngestion.normalizeSourceId(req.params.sourceId),
+  message: 'Too many deliveries for this source, please try again later',
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+const sourceRules = [
+  body('name').optional().notEmpty().withMessage('Source name is required'),
+  body('sourceType')
+    .optional()
+    .custom(name => sourceTypeRegistry.assertExists(name)),
+  body('enabled').optional().isBoolean(),
+  body('signatureHeader').optional().isString().notEmpty(),
+  body('signatureAlgorithm').optional().isIn(['sha256', 'sha1']).withMessage('Invalid signature algorithm'),
+  body('mapping').optional().isObject().withMessage('Mapping must be an object'),
+  body('mapping.metadata').optional().isObject().withMessage('Metadata mapping must be an object'),
+  body('mapping.severityMap').optional().isObject().withMessage('Severity map must be an object')
+];
+
+// @route   GET /api/ingest/sources
+router.get('/sources', protect, requirePermission('ingest:manage'), getSources);
+
+// @route   POST /api/ingest/sources
+router.post(
+  '/sources',
+  protect,
+  requirePermission('ingest:manage'),
+  [
+    body('sourceId')
+      .matches(/^[a-zA-Z0-9][a-zA-Z0-9_-]*$/)
+      .withMessage('Source ID may only contain letters, digits, - and _')
+      .not()
+      .equals('sources')
+      .withMessage('Source ID is reserved'),
+    body('name').notEmpty().withMessage('Source name is required'),
+    body('sourceType').notEmpty().withMessage('Source type is required'),
+    body('secret').optional().isLength({ min: 16 }).withMessage('Secret must be at least 16 characters'),
+    ...sourceRules,
+    validate
+  ],
+  createSource
+);
+
+// @route   GET /api/ingest/sources/:sourceId
+router.get('/sources/:sourceId', protect, requirePermission('ingest:manage'), getSource);
+
+// @route   PUT /api/ingest/sources/:sourceId
+router.put('/sources/:sourceId', protect, requirePermission('ingest:manage'), [...sourceRules, validate], updateSource);
+
+// @route   DELETE /api/ingest/sources/:sourceId
+router.delete('/sources/:sourceId', protect, requirePermission('ingest:manage'), deleteSource);
+
+// @route   POST /api/ingest/sources/:sourceId/rotate-secret
+router.post('/sources/:sourceId/rotate-secret', protect, requirePermission('ingest:manage'), rotateSecret);
+
+// @route   POST /api/ingest/sources/:sourceId/test
+router.post(
+  '/sources/:sourceId/test',
+  protect,
+  requirePermission('ingest:manage'),
+  [
+    body('payload').isObject().withMessage('Payload must be an object'),
+    body('headers').optional().isObject(),
+    validate
+  ],
+  testMapping
+);
+
+// @route   POST /api/ingest/:sourceId
+router.post('/:sourceId', deliveryLimiter, receiveEvent);
+
+export default router;
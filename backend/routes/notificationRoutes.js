@@ -0,0 +1,28 @@
+import express from 'express';
+import {
+  getNotifications,
+  getNotificationStats,
+  getNotification,
+  retryNotification
+} from '../controllers/notificationController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Notification Routes (notifications:read; retrying needs notifications:manage)
+ */
+
+// @route   GET /api/notifications
+router.get('/', protect, requirePermission('notifications:read'), getNotifications);
+
+// @route   GET /api/notifications/stats
+router.get('/stats', protect, requirePermission('notifications:read'), getNotificationStats);
+
+// @route   GET /api/notifications/:id
+router.get('/:id', protect, requirePermission('notifications:read'), getNotification);
+
+// @route   POST /api/notifications/:id/retry
+router.post('/:id/retry', protect, requirePermission('notifications:manage'), retryNotification);
+
+export default router;
@@ -0,0 +1,77 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getRoles,
+  getPermissionCatalogue,
+  createRole,
+  updateRole,
+  deleteRole
+} from '../controllers/roleController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { isPermission } from '../models/permissions.js';
+
+const router = express.Router();
+
+/**
+ * Role Routes
+ */
+
+/**
+ * Validate fields shared by create and update
+ */
+const roleRules = [
+  body('description').optional().isString(),
+  body('permissions')
+    .optional()
+    .isArray()
+    .withMessage('Permissions must be an array')
+    .bail()
+    .custom(permissions => {
+      const unknown = permissions.filter(name => !isPermission(name));
+      if (unknown.length > 0) throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+      return true;
+    })
+];
+
+// @route   GET /api/roles
+router.get('/', protect, getRoles);
+
+// @route   GET /api/roles/permissions
+router.get('/permissions', protect, getPermissionCatalogue);
+
+// @route   POST /api/roles
+router.post(
+  '/',
+  protect,
+  requirePermission('roles:manage'),
+  [
+    body('name')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9_]+$/)
+      .withMessage('Name may only contain lowercase letters, digits and "_"'),
+    body('label').trim().notEmpty().withMessage('Label is required'),
+    ...roleRules,
+    validate
+  ],
+  createRole
+);
+
+// @route   PUT /api/roles/:name
+router.put(
+  '/:name',
+  protect,
+  requirePermission('roles:manage'),
+  [
+    body('label').optional().trim().notEmpty().withMessage('Label cannot be empty'),
+    ...roleRules,
+    validate
+  ],
+  updateRole
+);
+
+// @route   DELETE /api/roles/:name
+router.delete('/:name', protect, requirePermission('roles:manage'), deleteRole);
+
+export default router;
@@ -1,40 +1,196 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, param, query } from 'express-validator';
 import {
   getRules,
   getRule,
   createRule,
   updateRule,
   deleteRule,
-  toggleRule
+  toggleRule,
+  simulateRule,
+  simulateDraftRule,
+  getRuleVersions,
+  getRuleVersion,
+  rollbackRule,
+  exportRules,
+  importRules
 } from '../controllers/ruleController.js';
-import { protect, authorize } from '../middleware/auth.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 import { validate } from '../middleware/validator.js';
+import { compileCondition } from '../utils/expression.js';
+import { EXPRESSION_CONDITIONS } from '../models/Rule.js';
+import sourceTypeRegistry from '../services/sourceTypeRegistry.js';
 
 const router = express.Router();
 
+/**
+ * Reject condition expressions that do not parse, reporting the error position
+ */
+const expressionRules = (prefix = '') => EXPRESSION_CONDITIONS.map(name =>
+  body(`${prefix}conditions.${name}`)
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage(`conditions.${name} must be a string`)
+    .bail()
+    .custom(value => {
+      compileCondition(value);
+      return true;
+    })
+);
+
+const conditionExpressionRules = expressionRules();
+
 /**
  * Rule Routes
  */
 
+/**
+ * Validate the optional action pipeline settings
+ */
+const actionRules = [
+  body('actions.add_tags').optional().isArray().withMessage('actions.add_tags must be an array'),
+  body('actions.add_tags.*').isString().trim().notEmpty().withMessage('Tags must be non-empty strings'),
+  body('actions.assign_to').optional({ values: 'falsy' }).isMongoId().withMessage('actions.assign_to must be a user id'),
+  body('actions.notificationChannels').optional().isArray().withMessage('actions.notificationChannels must be an array'),
+  body('actions.notify_on').optional().isArray().withMessage('actions.notify_on must be an array'),
+  body('actions.notify_on.*').isIn(['escalate', 'auto_close']).withMessage('Invalid notify_on event')
+];
+
+/**
+ * Validate escalation policy levels
+ */
+const escalationPolicyRules = [
+  body('escalationPolicy').optional().isObject().withMessage('escalationPolicy must be an object'),
+  body('escalationPolicy.levels').optional().isArray().withMessage('escalationPolicy.levels must be an array'),
+  body('escalationPolicy.levels.*.after_mins').isInt({ min: 1 }).withMessage('Level after_mins must be a positive integer'),
+  body('escalationPolicy.levels.*.severity')
+    .optional({ values: 'falsy' })
+    .isIn(['INFO', 'WARNING', 'CRITICAL'])
+    .withMessage('Invalid level severity'),
+  body('escalationPolicy.levels.*.notificationChannels').optional().isArray().withMessage('Level notificationChannels must be an array'),
+  body('escalationPolicy.levels.*.recipients').optional().isArray().withMessage('Level recipients must be an array'),
+  body('escalationPolicy.levels.*.recipients.*').isString().trim().notEmpty().withMessage('Recipients must be non-empty strings')
+];
+
+/**
+ * Validate the optional scope; group references are checked by the model
+ */
+const scopeRules = [
+  body('scope').optional().isObject().withMessage('Scope must be an object'),
+  ...['driverIds', 'vehicleIds', 'locations', 'groups'].flatMap(field => [
+    body(`scope.${field}`).optional().isArray().withMessage(`scope.${field} must be an array`),
+    body(`scope.${field}.*`).isString().trim().notEmpty().withMessage(`scope.${field} entries must be non-empty strings`)
+  ])
+];
+
+/**
+ * Validate activation windows; times and timezone are checked by the model
+ */
+const scheduleRules = [
+  body('schedule').optional().isObject().withMessage('Schedule must be an object'),
+  body('schedule.timezone').optional().isString().withMessage('Timezone must be a string'),
+  body('schedule.windows').optional().isArray().withMessage('schedule.windows must be an array'),
+  body('schedule.windows.*.days').optional().isArray().withMessage('Window days must be an array'),
+  body('schedule.windows.*.days.*').isInt({ min: 0, max: 6 }).withMessage('Window days must be 0 (Sunday) to 6 (Saturday)'),
+  body('schedule.windows.*.start').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Window start must be HH:mm'),
+  body('schedule.windows.*.end').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Window end must be HH:mm')
+];
+
+/**
+ * Optional change note stored on the rule version
+ */
+const commentRule = body('comment')
+  .optional()
+  .isString()
+  .isLength({ max: 500 })
+  .withMessage('Comment must be a string of at most 500 characters');
+
+/**
+ * Validate the optional replay range of a simulation
+ */
+const simulationRangeRules = [
+  body('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  body('to').optional().isISO8601().withMessage('to must be an ISO 8601 date')
+];
+
 // @route   GET /api/rules
-router.get('/', protect, getRules);
+router.get('/', protect, requirePermission('rules:read'), getRules);
+
+// @route   GET /api/rules/export
+router.get(
+  '/export',
+  protect,
+  requirePermission('rules:read'),
+  [query('format').optional().isIn(['json', 'yaml']).withMessage('Format must be json or yaml'), validate],
+  exportRules
+);
+
+// @route   POST /api/rules/import
+// JSON bodies are parsed globally; YAML (or JSON sent as text) arrives as a string
+router.post(
+  '/import',
+  protect,
+  requirePermission('rules:write'),
+  express.text({ type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'], limit: '10mb' }),
+  [
+    query('dryRun').optional().isBoolean().withMessage('dryRun must be true or false'),
+    query('prune').optional().isBoolean().withMessage('prune must be true or false'),
+    query('comment').optional().isLength({ max: 500 }).withMessage('Comment must be at most 500 characters'),
+    validate
+  ],
+  importRules
+);
+
+// @route   POST /api/rules/simulate
+router.post(
+  '/simulate',
+  protect,
+  requirePermission('rules:write'),
+  [
+    body('rule').isObject().withMessage('Rule definition is required'),
+    body('rule.sourceType')
+      .custom(name => sourceTypeRegistry.assertExists(name)),
+    ...expressionRules('rule.'),
+    ...simulationRangeRules,
+    validate
+  ],
+  simulateDraftRule
+);
 
 // @route   GET /api/rules/:id
-router.get('/:id', protect, getRule);
+router.get('/:id', protect, requirePermission('rules:read'), getRule);
+
+// @route   GET /api/rules/:id/versions
+router.get('/:id/versions', protect, requirePermission('rules:read'), getRuleVersions);
+
+// @route   GET /api/rules/:id/versions/:version
+router.get(
+  '/:id/versions/:version',
+  protect,
+  requirePermission('rules:read'),
+  [param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'), validate],
+  getRuleVersion
+);
 
 // @route   POST /api/rules
 router.post(
   '/',
   protect,
-  authorize('admin'),
+  requirePermission('rules:write'),
   [
     body('ruleId').trim().notEmpty().withMessage('Rule ID is required'),
     body('sourceType')
-      .isIn(['overspeed', 'compliance', 'feedback_negative', 'maintenance', 'other'])
-      .withMessage('Invalid source type'),
+      .custom(name => sourceTypeRegistry.assertExists(name)),
     body('name').trim().notEmpty().withMessage('Name is required'),
     body('conditions').isObject().withMessage('Conditions must be an object'),
+    body('priority').optional().isInt().withMessage('Priority must be an integer'),
+    body('stopProcessing').optional().isBoolean().withMessage('stopProcessing must be a boolean'),
+    ...conditionExpressionRules,
+    ...actionRules,
+    ...scopeRules,
+    ...scheduleRules,
+    ...escalationPolicyRules,
+    commentRule,
     validate
   ],
   createRule
@@ -44,19 +200,43 @@ router.post(
 router.put(
   '/:id',
   protect,
-  authorize('admin'),
+  requirePermission('rules:write'),
   [
     body('conditions').optional().isObject(),
     body('actions').optional().isObject(),
+    body('priority').optional().isInt().withMessage('Priority must be an integer'),
+    body('stopProcessing').optional().isBoolean().withMessage('stopProcessing must be a boolean'),
+    ...conditionExpressionRules,
+    ...actionRules,
+    ...scopeRules,
+    ...scheduleRules,
+    ...escalationPolicyRules,
+    commentRule,
     validate
   ],
   updateRule
 );
 
 // @route   DELETE /api/rules/:id
-router.delete('/:id', protect, authorize('admin'), deleteRule);
+router.delete('/:id', protect, requirePermission('rules:write'), deleteRule);
+
+// @route   POST /api/rules/:id/rollback
+router.post(
+  '/:id/rollback',
+  protect,
+  requirePermission('rules:write'),
+  [
+    body('version').isInt({ min: 1 }).withMessage('Version must be a positive integer').toInt(),
+    commentRule,
+    validate
+  ],
+  rollbackRule
+);
+
+// @route   POST /api/rules/:id/simulate
+router.post('/:id/simulate', protect, requirePermission('rules:write'), [...simulationRangeRules, validate], simulateRule);
 
 // @route   PATCH /api/rules/:id/toggle
-router.patch('/:id/toggle', protect, authorize('admin'), toggleRule);
+router.patch('/:id/toggle', protect, requirePermission('rules:toggle'), toggleRule);
 
 export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getSilences,
+  getSilence,
+  createSilence,
+  updateSilence,
+  expireSilence,
+  deleteSilence
+} from '../controllers/silenceController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { SILENCE_EFFECTS } from '../models/Silence.js';
+import sourceTypeRegistry from '../services/sourceTypeRegistry.js';
+
+const router = express.Router();
+
+/**
+ * Silence Routes
+ */
+
+/**
+ * Validate silence fields; `optional` relaxes the required ones for updates
+ */
+const silenceRules = (optional = false) => {
+  const required = (chain) => (optional ? chain.optional() : chain);
+  return [
+    body('scope').optional().isObject().withMessage('Scope must be an object'),
+    body('scope.sourceType')
+      .optional({ values: 'falsy' })
+      .custom(name => sourceTypeRegistry.assertExists(name)),
+    body('scope.driverId').optional().isString().trim(),
+    body('scope.vehicleId').optional().isString().trim(),
+    body('startsAt').optional().isISO8601().withMessage('startsAt must be an ISO 8601 date'),
+    required(body('endsAt')).isISO8601().withMessage('endsAt must be an ISO 8601 date'),
+    body('suppress').optional().isArray({ min: 1 }).withMessage('suppress must be a non-empty array'),
+    body('suppress.*').isIn(SILENCE_EFFECTS).withMessage('Invalid suppress effect'),
+    required(body('reason')).isString().trim().notEmpty().withMessage('Reason is required')
+  ];
+};
+
+// @route   GET /api/silences
+router.get(
+  '/',
+  protect,
+  [
+    query('state')
+      .optional()
+      .isIn(['current', 'active', 'upcoming', 'expired', 'all'])
+      .withMessage('Invalid state'),
+    validate
+  ],
+  getSilences
+);
+
+// @route   GET /api/silences/:id
+router.get('/:id', protect, getSilence);
+
+// @route   POST /api/silences
+router.post('/', protect, requirePermission('silences:write'), [...silenceRules(), validate], createSilence);
+
+// @route   PUT /api/silences/:id
+router.put('/:id', protect, requirePermission('silences:write'), [...silenceRules(true), validate], updateSilence);
+
+// @route   POST /api/silences/:id/expire
+router.post('/:id/expire', protect, requirePermission('silences:write'), expireSilence);
+
+// @route   DELETE /api/silences/:id
+router.delete('/:id', protect, requirePermission('silences:write'), deleteSilence);
+
+export default router;
@@ -0,0 +1,81 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getSourceTypes,
+  getSourceType,
+  createSourceType,
+  updateSourceType,
+  deleteSourceType
+} from '../controllers/sourceTypeController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { checkSchema } from '../utils/jsonSchema.js';
+
+const router = express.Router();
+
+/**
+ * Source Type Routes
+ */
+
+/**
+ * Validate fields shared by create and update
+ */
+const sourceTypeRules = [
+  body('description').optional().isString(),
+  body('metadataSchema')
+    .optional()
+    .custom(schema => {
+      const problems = checkSchema(schema);
+      if (problems.length > 0) throw new Error(problems.join('; '));
+      return true;
+    }),
+  body('defaultSeverity')
+    .optional()
+    .isIn(['INFO', 'WARNING', 'CRITICAL'])
+    .withMessage('Invalid default severity'),
+  body('riskWeight').optional().isFloat({ min: 0 }).withMessage('Risk weight must be a non-negative number'),
+  body('icon').optional().isString().trim().notEmpty().withMessage('Icon cannot be empty'),
+  body('enabled').optional().isBoolean().withMessage('enabled must be a boolean')
+];
+
+// @route   GET /api/source-types
+router.get('/', protect, getSourceTypes);
+
+// @route   GET /api/source-types/:name
+router.get('/:name', protect, getSourceType);
+
+// @route   POST /api/source-types
+router.post(
+  '/',
+  protect,
+  requirePermission('sourceTypes:write'),
+  [
+    body('name')
+      .trim()
+      .toLowerCase()
+      .matches(/^[a-z0-9_]+$/)
+      .withMessage('Name may only contain lowercase letters, digits and "_"'),
+    body('label').trim().notEmpty().withMessage('Label is required'),
+    ...sourceTypeRules,
+    validate
+  ],
+  createSourceType
+);
+
+// @route   PUT /api/source-types/:name
+router.put(
+  '/:name',
+  protect,
+  requirePermission('sourceTypes:write'),
+  [
+    body('label').optional().trim().notEmpty().withMessage('Label cannot be empty'),
+    ...sourceTypeRules,
+    validate
+  ],
+  updateSourceType
+);
+
+// @route   DELETE /api/source-types/:name
+router.delete('/:name', protect, requirePermission('sourceTypes:write'), deleteSourceType);
+
+export default router;
@@ -0,0 +1,14 @@
+import express from 'express';
+import { streamAlerts } from '../controllers/streamController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+
+const router = express.Router();
+
+/**
+ * Stream Routes
+ */
+
+// @route   GET /api/stream/alerts
+router.get('/alerts', protect, requirePermission('alerts:read'), streamAlerts);
+
+export default router;
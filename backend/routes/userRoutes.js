@@ -0,0 +1,95 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getUsers,
+  getUser,
+  getUserAudit,
+  inviteUser,
+  resendInvite,
+  updateUserRole,
+  updateUserStatus,
+  revokeUserSessions
+} from '../controllers/userController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { USER_STATUSES } from '../models/User.js';
+import roleRegistry from '../services/roleRegistry.js';
+
+const router = express.Router();
+
+/**
+ * User Routes
+ */
+
+const userIdRule = param('id').isMongoId().withMessage('Invalid user id');
+const roleRule = (field) => field.isString().bail().custom(name => roleRegistry.assertExists(name));
+const reasonRule = body('reason').optional().isString().trim().isLength({ max: 500 });
+
+// @route   GET /api/users
+router.get(
+  '/',
+  protect,
+  [
+    query('role').optional().isString().withMessage('Invalid role'),
+    query('status').optional().isIn(USER_STATUSES).withMessage('Invalid status'),
+    validate
+  ],
+  getUsers
+);
+
+// @route   GET /api/users/audit
+router.get('/audit', protect, requirePermission('users:manage'), getUserAudit);
+
+// @route   POST /api/users/invite
+router.post(
+  '/invite',
+  protect,
+  requirePermission('users:manage'),
+  [
+    body('name').trim().notEmpty().withMessage('Name is required'),
+    body('email').isEmail().withMessage('Valid email is required'),
+    roleRule(body('role').optional()),
+    reasonRule,
+    validate
+  ],
+  inviteUser
+);
+
+// @route   GET /api/users/:id
+router.get('/:id', protect, requirePermission('users:manage'), [userIdRule, validate], getUser);
+
+// @route   POST /api/users/:id/invite
+router.post('/:id/invite', protect, requirePermission('users:manage'), [userIdRule, validate], resendInvite);
+
+// @route   PATCH /api/users/:id/role
+router.patch(
+  '/:id/role',
+  protect,
+  requirePermission('users:manage'),
+  [
+    userIdRule,
+    roleRule(body('role')),
+    reasonRule,
+    validate
+  ],
+  updateUserRole
+);
+
+// @route   PATCH /api/users/:id/status
+router.patch(
+  '/:id/status',
+  protect,
+  requirePermission('users:manage'),
+  [
+    userIdRule,
+    body('status').isIn(['ACTIVE', 'DISABLED']).withMessage('Status must be ACTIVE or DISABLED'),
+    reasonRule,
+    validate
+  ],
+  updateUserStatus
+);
+
+// @route   DELETE /api/users/:id/sessions
+router.delete('/:id/sessions', protect, requirePermission('users:manage'), [userIdRule, validate], revokeUserSessions);
+
+export default router;
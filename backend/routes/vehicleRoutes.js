@@ -0,0 +1,67 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getVehicles,
+  getVehicle,
+  createVehicle,
+  updateVehicle,
+  deleteVehicle
+} from '../controllers/vehicleController.js';
+import { protect, requirePermission } from '../middleware/auth.js';
+import { validate } from '../middleware/validator.js';
+import { RISK_LEVELS } from '../models/riskProfile.js';
+
+const router = express.Router();
+
+/**
+ * Vehicle Routes
+ */
+
+/**
+ * Validate fields shared by create and update
+ */
+const vehicleRules = [
+  body('registrationNumber').optional().isString().trim(),
+  body('make').optional().isString().trim(),
+  body('model').optional().isString().trim(),
+  body('year').optional({ values: 'null' }).isInt({ min: 1900 }).withMessage('Year must be a valid year'),
+  body('status')
+    .optional()
+    .isIn(['ACTIVE', 'INACTIVE', 'IN_MAINTENANCE'])
+    .withMessage('Invalid status')
+];
+
+// @route   GET /api/vehicles
+router.get(
+  '/',
+  protect,
+  [
+    query('riskLevel').optional().isIn(RISK_LEVELS).withMessage('Invalid risk level'),
+    validate
+  ],
+  getVehicles
+);
+
+// @route   GET /api/vehicles/:id
+router.get('/:id', protect, getVehicle);
+
+// @route   POST /api/vehicles
+router.post(
+  '/',
+  protect,
+  requirePermission('fleet:write'),
+  [
+    body('vehicleId').trim().notEmpty().withMessage('Vehicle ID is required'),
+    ...vehicleRules,
+    validate
+  ],
+  createVehicle
+);
+
+// @route   PUT /api/vehicles/:id
+router.put('/:id', protect, requirePermission('fleet:write'), [...vehicleRules, validate], updateVehicle);
+
+// @route   DELETE /api/vehicles/:id
+router.delete('/:id', protect, requirePermission('fleet:write'), deleteVehicle);
+
+export default router;
@@ -3,6 +3,21 @@ import dotenv from 'dotenv';
 import User from './models/User.js';
 import Rule from './models/Rule.js';
 import Alert from './models/Alert.js';
+import RuleVersion from './models/RuleVersion.js';
+import Group from './models/Group.js';
+import Incident from './models/Incident.js';
+import SourceType from './models/SourceType.js';
+import Driver from './models/Driver.js';
+import Vehicle from './models/Vehicle.js';
+import RefreshToken from './models/RefreshToken.js';
+import UserAudit from './models/UserAudit.js';
+import Role from './models/Role.js';
+import ApiKey from './models/ApiKey.js';
+import ruleVersioning from './services/ruleVersioning.js';
+import incidentService from './services/incidentService.js';
+import sourceTypeRegistry from './services/sourceTypeRegistry.js';
+import roleRegistry from './services/roleRegistry.js';
+import riskScoring from './services/riskScoring.js';
 import { logger } from './utils/logger.js';
 
 dotenv.config();
@@ -26,11 +41,29 @@ const seedData = async () => {
   try {
     // Clear existing data
     await User.deleteMany();
+    await RefreshToken.deleteMany();
+    await UserAudit.deleteMany();
+    await Role.deleteMany();
+    await ApiKey.deleteMany();
     await Rule.deleteMany();
+    await RuleVersion.deleteMany();
+    await Group.deleteMany();
     await Alert.deleteMany();
+    await Incident.deleteMany();
+    await SourceType.deleteMany();
+    await Driver.deleteMany();
+    await Vehicle.deleteMany();
     
     console.log('Existing data cleared...');
 
+    // Register the built-in source types (rules below refer to them)
+    await sourceTypeRegistry.ensureDefaults();
+    console.log(`${await SourceType.countDocuments()} source types registered`);
+
+    // Register the built-in roles (users below refer to them)
+    await roleRegistry.ensureDefaults();
+    console.log(`${await Role.countDocuments()} roles registered`);
+
     // Create admin user
     const adminUser = await User.create({
       name: 'Admin User',
@@ -51,6 +84,33 @@ const seedData = async () => {
 
     console.log('Operator user created:', operatorUser.email);
 
+    // Create driver groups used by scoped rules
+    await Group.create({
+      groupId: 'trainees',
+      name: 'Trainee Drivers',
+      description: 'Drivers in their first three months',
+      driverIds: ['DRV003'],
+      createdBy: adminUser._id
+    });
+
+    console.log('Driver groups created');
+
+    // Create driver and vehicle master data
+    await Vehicle.insertMany([
+      { vehicleId: 'VEH001', registrationNumber: 'MH-01-AB-1234', make: 'Toyota', model: 'Innova', year: 2021 },
+      { vehicleId: 'VEH002', registrationNumber: 'KA-05-CD-5678', make: 'Maruti', model: 'Ertiga', year: 2022 },
+      { vehicleId: 'VEH003', registrationNumber: 'DL-12-EF-9012', make: 'Hyundai', model: 'Xcent', year: 2020 },
+      { vehicleId: 'VEH004', registrationNumber: 'TN-09-GH-3456', make: 'Toyota', model: 'Etios', year: 2019 }
+    ]);
+    await Driver.insertMany([
+      { driverId: 'DRV001', name: 'John Smith', phone: '+91-9800000001', licenseNumber: 'MH0120180001234', vehicleId: 'VEH001' },
+      { driverId: 'DRV002', name: 'Jane Doe', phone: '+91-9800000002', licenseNumber: 'KA0520190005678', vehicleId: 'VEH002' },
+      { driverId: 'DRV003', name: 'Bob Johnson', phone: '+91-9800000003', licenseNumber: 'DL1220230009012', vehicleId: 'VEH003' },
+      { driverId: 'DRV004', name: 'Alice Williams', phone: '+91-9800000004', licenseNumber: 'TN0920170003456', vehicleId: 'VEH004' }
+    ]);
+
+    console.log('Drivers and vehicles created');
+
     // Create default rules
     const rules = [
       {
@@ -72,6 +132,27 @@ const seedData = async () => {
         },
         createdBy: adminUser._id
       },
+      {
+        ruleId: 'RULE_OVERSPEED_TRAINEE',
+        sourceType: 'overspeed',
+        name: 'Trainee Overspeed Rule',
+        description: 'Trainees escalate after 2 overspeed events within 1 hour; auto-close follows the fleet rule',
+        enabled: true,
+        priority: 10,
+        scope: {
+          groups: ['trainees']
+        },
+        conditions: {
+          escalate_if_count: 2,
+          window_mins: 60
+        },
+        actions: {
+          escalate_to_severity: 'CRITICAL',
+          notify: true,
+          notificationChannels: ['email', 'sms']
+        },
+        createdBy: adminUser._id
+      },
       {
         ruleId: 'RULE_COMPLIANCE_001',
         sourceType: 'compliance',
@@ -126,7 +207,9 @@ const seedData = async () => {
       }
     ];
 
-    await Rule.insertMany(rules);
+    for (const rule of rules) {
+      await ruleVersioning.save(new Rule(rule), { action: 'create', user: adminUser, comment: 'Seed data' });
+    }
     console.log(`${rules.length} rules created`);
 
     // Create sample alerts for demonstration
@@ -220,12 +303,51 @@ const seedData = async () => {
         },
         timestamp: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000), // 5 days ago
         expiresAt: new Date(Date.now() + 25 * 24 * 60 * 60 * 1000)
+      },
+      {
+        alertId: `ALT-${Date.now()}-006`,
+        sourceType: 'feedback_negative',
+        severity: 'WARNING',
+        status: 'OPEN',
+        metadata: {
+          driverId: 'DRV001',
+          driverName: 'John Smith',
+          vehicleId: 'VEH001',
+          vehicleNumber: 'MH-01-AB-1234',
+          feedbackRating: 1,
+          feedbackComment: 'Driving too fast, felt unsafe',
+          eventCount: 1
+        },
+        timestamp: new Date(Date.now() - 20 * 60 * 1000), // 20 mins ago
+        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
+      },
+      {
+        alertId: `ALT-${Date.now()}-007`,
+        sourceType: 'maintenance',
+        severity: 'INFO',
+        status: 'OPEN',
+        metadata: {
+          vehicleId: 'VEH001',
+          vehicleNumber: 'MH-01-AB-1234',
+          maintenanceType: 'Brake Inspection Due',
+          eventCount: 1
+        },
+        timestamp: new Date(Date.now() - 10 * 60 * 1000), // 10 mins ago
+        expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000)
       }
     ];
 
     await Alert.insertMany(sampleAlerts);
     console.log(`${sampleAlerts.length} sample alerts created`);
 
+    // Group related sample alerts (e.g. DRV001 in the last hour) into incidents
+    await incidentService.correlateMany(await Alert.find().sort({ timestamp: 1 }).lean());
+    console.log(`${await Incident.countDocuments()} incidents correlated`);
+
+    // Score drivers and vehicles from the sample alerts
+    const rescored = await riskScoring.recomputeAll();
+    console.log(`Risk scores computed for ${rescored.drivers} drivers and ${rescored.vehicles} vehicles`);
+
     console.log('\n✅ Database seeded successfully!');
     console.log('\nDefault Credentials:');
     console.log('Admin: admin@sentinel.com / admin123');
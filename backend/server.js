@@ -8,14 +8,33 @@ import morgan from 'morgan';
 import connectDB from './config/database.js';
 import { logger, morganStream } from './utils/logger.js';
 import errorHandler from './middleware/errorHandler.js';
+import { protect, requirePermission } from './middleware/auth.js';
 import backgroundJobs from './services/backgroundJobs.js';
+import incidentService from './services/incidentService.js';
+import webhookIngestion from './services/webhookIngestion.js';
+import sourceTypeRegistry from './services/sourceTypeRegistry.js';
+import roleRegistry from './services/roleRegistry.js';
+import riskScoring from './services/riskScoring.js';
 import cacheManager from './utils/cache.js';
+import alertStream from './services/alertStream.js';
 
 // Import routes
 import authRoutes from './routes/authRoutes.js';
 import alertRoutes from './routes/alertRoutes.js';
 import dashboardRoutes from './routes/dashboardRoutes.js';
 import ruleRoutes from './routes/ruleRoutes.js';
+import notificationRoutes from './routes/notificationRoutes.js';
+import ingestRoutes from './routes/ingestRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
+import silenceRoutes from './routes/silenceRoutes.js';
+import groupRoutes from './routes/groupRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import incidentRoutes from './routes/incidentRoutes.js';
+import sourceTypeRoutes from './routes/sourceTypeRoutes.js';
+import driverRoutes from './routes/driverRoutes.js';
+import vehicleRoutes from './routes/vehicleRoutes.js';
+import roleRoutes from './routes/roleRoutes.js';
+import apiKeyRoutes from './routes/apiKeyRoutes.js';
 
 // Load env vars
 dotenv.config();
@@ -40,12 +59,27 @@ app.use(cors({
 }));
 
 // Rate limiting
+// Webhook deliveries to registered sources (POST /api/ingest/:sourceId) have
+// their own per-source limit; deliveries to unknown ids keep the per-IP one.
+// Alert streams have a per-user connection cap (see alertStream) so that
+// reconnects of a flaky stream do not use up the user's API budget
+const webhookSourceId = (req) => {
+  const match = req.method === 'POST' && req.path.match(/^\/ingest\/(?!sources(?:\/|$))([^/]+)$/);
+  return match ? match[1] : null;
+};
+const isStream = (req) => req.path.startsWith('/stream/');
+const isRegisteredWebhookDelivery = async (req) => {
+  const sourceId = webhookSourceId(req);
+  return Boolean(sourceId) && webhookIngestion.isRegistered(sourceId);
+};
+
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later',
   standardHeaders: true,
-  legacyHeaders: false
+  legacyHeaders: false,
+  skip: async (req) => isStream(req) || isRegisteredWebhookDelivery(req)
 });
 
 app.use('/api', limiter);
@@ -56,7 +90,15 @@ app.use(compression());
 /**
  * Body Parser Middleware
  */
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the exact bytes of webhook deliveries for HMAC signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/ingest/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 /**
@@ -75,6 +117,18 @@ app.use('/api/auth', authRoutes);
 app.use('/api/alerts', alertRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 app.use('/api/rules', ruleRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/silences', silenceRoutes);
+app.use('/api/groups', groupRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/source-types', sourceTypeRoutes);
+app.use('/api/drivers', driverRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
 
 /**
  * Health Check & Monitoring Routes
@@ -89,15 +143,22 @@ app.get('/health', (req, res) => {
   });
 });
 
-app.get('/api/monitoring/stats', (req, res) => {
+// Job locks name the instances (host, pid) running each job, so stats are not public
+app.get('/api/monitoring/stats', protect, requirePermission('monitoring:read'), async (req, res, next) => {
   const cacheStats = cacheManager.getStats();
-  const jobStats = backgroundJobs.getStats();
-  
+  let jobStats;
+  try {
+    jobStats = await backgroundJobs.getDetailedStats();
+  } catch (error) {
+    return next(error);
+  }
+
   res.status(200).json({
     success: true,
     data: {
       cache: cacheStats,
       backgroundJobs: jobStats,
+      stream: alertStream.getStats(),
       memory: {
         usage: process.memoryUsage(),
         heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024) + ' MB'
@@ -144,6 +205,22 @@ const server = app.listen(PORT, () => {
   // Start background jobs
   backgroundJobs.start();
   logger.info('Background jobs started');
+
+  // Keep incident roll-ups in step with member alert transitions
+  incidentService.start();
+
+  // Keep driver and vehicle risk scores in step with their alerts
+  riskScoring.start();
+
+  // Register the built-in source types on a fresh database
+  sourceTypeRegistry.ensureDefaults().catch(error => {
+    logger.error('Error registering default source types:', error);
+  });
+
+  // Register the built-in roles that users refer to
+  roleRegistry.ensureDefaults().catch(error => {
+    logger.error('Error registering default roles:', error);
+  });
 });
 
 /**
@@ -170,6 +247,10 @@ process.on('uncaughtException', (err) => {
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received: closing HTTP server');
   backgroundJobs.stop();
+  incidentService.stop();
+  riskScoring.stop();
+  // Open event streams would otherwise keep the server from closing
+  alertStream.closeAll();
   server.close(() => {
     logger.info('HTTP server closed');
     process.exit(0);
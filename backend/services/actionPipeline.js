@@ -0,0 +1,139 @@
+import notificationService from './notificationService.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Action Pipeline - Executes Rule.actions when the engine escalates or closes an alert
+ *
+ * Each action handler declares:
+ * - phase: 'before_save' (mutates the alert) or 'after_save' (side effects)
+ * - applies(event, actions): whether the handler runs for this event
+ * - execute(context): performs the action and returns a result record
+ *
+ * Events: 'escalate' | 'auto_close'
+ *
+ * Time Complexity: O(h) where h is number of registered handlers
+ * Space Complexity: O(h)
+ */
+class ActionPipeline {
+  constructor() {
+    this.handlers = new Map();
+    this.registerDefaults();
+  }
+
+  /**
+   * Register (or replace) an action handler
+   * Time Complexity: O(1)
+   */
+  register(type, handler) {
+    if (!['before_save', 'after_save'].includes(handler.phase)) {
+      throw new Error(`Action '${type}' must declare phase 'before_save' or 'after_save'`);
+    }
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Built-in actions backed by Rule.actions fields
+   */
+  registerDefaults() {
+    // escalate_to_severity - defaults to CRITICAL for rules that do not configure it
+    this.register('set_severity', {
+      phase: 'before_save',
+      applies: (event) => event === 'escalate',
+      execute: ({ alert, actions }) => {
+        const from = alert.severity;
+        const to = actions.escalate_to_severity || 'CRITICAL';
+        alert.severity = to;
+        return { from, to };
+      }
+    });
+
+    // add_tags - merged into the alert's tags without duplicates
+    this.register('add_tags', {
+      phase: 'before_save',
+      applies: (event, actions) => event === 'escalate' && actions.add_tags?.length > 0,
+      execute: ({ alert, actions }) => {
+        const existing = new Set(alert.tags || []);
+        const added = actions.add_tags.filter(tag => !existing.has(tag));
+        alert.tags = [...existing, ...added];
+        return { added };
+      }
+    });
+
+    // assign_to - only assigns alerts that have no owner yet
+    this.register('assign_owner', {
+      phase: 'before_save',
+      applies: (event, actions) => event === 'escalate' && !!actions.assign_to,
+      execute: ({ alert, actions }) => {
+        if (alert.assignedTo) {
+          return { skipped: true, detail: 'Alert already assigned' };
+        }
+        alert.assignedTo = actions.assign_to;
+        alert.assignedAt = new Date();
+        return { assignedTo: String(actions.assign_to) };
+      }
+    });
+
+    // notify + notificationChannels - on the events listed in notify_on (default: escalate)
+    this.register('notify', {
+      phase: 'after_save',
+      applies: (event, actions) => {
+        const notifyOn = actions.notify_on?.length > 0 ? actions.notify_on : ['escalate'];
+        return !!actions.notify && actions.notificationChannels?.length > 0 && notifyOn.includes(event);
+      },
+      execute: async ({ alert, rule, actions, event, reason, notificationSilence }) => {
+        if (notificationSilence) {
+          return { skipped: true, detail: `Suppressed by silence ${notificationSilence.silenceId}` };
+        }
+        const deliveries = await notificationService.dispatch({
+          channels: actions.notificationChannels,
+          alert,
+          rule,
+          event,
+          reason
+        });
+        return { deliveries };
+      }
+    });
+  }
+
+  /**
+   * Whether a registered action would run for an event
+   * Time Complexity: O(1)
+   */
+  applies(type, event, actions = {}) {
+    const handler = this.handlers.get(type);
+    return Boolean(handler && handler.applies(event, actions || {}));
+  }
+
+  /**
+   * Run handlers of one phase for an event
+   * Handler errors are recorded and do not abort the remaining actions
+   *
+   * @returns {Array<{type, status, ...}>} executed action records for history
+   * Time Complexity: O(h)
+   */
+  async run(phase, { event, alert, rule, reason, notificationSilence }) {
+    const actions = rule?.actions || {};
+    const executed = [];
+
+    for (const [type, handler] of this.handlers) {
+      if (handler.phase !== phase || !handler.applies(event, actions)) {
+        continue;
+      }
+
+      try {
+        const result = await handler.execute({ event, alert, rule, actions, reason, notificationSilence });
+        executed.push({ type, status: 'OK', ...result });
+      } catch (error) {
+        logger.error(`Action ${type} failed for alert ${alert.alertId}: ${error.message}`);
+        executed.push({ type, status: 'FAILED', error: error.message });
+      }
+    }
+
+    return executed;
+  }
+}
+
+// Export singleton instance
+const actionPipeline = new ActionPipeline();
+export default actionPipeline;
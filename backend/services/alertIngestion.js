@@ -0,0 +1,490 @@
+import crypto from 'crypto';
+import Alert, { ACTIVE_STATUSES, getMaxOccurrences } from '../models/Alert.js';
+import AlertHistory from '../models/AlertHistory.js';
+import incidentService from './incidentService.js';
+import sourceTypeRegistry from './sourceTypeRegistry.js';
+import apiKeyService from './apiKeyService.js';
+import eventBus, { OCCURRENCE_EVENT, summarizeAlert } from '../utils/eventBus.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Alert Ingestion Service
+ * Creates alerts, folding repeat events into an existing open alert
+ *
+ * A repeat event is one whose fingerprint (configured fields, see
+ * ALERT_DEDUP_FIELDS) matches an active (OPEN, ACKNOWLEDGED or ESCALATED)
+ * alert last seen within the dedup window (ALERT_DEDUP_WINDOW_MINS).
+ * Instead of inserting a new document, the existing alert's eventCount is
+ * incremented, lastSeenAt is updated, an occurrence entry is appended and an
+ * alert.occurrence event is published (see eventBus).
+ * Only one active alert per fingerprint holds the dedup claim (its unique
+ * dedupKey), so concurrent ingests of the same event cannot both create an
+ * alert: the one that loses the insert folds into the winner instead.
+ * New alerts are then correlated into incidents (see incidentService).
+ * Events are first checked against their registered source type, which also
+ * supplies the severity when the event has none (see sourceTypeRegistry).
+ *
+ * Time Complexity: O(log n) per ingested event (indexed fingerprint lookup)
+ * Space Complexity: O(o) per alert where o is retained occurrences
+ *
+ * Trade-offs:
+ * - Folding keeps the alert list readable but hides per-event severity changes
+ * - Occurrences are capped (ALERT_MAX_OCCURRENCES) to bound document size
+ */
+class AlertIngestionService {
+  /**
+   * Fields that make up the dedup fingerprint
+   * Time Complexity: O(f)
+   */
+  getDedupFields() {
+    const configured = process.env.ALERT_DEDUP_FIELDS ||
+      'sourceType,metadata.driverId,metadata.vehicleId,metadata.documentType';
+    return configured.split(',').map(field => field.trim()).filter(Boolean);
+  }
+
+  /**
+   * Dedup window in milliseconds; 0 disables folding
+   * Time Complexity: O(1)
+   */
+  getDedupWindowMs() {
+    const minutes = parseInt(process.env.ALERT_DEDUP_WINDOW_MINS);
+    return (Number.isNaN(minutes) ? 60 : minutes) * 60 * 1000;
+  }
+
+  getMaxOccurrences() {
+    return getMaxOccurrences();
+  }
+
+  /**
+   * Maximum number of alerts accepted by a single bulk request
+   * Time Complexity: O(1)
+   */
+  getMaxBatchSize() {
+    return parseInt(process.env.BULK_ALERT_MAX_ITEMS) || 5000;
+  }
+
+  /**
+   * Compute the fingerprint of incoming alert data
+   * Time Complexity: O(f) where f is number of fingerprint fields
+   */
+  computeFingerprint(data) {
+    const values = this.getDedupFields().map(field => {
+      const value = field.split('.').reduce(
+        (current, key) => (current === null || current === undefined ? undefined : current[key]),
+        data
+      );
+      return value === undefined || value === null ? '' : String(value);
+    });
+
+    return crypto.createHash('sha1').update(JSON.stringify(values)).digest('hex');
+  }
+
+  /**
+   * Generate a unique alert ID
+   * Time Complexity: O(1)
+   */
+  generateAlertId() {
+    return `ALT-${Date.now()}-${crypto.randomUUID().split('-')[0]}`;
+  }
+
+  /**
+   * Default expiry date (30 days from now by default)
+   * Time Complexity: O(1)
+   */
+  getExpiryDate() {
+    const expiryDays = parseInt(process.env.ALERT_EXPIRY_DAYS) || 30;
+    return new Date(Date.now() + expiryDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Try to fold an event into an existing open alert with the same fingerprint
+   * Time Complexity: O(log n)
+   *
+   * @returns {Alert|null} updated alert, or null when no foldable alert exists
+   */
+  async fold(fingerprint, { metadata }, seenAt = new Date()) {
+    const windowMs = this.getDedupWindowMs();
+    if (windowMs <= 0) return null;
+
+    const { eventCount, ...occurrenceMetadata } = metadata || {};
+
+    return Alert.findOneAndUpdate(
+      {
+        fingerprint,
+        status: { $in: ACTIVE_STATUSES },
+        lastSeenAt: { $gte: new Date(seenAt.getTime() - windowMs) }
+      },
+      {
+        $inc: { 'metadata.eventCount': 1 },
+        $set: { lastSeenAt: seenAt },
+        $push: {
+          occurrences: {
+            $each: [{ timestamp: seenAt, metadata: occurrenceMetadata }],
+            $slice: -this.getMaxOccurrences()
+          }
+        }
+      },
+      { new: true, sort: { lastSeenAt: -1 } }
+    );
+  }
+
+  /**
+   * Publish the new eventCount and lastSeenAt of an alert repeats were folded into
+   * @param {number} count - Number of events folded in
+   * Time Complexity: O(l) where l is number of subscribers
+   */
+  publishOccurrence(alert, count = 1) {
+    eventBus.publish(OCCURRENCE_EVENT, {
+      alertId: alert.alertId,
+      count,
+      timestamp: alert.lastSeenAt,
+      alert: summarizeAlert(alert)
+    });
+  }
+
+  /**
+   * Log and publish an event folded into an existing alert
+   * Time Complexity: O(l) where l is number of subscribers
+   * @returns {{ alert, deduplicated }}
+   */
+  foldedInto(alert) {
+    logger.info(`Repeat event folded into alert ${alert.alertId} (count ${alert.metadata.eventCount})`);
+    this.publishOccurrence(alert);
+    return { alert, deduplicated: true };
+  }
+
+  /**
+   * Release the dedup claim of alerts with these fingerprints that were last
+   * seen before the dedup window, so that a new alert can take it
+   * Time Complexity: O(k log n) where k is number of fingerprints
+   */
+  async releaseStaleClaims(fingerprints, seenAt) {
+    const windowMs = this.getDedupWindowMs();
+    if (windowMs <= 0) return;
+
+    await Alert.updateMany(
+      { dedupKey: { $in: fingerprints }, lastSeenAt: { $lt: new Date(seenAt.getTime() - windowMs) } },
+      { $unset: { dedupKey: 1 } }
+    );
+  }
+
+  /**
+   * Whether a write failed because another alert holds the dedup claim
+   * Time Complexity: O(1)
+   */
+  isDedupConflict(error) {
+    return error?.code === 11000 && /dedupKey/.test(error.errmsg || error.message || '');
+  }
+
+  /**
+   * Build a new alert document (not yet persisted)
+   * Time Complexity: O(1)
+   */
+  buildAlert({ sourceType, severity, metadata }, fingerprint, seenAt = new Date()) {
+    const { eventCount, ...occurrenceMetadata } = metadata || {};
+
+    return {
+      alertId: this.generateAlertId(),
+      sourceType,
+      severity: severity || 'INFO',
+      status: 'OPEN',
+      metadata: {
+        ...metadata,
+        eventCount: 1
+      },
+      fingerprint,
+      // No claim when folding is disabled, so every event gets its own alert
+      dedupKey: this.getDedupWindowMs() > 0 ? fingerprint : undefined,
+      lastSeenAt: seenAt,
+      occurrences: [{ timestamp: seenAt, metadata: occurrenceMetadata }],
+      expiresAt: this.getExpiryDate()
+    };
+  }
+
+  /**
+   * Ingest a single alert event
+   *
+   * @param {Object} event - { sourceType, severity, metadata }
+   * @param {Object} [context] - { userId } or { apiKey } of the submitter, recorded in history
+   * @returns {{ alert, deduplicated }}
+   * @throws {SourceTypeError} unknown or disabled source type, or invalid metadata
+   * @throws {ApiKeyError} source type not allowed for the API key
+   * Time Complexity: O(log n)
+   */
+  async ingest(event, context = {}) {
+    if (context.apiKey) apiKeyService.assertSourceType(context.apiKey, event.sourceType);
+    const data = await sourceTypeRegistry.prepare(event);
+    const fingerprint = this.computeFingerprint(data);
+    const seenAt = new Date();
+
+    const folded = await this.fold(fingerprint, data, seenAt);
+    if (folded) return this.foldedInto(folded);
+
+    let alert;
+    try {
+      await this.releaseStaleClaims([fingerprint], seenAt);
+      alert = await Alert.create(this.buildAlert(data, fingerprint, seenAt));
+    } catch (error) {
+      // A concurrent ingest of the same event created the alert first
+      const winner = this.isDedupConflict(error) && await this.fold(fingerprint, data, seenAt);
+      if (!winner) throw error;
+      return this.foldedInto(winner);
+    }
+
+    // Log history
+    await AlertHistory.logTransition(
+      alert.alertId,
+      alert,
+      null,
+      'OPEN',
+      'Alert created',
+      'SYSTEM',
+      context.userId,
+      undefined,
+      context.apiKey?._id
+    );
+
+    await incidentService.correlateMany([alert]);
+
+    return { alert, deduplicated: false };
+  }
+
+  /**
+   * Fold each group's events into its target alert with one bulkWrite
+   * Targets that closed since they were looked up are not matched; bulkWrite
+   * only reports a total, so those are found by this batch's lastSeenAt
+   *
+   * @param {Array<{group, target}>} entries - group: { items, occurrences }, target: { _id }
+   * @returns {{ folded, failed, unmatched }} the entries split by outcome
+   * Time Complexity: O(g log n) where g is number of groups
+   */
+  async foldGroups(entries, seenAt) {
+    if (entries.length === 0) return { folded: [], failed: [], unmatched: [] };
+
+    const outcome = await Alert.bulkWrite(entries.map(({ group, target }) => ({
+      updateOne: {
+        filter: { _id: target._id, status: { $in: ACTIVE_STATUSES } },
+        update: {
+          $inc: { 'metadata.eventCount': group.items.length },
+          $set: { lastSeenAt: seenAt },
+          $push: { occurrences: { $each: group.occurrences, $slice: -this.getMaxOccurrences() } }
+        }
+      }
+    })), { ordered: false }).catch(error => error);
+
+    // Without writeErrors the whole bulkWrite failed
+    const errored = outcome instanceof Error && !outcome.writeErrors
+      ? new Set(entries.keys())
+      : new Set((outcome.writeErrors || []).map(writeError => writeError.index));
+    const written = entries.filter((entry, position) => !errored.has(position));
+
+    let matched = new Set(written.map(({ target }) => String(target._id)));
+    if (written.length > 0 && outcome.matchedCount < written.length) {
+      const updated = await Alert.find({
+        _id: { $in: written.map(({ target }) => target._id) },
+        lastSeenAt: { $gte: seenAt }
+      }).select('_id').lean();
+      matched = new Set(updated.map(alert => String(alert._id)));
+    }
+
+    return {
+      folded: written.filter(({ target }) => matched.has(String(target._id))),
+      failed: entries.filter((entry, position) => errored.has(position)),
+      unmatched: written.filter(({ target }) => !matched.has(String(target._id)))
+    };
+  }
+
+  /**
+   * Ingest many alert events in one pass
+   * Events are grouped by fingerprint: groups matching an open alert are folded
+   * with a single bulkWrite, the rest become new alerts via insertMany. Groups
+   * whose alert closed meanwhile become new alerts too, and groups beaten to
+   * the dedup claim by a concurrent ingest fold into the winner.
+   * Failures are reported per item and never abort the batch.
+   *
+   * @param {Array<{index, data}>} items - Validated events with their request index
+   * @param {Object} [context] - { userId } or { apiKey } of the submitter, recorded in history
+   * @returns {{ results: Array<{index, status, alertId?, message?}>, alerts: Alert[] }}
+   * Time Complexity: O(n + g log m) where g is distinct fingerprints, m is stored alerts
+   */
+  async ingestBatch(items, context = {}) {
+    const seenAt = new Date();
+    const windowMs = this.getDedupWindowMs();
+    const results = new Map();
+    const touchedIds = new Set();
+    const foldedCounts = new Map();
+
+    // Check each event against its source type (and the API key's source types)
+    const prepared = [];
+    for (const { index, data } of items) {
+      try {
+        if (context.apiKey) apiKeyService.assertSourceType(context.apiKey, data.sourceType);
+        prepared.push({ index, data: await sourceTypeRegistry.prepare(data) });
+      } catch (error) {
+        if (error.name !== 'SourceTypeError' && error.name !== 'ApiKeyError') throw error;
+        results.set(index, { index, status: 'error', message: error.message });
+      }
+    }
+
+    // Group events by fingerprint, preserving request order within a group
+    const groups = new Map();
+    prepared.forEach(item => {
+      const fingerprint = this.computeFingerprint(item.data);
+      const key = windowMs > 0 ? fingerprint : `${fingerprint}:${item.index}`;
+      if (!groups.has(key)) {
+        groups.set(key, { fingerprint, items: [], occurrences: [] });
+      }
+      const { eventCount, ...metadata } = item.data.metadata || {};
+      groups.get(key).items.push(item);
+      groups.get(key).occurrences.push({ timestamp: seenAt, metadata });
+    });
+
+    // Open alerts that repeat events can be folded into
+    const existing = new Map();
+    if (windowMs > 0) {
+      const candidates = await Alert.find({
+        fingerprint: { $in: [...new Set([...groups.values()].map(group => group.fingerprint))] },
+        status: { $in: ACTIVE_STATUSES },
+        lastSeenAt: { $gte: new Date(seenAt.getTime() - windowMs) }
+      })
+        .sort({ lastSeenAt: -1 })
+        .select('_id alertId fingerprint')
+        .lean();
+
+      candidates.forEach(alert => {
+        if (!existing.has(alert.fingerprint)) existing.set(alert.fingerprint, alert);
+      });
+    }
+
+    const recordFolds = ({ folded, failed }) => {
+      folded.forEach(({ group, target }) => {
+        group.items.forEach(({ index }) => results.set(index, { index, status: 'folded', alertId: target.alertId }));
+        touchedIds.add(String(target._id));
+        foldedCounts.set(String(target._id), group.items.length);
+      });
+      failed.forEach(({ group }) => {
+        group.items.forEach(({ index }) => results.set(index, { index, status: 'error', message: 'Failed to fold into existing alert' }));
+      });
+    };
+
+    // Fold repeat events into existing alerts
+    const folds = await this.foldGroups(
+      [...groups.values()].filter(group => existing.has(group.fingerprint))
+        .map(group => ({ group, target: existing.get(group.fingerprint) })),
+      seenAt
+    );
+    recordFolds(folds);
+
+    // The rest, and groups whose alert closed meanwhile, become new alerts
+    const newDocs = [];
+    const newGroups = [];
+    const freshGroups = [
+      ...[...groups.values()].filter(group => !existing.has(group.fingerprint)),
+      ...folds.unmatched.map(({ group }) => group)
+    ];
+
+    for (const group of freshGroups) {
+      // First event of the group creates the alert, the rest fold into it
+      const doc = this.buildAlert(group.items[0].data, group.fingerprint, seenAt);
+      doc.metadata.eventCount = group.items.length;
+      doc.occurrences = group.occurrences.slice(-this.getMaxOccurrences());
+
+      const validationError = new Alert(doc).validateSync();
+      if (validationError) {
+        const message = Object.values(validationError.errors).map(err => err.message).join(', ');
+        group.items.forEach(({ index }) => results.set(index, { index, status: 'error', message }));
+        continue;
+      }
+
+      newDocs.push(doc);
+      newGroups.push(group);
+    }
+
+    // Insert new alerts
+    if (newDocs.length > 0) {
+      await this.releaseStaleClaims(newGroups.map(group => group.fingerprint), seenAt);
+
+      let failed = new Map();
+      try {
+        await Alert.insertMany(newDocs, { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        failed = new Map(error.writeErrors.map(writeError => [writeError.index, writeError]));
+      }
+
+      // Groups that lost the dedup claim to a concurrent ingest fold into the winner
+      const lost = newGroups.filter((group, position) => this.isDedupConflict(failed.get(position)));
+      if (lost.length > 0) {
+        const winners = await Alert.find({ dedupKey: { $in: lost.map(group => group.fingerprint) } })
+          .select('_id alertId dedupKey')
+          .lean();
+        const winnerOf = new Map(winners.map(alert => [alert.dedupKey, alert]));
+        const raced = await this.foldGroups(
+          lost.filter(group => winnerOf.has(group.fingerprint))
+            .map(group => ({ group, target: winnerOf.get(group.fingerprint) })),
+          seenAt
+        );
+        recordFolds(raced);
+      }
+
+      const created = [];
+      newGroups.forEach((group, position) => {
+        const doc = newDocs[position];
+        if (failed.has(position)) {
+          const writeError = failed.get(position);
+          group.items.forEach(({ index }) => {
+            if (!results.has(index)) {
+              results.set(index, {
+                index,
+                status: 'error',
+                message: this.isDedupConflict(writeError)
+                  ? 'Alert was changed by a concurrent request; retry the event'
+                  : writeError.errmsg || writeError.message
+              });
+            }
+          });
+          return;
+        }
+        group.items.forEach(({ index }, offset) => {
+          results.set(index, { index, status: offset === 0 ? 'created' : 'folded', alertId: doc.alertId });
+        });
+        created.push(doc.alertId);
+      });
+
+      if (created.length > 0) {
+        const createdAlerts = await Alert.find({ alertId: { $in: created } })
+          .select('_id alertId sourceType severity status timestamp lastSeenAt metadata')
+          .lean();
+        await AlertHistory.logTransitions(createdAlerts.map(alert => ({
+          alert,
+          fromStatus: null,
+          toStatus: 'OPEN',
+          reason: 'Alert created (bulk)',
+          triggeredBy: 'SYSTEM',
+          userId: context.userId,
+          apiKey: context.apiKey?._id
+        })));
+        createdAlerts.forEach(alert => touchedIds.add(String(alert._id)));
+        await incidentService.correlateMany(createdAlerts);
+      }
+    }
+
+    const alerts = touchedIds.size > 0
+      ? await Alert.find({ _id: { $in: [...touchedIds] } })
+      : [];
+
+    // Folded alerts keep their status, so publish their new counts separately
+    alerts.forEach(alert => {
+      if (foldedCounts.has(String(alert._id))) this.publishOccurrence(alert, foldedCounts.get(String(alert._id)));
+    });
+
+    return {
+      results: items.map(({ index }) => results.get(index)),
+      alerts
+    };
+  }
+}
+
+// Export singleton instance
+const alertIngestion = new AlertIngestionService();
+export default alertIngestion;
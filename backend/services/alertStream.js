@@ -0,0 +1,217 @@
+import eventBus from '../utils/eventBus.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Alert Stream Service
+ * Pushes alert lifecycle events to connected clients over Server-Sent Events
+ *
+ * Each client is an open HTTP response. Events from the event bus are written
+ * as SSE frames ("event: alert.escalated\ndata: {...}\n\n"); a comment line is
+ * sent every STREAM_HEARTBEAT_SECS so proxies keep idle connections open.
+ * A user (or API key) may hold STREAM_MAX_PER_USER open streams; streams
+ * are exempt from the per-IP API rate limit, so this bounds what one user
+ * can hold open.
+ *
+ * A stream is authenticated once, when it connects, so it is closed when
+ * the credential it was opened with expires (checked on each heartbeat) and
+ * when the user's sessions are revoked (see disconnect). Clients reconnect
+ * with a fresh token, or stop once they cannot get one.
+ *
+ * Time Complexity: O(c) per event where c is number of connected clients
+ * Space Complexity: O(c)
+ *
+ * Trade-offs:
+ * - SSE vs WebSockets: one-way push is all clients need, and SSE works over
+ *   plain HTTP through the existing auth middleware and proxies
+ * - No replay: clients refetch current state after reconnecting
+ * - Revocation only closes streams on this instance; on others they close
+ *   when the access token expires (JWT_ACCESS_EXPIRE)
+ */
+class AlertStream {
+  constructor() {
+    this.clients = new Set();
+    this.heartbeat = null;
+    this.unsubscribe = null;
+    this.totalConnections = 0;
+  }
+
+  getHeartbeatMs() {
+    return (parseInt(process.env.STREAM_HEARTBEAT_SECS) || 25) * 1000;
+  }
+
+  getMaxPerUser() {
+    return parseInt(process.env.STREAM_MAX_PER_USER) || 5;
+  }
+
+  /**
+   * Write a frame to one client, flushing past the compression middleware
+   * Time Complexity: O(p) where p is payload size
+   */
+  write(res, frame) {
+    res.write(frame);
+    if (typeof res.flush === 'function') {
+      res.flush();
+    }
+  }
+
+  /**
+   * Attach an HTTP response as a stream client
+   * Time Complexity: O(c)
+   */
+  connect(req, res) {
+    const userId = String(req.user._id);
+    const open = [...this.clients].filter(client => client.userId === userId).length;
+    if (open >= this.getMaxPerUser()) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many open alert streams, please close another tab or try again later'
+      });
+    }
+
+    req.socket.setTimeout(0);
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = {
+      res,
+      userId,
+      expiresAt: req.authExpiresAt,
+      connectedAt: new Date()
+    };
+    this.clients.add(client);
+    this.totalConnections++;
+    this.start();
+
+    this.write(res, `retry: 5000\nevent: connected\ndata: ${JSON.stringify({ connectedAt: client.connectedAt })}\n\n`);
+    logger.debug(`Stream client connected (${this.clients.size} active)`);
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      logger.debug(`Stream client disconnected (${this.clients.size} active)`);
+      if (this.clients.size === 0) {
+        this.stop();
+      }
+    });
+  }
+
+  /**
+   * End one client's stream, telling it why first
+   * Time Complexity: O(1)
+   */
+  close(client, reason) {
+    this.clients.delete(client);
+    try {
+      this.write(client.res, `event: stream.closed\ndata: ${JSON.stringify({ reason })}\n\n`);
+      client.res.end();
+    } catch (error) {
+      logger.warn(`Closing stream client: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close every stream of a user (or API key), e.g. when their sessions are revoked
+   * @returns {number} streams closed
+   * Time Complexity: O(c)
+   */
+  disconnect(userId, reason = 'revoked') {
+    let closed = 0;
+    for (const client of this.clients) {
+      if (client.userId === String(userId)) {
+        this.close(client, reason);
+        closed++;
+      }
+    }
+    if (closed > 0) {
+      logger.info(`Closed ${closed} stream(s) of ${userId} (${reason})`);
+    }
+    return closed;
+  }
+
+  /**
+   * Close streams whose credential has expired
+   * Time Complexity: O(c)
+   */
+  closeExpired(now = new Date()) {
+    for (const client of this.clients) {
+      if (client.expiresAt && client.expiresAt <= now) {
+        this.close(client, 'expired');
+      }
+    }
+  }
+
+  /**
+   * Send an event to every connected client
+   * Time Complexity: O(c)
+   */
+  broadcast({ type, payload, publishedAt }) {
+    const frame = `event: ${type}\ndata: ${JSON.stringify({ ...payload, publishedAt })}\n\n`;
+
+    for (const client of this.clients) {
+      try {
+        this.write(client.res, frame);
+      } catch (error) {
+        logger.warn(`Dropping stream client: ${error.message}`);
+        this.clients.delete(client);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to the event bus and start heartbeats (first client only)
+   * Time Complexity: O(1)
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = eventBus.subscribe(event => this.broadcast(event));
+    this.heartbeat = setInterval(() => {
+      this.closeExpired();
+      for (const client of this.clients) {
+        this.write(client.res, ': ping\n\n');
+      }
+    }, this.getHeartbeatMs());
+  }
+
+  /**
+   * Release the event bus subscription when nobody is listening
+   * Time Complexity: O(1)
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  /**
+   * Close every client connection (graceful shutdown)
+   * Time Complexity: O(c)
+   */
+  closeAll() {
+    for (const client of this.clients) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stop();
+  }
+
+  getStats() {
+    return {
+      activeClients: this.clients.size,
+      totalConnections: this.totalConnections
+    };
+  }
+}
+
+// Export singleton instance
+const alertStream = new AlertStream();
+export default alertStream;
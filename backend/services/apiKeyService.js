@@ -0,0 +1,143 @@
+import ApiKey from '../models/ApiKey.js';
+import alertStream from './alertStream.js';
+import { logger } from '../utils/logger.js';
+
+// Prefix length shown in lists: "snk_" plus 8 characters of the key
+const PREFIX_LENGTH = 12;
+
+/**
+ * Error raised for API keys that cannot be used or changed
+ * Carries the HTTP status for the error handler
+ */
+export class ApiKeyError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * API Key Service
+ * Issues, authenticates and revokes API keys for systems that submit alerts
+ *
+ * Keys are sent in the X-API-Key header and accepted by `protect` in place
+ * of a Bearer token. The request then acts as the key: requirePermission
+ * checks the key's scopes and alert ingestion its source types.
+ *
+ * Time Complexity: O(log n) per operation
+ * Space Complexity: O(1)
+ *
+ * Trade-offs:
+ * - lastUsedAt is written at most once per API_KEY_TOUCH_SECS per key, so
+ *   a busy producer does not cause a write per request
+ */
+class ApiKeyService {
+  /**
+   * Minimum seconds between lastUsedAt updates of one key
+   * Time Complexity: O(1)
+   */
+  getTouchIntervalSecs() {
+    const value = parseInt(process.env.API_KEY_TOUCH_SECS);
+    return Number.isNaN(value) ? 60 : value;
+  }
+
+  /**
+   * Issue a new key
+   * @returns {{ apiKey, key }} the stored record and the raw key (shown once)
+   * Time Complexity: O(log n)
+   */
+  async create({ name, description, scopes, sourceTypes, expiresAt }, actor) {
+    const key = ApiKey.generateKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      description,
+      keyHash: ApiKey.hashKey(key),
+      prefix: key.slice(0, PREFIX_LENGTH),
+      scopes,
+      sourceTypes,
+      expiresAt,
+      createdBy: actor._id
+    });
+
+    logger.info(`API key issued: ${apiKey.name} (${apiKey.prefix}) by ${actor.email}`);
+
+    return { apiKey, key };
+  }
+
+  /**
+   * Key record for a raw key, recording its use
+   * @throws {ApiKeyError} when the key is unknown, expired or revoked
+   * Time Complexity: O(log n)
+   */
+  async authenticate(rawKey, ip) {
+    const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(rawKey) });
+    const now = new Date();
+
+    if (!apiKey || !apiKey.isUsable(now)) {
+      throw new ApiKeyError('Invalid, expired or revoked API key');
+    }
+
+    const sinceUsed = apiKey.lastUsedAt ? (now - apiKey.lastUsedAt) / 1000 : Infinity;
+    if (sinceUsed >= this.getTouchIntervalSecs()) {
+      apiKey.lastUsedAt = now;
+      apiKey.lastUsedIp = ip;
+      await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } });
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * The stand-in for req.user on requests authenticated with a key
+   * It has no role, so only the key's scopes grant access
+   * Time Complexity: O(1)
+   */
+  principal(apiKey) {
+    return {
+      _id: apiKey._id,
+      name: apiKey.name,
+      email: `api-key:${apiKey.prefix}`,
+      role: null
+    };
+  }
+
+  /**
+   * Throw unless the key may submit alerts of a source type
+   * Time Complexity: O(t) where t is the key's source types
+   */
+  assertSourceType(apiKey, sourceType) {
+    if (apiKey.sourceTypes.length > 0 && !apiKey.sourceTypes.includes(sourceType)) {
+      throw new ApiKeyError(`API key may not submit "${sourceType}" alerts`, 403);
+    }
+  }
+
+  /**
+   * Revoke a key and close the alert streams it opened; its record is
+   * kept for alert history
+   * Time Complexity: O(log n)
+   */
+  async revoke(id, actor) {
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+      throw new ApiKeyError('API key not found', 404);
+    }
+    if (apiKey.revokedAt) {
+      throw new ApiKeyError('API key is already revoked', 409);
+    }
+
+    apiKey.revokedAt = new Date();
+    apiKey.revokedBy = actor._id;
+    await apiKey.save();
+    alertStream.disconnect(apiKey._id, 'revoked');
+
+    logger.info(`API key revoked: ${apiKey.name} (${apiKey.prefix}) by ${actor.email}`);
+
+    return apiKey;
+  }
+}
+
+// Export singleton instance
+const apiKeyService = new ApiKeyService();
+export default apiKeyService;
@@ -1,6 +1,10 @@
 import cron from 'node-cron';
-import Alert from '../models/Alert.js';
+import Alert, { ACTIVE_STATUSES } from '../models/Alert.js';
 import ruleEngine from './ruleEngine.js';
+import notificationService from './notificationService.js';
+import escalationChain from './escalationChain.js';
+import riskScoring from './riskScoring.js';
+import jobLock from './jobLock.js';
 import { logger } from '../utils/logger.js';
 import cacheManager from '../utils/cache.js';
 
@@ -11,13 +15,23 @@ import cacheManager from '../utils/cache.js';
  * Jobs:
  * 1. Auto-close job - Scans and closes eligible alerts
  * 2. Rule evaluation job - Evaluates alerts against rules
+ * 3. Notification job - Delivers due notifications from the outbox
+ * 4. Escalation job - Steps escalated alerts up their rule's escalation policy
+ * 5. Risk job - Recomputes driver and vehicle risk scores as alerts age
+ * 
+ * Every scheduled run goes through a MongoDB lease (see jobLock.js), so with
+ * several API instances each job runs on exactly one of them per cron tick.
+ * Jobs let their errors propagate: runExclusive logs them and the lock
+ * records them as the run's lastRun.error for the job status endpoint.
  * 
  * Time Complexity: O(n) where n is number of alerts to process
- * Space Complexity: O(1) - processes in batches
+ * Space Complexity: O(c) - alerts are streamed in chunks of JOB_CHUNK_SIZE
  * 
  * Trade-offs:
  * - Frequency vs Load: More frequent = more responsive but higher load
- * - Batch size vs Memory: Larger batches = more memory but fewer DB calls
+ * - Chunk size vs Memory: Larger chunks = more memory but fewer DB calls
+ * - Time budget vs Freshness: A run stops after JOB_TIME_BUDGET_SECS and the
+ *   next tick resumes from the checkpoint, so a backlog is worked off gradually
  */
 class BackgroundJobs {
   constructor() {
@@ -26,11 +40,53 @@ class BackgroundJobs {
     this.stats = {
       autoCloseRuns: 0,
       ruleEvaluationRuns: 0,
+      notificationRuns: 0,
+      escalationRuns: 0,
+      riskRuns: 0,
       lastAutoCloseRun: null,
-      lastRuleEvaluationRun: null
+      lastRuleEvaluationRun: null,
+      lastNotificationRun: null,
+      lastEscalationRun: null,
+      lastRiskRun: null,
+      // Ticks this instance skipped because another instance held the lock
+      skippedRuns: {},
+      // Last run and backlog of each full-scan job on this instance
+      scans: {}
     };
   }
 
+  /**
+   * Schedule a job so each cron tick runs it on one instance only
+   * Time Complexity: O(1)
+   */
+  schedule(name, schedule, run) {
+    const job = cron.schedule(schedule, async () => {
+      await this.runExclusive(name, run, jobLock.getTick(schedule));
+    });
+    this.jobs.push(job);
+    logger.info(`${name} job scheduled: ${schedule}`);
+  }
+
+  /**
+   * Run a job under its distributed lock; skipped when another run holds it
+   * Time Complexity: O(1) plus the job
+   */
+  async runExclusive(name, run, tick) {
+    try {
+      const outcome = await jobLock.withLock(name, run, { tick });
+
+      if (!outcome.acquired) {
+        this.stats.skippedRuns[name] = (this.stats.skippedRuns[name] || 0) + 1;
+        logger.debug(`Skipping ${name} job: ${outcome.reason} (${outcome.owner || 'no owner'})`);
+      }
+
+      return outcome;
+    } catch (error) {
+      logger.error(`Error running ${name} job:`, error);
+      return { acquired: true, error };
+    }
+  }
+
   /**
    * Start all background jobs
    */
@@ -43,20 +99,39 @@ class BackgroundJobs {
     this.isRunning = true;
     
     // Auto-close job - runs every 5 minutes by default
-    const autoCloseSchedule = process.env.AUTO_CLOSE_JOB_INTERVAL || '*/5 * * * *';
-    const autoCloseJob = cron.schedule(autoCloseSchedule, async () => {
-      await this.runAutoCloseJob();
-    });
-    this.jobs.push(autoCloseJob);
-    logger.info(`Auto-close job scheduled: ${autoCloseSchedule}`);
+    this.schedule(
+      'auto-close',
+      process.env.AUTO_CLOSE_JOB_INTERVAL || '*/5 * * * *',
+      lockContext => this.runAutoCloseJob(lockContext)
+    );
 
     // Rule evaluation job - runs every 2 minutes by default
-    const ruleEvalSchedule = process.env.RULE_EVALUATION_INTERVAL || '*/2 * * * *';
-    const ruleEvalJob = cron.schedule(ruleEvalSchedule, async () => {
-      await this.runRuleEvaluationJob();
-    });
-    this.jobs.push(ruleEvalJob);
-    logger.info(`Rule evaluation job scheduled: ${ruleEvalSchedule}`);
+    this.schedule(
+      'rule-evaluation',
+      process.env.RULE_EVALUATION_INTERVAL || '*/2 * * * *',
+      lockContext => this.runRuleEvaluationJob(lockContext)
+    );
+
+    // Notification delivery job - runs every minute by default
+    this.schedule(
+      'notification',
+      process.env.NOTIFICATION_JOB_INTERVAL || '* * * * *',
+      () => this.runNotificationJob()
+    );
+
+    // Escalation step-up job - runs every minute by default
+    this.schedule(
+      'escalation',
+      process.env.ESCALATION_JOB_INTERVAL || '* * * * *',
+      () => this.runEscalationJob()
+    );
+
+    // Risk score job - runs hourly by default
+    this.schedule(
+      'risk',
+      process.env.RISK_JOB_INTERVAL || '0 * * * *',
+      () => this.runRiskJob()
+    );
 
     logger.info('Background jobs started successfully');
   }
@@ -71,51 +146,163 @@ class BackgroundJobs {
     logger.info('Background jobs stopped');
   }
 
+  /**
+   * Alerts processed per rule engine batch in full-scan jobs
+   * Time Complexity: O(1)
+   */
+  getChunkSize() {
+    return parseInt(process.env.JOB_CHUNK_SIZE) || 200;
+  }
+
+  /**
+   * Wall-clock budget for one run of a full-scan job; the rest of the scan
+   * continues from the checkpoint on the next tick
+   * Time Complexity: O(1)
+   */
+  getTimeBudgetMs() {
+    return (parseInt(process.env.JOB_TIME_BUDGET_SECS) || 60) * 1000;
+  }
+
+  /**
+   * Stream every alert matching filter through the rule engine in chunks
+   *
+   * Alerts are visited in _id order with a cursor. After each chunk the last
+   * processed _id is checkpointed on the job's lock, so a run that hits its
+   * time budget (or loses its lock) is resumed by the next run - on any
+   * instance - instead of starting over. A pass completes when the cursor is
+   * exhausted; the next run starts a new pass from the beginning.
+   *
+   * @param {string} name - Job (and lock) name
+   * @param {Object} filter - Alert query for eligible alerts
+   * @param {Object} [lockContext] - { lost } flag from jobLock.withLock
+   * @returns {{ processed, escalated, autoClosed, suppressed, errors, chunks, passCompleted, backlog }}
+   * Time Complexity: O(n) where n is eligible alerts visited within the budget
+   * Space Complexity: O(c) where c is chunk size
+   */
+  async scanAlerts(name, filter, lockContext = {}) {
+    const startTime = Date.now();
+    const chunkSize = this.getChunkSize();
+    const budgetMs = this.getTimeBudgetMs();
+
+    const checkpoint = await jobLock.getCheckpoint(name);
+    const resuming = Boolean(checkpoint?.lastId);
+    const pass = {
+      startedAt: resuming ? new Date(checkpoint.passStartedAt) : new Date(),
+      processed: resuming ? checkpoint.passProcessed || 0 : 0
+    };
+    let lastId = resuming ? checkpoint.lastId : null;
+
+    const totals = { processed: 0, escalated: 0, autoClosed: 0, suppressed: 0, errors: 0, chunks: 0 };
+    let passCompleted = true;
+    let chunk = [];
+
+    const processChunk = async () => {
+      const results = await ruleEngine.processBatch(chunk);
+      totals.processed += results.processed;
+      totals.escalated += results.escalated;
+      totals.autoClosed += results.autoClosed;
+      totals.suppressed += results.suppressed;
+      totals.errors += results.errors;
+      totals.chunks++;
+
+      pass.processed += chunk.length;
+      lastId = chunk[chunk.length - 1]._id;
+      chunk = [];
+
+      return jobLock.saveCheckpoint(name, {
+        lastId,
+        passStartedAt: pass.startedAt,
+        passProcessed: pass.processed,
+        lastPassCompletedAt: checkpoint?.lastPassCompletedAt,
+        lastPassDurationMs: checkpoint?.lastPassDurationMs
+      });
+    };
+
+    const query = lastId ? { ...filter, _id: { $gt: lastId } } : filter;
+    const cursor = Alert.find(query).sort({ _id: 1 }).cursor({ batchSize: chunkSize });
+
+    // Leaving the loop early closes the cursor
+    for await (const alert of cursor) {
+      chunk.push(alert);
+      if (chunk.length < chunkSize) continue;
+
+      const stillOwned = await processChunk();
+      if (!stillOwned || lockContext.lost || Date.now() - startTime >= budgetMs) {
+        passCompleted = false;
+        break;
+      }
+    }
+
+    if (passCompleted && chunk.length > 0) {
+      await processChunk();
+    }
+
+    const now = new Date();
+    let remaining = 0;
+    if (passCompleted) {
+      await jobLock.saveCheckpoint(name, {
+        lastId: null,
+        passStartedAt: null,
+        passProcessed: 0,
+        lastPassCompletedAt: now,
+        lastPassDurationMs: now - pass.startedAt,
+        lastPassProcessed: pass.processed
+      });
+    } else {
+      remaining = await Alert.countDocuments({ ...filter, _id: { $gt: lastId } });
+      logger.info(`${name} job stopped after ${totals.processed} alerts; ${remaining} remaining in current pass`);
+    }
+
+    const backlog = {
+      remaining,
+      passStartedAt: passCompleted ? null : pass.startedAt,
+      // How long the alerts still waiting in this pass have gone unevaluated, at most
+      lagMs: passCompleted ? 0 : now - pass.startedAt
+    };
+
+    this.stats.scans[name] = {
+      lastRunAt: now,
+      durationMs: now - startTime,
+      ...totals,
+      passCompleted,
+      backlog
+    };
+
+    return { ...totals, passCompleted, backlog };
+  }
+
   /**
    * Auto-close job implementation
    * Scans alerts and auto-closes based on conditions
    * 
-   * Time Complexity: O(n) where n is number of open/escalated alerts
+   * Time Complexity: O(n) where n is number of active alerts
    * 
    * Idempotent: Safe to re-run, won't close already closed alerts
    */
-  async runAutoCloseJob() {
+  async runAutoCloseJob(lockContext) {
     const startTime = Date.now();
     logger.info('Starting auto-close job');
 
-    try {
-      // Get all open and escalated alerts that haven't expired
-      const alerts = await Alert.find({
-        status: { $in: ['OPEN', 'ESCALATED'] },
-        $or: [
-          { expiresAt: { $exists: false } },
-          { expiresAt: { $gt: new Date() } }
-        ]
-      }).limit(100); // Process in batches of 100
-
-      if (alerts.length === 0) {
-        logger.info('No alerts to process in auto-close job');
-        return;
-      }
-
-      logger.info(`Processing ${alerts.length} alerts in auto-close job`);
+    // All active alerts that haven't expired
+    const results = await this.scanAlerts('auto-close', {
+      status: { $in: ACTIVE_STATUSES },
+      $or: [
+        { expiresAt: { $exists: false } },
+        { expiresAt: { $gt: new Date() } }
+      ]
+    }, lockContext);
 
-      // Process through rule engine
-      const results = await ruleEngine.processBatch(alerts);
+    // Update stats
+    this.stats.autoCloseRuns++;
+    this.stats.lastAutoCloseRun = new Date();
 
-      // Update stats
-      this.stats.autoCloseRuns++;
-      this.stats.lastAutoCloseRun = new Date();
+    const duration = Date.now() - startTime;
+    logger.info(`Auto-close job completed in ${duration}ms`, results);
 
-      const duration = Date.now() - startTime;
-      logger.info(`Auto-close job completed in ${duration}ms`, results);
-
-      // Invalidate relevant caches
+    // Invalidate relevant caches
+    if (results.escalated || results.autoClosed) {
       cacheManager.invalidatePattern('dashboard:');
       cacheManager.invalidatePattern('alerts:');
-
-    } catch (error) {
-      logger.error('Error in auto-close job:', error);
     }
   }
 
@@ -127,49 +314,108 @@ class BackgroundJobs {
    * 
    * Idempotent: Won't escalate already escalated alerts (unless conditions change)
    */
-  async runRuleEvaluationJob() {
+  async runRuleEvaluationJob(lockContext) {
     const startTime = Date.now();
     logger.info('Starting rule evaluation job');
 
-    try {
-      // Reload rules to ensure latest configuration
-      await ruleEngine.reloadRules();
-
-      // Get alerts that need evaluation (only OPEN alerts)
-      const alerts = await Alert.find({
-        status: 'OPEN',
-        $or: [
-          { expiresAt: { $exists: false } },
-          { expiresAt: { $gt: new Date() } }
-        ]
-      }).sort({ timestamp: 1 }).limit(100);
-
-      if (alerts.length === 0) {
-        logger.info('No alerts to evaluate in rule evaluation job');
-        return;
-      }
+    // Reload rules to ensure latest configuration
+    await ruleEngine.reloadRules();
+
+    // Alerts that need evaluation (only OPEN alerts)
+    const results = await this.scanAlerts('rule-evaluation', {
+      status: 'OPEN',
+      $or: [
+        { expiresAt: { $exists: false } },
+        { expiresAt: { $gt: new Date() } }
+      ]
+    }, lockContext);
 
-      logger.info(`Evaluating ${alerts.length} alerts in rule evaluation job`);
+    // Update stats
+    this.stats.ruleEvaluationRuns++;
+    this.stats.lastRuleEvaluationRun = new Date();
 
-      // Process through rule engine
-      const results = await ruleEngine.processBatch(alerts);
+    const duration = Date.now() - startTime;
+    logger.info(`Rule evaluation job completed in ${duration}ms`, results);
 
-      // Update stats
-      this.stats.ruleEvaluationRuns++;
-      this.stats.lastRuleEvaluationRun = new Date();
+    // Invalidate relevant caches
+    if (results.escalated || results.autoClosed) {
+      cacheManager.invalidatePattern('dashboard:');
+      cacheManager.invalidatePattern('alerts:');
+    }
+  }
 
+  /**
+   * Notification job implementation
+   * Delivers due outbox entries and schedules retries for failures
+   *
+   * Time Complexity: O(m) where m is number of due notifications
+   *
+   * Idempotent: Entries are claimed atomically before sending
+   */
+  async runNotificationJob() {
+    const startTime = Date.now();
+
+    const results = await notificationService.processDue();
+
+    this.stats.notificationRuns++;
+    this.stats.lastNotificationRun = new Date();
+
+    if (results.sent || results.failed || results.dead) {
       const duration = Date.now() - startTime;
-      logger.info(`Rule evaluation job completed in ${duration}ms`, results);
+      logger.info(`Notification job completed in ${duration}ms`, results);
+    }
+  }
 
-      // Invalidate relevant caches
+  /**
+   * Escalation job implementation
+   * Steps up escalated alerts whose next policy level is due
+   *
+   * Time Complexity: O(d) where d is number of due alerts
+   *
+   * Idempotent: An alert is only stepped up once its nextEscalationAt has passed,
+   * and each step-up moves that time forward
+   */
+  async runEscalationJob() {
+    const startTime = Date.now();
+
+    const results = await escalationChain.processDue();
+
+    this.stats.escalationRuns++;
+    this.stats.lastEscalationRun = new Date();
+
+    if (results.processed || results.errors) {
+      const duration = Date.now() - startTime;
+      logger.info(`Escalation job completed in ${duration}ms`, results);
+    }
+
+    if (results.steppedUp) {
       cacheManager.invalidatePattern('dashboard:');
       cacheManager.invalidatePattern('alerts:');
-
-    } catch (error) {
-      logger.error('Error in rule evaluation job:', error);
     }
   }
 
+  /**
+   * Risk job implementation
+   * Recomputes every driver's and vehicle's risk score so old alerts decay
+   *
+   * Time Complexity: O(d + v) recomputes where d is drivers, v is vehicles
+   *
+   * Idempotent: Scores are recomputed from the alerts, never incremented
+   */
+  async runRiskJob() {
+    const startTime = Date.now();
+
+    const results = await riskScoring.recomputeAll();
+
+    this.stats.riskRuns++;
+    this.stats.lastRiskRun = new Date();
+
+    const duration = Date.now() - startTime;
+    logger.info(`Risk job completed in ${duration}ms`, results);
+
+    cacheManager.invalidatePattern('dashboard:');
+  }
+
   /**
    * Get job statistics
    */
@@ -177,16 +423,28 @@ class BackgroundJobs {
     return {
       ...this.stats,
       isRunning: this.isRunning,
-      activeJobs: this.jobs.length
+      activeJobs: this.jobs.length,
+      instanceId: jobLock.instanceId
+    };
+  }
+
+  /**
+   * Get job statistics including the distributed lock state of every job
+   */
+  async getDetailedStats() {
+    return {
+      ...this.getStats(),
+      locks: await jobLock.getLocks()
     };
   }
 
   /**
    * Manually trigger auto-close job (for testing)
+   * Still takes the lock, so it never overlaps a scheduled run
    */
   async triggerAutoClose() {
     logger.info('Manually triggering auto-close job');
-    await this.runAutoCloseJob();
+    await this.runExclusive('auto-close', lockContext => this.runAutoCloseJob(lockContext));
   }
 
   /**
@@ -194,7 +452,7 @@ class BackgroundJobs {
    */
   async triggerRuleEvaluation() {
     logger.info('Manually triggering rule evaluation job');
-    await this.runRuleEvaluationJob();
+    await this.runExclusive('rule-evaluation', lockContext => this.runRuleEvaluationJob(lockContext));
   }
 }
 
@@ -0,0 +1,192 @@
+import Alert from '../models/Alert.js';
+import AlertHistory from '../models/AlertHistory.js';
+import Rule from '../models/Rule.js';
+import notificationService from './notificationService.js';
+import silenceService from './silenceService.js';
+import { logger } from '../utils/logger.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Escalation Chain
+ * Steps ESCALATED alerts up through the levels of the escalation policy of
+ * the rule that escalated them
+ *
+ * Level 1 is the rule's own escalation. Each policy level then applies after
+ * its after_mins once the alert has sat at the previous level: the severity
+ * is raised, the level's notification target is notified and a history entry
+ * records the new level. The chain ends when the alert leaves ESCALATED, the
+ * last level is reached, or the rule is disabled or deleted.
+ *
+ * Time Complexity: O(d + r) per run where d is due alerts (at most the batch
+ * size), r is distinct rules driving them
+ * Space Complexity: O(d + r)
+ *
+ * Trade-offs:
+ * - The rule is read as it is now, so editing a policy changes the remaining
+ *   steps of chains already running
+ * - Step-ups are checked once per job tick, so they land up to one interval late
+ */
+class EscalationChain {
+  /**
+   * Maximum alerts stepped up per run; the rest are picked up next tick
+   * Time Complexity: O(1)
+   */
+  getBatchSize() {
+    return parseInt(process.env.ESCALATION_BATCH_SIZE) || 500;
+  }
+
+  /**
+   * Longest a step-up held by a silence waits before it is checked again
+   * Time Complexity: O(1)
+   */
+  getSilenceRecheckMs() {
+    return (parseInt(process.env.ESCALATION_SILENCE_RECHECK_MINS) || 5) * MS_PER_MINUTE;
+  }
+
+  /**
+   * Put a freshly escalated alert at level 1 of the rule's chain (before save)
+   * Time Complexity: O(1)
+   */
+  start(alert, rule, at = new Date()) {
+    alert.escalationLevel = 1;
+    alert.escalationRuleId = rule.ruleId;
+    alert.nextEscalationAt = this.getNextAt(rule, 1, at);
+    return alert;
+  }
+
+  /**
+   * When an alert at `level` is due for its next step-up, or undefined
+   * Time Complexity: O(1)
+   */
+  getNextAt(rule, level, from) {
+    const stepUp = rule.getStepUp(level);
+    return stepUp ? new Date(from.getTime() + stepUp.after_mins * MS_PER_MINUTE) : undefined;
+  }
+
+  /**
+   * Step up every escalated alert whose next level is due
+   * @returns {{ processed, steppedUp, suppressed, ended, errors }}
+   * Time Complexity: O(d + r)
+   */
+  async processDue(now = new Date()) {
+    const alerts = await Alert.find({
+      status: 'ESCALATED',
+      nextEscalationAt: { $lte: now }
+    })
+      .sort({ nextEscalationAt: 1 })
+      .limit(this.getBatchSize());
+
+    const results = { processed: 0, steppedUp: 0, suppressed: 0, ended: 0, errors: 0 };
+    const rules = new Map();
+
+    for (const alert of alerts) {
+      try {
+        if (!rules.has(alert.escalationRuleId)) {
+          rules.set(alert.escalationRuleId, await Rule.findOne({ ruleId: alert.escalationRuleId, enabled: true }));
+        }
+        const outcome = await this.advance(alert, rules.get(alert.escalationRuleId), now);
+        results.processed++;
+        results[outcome]++;
+      } catch (error) {
+        logger.error(`Error stepping up alert ${alert.alertId}:`, error);
+        results.errors++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Move one due alert to its next level
+   * An escalation silence holds the step-up until the silence ends; the
+   * held alert is rechecked at the silence's end or after the recheck
+   * interval (the silence may be expired early), whichever comes first, so
+   * held alerts do not stay first in line and starve the rest of the batch
+   *
+   * @param {Alert} alert
+   * @param {Rule|null} rule - The enabled rule driving the chain; null ends it
+   * @returns {'steppedUp'|'suppressed'|'ended'}
+   * Time Complexity: O(c + s) where c is notification channels, s is current silences
+   */
+  async advance(alert, rule, now = new Date()) {
+    const stepUp = rule?.getStepUp(alert.escalationLevel);
+
+    if (!stepUp) {
+      alert.nextEscalationAt = undefined;
+      await alert.save();
+      logger.info(`Escalation chain of alert ${alert.alertId} ended at level ${alert.escalationLevel}`);
+      return 'ended';
+    }
+
+    const fromLevel = alert.escalationLevel;
+    const toLevel = fromLevel + 1;
+    const reason = `Still escalated after ${stepUp.after_mins} minutes at level ${fromLevel}; stepped up to level ${toLevel}`;
+
+    const escalationSilence = await silenceService.findMatching(alert, 'escalation', now);
+    if (escalationSilence) {
+      alert.recordSuppression(escalationSilence, 'escalation', rule.ruleId, reason);
+      alert.nextEscalationAt = new Date(Math.min(
+        escalationSilence.endsAt.getTime(),
+        now.getTime() + this.getSilenceRecheckMs()
+      ));
+      await alert.save();
+      return 'suppressed';
+    }
+
+    const actions = [];
+    if (stepUp.severity && stepUp.severity !== alert.severity) {
+      actions.push({ type: 'set_severity', status: 'OK', from: alert.severity, to: stepUp.severity });
+    }
+    const { fromStatus, toStatus } = alert.transition('step_up', { actor: 'RULE_ENGINE', severity: stepUp.severity });
+
+    const notificationSilence = stepUp.notificationChannels?.length > 0
+      ? await silenceService.findMatching(alert, 'notification', now)
+      : null;
+    if (notificationSilence) {
+      alert.recordSuppression(notificationSilence, 'notification', rule.ruleId, reason);
+    }
+
+    alert.escalationLevel = toLevel;
+    alert.nextEscalationAt = this.getNextAt(rule, toLevel, now);
+    await alert.save();
+
+    if (notificationSilence) {
+      actions.push({ type: 'notify', status: 'OK', skipped: true, detail: `Suppressed by silence ${notificationSilence.silenceId}` });
+    } else if (stepUp.notificationChannels?.length > 0) {
+      const deliveries = await notificationService.dispatch({
+        channels: stepUp.notificationChannels,
+        recipients: stepUp.recipients,
+        alert,
+        rule,
+        event: 'step_up',
+        reason
+      });
+      actions.push({ type: 'notify', status: 'OK', deliveries });
+    }
+
+    await AlertHistory.logTransition(
+      alert.alertId,
+      alert,
+      fromStatus,
+      toStatus,
+      reason,
+      'RULE_ENGINE',
+      null,
+      {
+        rule: rule.ruleId,
+        ruleVersion: rule.version,
+        actedBy: rule.ruleId,
+        escalationLevel: toLevel,
+        actions
+      }
+    );
+
+    logger.info(`Alert ${alert.alertId} stepped up to escalation level ${toLevel} by rule ${rule.ruleId}`);
+    return 'steppedUp';
+  }
+}
+
+// Export singleton instance
+const escalationChain = new EscalationChain();
+export default escalationChain;
@@ -0,0 +1,55 @@
+import Group from '../models/Group.js';
+import cacheManager from '../utils/cache.js';
+
+const CACHE_KEY = 'groups:all';
+const CACHE_TTL_SECS = 300;
+
+/**
+ * Group Service
+ * Resolves which groups an alert belongs to for rule scoping
+ *
+ * Groups are cached like rules (and dropped on every change made through this
+ * instance), so scoped evaluation does not query the database per alert.
+ *
+ * Time Complexity: O(g * m) per lookup where g is groups, m is members per group
+ * Space Complexity: O(g * m)
+ *
+ * Trade-offs:
+ * - Cache TTL vs propagation: membership changed on another instance applies
+ *   here within CACHE_TTL_SECS
+ */
+class GroupService {
+  /**
+   * All groups
+   * Time Complexity: O(g) on cache miss, O(1) on hit
+   */
+  async getAll() {
+    let groups = cacheManager.get(CACHE_KEY);
+    if (!groups) {
+      groups = await Group.find();
+      cacheManager.set(CACHE_KEY, groups, CACHE_TTL_SECS);
+    }
+    return groups;
+  }
+
+  /**
+   * Drop the cached groups after a change
+   * Time Complexity: O(1)
+   */
+  invalidate() {
+    cacheManager.delete(CACHE_KEY);
+  }
+
+  /**
+   * Ids of the groups an alert's driver or vehicle belongs to
+   * Time Complexity: O(g * m)
+   */
+  async getGroupIds(alert) {
+    const groups = await this.getAll();
+    return new Set(groups.filter(group => group.includesAlert(alert)).map(group => group.groupId));
+  }
+}
+
+// Export singleton instance
+const groupService = new GroupService();
+export default groupService;
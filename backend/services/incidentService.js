@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import Alert, { ACTIVE_STATUSES } from '../models/Alert.js';
+import Incident from '../models/Incident.js';
+import eventBus, { ACTIVITY_EVENTS } from '../utils/eventBus.js';
+import { logger } from '../utils/logger.js';
+
+const SEVERITY_RANK = { INFO: 1, WARNING: 2, CRITICAL: 3 };
+
+/**
+ * Incident Service
+ * Correlates new alerts into incidents and keeps incident roll-ups current
+ *
+ * A new alert joins the most recent OPEN incident sharing one of its
+ * correlation keys (INCIDENT_CORRELATION_KEYS, metadata fields) whose last
+ * alert is within INCIDENT_WINDOW_MINS. Without one, an incident is started
+ * when other active, uncorrelated alerts share a key within the window;
+ * a lone alert is not an incident. Incidents keep the keys of all members,
+ * so a driver's alert and a later alert on the same vehicle link up.
+ *
+ * Roll-ups are recomputed whenever a member alert transitions (event bus).
+ *
+ * Time Complexity: O(log n + a) per correlated alert where a is related alerts
+ * Space Complexity: O(a)
+ *
+ * Trade-offs:
+ * - Two alerts correlating at the same moment can start separate incidents
+ * - Membership is fixed once assigned; a closed incident is never joined
+ */
+class IncidentService {
+  constructor() {
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Metadata fields alerts are correlated on
+   * Time Complexity: O(f)
+   */
+  getCorrelationFields() {
+    const configured = process.env.INCIDENT_CORRELATION_KEYS || 'driverId,vehicleId';
+    return configured.split(',').map(field => field.trim()).filter(Boolean);
+  }
+
+  /**
+   * Time proximity window in milliseconds; 0 disables correlation
+   * Time Complexity: O(1)
+   */
+  getWindowMs() {
+    const minutes = parseInt(process.env.INCIDENT_WINDOW_MINS);
+    return (Number.isNaN(minutes) ? 60 : minutes) * 60 * 1000;
+  }
+
+  /**
+   * Generate a unique incident ID
+   * Time Complexity: O(1)
+   */
+  generateIncidentId() {
+    return `INC-${Date.now()}-${crypto.randomUUID().split('-')[0]}`;
+  }
+
+  /**
+   * Correlation fields the alert has a value for, with their values
+   * @returns {Array<{ field, value, key }>}
+   * Time Complexity: O(f)
+   */
+  getAlertKeys(alert) {
+    return this.getCorrelationFields()
+      .filter(field => alert.metadata?.[field] !== undefined && alert.metadata[field] !== null && alert.metadata[field] !== '')
+      .map(field => ({ field, value: alert.metadata[field], key: `${field}:${alert.metadata[field]}` }));
+  }
+
+  /**
+   * Attach a newly created alert to an incident, starting one if related
+   * alerts exist
+   * @returns {{ incident, alertIds }|null} incident and the alerts linked now
+   * Time Complexity: O(log n + a)
+   */
+  async correlate(alert) {
+    const windowMs = this.getWindowMs();
+    const alertKeys = this.getAlertKeys(alert);
+    if (windowMs <= 0 || alertKeys.length === 0 || alert.incidentId) return null;
+
+    const seenAt = alert.lastSeenAt || alert.timestamp || new Date();
+    const windowStart = new Date(seenAt.getTime() - windowMs);
+    const keys = alertKeys.map(({ key }) => key);
+
+    let incident = await Incident.findOne({
+      status: 'OPEN',
+      keys: { $in: keys },
+      lastAlertAt: { $gte: windowStart }
+    }).sort({ lastAlertAt: -1 });
+
+    let alertIds = [alert.alertId];
+
+    if (incident) {
+      incident.keys = [...new Set([...incident.keys, ...keys])];
+    } else {
+      const related = await Alert.find({
+        alertId: { $ne: alert.alertId },
+        incidentId: null,
+        status: { $in: ACTIVE_STATUSES },
+        $and: [
+          { $or: alertKeys.map(({ field, value }) => ({ [`metadata.${field}`]: value })) },
+          { $or: [{ timestamp: { $gte: windowStart } }, { lastSeenAt: { $gte: windowStart } }] }
+        ]
+      })
+        .select('alertId metadata')
+        .lean();
+
+      if (related.length === 0) return null;
+
+      alertIds = [...alertIds, ...related.map(member => member.alertId)];
+      incident = new Incident({
+        incidentId: this.generateIncidentId(),
+        keys: [...new Set([...keys, ...related.flatMap(member => this.getAlertKeys(member).map(({ key }) => key))])]
+      });
+    }
+
+    await incident.save();
+    await Alert.updateMany({ alertId: { $in: alertIds } }, { $set: { incidentId: incident.incidentId } });
+    alert.incidentId = incident.incidentId;
+
+    logger.info(`Alerts ${alertIds.join(', ')} correlated into incident ${incident.incidentId}`);
+
+    return { incident: await this.refresh(incident.incidentId), alertIds };
+  }
+
+  /**
+   * Correlate newly created alerts one after another, so alerts of the same
+   * batch can form an incident together
+   * Errors are logged; correlation never fails ingestion
+   * Time Complexity: O(k (log n + a)) where k is number of alerts
+   */
+  async correlateMany(alerts) {
+    const linked = new Set();
+
+    for (const alert of alerts) {
+      if (linked.has(alert.alertId)) continue;
+      try {
+        const result = await this.correlate(alert);
+        result?.alertIds.forEach(alertId => linked.add(alertId));
+      } catch (error) {
+        logger.error(`Error correlating alert ${alert.alertId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Recompute an incident's status, severity and member summary
+   * Publishes incident.updated on the event bus
+   * Time Complexity: O(log n + a)
+   */
+  async refresh(incidentId) {
+    const incident = await Incident.findOne({ incidentId });
+    if (!incident) return null;
+
+    const members = await Alert.find({ incidentId })
+      .select('alertId status severity sourceType timestamp lastSeenAt metadata.driverName')
+      .sort({ timestamp: 1 })
+      .lean();
+    if (members.length === 0) return incident;
+
+    const active = members.filter(member => ACTIVE_STATUSES.includes(member.status));
+    const status = active.length > 0 ? 'OPEN' : 'CLOSED';
+
+    incident.alertIds = members.map(member => member.alertId);
+    incident.alertCount = members.length;
+    incident.sourceTypes = [...new Set(members.map(member => member.sourceType))];
+    incident.severity = (active.length > 0 ? active : members)
+      .reduce((highest, member) => (SEVERITY_RANK[member.severity] > SEVERITY_RANK[highest] ? member.severity : highest), 'INFO');
+    incident.driverName = members.find(member => member.metadata?.driverName)?.metadata.driverName;
+    incident.firstAlertAt = members[0].timestamp;
+    incident.lastAlertAt = new Date(Math.max(...members.map(member => (member.lastSeenAt || member.timestamp).getTime())));
+    if (status !== incident.status) {
+      incident.closedAt = status === 'CLOSED' ? new Date() : undefined;
+    }
+    incident.status = status;
+    await incident.save();
+
+    eventBus.publish('incident.updated', {
+      incidentId: incident.incidentId,
+      status: incident.status,
+      severity: incident.severity,
+      alertCount: incident.alertCount
+    });
+
+    return incident;
+  }
+
+  /**
+   * Refresh incidents as their member alerts transition
+   * Time Complexity: O(1)
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    const activityEvents = Object.values(ACTIVITY_EVENTS);
+    this.unsubscribe = eventBus.subscribe(({ type, payload }) => {
+      const incidentId = payload?.alert?.incidentId;
+      if (!incidentId || activityEvents.includes(type)) return;
+
+      this.refresh(incidentId).catch(error => {
+        logger.error(`Error refreshing incident ${incidentId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Stop following alert transitions
+   * Time Complexity: O(1)
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+// Export singleton instance
+const incidentService = new IncidentService();
+export default incidentService;
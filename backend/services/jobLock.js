@@ -0,0 +1,250 @@
+import crypto from 'crypto';
+import os from 'os';
+import JobLock from '../models/JobLock.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Job Lock Service
+ * MongoDB-backed leases so each scheduled job runs on exactly one instance per tick
+ *
+ * Acquisition is a single atomic upsert on the job's lock document: it succeeds
+ * only when the lock is free or its lease has expired, and the tick has not
+ * already been claimed. While the job runs the lease is renewed in the
+ * background; if the process dies the lease expires and the next tick on any
+ * instance takes the lock over (recorded as a takeover).
+ *
+ * Time Complexity: O(1) database round-trips per acquire / renew / release
+ * Space Complexity: O(j) where j is number of jobs
+ *
+ * Trade-offs:
+ * - Lease expiry vs failover speed: shorter leases recover faster from crashed
+ *   instances but need more frequent renewals
+ * - Tick de-duplication relies on instance clocks agreeing to within a tick
+ */
+class JobLockService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().split('-')[0]}`;
+    // Jobs this instance is currently running
+    this.held = new Set();
+  }
+
+  /**
+   * Lease length; renewed every third of it while the job runs
+   * Time Complexity: O(1)
+   */
+  getLeaseMs() {
+    return (parseInt(process.env.JOB_LOCK_LEASE_SECS) || 120) * 1000;
+  }
+
+  /**
+   * Identify the scheduled tick a run belongs to
+   * 5-field cron expressions tick per minute, 6-field ones per second
+   * Time Complexity: O(1)
+   */
+  getTick(schedule, date = new Date()) {
+    const unitMs = schedule && schedule.trim().split(/\s+/).length >= 6 ? 1000 : 60 * 1000;
+    return new Date(Math.floor(date.getTime() / unitMs) * unitMs);
+  }
+
+  /**
+   * Try to acquire the lock for a job
+   *
+   * @param {string} name - Job name
+   * @param {Object} [options] - { tick, leaseMs }
+   * @returns {{ acquired, takeover?, owner?, reason? }}
+   * Time Complexity: O(1)
+   */
+  async acquire(name, { tick, leaseMs = this.getLeaseMs() } = {}) {
+    const now = new Date();
+    const filter = {
+      name,
+      $or: [
+        { owner: null },
+        { expiresAt: { $lte: now } }
+      ]
+    };
+    if (tick) {
+      filter.lastTick = { $ne: tick };
+    }
+
+    let previous;
+    try {
+      previous = await JobLock.findOneAndUpdate(
+        filter,
+        {
+          $set: {
+            owner: this.instanceId,
+            lockedAt: now,
+            renewedAt: now,
+            expiresAt: new Date(now.getTime() + leaseMs),
+            ...(tick && { lastTick: tick })
+          },
+          $inc: { acquisitions: 1 }
+        },
+        { upsert: true, new: false }
+      ).lean();
+    } catch (error) {
+      // Upsert collided with the existing (held) lock document
+      if (error.code !== 11000) throw error;
+
+      const current = await JobLock.findOne({ name }).lean();
+      const held = current?.owner && current.expiresAt > now;
+      return {
+        acquired: false,
+        owner: current?.owner,
+        reason: held ? 'held' : 'tick already run'
+      };
+    }
+
+    const takeover = Boolean(previous?.owner && previous.owner !== this.instanceId);
+    if (takeover) {
+      await JobLock.updateOne(
+        { name },
+        {
+          $inc: { takeovers: 1 },
+          $set: { lastTakeover: { at: now, from: previous.owner, to: this.instanceId } }
+        }
+      );
+      logger.warn(`Job lock '${name}' taken over from ${previous.owner} (lease expired ${previous.expiresAt?.toISOString()})`);
+    }
+
+    return { acquired: true, takeover };
+  }
+
+  /**
+   * Extend the lease of a lock this instance owns
+   * @returns {boolean} false when the lock has been lost
+   * Time Complexity: O(1)
+   */
+  async renew(name, leaseMs = this.getLeaseMs()) {
+    const now = new Date();
+    const result = await JobLock.updateOne(
+      { name, owner: this.instanceId },
+      { $set: { expiresAt: new Date(now.getTime() + leaseMs), renewedAt: now } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * Release a lock this instance owns and record the run outcome
+   * Time Complexity: O(1)
+   */
+  async release(name, { startedAt, error } = {}) {
+    const now = new Date();
+    await JobLock.updateOne(
+      { name, owner: this.instanceId },
+      {
+        $set: {
+          owner: null,
+          expiresAt: now,
+          releasedAt: now,
+          lastRun: {
+            owner: this.instanceId,
+            startedAt,
+            finishedAt: now,
+            durationMs: startedAt ? now - startedAt : undefined,
+            error: error?.message
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * Read the saved progress of a job
+   * Time Complexity: O(1)
+   */
+  async getCheckpoint(name) {
+    const lock = await JobLock.findOne({ name }).select('checkpoint').lean();
+    return lock?.checkpoint || null;
+  }
+
+  /**
+   * Save job progress; only the current lock owner may write it
+   * @returns {boolean} false when the lock has been lost
+   * Time Complexity: O(1)
+   */
+  async saveCheckpoint(name, checkpoint) {
+    const result = await JobLock.updateOne(
+      { name, owner: this.instanceId },
+      { $set: { checkpoint: { ...checkpoint, updatedAt: new Date() } } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  /**
+   * Run fn while holding the job's lock; skip when another run holds it
+   * fn receives a context whose `lost` flag turns true if the lease could not
+   * be renewed, so long-running jobs can stop early.
+   *
+   * @returns {{ acquired, result?, takeover?, owner?, reason? }}
+   * Time Complexity: O(1) plus fn
+   */
+  async withLock(name, fn, { tick, leaseMs = this.getLeaseMs() } = {}) {
+    if (this.held.has(name)) {
+      return { acquired: false, owner: this.instanceId, reason: 'still running' };
+    }
+
+    const lock = await this.acquire(name, { tick, leaseMs });
+    if (!lock.acquired) {
+      return lock;
+    }
+
+    this.held.add(name);
+    const context = { lost: false };
+    const heartbeat = setInterval(async () => {
+      try {
+        if (!(await this.renew(name, leaseMs))) {
+          context.lost = true;
+          logger.warn(`Job lock '${name}' lost by ${this.instanceId}`);
+        }
+      } catch (error) {
+        logger.error(`Failed to renew job lock '${name}':`, error);
+      }
+    }, Math.max(Math.floor(leaseMs / 3), 1000));
+
+    const startedAt = new Date();
+    let runError;
+    try {
+      const result = await fn(context);
+      return { acquired: true, takeover: lock.takeover, result };
+    } catch (error) {
+      runError = error;
+      throw error;
+    } finally {
+      clearInterval(heartbeat);
+      this.held.delete(name);
+      await this.release(name, { startedAt, error: runError })
+        .catch(error => logger.error(`Failed to release job lock '${name}':`, error));
+    }
+  }
+
+  /**
+   * Lock state of every job for monitoring
+   * Time Complexity: O(j)
+   */
+  async getLocks() {
+    const now = new Date();
+    const locks = await JobLock.find().sort({ name: 1 }).lean();
+
+    return locks.map(lock => ({
+      name: lock.name,
+      owner: lock.owner,
+      held: Boolean(lock.owner && lock.expiresAt > now),
+      ownedByThisInstance: lock.owner === this.instanceId,
+      lockedAt: lock.lockedAt,
+      expiresAt: lock.expiresAt,
+      renewedAt: lock.renewedAt,
+      lastTick: lock.lastTick,
+      acquisitions: lock.acquisitions,
+      takeovers: lock.takeovers,
+      lastTakeover: lock.lastTakeover,
+      lastRun: lock.lastRun,
+      checkpoint: lock.checkpoint
+    }));
+  }
+}
+
+// Export singleton instance
+const jobLock = new JobLockService();
+export default jobLock;
@@ -0,0 +1,267 @@
+import crypto from 'crypto';
+import NotificationOutbox from '../models/NotificationOutbox.js';
+import { logger } from '../utils/logger.js';
+import { renderNotification } from './notifications/templates.js';
+import { createEmailAdapter } from './notifications/emailAdapter.js';
+import { createSmsAdapter } from './notifications/smsAdapter.js';
+import { createWebhookAdapter } from './notifications/webhookAdapter.js';
+import { createSlackAdapter } from './notifications/slackAdapter.js';
+
+/**
+ * Notification Service
+ * Queues alert notifications in a persistent outbox and delivers them
+ * through channel adapters with retries and exponential backoff
+ *
+ * Adapters are registered per channel name and expose:
+ *   async send(message) -> { status, detail }
+ * where message = { recipients, subject, body, payload, onDelivered }.
+ * Adapters that deliver to recipients one by one call onDelivered(recipient)
+ * after each success; those recipients are skipped when the entry is retried.
+ *
+ * Time Complexity:
+ * - dispatch: O(c) where c is number of channels
+ * - processDue: O(m) where m is number of due messages
+ * Space Complexity: O(a) where a is number of registered adapters
+ *
+ * Trade-offs:
+ * - Outbox vs direct send: Survives restarts and gateway outages at the cost of delivery latency
+ */
+class NotificationService {
+  constructor() {
+    this.adapters = new Map();
+    this.processing = false;
+
+    this.registerAdapter('email', createEmailAdapter());
+    this.registerAdapter('sms', createSmsAdapter());
+    this.registerAdapter('webhook', createWebhookAdapter());
+    this.registerAdapter('slack', createSlackAdapter());
+
+    // Built-in adapter that writes notifications to the application log
+    this.registerAdapter('log', {
+      send: async (message) => {
+        logger.info(`Notification: ${message.subject}`);
+        return { status: 'SENT' };
+      }
+    });
+  }
+
+  /**
+   * Register (or replace) the adapter for a channel
+   * Time Complexity: O(1)
+   */
+  registerAdapter(channel, adapter) {
+    if (!adapter || typeof adapter.send !== 'function') {
+      throw new Error(`Notification adapter for '${channel}' must implement send()`);
+    }
+    this.adapters.set(channel, adapter);
+  }
+
+  /**
+   * Get registered channel names
+   * Time Complexity: O(a)
+   */
+  getChannels() {
+    return [...this.adapters.keys()];
+  }
+
+  /**
+   * Default recipients for a channel from configuration
+   * e.g. NOTIFY_EMAIL_TO=ops@example.com,fleet@example.com
+   * Time Complexity: O(r)
+   */
+  getDefaultRecipients(channel) {
+    const configured = process.env[`NOTIFY_${channel.toUpperCase()}_TO`];
+    return configured ? configured.split(',').map(value => value.trim()).filter(Boolean) : [];
+  }
+
+  /**
+   * Retry delay after a failed attempt: base * 2^(attempt - 1), capped
+   * Time Complexity: O(1)
+   */
+  getBackoffMs(attempts) {
+    const baseMs = (parseInt(process.env.NOTIFICATION_RETRY_BASE_SECS) || 30) * 1000;
+    const maxMs = (parseInt(process.env.NOTIFICATION_RETRY_MAX_SECS) || 3600) * 1000;
+    return Math.min(baseMs * 2 ** Math.max(attempts - 1, 0), maxMs);
+  }
+
+  /**
+   * Queue a notification for each requested channel
+   * Delivery happens asynchronously; queueing failures are reported per channel
+   *
+   * @param {Object} notification
+   * @param {string[]} notification.channels - Channel names from rule actions
+   * @param {Object} notification.alert - Alert document
+   * @param {Object} [notification.rule] - Rule that triggered the notification
+   * @param {string} notification.event - escalate | auto_close | step_up
+   * @param {string} [notification.reason]
+   * @param {string[]} [notification.recipients] - Overrides configured recipients
+   * Time Complexity: O(c)
+   */
+  async dispatch(notification) {
+    const { alert, rule, event, reason } = notification;
+    const channels = notification.channels || [];
+    const plainAlert = typeof alert.toObject === 'function' ? alert.toObject() : alert;
+    const { subject, body } = renderNotification({ alert: plainAlert, rule, event, reason });
+    const results = [];
+
+    for (const channel of channels) {
+      if (!this.adapters.has(channel)) {
+        logger.warn(`No notification adapter registered for channel '${channel}'`);
+        results.push({ channel, status: 'SKIPPED', detail: 'No adapter registered' });
+        continue;
+      }
+
+      try {
+        const entry = await NotificationOutbox.create({
+          notificationId: `NTF-${Date.now()}-${crypto.randomUUID().split('-')[0]}`,
+          channel,
+          event,
+          alertId: plainAlert.alertId,
+          alert: plainAlert._id,
+          ruleId: rule?.ruleId,
+          recipients: notification.recipients?.length
+            ? notification.recipients
+            : this.getDefaultRecipients(channel),
+          subject,
+          body,
+          payload: {
+            event,
+            reason,
+            rule: rule ? { ruleId: rule.ruleId, name: rule.name, version: rule.version } : null,
+            alert: {
+              alertId: plainAlert.alertId,
+              sourceType: plainAlert.sourceType,
+              severity: plainAlert.severity,
+              status: plainAlert.status,
+              timestamp: plainAlert.timestamp,
+              metadata: plainAlert.metadata
+            }
+          },
+          maxAttempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5
+        });
+
+        results.push({ channel, status: 'QUEUED', notificationId: entry.notificationId });
+      } catch (error) {
+        logger.error(`Failed to queue ${channel} notification for alert ${plainAlert.alertId}: ${error.message}`);
+        results.push({ channel, status: 'FAILED', detail: error.message });
+      }
+    }
+
+    // Attempt delivery right away instead of waiting for the next job tick
+    if (results.some(result => result.status === 'QUEUED')) {
+      setImmediate(() => {
+        this.processDue().catch(error => logger.error('Notification delivery error:', error));
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Deliver one claimed outbox entry and record the outcome
+   * Time Complexity: O(1) plus adapter cost
+   */
+  async deliver(entry) {
+    const adapter = this.adapters.get(entry.channel);
+
+    try {
+      if (!adapter) {
+        throw new Error(`No adapter registered for channel '${entry.channel}'`);
+      }
+
+      // Only recipients that have not got the message in an earlier attempt
+      const recipients = entry.recipients.filter(recipient => !entry.delivered.includes(recipient));
+
+      const result = recipients.length === 0 && entry.recipients.length > 0
+        ? { detail: 'All recipients already delivered' }
+        : await adapter.send({
+          recipients,
+          subject: entry.subject,
+          body: entry.body,
+          payload: entry.payload,
+          onDelivered: (recipient) => entry.delivered.push(recipient)
+        });
+
+      entry.status = 'SENT';
+      entry.sentAt = new Date();
+      entry.lastError = undefined;
+      entry.attemptLog.push({ status: 'SENT', detail: result?.detail });
+      logger.info(`Notification ${entry.notificationId} sent via ${entry.channel}`);
+    } catch (error) {
+      entry.lastError = error.message;
+      entry.attemptLog.push({ status: 'FAILED', detail: error.message });
+
+      if (entry.attempts >= entry.maxAttempts) {
+        entry.status = 'DEAD';
+        logger.error(`Notification ${entry.notificationId} via ${entry.channel} failed permanently: ${error.message}`);
+      } else {
+        entry.status = 'PENDING';
+        entry.nextAttemptAt = new Date(Date.now() + this.getBackoffMs(entry.attempts));
+        logger.warn(`Notification ${entry.notificationId} via ${entry.channel} failed (attempt ${entry.attempts}): ${error.message}`);
+      }
+    }
+
+    entry.lockedUntil = undefined;
+    await entry.save();
+    return entry;
+  }
+
+  /**
+   * Deliver all due outbox entries
+   * Idempotent: entries are claimed atomically, so overlapping runs never double-send
+   *
+   * @returns {{ sent, failed, dead }}
+   * Time Complexity: O(m) where m is number of due messages
+   */
+  async processDue(limit = 100) {
+    if (this.processing) {
+      return { sent: 0, failed: 0, dead: 0, skipped: true };
+    }
+
+    this.processing = true;
+    const results = { sent: 0, failed: 0, dead: 0 };
+
+    try {
+      for (let i = 0; i < limit; i++) {
+        const entry = await NotificationOutbox.claimNext();
+        if (!entry) break;
+
+        await this.deliver(entry);
+        if (entry.status === 'SENT') results.sent++;
+        else if (entry.status === 'DEAD') results.dead++;
+        else results.failed++;
+      }
+    } finally {
+      this.processing = false;
+    }
+
+    return results;
+  }
+
+  /**
+   * Requeue an entry for immediate delivery (manual retry)
+   * Time Complexity: O(log n)
+   */
+  async retry(notificationId) {
+    const entry = await NotificationOutbox.findOne({ notificationId });
+    if (!entry) return null;
+
+    entry.status = 'PENDING';
+    entry.nextAttemptAt = new Date();
+    entry.lockedUntil = undefined;
+    if (entry.attempts >= entry.maxAttempts) {
+      entry.maxAttempts = entry.attempts + 1;
+    }
+    await entry.save();
+
+    setImmediate(() => {
+      this.processDue().catch(error => logger.error('Notification delivery error:', error));
+    });
+
+    return entry;
+  }
+}
+
+// Export singleton instance
+const notificationService = new NotificationService();
+export default notificationService;
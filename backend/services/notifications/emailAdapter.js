@@ -0,0 +1,48 @@
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP Email Adapter
+ * Options override environment configuration (useful for pointing at a local SMTP stand-in):
+ *   host (SMTP_HOST), port (SMTP_PORT), secure (SMTP_SECURE), user (SMTP_USER),
+ *   pass (SMTP_PASS), from (SMTP_FROM)
+ *
+ * Time Complexity: O(r) where r is number of recipients
+ */
+export const createEmailAdapter = (options = {}) => {
+  let transport = null;
+
+  const getTransport = () => {
+    if (!transport) {
+      const user = options.user ?? process.env.SMTP_USER;
+      transport = nodemailer.createTransport({
+        host: options.host ?? process.env.SMTP_HOST ?? 'localhost',
+        port: parseInt(options.port ?? process.env.SMTP_PORT) || 587,
+        secure: (options.secure ?? process.env.SMTP_SECURE) === true ||
+          (options.secure ?? process.env.SMTP_SECURE) === 'true',
+        ...(user && { auth: { user, pass: options.pass ?? process.env.SMTP_PASS } })
+      });
+    }
+    return transport;
+  };
+
+  return {
+    name: 'email',
+
+    async send(message) {
+      if (!message.recipients?.length) {
+        throw new Error('No email recipients configured');
+      }
+
+      const info = await getTransport().sendMail({
+        from: options.from ?? process.env.SMTP_FROM ?? 'sentinel@localhost',
+        to: message.recipients.join(', '),
+        subject: message.subject,
+        text: message.body
+      });
+
+      return { status: 'SENT', detail: info.messageId };
+    }
+  };
+};
+
+export default createEmailAdapter;
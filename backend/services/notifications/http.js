@@ -0,0 +1,28 @@
+/**
+ * Minimal JSON-over-HTTP client shared by the HTTP-based channel adapters
+ * Uses the built-in fetch API with a request timeout
+ *
+ * Time Complexity: O(b) where b is body size
+ */
+export const postJson = async (url, body, { headers = {}, timeoutMs = 10000 } = {}) => {
+  if (!url) {
+    throw new Error('No endpoint URL configured');
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  const text = await response.text();
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} from ${new URL(url).host}: ${text.slice(0, 200)}`);
+  }
+
+  return { statusCode: response.status, body: text };
+};
+
+export default postJson;
@@ -0,0 +1,28 @@
+import { postJson } from './http.js';
+
+/**
+ * Slack-compatible Incoming Webhook Adapter
+ * Works with Slack and compatible receivers (Mattermost, Rocket.Chat) that accept { text }
+ * Options override environment configuration: url (SLACK_WEBHOOK_URL)
+ * Each webhook that accepts is reported through message.onDelivered.
+ *
+ * Time Complexity: O(b) where b is message size
+ */
+export const createSlackAdapter = (options = {}) => ({
+  name: 'slack',
+
+  async send(message) {
+    const urls = message.recipients?.length
+      ? message.recipients
+      : [options.url ?? process.env.SLACK_WEBHOOK_URL];
+
+    for (const url of urls) {
+      await postJson(url, { text: `*${message.subject}*\n${message.body}` });
+      if (message.recipients?.length) message.onDelivered?.(url);
+    }
+
+    return { status: 'SENT', detail: `${urls.length} webhook(s) accepted` };
+  }
+});
+
+export default createSlackAdapter;
@@ -0,0 +1,36 @@
+import { postJson } from './http.js';
+
+/**
+ * SMS Gateway Adapter (HTTP)
+ * Posts one JSON request per recipient: { to, message }, reporting each
+ * accepted one through message.onDelivered so retries skip it
+ * Options override environment configuration:
+ *   url (SMS_GATEWAY_URL), token (SMS_GATEWAY_TOKEN), sender (SMS_SENDER_ID)
+ *
+ * Time Complexity: O(r) where r is number of recipients
+ */
+export const createSmsAdapter = (options = {}) => ({
+  name: 'sms',
+
+  async send(message) {
+    if (!message.recipients?.length) {
+      throw new Error('No SMS recipients configured');
+    }
+
+    const token = options.token ?? process.env.SMS_GATEWAY_TOKEN;
+    const sender = options.sender ?? process.env.SMS_SENDER_ID;
+
+    for (const to of message.recipients) {
+      await postJson(
+        options.url ?? process.env.SMS_GATEWAY_URL,
+        { to, message: message.body, ...(sender && { from: sender }) },
+        { headers: token ? { Authorization: `Bearer ${token}` } : {} }
+      );
+      message.onDelivered?.(to);
+    }
+
+    return { status: 'SENT', detail: `${message.recipients.length} message(s) accepted` };
+  }
+});
+
+export default createSmsAdapter;
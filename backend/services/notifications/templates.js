@@ -0,0 +1,105 @@
+/**
+ * Notification Templates
+ * Message bodies per source type with {{path}} placeholders resolved against:
+ *   alert, rule, event, eventLabel, reason
+ *
+ * Unknown placeholders render as an empty string.
+ * Time Complexity: O(t) where t is template length
+ */
+
+const EVENT_LABELS = {
+  escalate: 'ESCALATED',
+  step_up: 'STEPPED UP',
+  auto_close: 'AUTO-CLOSED'
+};
+
+const DEFAULT_TEMPLATE = {
+  subject: '[Sentinel] {{eventLabel}} {{alert.severity}} {{alert.sourceType}} alert {{alert.alertId}}',
+  body: [
+    'Alert {{alert.alertId}} was {{eventLabel}}.',
+    'Reason: {{reason}}',
+    'Driver: {{alert.metadata.driverName}} ({{alert.metadata.driverId}})',
+    'Vehicle: {{alert.metadata.vehicleNumber}}',
+    'Rule: {{rule.name}}'
+  ].join('\n')
+};
+
+const TEMPLATES = {
+  overspeed: {
+    subject: '[Sentinel] {{eventLabel}} overspeed: {{alert.metadata.driverName}} ({{alert.metadata.vehicleNumber}})',
+    body: [
+      'Driver {{alert.metadata.driverName}} ({{alert.metadata.driverId}}) was recorded at {{alert.metadata.speed}} km/h in a {{alert.metadata.speedLimit}} km/h zone.',
+      'Location: {{alert.metadata.location}}',
+      'Occurrences: {{alert.metadata.eventCount}}',
+      'Reason: {{reason}}',
+      'Alert: {{alert.alertId}} ({{alert.severity}})'
+    ].join('\n')
+  },
+  compliance: {
+    subject: '[Sentinel] {{eventLabel}} compliance: {{alert.metadata.documentType}} for {{alert.metadata.driverName}}',
+    body: [
+      '{{alert.metadata.documentType}} for driver {{alert.metadata.driverName}} ({{alert.metadata.driverId}}) requires attention.',
+      'Expiry date: {{alert.metadata.expiryDate}}',
+      'Reason: {{reason}}',
+      'Alert: {{alert.alertId}} ({{alert.severity}})'
+    ].join('\n')
+  },
+  feedback_negative: {
+    subject: '[Sentinel] {{eventLabel}} negative feedback: {{alert.metadata.driverName}}',
+    body: [
+      'Driver {{alert.metadata.driverName}} ({{alert.metadata.driverId}}) received a rating of {{alert.metadata.feedbackRating}}.',
+      'Comment: {{alert.metadata.feedbackComment}}',
+      'Reason: {{reason}}',
+      'Alert: {{alert.alertId}} ({{alert.severity}})'
+    ].join('\n')
+  },
+  maintenance: {
+    subject: '[Sentinel] {{eventLabel}} maintenance: {{alert.metadata.vehicleNumber}}',
+    body: [
+      'Vehicle {{alert.metadata.vehicleNumber}} ({{alert.metadata.vehicleId}}) needs maintenance.',
+      'Reason: {{reason}}',
+      'Alert: {{alert.alertId}} ({{alert.severity}})'
+    ].join('\n')
+  }
+};
+
+/**
+ * Resolve a dotted path against the template context
+ */
+const lookup = (context, path) => {
+  const value = path.split('.').reduce(
+    (current, key) => (current === null || current === undefined ? undefined : current[key]),
+    context
+  );
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+/**
+ * Render a template string
+ */
+export const renderTemplate = (template, context) =>
+  template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => lookup(context, path));
+
+/**
+ * Render the subject and body for a notification
+ * Time Complexity: O(t)
+ */
+export const renderNotification = ({ alert, rule, event, reason }) => {
+  const template = TEMPLATES[alert.sourceType] || DEFAULT_TEMPLATE;
+  const context = {
+    alert,
+    rule: rule || {},
+    event,
+    eventLabel: EVENT_LABELS[event] || event,
+    reason: reason || ''
+  };
+
+  return {
+    subject: renderTemplate(template.subject, context),
+    body: renderTemplate(template.body, context)
+  };
+};
+
+export default renderNotification;
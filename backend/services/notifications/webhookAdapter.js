@@ -0,0 +1,39 @@
+import crypto from 'crypto';
+import { postJson } from './http.js';
+
+/**
+ * Generic Outbound Webhook Adapter
+ * Posts the structured notification payload as JSON. When a secret is set the
+ * body is signed with HMAC-SHA256 in the X-Sentinel-Signature header.
+ * Each endpoint that accepts is reported through message.onDelivered.
+ * Options override environment configuration:
+ *   url (WEBHOOK_URL), secret (WEBHOOK_SECRET)
+ *
+ * Time Complexity: O(b) where b is payload size
+ */
+export const createWebhookAdapter = (options = {}) => ({
+  name: 'webhook',
+
+  async send(message) {
+    const urls = message.recipients?.length
+      ? message.recipients
+      : [options.url ?? process.env.WEBHOOK_URL];
+    const secret = options.secret ?? process.env.WEBHOOK_SECRET;
+    const body = JSON.stringify({ ...message.payload, subject: message.subject, message: message.body });
+
+    const headers = {};
+    if (secret) {
+      const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+      headers['X-Sentinel-Signature'] = `sha256=${signature}`;
+    }
+
+    for (const url of urls) {
+      await postJson(url, body, { headers });
+      if (message.recipients?.length) message.onDelivered?.(url);
+    }
+
+    return { status: 'SENT', detail: `${urls.length} endpoint(s) accepted` };
+  }
+});
+
+export default createWebhookAdapter;
@@ -0,0 +1,231 @@
+import Alert from '../models/Alert.js';
+import Driver from '../models/Driver.js';
+import Vehicle from '../models/Vehicle.js';
+import sourceTypeRegistry from './sourceTypeRegistry.js';
+import eventBus, { ALERT_EVENTS, ACTIVITY_EVENTS } from '../utils/eventBus.js';
+import { logger } from '../utils/logger.js';
+
+const SEVERITY_WEIGHTS = { INFO: 1, WARNING: 3, CRITICAL: 10 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Drivers and vehicles are scored the same way from their own alerts
+const SUBJECTS = {
+  driver: { model: Driver, idField: 'driverId', alertField: 'metadata.driverId' },
+  vehicle: { model: Vehicle, idField: 'vehicleId', alertField: 'metadata.vehicleId' }
+};
+
+/**
+ * Risk Scoring Service
+ * Keeps the risk score of drivers and vehicles current as alerts arrive
+ *
+ * Each alert in the last RISK_WINDOW_DAYS contributes
+ *   severity weight (INFO 1, WARNING 3, CRITICAL 10)
+ *   × source type riskWeight
+ *   × folded event count
+ *   × 0.5 ^ (age in days / RISK_HALF_LIFE_DAYS)
+ * and the sum is mapped onto 0-100 with 100 × (1 − e^(−sum / RISK_SCORE_SCALE)),
+ * so scores saturate instead of growing without bound. 70+ is HIGH, 40+ MEDIUM.
+ *
+ * Scores are recomputed for the alert's driver and vehicle on every status
+ * event and every folded repeat (alert.occurrence) on the event bus, and for
+ * everyone by the periodic risk job so that old alerts decay. Drivers and
+ * vehicles first seen on an alert are registered.
+ *
+ * Time Complexity: O(a) per recompute where a is alerts in the window
+ * Space Complexity: O(a)
+ *
+ * Trade-offs:
+ * - A stream of repeats rescores on every fold; bulk ingestion publishes one
+ *   occurrence per alert, so a batch rescores each subject once per alert
+ */
+class RiskScoringService {
+  constructor() {
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Alerts older than this do not count
+   * Time Complexity: O(1)
+   */
+  getWindowDays() {
+    return parseInt(process.env.RISK_WINDOW_DAYS) || 30;
+  }
+
+  /**
+   * Age at which an alert counts half
+   * Time Complexity: O(1)
+   */
+  getHalfLifeDays() {
+    return parseFloat(process.env.RISK_HALF_LIFE_DAYS) || 7;
+  }
+
+  /**
+   * Weighted sum that maps to a score of ~63
+   * Time Complexity: O(1)
+   */
+  getScale() {
+    return parseFloat(process.env.RISK_SCORE_SCALE) || 20;
+  }
+
+  /**
+   * Risk level for a score
+   * Time Complexity: O(1)
+   */
+  getLevel(score) {
+    if (score >= 70) return 'HIGH';
+    if (score >= 40) return 'MEDIUM';
+    return 'LOW';
+  }
+
+  /**
+   * Risk profile for a set of alerts
+   * @param {Array} alerts - { sourceType, severity, timestamp, lastSeenAt, metadata.eventCount }
+   * @param {Map<string, number>} sourceWeights - riskWeight by source type name
+   * @returns {{ score, level, alertCount, lastAlertAt, updatedAt }}
+   * Time Complexity: O(a)
+   */
+  score(alerts, sourceWeights, now = new Date()) {
+    const halfLifeMs = this.getHalfLifeDays() * DAY_MS;
+
+    const weighted = alerts.reduce((sum, alert) => {
+      const seenAt = alert.lastSeenAt || alert.timestamp;
+      const age = Math.max(0, now.getTime() - seenAt.getTime());
+      return sum
+        + (SEVERITY_WEIGHTS[alert.severity] || 1)
+        * (sourceWeights.get(alert.sourceType) ?? 1)
+        * (alert.metadata?.eventCount || 1)
+        * Math.pow(0.5, age / halfLifeMs);
+    }, 0);
+
+    const score = Math.round(100 * (1 - Math.exp(-weighted / this.getScale())));
+    const lastAlertAt = alerts.length > 0
+      ? new Date(Math.max(...alerts.map(alert => (alert.lastSeenAt || alert.timestamp).getTime())))
+      : undefined;
+
+    return { score, level: this.getLevel(score), alertCount: alerts.length, lastAlertAt, updatedAt: now };
+  }
+
+  /**
+   * riskWeight of every source type
+   * Time Complexity: O(t)
+   */
+  async getSourceWeights() {
+    const sourceTypes = await sourceTypeRegistry.getAll();
+    return new Map(sourceTypes.map(sourceType => [sourceType.name, sourceType.riskWeight ?? 1]));
+  }
+
+  /**
+   * Recompute and store the risk profile of one driver or vehicle
+   * @param {'driver'|'vehicle'} kind
+   * @returns {Object|null} the risk profile, or null when the record does not exist
+   * Time Complexity: O(log n + a)
+   */
+  async recompute(kind, id, sourceWeights) {
+    const { model, idField, alertField } = SUBJECTS[kind];
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - this.getWindowDays() * DAY_MS);
+
+    const alerts = await Alert.find({
+      [alertField]: id,
+      $or: [{ timestamp: { $gte: windowStart } }, { lastSeenAt: { $gte: windowStart } }]
+    })
+      .select('sourceType severity timestamp lastSeenAt metadata.eventCount')
+      .lean();
+
+    const risk = this.score(alerts, sourceWeights || await this.getSourceWeights(), now);
+    const { matchedCount } = await model.updateOne({ [idField]: id }, { $set: { risk } });
+
+    return matchedCount > 0 ? risk : null;
+  }
+
+  /**
+   * Register the driver and vehicle of an alert when first seen
+   * Existing records are left alone, so a renamed driver keeps its new name
+   * Time Complexity: O(log n)
+   */
+  async register({ driverId, driverName, vehicleId, vehicleNumber }) {
+    await Promise.all([
+      driverId && Driver.updateOne(
+        { driverId },
+        { $setOnInsert: { driverId, name: driverName || driverId } },
+        { upsert: true }
+      ),
+      vehicleId && Vehicle.updateOne(
+        { vehicleId },
+        { $setOnInsert: { vehicleId, registrationNumber: vehicleNumber } },
+        { upsert: true }
+      )
+    ]);
+  }
+
+  /**
+   * Register and rescore the driver and vehicle of an alert
+   * Time Complexity: O(log n + a)
+   */
+  async handleAlert(alert, { register = false } = {}) {
+    if (!alert?.driverId && !alert?.vehicleId) return;
+
+    if (register) await this.register(alert);
+
+    const sourceWeights = await this.getSourceWeights();
+    await Promise.all([
+      alert.driverId && this.recompute('driver', alert.driverId, sourceWeights),
+      alert.vehicleId && this.recompute('vehicle', alert.vehicleId, sourceWeights)
+    ]);
+  }
+
+  /**
+   * Recompute every driver and vehicle (periodic job)
+   * @returns {{ drivers, vehicles }} number of records rescored
+   * Time Complexity: O(d + v) recomputes
+   */
+  async recomputeAll() {
+    const sourceWeights = await this.getSourceWeights();
+    const counts = {};
+
+    for (const [kind, { model, idField }] of Object.entries(SUBJECTS)) {
+      counts[`${kind}s`] = 0;
+      for await (const record of model.find().select(idField).lean().cursor()) {
+        await this.recompute(kind, record[idField], sourceWeights);
+        counts[`${kind}s`]++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Rescore drivers and vehicles as their alerts are created, transition and
+   * have repeats folded in
+   * Time Complexity: O(1)
+   */
+  start() {
+    if (this.unsubscribe) return;
+
+    const activityEvents = Object.values(ACTIVITY_EVENTS);
+    this.unsubscribe = eventBus.subscribe(({ type, payload }) => {
+      // Status events and folded repeats (OCCURRENCE_EVENT) change the score;
+      // assignments and comments do not
+      if (!payload?.alert || activityEvents.includes(type)) return;
+
+      this.handleAlert(payload.alert, { register: type === ALERT_EVENTS.OPEN }).catch(error => {
+        logger.error(`Error updating risk for alert ${payload.alertId}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Stop following alert events
+   * Time Complexity: O(1)
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+}
+
+// Export singleton instance
+const riskScoring = new RiskScoringService();
+export default riskScoring;
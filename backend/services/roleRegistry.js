@@ -0,0 +1,165 @@
+import Role from '../models/Role.js';
+import { PERMISSION_NAMES, ADMIN_ROLE } from '../models/permissions.js';
+import cacheManager from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+
+const CACHE_KEY = 'roles:all';
+const CACHE_TTL_SECS = 300;
+
+const USER_PERMISSIONS = [
+  'alerts:read',
+  'alerts:create',
+  'alerts:acknowledge',
+  'alerts:comment',
+  'rules:read'
+];
+
+// Registered on first start; users created before roles were stored refer to these
+const DEFAULT_ROLES = [
+  {
+    name: 'user',
+    label: 'User',
+    description: 'Watches alerts, acknowledges and comments on them',
+    permissions: USER_PERMISSIONS
+  },
+  {
+    name: 'operator',
+    label: 'Operator',
+    description: 'Works alerts through to resolution and silences noise',
+    permissions: [
+      ...USER_PERMISSIONS,
+      'alerts:update',
+      'alerts:resolve',
+      'alerts:assign',
+      'rules:toggle',
+      'silences:write'
+    ]
+  },
+  {
+    name: ADMIN_ROLE,
+    label: 'Admin',
+    description: 'Every permission, including user and role management',
+    permissions: PERMISSION_NAMES
+  }
+];
+
+/**
+ * Error raised for role changes that cannot be applied
+ * statusCode is picked up by the global error handler
+ */
+export class RoleError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'RoleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Role Registry
+ * Looks up roles and the permissions they grant
+ *
+ * Roles are cached like source types (and dropped on every change made
+ * through this instance), so permission checks do not query the database
+ * per request.
+ *
+ * Time Complexity: O(1) per lookup on cache hit
+ * Space Complexity: O(r * p) where r is roles and p is permissions per role
+ *
+ * Trade-offs:
+ * - Cache TTL vs propagation: a role edited on another instance applies
+ *   here within CACHE_TTL_SECS
+ * - The admin role is resolved from the catalogue, not the database, so it
+ *   gains new permissions without a migration
+ */
+class RoleRegistry {
+  /**
+   * All roles, sorted by name
+   * Time Complexity: O(r log r) on cache miss, O(1) on hit
+   */
+  async getAll() {
+    let roles = cacheManager.get(CACHE_KEY);
+    if (!roles) {
+      roles = await Role.find().sort({ name: 1 }).lean();
+      cacheManager.set(CACHE_KEY, roles, CACHE_TTL_SECS);
+    }
+    return roles;
+  }
+
+  /**
+   * Drop the cached roles after a change
+   * Time Complexity: O(1)
+   */
+  invalidate() {
+    cacheManager.delete(CACHE_KEY);
+  }
+
+  /**
+   * Role by name, or null
+   * Time Complexity: O(r)
+   */
+  async get(name) {
+    const roles = await this.getAll();
+    return roles.find(role => role.name === name) || null;
+  }
+
+  /**
+   * Throw unless the role exists
+   * For express-validator custom validators
+   * Time Complexity: O(r)
+   */
+  async assertExists(name) {
+    if (!(await this.get(name))) {
+      throw new RoleError(`Unknown role "${name}"`);
+    }
+    return true;
+  }
+
+  /**
+   * Permissions granted by a role; none for an unknown role
+   * Time Complexity: O(r)
+   */
+  async getPermissions(name) {
+    if (name === ADMIN_ROLE) return PERMISSION_NAMES;
+
+    const role = await this.get(name);
+    return role ? role.permissions : [];
+  }
+
+  /**
+   * Whether a user holds every one of the given permissions
+   * Time Complexity: O(r + p)
+   */
+  async can(user, ...permissions) {
+    const granted = await this.getPermissions(user.role);
+    return permissions.every(permission => granted.includes(permission));
+  }
+
+  /**
+   * The given permissions a user's role does not hold
+   * Used to stop users handing out (via roles or role changes) more than they have
+   * Time Complexity: O(r + p)
+   */
+  async lacking(user, permissions) {
+    const granted = await this.getPermissions(user.role);
+    return permissions.filter(permission => !granted.includes(permission));
+  }
+
+  /**
+   * Register any missing built-in role
+   * Time Complexity: O(d) where d is number of default roles
+   */
+  async ensureDefaults() {
+    const existing = await Role.find({ name: { $in: DEFAULT_ROLES.map(role => role.name) } }).distinct('name');
+    const missing = DEFAULT_ROLES.filter(role => !existing.includes(role.name));
+    if (missing.length === 0) return;
+
+    await Role.insertMany(missing.map(role => ({ ...role, builtIn: true })));
+    this.invalidate();
+    logger.info(`Registered ${missing.length} default role(s)`);
+  }
+}
+
+// Export singleton instance
+const roleRegistry = new RoleRegistry();
+export default roleRegistry;
@@ -0,0 +1,342 @@
+import yaml from 'js-yaml';
+import Rule from '../models/Rule.js';
+import { logger } from '../utils/logger.js';
+import { diffObjects } from '../utils/diff.js';
+import ruleVersioning, { VERSIONED_FIELDS } from './ruleVersioning.js';
+
+export const BUNDLE_KIND = 'sentinel-rules';
+export const BUNDLE_VERSION = 1;
+const BUNDLE_FIELDS = ['ruleId', ...VERSIONED_FIELDS];
+
+/**
+ * Error raised for bundles that cannot be imported
+ * statusCode is picked up by the global error handler
+ */
+export class BundleError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'BundleError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Drop empty values so bundles only carry what is configured
+ */
+function compact(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value : undefined;
+  if (value === null || value === '' || value === undefined) return undefined;
+  if (typeof value !== 'object') return value;
+
+  const result = {};
+  for (const [key, child] of Object.entries(value)) {
+    const compacted = compact(child);
+    if (compacted !== undefined) result[key] = compacted;
+  }
+  return Object.keys(result).length > 0 ? result : undefined;
+}
+
+/**
+ * Rule Bundle Service
+ * Exports all rules as a portable bundle (JSON or YAML) and imports a bundle
+ * as a plan of create / update / delete operations per ruleId.
+ *
+ * Import is all-or-nothing: every rule in the bundle is validated against the
+ * Rule model before anything is written, and if a write fails part-way the
+ * operations already applied are reverted. MongoDB transactions are not used
+ * because they require a replica set; reverts are recorded as rule versions.
+ *
+ * Time Complexity: O(r * f) per export / plan / apply where r is rules, f is fields per rule
+ * Space Complexity: O(r * f)
+ */
+class RuleBundleService {
+  /**
+   * Portable form of a rule: ruleId plus versioned fields, empty values dropped
+   * Time Complexity: O(f)
+   */
+  toBundleRule(rule) {
+    return { ruleId: rule.ruleId, ...compact(ruleVersioning.snapshot(rule)) };
+  }
+
+  /**
+   * Bundle of every rule, ordered by ruleId
+   * Time Complexity: O(r * f)
+   */
+  async exportBundle() {
+    const rules = await Rule.find().sort({ ruleId: 1 });
+
+    return {
+      kind: BUNDLE_KIND,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      rules: rules.map(rule => this.toBundleRule(rule))
+    };
+  }
+
+  /**
+   * Serialise a bundle
+   * Time Complexity: O(b) where b is bundle size
+   */
+  serialize(bundle, format = 'json') {
+    return format === 'yaml'
+      ? yaml.dump(bundle, { noRefs: true, lineWidth: 120 })
+      : JSON.stringify(bundle, null, 2);
+  }
+
+  /**
+   * Parse a request body into a bundle: a JSON object, or YAML / JSON text
+   * Time Complexity: O(b)
+   */
+  parse(body) {
+    let bundle = body;
+
+    if (typeof body === 'string') {
+      try {
+        // JSON is a subset of YAML, so one parser covers both text forms
+        bundle = yaml.load(body, { schema: yaml.JSON_SCHEMA });
+      } catch (error) {
+        throw new BundleError(`Bundle could not be parsed: ${error.reason || error.message}`);
+      }
+    }
+
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      throw new BundleError('Bundle must be an object');
+    }
+    if (bundle.kind !== undefined && bundle.kind !== BUNDLE_KIND) {
+      throw new BundleError(`Unsupported bundle kind '${bundle.kind}'`);
+    }
+    if (bundle.version !== undefined && bundle.version !== BUNDLE_VERSION) {
+      throw new BundleError(`Unsupported bundle version ${bundle.version}`);
+    }
+    if (!Array.isArray(bundle.rules)) {
+      throw new BundleError('Bundle must contain a rules array');
+    }
+
+    return bundle;
+  }
+
+  /**
+   * Work out what importing a bundle would do, validating every rule
+   *
+   * @param {Object} bundle - Parsed bundle
+   * @param {Object} [options] - { prune } delete rules missing from the bundle
+   * @returns {{ valid, summary, operations }}
+   * Time Complexity: O(r * f)
+   */
+  async plan(bundle, { prune = false } = {}) {
+    const existing = await Rule.find();
+    const byId = new Map(existing.map(rule => [rule.ruleId, rule]));
+    const seen = new Set();
+    const operations = [];
+
+    for (const [index, entry] of bundle.rules.entries()) {
+      const errors = [];
+      const ruleId = typeof entry?.ruleId === 'string' ? entry.ruleId.trim() : '';
+
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        operations.push({ index, ruleId: null, action: 'invalid', errors: ['Rule must be an object'] });
+        continue;
+      }
+      if (!ruleId) {
+        errors.push('ruleId is required');
+      } else if (seen.has(ruleId)) {
+        errors.push(`Duplicate ruleId '${ruleId}' in bundle`);
+      }
+      seen.add(ruleId);
+
+      Object.keys(entry)
+        .filter(key => !BUNDLE_FIELDS.includes(key))
+        .forEach(key => errors.push(`Unknown field '${key}'`));
+
+      const current = byId.get(ruleId);
+      const candidate = this.buildCandidate(entry, ruleId);
+      try {
+        await candidate.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        Object.values(error.errors).forEach(item => errors.push(item.message));
+      }
+
+      if (errors.length > 0) {
+        operations.push({ index, ruleId: ruleId || null, action: 'invalid', errors });
+        continue;
+      }
+
+      const after = ruleVersioning.snapshot(candidate);
+      if (!current) {
+        operations.push({ index, ruleId, action: 'create', changes: diffObjects(null, after), after });
+        continue;
+      }
+
+      const changes = diffObjects(ruleVersioning.snapshot(current), after);
+      operations.push({
+        index,
+        ruleId,
+        action: changes.length > 0 ? 'update' : 'unchanged',
+        fromVersion: current.version,
+        changes,
+        after
+      });
+    }
+
+    if (prune) {
+      existing
+        .filter(rule => !seen.has(rule.ruleId))
+        .forEach(rule => operations.push({
+          ruleId: rule.ruleId,
+          action: 'delete',
+          fromVersion: rule.version,
+          changes: diffObjects(ruleVersioning.snapshot(rule), null)
+        }));
+    }
+
+    const summary = { create: 0, update: 0, delete: 0, unchanged: 0, invalid: 0 };
+    operations.forEach(operation => summary[operation.action]++);
+
+    return { valid: summary.invalid === 0, summary, operations };
+  }
+
+  /**
+   * Unsaved rule document holding the bundle's fields
+   * Fields missing from the bundle fall back to model defaults, so a bundle
+   * fully describes each rule it contains
+   * Time Complexity: O(f)
+   */
+  buildCandidate(entry, ruleId) {
+    const fields = {};
+    VERSIONED_FIELDS.forEach(field => {
+      if (entry[field] !== undefined) fields[field] = entry[field];
+    });
+
+    return new Rule({ ...fields, ruleId });
+  }
+
+  /**
+   * Apply a valid plan; reverts applied operations if any write fails
+   *
+   * @returns {Array} applied operations with their new version numbers
+   * Time Complexity: O(r * f)
+   */
+  async apply(plan, { user, comment } = {}) {
+    if (!plan.valid) {
+      throw new BundleError('Bundle has invalid rules; nothing was applied', 422);
+    }
+
+    const note = comment ? `Import: ${comment}` : 'Imported from rule bundle';
+    const applied = [];
+
+    try {
+      for (const operation of plan.operations) {
+        if (operation.action === 'unchanged') continue;
+        applied.push(await this.applyOperation(operation, { user, comment: note }));
+      }
+    } catch (error) {
+      logger.error(`Rule import failed after ${applied.length} operations; reverting:`, error);
+      await this.revert(applied, { user });
+      if (error.statusCode) throw error;
+      throw new BundleError(`Import failed and was reverted: ${error.message}`, 500);
+    }
+
+    logger.info(`Rule bundle imported: ${applied.length} operations${user ? ` by ${user.email}` : ''}`);
+    return applied.map(({ ruleId, action, version }) => ({ ruleId, action, version }));
+  }
+
+  /**
+   * Apply one planned operation, checking the rule has not changed since planning
+   * Time Complexity: O(f)
+   */
+  async applyOperation(operation, { user, comment }) {
+    const { ruleId, action } = operation;
+    const current = await Rule.findOne({ ruleId });
+
+    if (action === 'create') {
+      if (current) {
+        throw new BundleError(`Rule ${ruleId} was created while importing`, 409);
+      }
+      const rule = new Rule({ ...operation.after, ruleId, createdBy: user?._id });
+      const { version } = await ruleVersioning.save(rule, { action: 'create', user, comment });
+      return { ruleId, action, version: version.version, before: null };
+    }
+
+    if (!current || current.version !== operation.fromVersion) {
+      throw new BundleError(`Rule ${ruleId} was modified while importing`, 409);
+    }
+    const before = ruleVersioning.snapshot(current);
+
+    if (action === 'delete') {
+      const version = await ruleVersioning.recordDeletion(current, { user, comment });
+      await current.deleteOne();
+      return { ruleId, action, version: version.version, before, createdBy: current.createdBy };
+    }
+
+    VERSIONED_FIELDS.forEach(field => current.set(field, operation.after[field]));
+    const { version } = await ruleVersioning.save(current, { before, action: 'update', user, comment });
+    return { ruleId, action, version: version?.version ?? current.version, before };
+  }
+
+  /**
+   * Undo applied operations in reverse order; failures are logged and skipped
+   * Time Complexity: O(a * f) where a is applied operations
+   */
+  async revert(applied, { user } = {}) {
+    const comment = 'Reverted failed rule import';
+
+    for (const operation of [...applied].reverse()) {
+      try {
+        const rule = await Rule.findOne({ ruleId: operation.ruleId });
+
+        if (operation.action === 'create' && rule) {
+          await ruleVersioning.recordDeletion(rule, { user, comment });
+          await rule.deleteOne();
+        } else if (operation.action === 'delete' && !rule) {
+          const restored = new Rule({ ...operation.before, ruleId: operation.ruleId, createdBy: operation.createdBy });
+          await ruleVersioning.save(restored, { action: 'create', user, comment });
+        } else if (operation.action === 'update' && rule) {
+          const before = ruleVersioning.snapshot(rule);
+          VERSIONED_FIELDS.forEach(field => rule.set(field, operation.before[field]));
+          await ruleVersioning.save(rule, { before, action: 'rollback', user, comment });
+        }
+      } catch (error) {
+        logger.error(`Failed to revert import of rule ${operation.ruleId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Plan and, unless dryRun, apply a bundle
+   * A bundle with invalid rules is never applied; the plan is returned with
+   * valid: false and applied: false so callers can report every problem.
+   *
+   * @param {Object|string} body - Bundle object or YAML / JSON text
+   * @param {Object} [options] - { dryRun, prune, user, comment }
+   * @returns {{ dryRun, applied, valid, summary, operations }}
+   * Time Complexity: O(r * f)
+   */
+  async importBundle(body, { dryRun = false, prune = false, user, comment } = {}) {
+    const bundle = this.parse(body);
+    const plan = await this.plan(bundle, { prune });
+    const operations = plan.operations.map(({ after, ...operation }) => operation);
+
+    if (dryRun || !plan.valid) {
+      return { dryRun, applied: false, valid: plan.valid, summary: plan.summary, operations };
+    }
+
+    const results = await this.apply(plan, { user, comment });
+    const versions = new Map(results.map(result => [result.ruleId, result.version]));
+
+    return {
+      dryRun: false,
+      applied: true,
+      valid: true,
+      summary: plan.summary,
+      operations: operations.map(operation => ({
+        ...operation,
+        ...(versions.has(operation.ruleId) && { version: versions.get(operation.ruleId) })
+      }))
+    };
+  }
+}
+
+// Export singleton instance
+const ruleBundle = new RuleBundleService();
+export default ruleBundle;
@@ -0,0 +1,328 @@
+import Alert from '../models/Alert.js';
+import ruleEngine from './ruleEngine.js';
+import groupService from './groupService.js';
+import { isWithinWindows } from '../utils/timeWindows.js';
+
+const MS_PER_MINUTE = 60 * 1000;
+const DEFAULT_RANGE_MS = 24 * 60 * MS_PER_MINUTE;
+
+/**
+ * Error raised for simulation requests that cannot be run
+ * statusCode is picked up by the global error handler
+ */
+export class SimulationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SimulationError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Rule Simulator
+ * Replays a single rule against historical alerts without mutating anything
+ *
+ * Each alert raised in the range is stepped through the instants at which the
+ * live engine would have looked at it: its own events, later events of the same
+ * driver (which change the window count), the auto_close_after_mins deadline and
+ * the end of the replay. At each instant escalation and auto-close are decided
+ * exactly as RuleEngine.evaluateRule does, with time functions evaluated as of
+ * that instant. Replay ends at the first simulated auto-close or at the alert's
+ * manual resolution, whichever comes first. Alerts outside the rule's scope
+ * are not replayed (outOfScope) and instants outside its activation windows
+ * are skipped; silences are not applied.
+ *
+ * Time Complexity: O(n log n + n * k * w) where n is alerts loaded, k is
+ * instants per alert, w is events in the count window
+ * Space Complexity: O(n + e) where e is events loaded
+ *
+ * Trade-offs:
+ * - The rule is replayed in isolation: priority, stopProcessing and other rules
+ *   of the source type are not considered
+ * - Expression conditions are checked at event instants rather than on every
+ *   scheduler tick, so purely time-based conditions report the first event
+ *   instant (or the end of the replay) at which they held
+ * - Window counts exclude alerts resolved by a user, but not alerts that
+ *   existing rules escalated or auto-closed
+ */
+class RuleSimulator {
+  /**
+   * Maximum number of alerts loaded for one simulation
+   * Time Complexity: O(1)
+   */
+  getMaxAlerts() {
+    return parseInt(process.env.SIMULATION_MAX_ALERTS) || 5000;
+  }
+
+  /**
+   * Longest range that can be replayed in one request
+   * Time Complexity: O(1)
+   */
+  getMaxRangeMs() {
+    return (parseInt(process.env.SIMULATION_MAX_RANGE_DAYS) || 31) * 24 * 60 * MS_PER_MINUTE;
+  }
+
+  /**
+   * Resolve and check the requested range; defaults to the last 24 hours
+   * Time Complexity: O(1)
+   */
+  resolveRange({ from, to } = {}, now = Date.now()) {
+    const end = to ? new Date(to).getTime() : now;
+    const start = from ? new Date(from).getTime() : end - DEFAULT_RANGE_MS;
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new SimulationError('from and to must be valid dates');
+    }
+    if (start >= end) {
+      throw new SimulationError('from must be before to');
+    }
+    if (end - start > this.getMaxRangeMs()) {
+      throw new SimulationError(`Range cannot exceed ${this.getMaxRangeMs() / (24 * 60 * MS_PER_MINUTE)} days`);
+    }
+
+    return { start, end: Math.min(end, now) };
+  }
+
+  /**
+   * Replay a rule (saved or unsaved Rule document) against alerts raised in the range
+   *
+   * @param {Rule} rule - Rule document; only its conditions and actions are used
+   * @param {Object} [options] - { from, to }
+   * @returns {{ rule, range, summary, results }}
+   * Time Complexity: see class
+   */
+  async simulate(rule, options = {}) {
+    const now = Date.now();
+    const { start, end } = this.resolveRange(options, now);
+    const windowMs = (rule.conditions?.window_mins || 0) * MS_PER_MINUTE;
+    const maxAlerts = this.getMaxAlerts();
+
+    // Alerts raised before the range still count towards windows inside it
+    const lookbackStart = new Date(start - windowMs);
+    const alerts = await Alert.find({
+      sourceType: rule.sourceType,
+      $or: [
+        { timestamp: { $gte: lookbackStart, $lte: new Date(end) } },
+        { lastSeenAt: { $gte: lookbackStart } }
+      ]
+    })
+      .select('alertId sourceType severity status timestamp lastSeenAt metadata occurrences escalatedAt autoClosedAt resolvedAt')
+      .sort({ timestamp: 1 })
+      .limit(maxAlerts + 1)
+      .lean();
+
+    const truncated = alerts.length > maxAlerts;
+    if (truncated) alerts.pop();
+
+    const driverEvents = this.indexDriverEvents(alerts);
+    const usesGroups = rule.scope?.groups?.length > 0;
+    const results = [];
+    const summary = {
+      evaluated: 0,
+      outOfScope: 0,
+      wouldEscalate: 0,
+      wouldAutoClose: 0,
+      actuallyEscalated: 0,
+      actuallyAutoClosed: 0,
+      truncated
+    };
+
+    for (const alert of alerts) {
+      const raisedAt = new Date(alert.timestamp).getTime();
+      if (raisedAt < start || raisedAt > end) continue;
+
+      const groupIds = usesGroups ? await groupService.getGroupIds(alert) : undefined;
+      if (!rule.matchesScope(alert, groupIds)) {
+        summary.outOfScope++;
+        continue;
+      }
+
+      summary.evaluated++;
+      if (alert.escalatedAt) summary.actuallyEscalated++;
+      if (alert.autoClosedAt) summary.actuallyAutoClosed++;
+
+      const outcome = this.replayAlert(rule, alert, driverEvents, now);
+      if (outcome.escalateAt) summary.wouldEscalate++;
+      if (outcome.autoCloseAt) summary.wouldAutoClose++;
+
+      if (outcome.escalateAt || outcome.autoCloseAt) {
+        results.push({
+          alertId: alert.alertId,
+          driverId: alert.metadata?.driverId,
+          driverName: alert.metadata?.driverName,
+          severity: alert.severity,
+          timestamp: alert.timestamp,
+          ...outcome,
+          actual: {
+            status: alert.status,
+            escalatedAt: alert.escalatedAt,
+            autoClosedAt: alert.autoClosedAt,
+            resolvedAt: alert.resolvedAt
+          }
+        });
+      }
+    }
+
+    return {
+      rule: { ruleId: rule.ruleId, name: rule.name, sourceType: rule.sourceType },
+      range: { from: new Date(start), to: new Date(end) },
+      summary,
+      results
+    };
+  }
+
+  /**
+   * Step one alert through its evaluation instants
+   * Time Complexity: O(k * w) where k is instants, w is events in window
+   */
+  replayAlert(rule, alert, driverEvents, now) {
+    const { conditions = {}, actions = {} } = rule;
+    const raisedAt = new Date(alert.timestamp).getTime();
+    const horizon = Math.min(now, alert.resolvedAt ? new Date(alert.resolvedAt).getTime() : Infinity);
+    const ownEvents = this.getEventTimes(alert);
+    const events = driverEvents.get(this.driverKey(alert)) || [];
+    const closeDeadline = conditions.auto_close_after_mins
+      ? raisedAt + conditions.auto_close_after_mins * MS_PER_MINUTE
+      : null;
+
+    const instants = new Set(ownEvents.filter(time => time <= horizon));
+    if (conditions.escalate_if_count && conditions.window_mins) {
+      events.forEach(event => {
+        if (event.time >= raisedAt && event.time <= horizon) instants.add(event.time);
+      });
+    }
+    if (closeDeadline !== null && closeDeadline <= horizon) instants.add(closeDeadline);
+    instants.add(Math.max(raisedAt, horizon));
+
+    const state = { ...alert, status: 'OPEN', escalatedAt: undefined };
+    const outcome = { escalateAt: null, escalateReason: null, autoCloseAt: null, autoCloseReason: null };
+
+    for (const time of [...instants].sort((a, b) => a - b)) {
+      if (time < raisedAt) continue;
+      if (!isWithinWindows(rule.schedule?.windows, new Date(time), rule.schedule?.timezone || 'UTC')) continue;
+
+      const eventCount = ownEvents.filter(eventTime => eventTime <= time).length;
+      state.metadata = { ...alert.metadata, eventCount: Math.max(eventCount, 1) };
+
+      if (state.status === 'OPEN') {
+        const reason = this.checkEscalation(rule, state, events, time);
+        if (reason) {
+          state.status = 'ESCALATED';
+          state.escalatedAt = new Date(time);
+          state.severity = actions.escalate_to_severity || 'CRITICAL';
+          outcome.escalateAt = new Date(time);
+          outcome.escalateReason = reason;
+        }
+      }
+
+      const closeReason = this.checkAutoClose(rule, state, time, closeDeadline);
+      if (closeReason) {
+        outcome.autoCloseAt = new Date(time);
+        outcome.autoCloseReason = closeReason;
+        break;
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Escalation decision at an instant, mirroring RuleEngine.evaluateRule
+   * Time Complexity: O(log e + w + m)
+   */
+  checkEscalation(rule, state, events, time) {
+    const { conditions } = rule;
+
+    if (conditions.escalate_if_count && conditions.window_mins) {
+      const count = this.countAt(events, time, conditions.window_mins * MS_PER_MINUTE);
+      if (count >= conditions.escalate_if_count) {
+        return `${count} ${state.sourceType} events detected within ${conditions.window_mins} minutes`;
+      }
+    }
+
+    if (conditions.escalate_if && ruleEngine.evaluateCondition(rule, 'escalate_if', state, time)) {
+      return `Condition met: ${conditions.escalate_if}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Auto-close decision at an instant, mirroring RuleEngine.evaluateRule
+   * Time Complexity: O(m)
+   */
+  checkAutoClose(rule, state, time, closeDeadline) {
+    const { conditions } = rule;
+
+    if (conditions.auto_close_if && state.metadata &&
+        ruleEngine.evaluateCondition(rule, 'auto_close_if', state, time)) {
+      return `Condition met: ${conditions.auto_close_if}`;
+    }
+
+    if (closeDeadline !== null && time >= closeDeadline) {
+      return `Alert aged beyond ${conditions.auto_close_after_mins} minutes`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Events of a driver within (time - windowMs, time] whose alert was still
+   * unresolved at that time
+   * Time Complexity: O(log e + w)
+   */
+  countAt(events, time, windowMs) {
+    const windowStart = time - windowMs;
+    let low = 0;
+    let high = events.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (events[mid].time < windowStart) low = mid + 1;
+      else high = mid;
+    }
+
+    let count = 0;
+    for (let i = low; i < events.length && events[i].time <= time; i++) {
+      if (events[i].resolvedAt === null || events[i].resolvedAt > time) count++;
+    }
+    return count;
+  }
+
+  /**
+   * Sorted event list per driver across all loaded alerts
+   * Time Complexity: O(e log e)
+   */
+  indexDriverEvents(alerts) {
+    const index = new Map();
+
+    alerts.forEach(alert => {
+      const key = this.driverKey(alert);
+      const resolvedAt = alert.resolvedAt ? new Date(alert.resolvedAt).getTime() : null;
+      if (!index.has(key)) index.set(key, []);
+      const events = index.get(key);
+      this.getEventTimes(alert).forEach(time => events.push({ time, resolvedAt }));
+    });
+
+    index.forEach(events => events.sort((a, b) => a.time - b.time));
+    return index;
+  }
+
+  /**
+   * Event times of an alert; alerts created before folding count their timestamp once
+   * Time Complexity: O(o) where o is occurrences
+   */
+  getEventTimes(alert) {
+    const times = alert.occurrences?.length > 0
+      ? alert.occurrences.map(occurrence => new Date(occurrence.timestamp).getTime())
+      : [new Date(alert.timestamp).getTime()];
+    return times.sort((a, b) => a - b);
+  }
+
+  driverKey(alert) {
+    return String(alert.metadata?.driverId ?? '');
+  }
+}
+
+// Export singleton instance
+const ruleSimulator = new RuleSimulator();
+export default ruleSimulator;
@@ -0,0 +1,70 @@
+import Silence from '../models/Silence.js';
+import cacheManager from '../utils/cache.js';
+import { logger } from '../utils/logger.js';
+
+const CACHE_KEY = 'silences:current';
+const CACHE_TTL_SECS = 60;
+
+/**
+ * Silence Service
+ * Answers "is this alert silenced for this effect right now?" for the rule
+ * engine and action pipeline
+ *
+ * Silences that have not ended are cached for a minute (and dropped on every
+ * change made through this instance), so the hot path does not query the
+ * database per alert.
+ *
+ * Time Complexity: O(s) per lookup where s is current silences
+ * Space Complexity: O(s)
+ *
+ * Trade-offs:
+ * - Cache TTL vs propagation: a silence created on another instance takes
+ *   effect here within CACHE_TTL_SECS
+ */
+class SilenceService {
+  /**
+   * Silences that have not ended yet (current and upcoming)
+   * Time Complexity: O(log n + s) on cache miss, O(1) on hit
+   */
+  async getCurrent() {
+    let silences = cacheManager.get(CACHE_KEY);
+    if (!silences) {
+      silences = await Silence.find({ endsAt: { $gt: new Date() } }).sort({ startsAt: 1 });
+      cacheManager.set(CACHE_KEY, silences, CACHE_TTL_SECS);
+    }
+    return silences;
+  }
+
+  /**
+   * Drop the cached silences after a change
+   * Time Complexity: O(1)
+   */
+  invalidate() {
+    cacheManager.delete(CACHE_KEY);
+  }
+
+  /**
+   * First silence suppressing an effect for an alert at an instant, or null
+   *
+   * @param {Object} alert - Alert document or plain alert
+   * @param {string} effect - escalation | notification
+   * @param {Date} [at]
+   * Time Complexity: O(s)
+   */
+  async findMatching(alert, effect, at = new Date()) {
+    try {
+      const silences = await this.getCurrent();
+      return silences.find(silence =>
+        silence.suppress.includes(effect) && silence.isActiveAt(at) && silence.matches(alert)
+      ) || null;
+    } catch (error) {
+      // Failing open: an unavailable silence list must not stop escalations
+      logger.error('Failed to load silences:', error);
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+const silenceService = new SilenceService();
+export default silenceService;
@@ -0,0 +1,210 @@
+import SourceType from '../models/SourceType.js';
+import cacheManager from '../utils/cache.js';
+import { validateSchema } from '../utils/jsonSchema.js';
+import { logger } from '../utils/logger.js';
+
+const CACHE_KEY = 'source-types:all';
+const CACHE_TTL_SECS = 300;
+
+// Registered on first start so existing alerts, rules and clients keep working
+const DEFAULT_SOURCE_TYPES = [
+  {
+    name: 'overspeed',
+    label: 'Overspeed',
+    description: 'Vehicle exceeded the speed limit',
+    riskWeight: 1.5,
+    icon: 'Gauge',
+    metadataSchema: {
+      type: 'object',
+      properties: {
+        driverId: { type: 'string' },
+        vehicleId: { type: 'string' },
+        speed: { type: 'number', minimum: 0 },
+        speedLimit: { type: 'number', minimum: 0 }
+      }
+    }
+  },
+  {
+    name: 'compliance',
+    label: 'Compliance',
+    description: 'Driver or vehicle document issue',
+    riskWeight: 1,
+    icon: 'FileWarning',
+    metadataSchema: {
+      type: 'object',
+      properties: {
+        driverId: { type: 'string' },
+        vehicleId: { type: 'string' },
+        documentType: { type: 'string' },
+        documentValid: { type: 'boolean' }
+      }
+    }
+  },
+  {
+    name: 'feedback_negative',
+    label: 'Negative Feedback',
+    description: 'Poor rating or complaint from a rider',
+    riskWeight: 1,
+    icon: 'ThumbsDown',
+    metadataSchema: {
+      type: 'object',
+      properties: {
+        driverId: { type: 'string' },
+        feedbackRating: { type: 'number', minimum: 1, maximum: 5 }
+      }
+    }
+  },
+  {
+    name: 'maintenance',
+    label: 'Maintenance',
+    description: 'Vehicle service or repair due',
+    riskWeight: 0.5,
+    icon: 'Wrench',
+    metadataSchema: {
+      type: 'object',
+      properties: {
+        vehicleId: { type: 'string' }
+      }
+    }
+  },
+  {
+    name: 'other',
+    label: 'Other',
+    description: 'Anything not covered by a dedicated source type',
+    riskWeight: 1,
+    icon: 'AlertCircle',
+    metadataSchema: { type: 'object' }
+  }
+];
+
+/**
+ * Error raised when alert data does not fit its source type
+ * statusCode is picked up by the global error handler
+ */
+export class SourceTypeError extends Error {
+  constructor(message, statusCode = 422) {
+    super(message);
+    this.name = 'SourceTypeError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Source Type Registry
+ * Looks up registered source types and validates alert data against them
+ *
+ * Source types are cached like groups (and dropped on every change made
+ * through this instance), so ingestion does not query the database per alert.
+ *
+ * Time Complexity: O(1) per lookup on cache hit, O(v) per metadata validation
+ * Space Complexity: O(t) where t is number of source types
+ *
+ * Trade-offs:
+ * - Cache TTL vs propagation: a type added or disabled on another instance
+ *   applies here within CACHE_TTL_SECS
+ * - Stored alerts are not re-validated when a schema changes
+ */
+class SourceTypeRegistry {
+  /**
+   * All source types, sorted by label
+   * Time Complexity: O(t log t) on cache miss, O(1) on hit
+   */
+  async getAll() {
+    let sourceTypes = cacheManager.get(CACHE_KEY);
+    if (!sourceTypes) {
+      sourceTypes = await SourceType.find().sort({ label: 1 }).lean();
+      cacheManager.set(CACHE_KEY, sourceTypes, CACHE_TTL_SECS);
+    }
+    return sourceTypes;
+  }
+
+  /**
+   * Drop the cached source types after a change
+   * Time Complexity: O(1)
+   */
+  invalidate() {
+    cacheManager.delete(CACHE_KEY);
+  }
+
+  /**
+   * Source type by name, or null
+   * Time Complexity: O(t)
+   */
+  async get(name) {
+    const sourceTypes = await this.getAll();
+    return sourceTypes.find(sourceType => sourceType.name === name) || null;
+  }
+
+  /**
+   * Throw unless the source type is registered (enabled or not)
+   * For express-validator custom validators and references from rules,
+   * silences and webhook sources
+   * Time Complexity: O(t)
+   */
+  async assertExists(name) {
+    if (!(await this.get(name))) {
+      throw new SourceTypeError(`Unknown source type "${name}"`);
+    }
+    return true;
+  }
+
+  /**
+   * Throw unless the source type is registered and accepts new alerts
+   * Time Complexity: O(t)
+   */
+  async assertEnabled(name) {
+    const sourceType = await this.get(name);
+    if (!sourceType) {
+      throw new SourceTypeError(`Unknown source type "${name}"`);
+    }
+    if (!sourceType.enabled) {
+      throw new SourceTypeError(`Source type "${name}" is disabled`);
+    }
+    return sourceType;
+  }
+
+  /**
+   * Metadata errors against the source type's schema
+   * @returns {string[]} errors, empty when valid
+   * Time Complexity: O(v) where v is number of metadata values
+   */
+  validateMetadata(sourceType, metadata) {
+    return validateSchema(sourceType.metadataSchema, metadata, 'metadata');
+  }
+
+  /**
+   * Validate alert data against its source type and apply the type's
+   * default severity when none was given
+   *
+   * @param {Object} data - { sourceType, severity, metadata }
+   * @returns {Object} data with severity set
+   * @throws {SourceTypeError} unknown or disabled type, or invalid metadata
+   * Time Complexity: O(t + v)
+   */
+  async prepare(data) {
+    const sourceType = await this.assertEnabled(data.sourceType);
+
+    const errors = this.validateMetadata(sourceType, data.metadata || {});
+    if (errors.length > 0) {
+      throw new SourceTypeError(`Invalid ${sourceType.name} metadata: ${errors.join(', ')}`);
+    }
+
+    return { ...data, severity: data.severity || sourceType.defaultSeverity };
+  }
+
+  /**
+   * Register the built-in source types when the registry is empty
+   * Time Complexity: O(d) where d is number of default types
+   */
+  async ensureDefaults() {
+    if (await SourceType.exists({})) return;
+
+    await SourceType.insertMany(DEFAULT_SOURCE_TYPES);
+    this.invalidate();
+    logger.info(`Registered ${DEFAULT_SOURCE_TYPES.length} default source types`);
+  }
+}
+
+// Export singleton instance
+const sourceTypeRegistry = new SourceTypeRegistry();
+export default sourceTypeRegistry;
@@ -0,0 +1,202 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+import User from '../models/User.js';
+import { generateToken } from '../middleware/auth.js';
+import alertStream from './alertStream.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Error raised for refresh tokens that cannot be used
+ * Carries the HTTP status for the error handler
+ */
+export class TokenError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message);
+    this.name = 'TokenError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Token Service
+ * Issues access / refresh token pairs and manages server-side sessions
+ *
+ * Access tokens are short-lived JWTs (JWT_ACCESS_EXPIRE, default 15m).
+ * Refresh tokens are random, stored hashed, valid for REFRESH_TOKEN_DAYS
+ * and single-use: every refresh rotates them.
+ *
+ * Time Complexity: O(log n) per operation
+ * Space Complexity: O(1)
+ *
+ * Trade-offs:
+ * - Logging out one session leaves its access token valid until it expires;
+ *   revoking all sessions cuts access tokens off at once via tokenVersion
+ * - A rotated token presented again within REFRESH_REUSE_GRACE_SECS is
+ *   refused without revoking its family, so two tabs refreshing at the same
+ *   moment do not log each other out
+ */
+class TokenService {
+  /**
+   * Refresh token lifetime in days
+   * Time Complexity: O(1)
+   */
+  getRefreshTtlDays() {
+    return parseFloat(process.env.REFRESH_TOKEN_DAYS) || 7;
+  }
+
+  /**
+   * Window in which a just-rotated token is not treated as stolen
+   * Time Complexity: O(1)
+   */
+  getReuseGraceSecs() {
+    const value = parseInt(process.env.REFRESH_REUSE_GRACE_SECS);
+    return Number.isNaN(value) ? 30 : value;
+  }
+
+  /**
+   * Issue an access token and a new refresh token
+   * @param {Object} user
+   * @param {Object} context - { ip, userAgent } of the request
+   * @param {string} family - session the refresh token belongs to; new session when omitted
+   * @returns {{ token, refreshToken, expiresIn, tokenHash }}
+   * Time Complexity: O(log n)
+   */
+  async issue(user, { ip, userAgent } = {}, family = crypto.randomUUID()) {
+    const refreshToken = RefreshToken.generateToken();
+    const tokenHash = RefreshToken.hashToken(refreshToken);
+
+    await RefreshToken.create({
+      tokenHash,
+      user: user._id,
+      family,
+      expiresAt: new Date(Date.now() + this.getRefreshTtlDays() * DAY_MS),
+      createdByIp: ip,
+      userAgent
+    });
+
+    const token = generateToken(user);
+    const { exp, iat } = jwt.decode(token);
+
+    return { token, refreshToken, expiresIn: exp - iat, tokenHash };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair (rotation)
+   * @returns {{ user, tokens }}
+   * @throws {TokenError} when the token is unknown, expired or revoked
+   * Time Complexity: O(log n)
+   */
+  async refresh(rawToken, context) {
+    const tokenHash = RefreshToken.hashToken(rawToken);
+    const now = new Date();
+
+    // Revoke atomically so that a token is only ever exchanged once
+    const record = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now, revokedReason: 'rotated' } },
+      { new: true }
+    );
+
+    if (!record) {
+      await this.rejectUnusable(tokenHash, now);
+    }
+
+    const user = await User.findById(record.user);
+    if (!user || user.status !== 'ACTIVE') {
+      throw new TokenError('User not found or not active');
+    }
+
+    const { tokenHash: nextHash, ...tokens } = await this.issue(user, context, record.family);
+    await RefreshToken.updateOne({ _id: record._id }, { $set: { replacedByHash: nextHash } });
+
+    return { user, tokens };
+  }
+
+  /**
+   * Explain why a refresh token cannot be exchanged, revoking its family on reuse
+   * @throws {TokenError} always
+   * Time Complexity: O(log n + f) where f is tokens in the family
+   */
+  async rejectUnusable(tokenHash, now) {
+    const existing = await RefreshToken.findOne({ tokenHash }).lean();
+
+    if (!existing || existing.expiresAt <= now) {
+      throw new TokenError('Invalid or expired refresh token');
+    }
+
+    const sinceRevoked = (now.getTime() - existing.revokedAt.getTime()) / 1000;
+    if (existing.revokedReason === 'rotated' && sinceRevoked > this.getReuseGraceSecs()) {
+      await this.revokeFamily(existing.family, 'reuse_detected');
+      logger.warn(`Refresh token reuse detected for user ${existing.user}; session ${existing.family} revoked`);
+      throw new TokenError('Refresh token reuse detected. Please log in again');
+    }
+
+    throw new TokenError('Refresh token has been revoked');
+  }
+
+  /**
+   * Revoke every live token of one session
+   * Time Complexity: O(f)
+   */
+  async revokeFamily(family, reason) {
+    await RefreshToken.updateMany(
+      { family, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+  }
+
+  /**
+   * Revoke the session of a refresh token (logout)
+   * @returns {boolean} whether a live session was revoked
+   * Time Complexity: O(log n + f)
+   */
+  async revoke(rawToken, reason = 'logout') {
+    const record = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(rawToken) }).lean();
+    if (!record || record.revokedAt) return false;
+
+    await this.revokeFamily(record.family, reason);
+    return true;
+  }
+
+  /**
+   * Revoke all sessions of a user, including unexpired access tokens and
+   * the live alert streams they opened
+   * @returns {number} sessions revoked
+   * Time Complexity: O(s) where s is the user's live tokens
+   */
+  async revokeAll(userId, reason = 'logout_all') {
+    const [{ modifiedCount }] = await Promise.all([
+      RefreshToken.updateMany(
+        { user: userId, revokedAt: { $exists: false } },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+      ),
+      User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } })
+    ]);
+    alertStream.disconnect(userId, reason);
+
+    logger.info(`Revoked ${modifiedCount} session(s) of user ${userId} (${reason})`);
+    return modifiedCount;
+  }
+
+  /**
+   * Live sessions of a user, newest first
+   * Time Complexity: O(s log s)
+   */
+  async getSessions(userId) {
+    return RefreshToken.find({
+      user: userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    })
+      .sort({ createdAt: -1 })
+      .select('family createdByIp userAgent createdAt expiresAt')
+      .lean();
+  }
+}
+
+// Export singleton instance
+const tokenService = new TokenService();
+export default tokenService;
@@ -0,0 +1,289 @@
+import User from '../models/User.js';
+import UserAudit from '../models/UserAudit.js';
+import tokenService from './tokenService.js';
+import roleRegistry from './roleRegistry.js';
+import { ADMIN_ROLE, DEFAULT_ROLE } from '../models/permissions.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Error raised for user administration requests that cannot be applied
+ * Carries the HTTP status for the error handler
+ */
+export class UserAdminError extends Error {
+  constructor(message, statusCode = 409) {
+    super(message);
+    this.name = 'UserAdminError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * User Administration Service
+ * Invites, role and status changes, each recorded in the user audit log
+ *
+ * Public registration only ever creates accounts with the default role and
+ * can be turned off with ALLOW_REGISTRATION=false; other roles are invited.
+ * Admins cannot change their own role or status, and the last active admin
+ * cannot be demoted or disabled, so the system always keeps an admin.
+ * A role can only be granted (by invite or role change) by someone whose
+ * own role holds every permission of it, and a user's role, status or
+ * sessions can only be changed by someone who holds every permission of
+ * that user's current role, so `users:manage` alone cannot be used to hand
+ * out admin or to demote, disable or log out users above the actor.
+ *
+ * Time Complexity: O(log n) per operation
+ * Space Complexity: O(1)
+ */
+class UserAdminService {
+  /**
+   * Whether anyone may create an account via POST /api/auth/register
+   * Time Complexity: O(1)
+   */
+  isRegistrationOpen() {
+    return process.env.ALLOW_REGISTRATION !== 'false';
+  }
+
+  /**
+   * Hours an invite link stays valid
+   * Time Complexity: O(1)
+   */
+  getInviteTtlHours() {
+    return parseInt(process.env.INVITE_TTL_HOURS) || 72;
+  }
+
+  /**
+   * Frontend base URL used in invite links
+   * Time Complexity: O(1)
+   */
+  getAppUrl() {
+    return (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:5173').replace(/\/$/, '');
+  }
+
+  /**
+   * Append an entry to the user audit log
+   * Time Complexity: O(log n)
+   */
+  async audit(user, action, { from, to, reason, actor } = {}) {
+    await UserAudit.create({
+      user: user._id,
+      userEmail: user.email,
+      action,
+      from,
+      to,
+      reason,
+      actor: actor?._id,
+      actorEmail: actor?.email
+    });
+  }
+
+  /**
+   * Invite link for a raw invite token
+   * Time Complexity: O(1)
+   */
+  inviteUrl(token) {
+    return `${this.getAppUrl()}/accept-invite?token=${token}`;
+  }
+
+  /**
+   * Create an invited account; the invitee sets a password via the link
+   * @returns {{ user, inviteUrl, expiresAt }}
+   * Time Complexity: O(log n)
+   */
+  async invite({ name, email, role = DEFAULT_ROLE }, actor, reason) {
+    await this.assertCanGrant(role, actor);
+
+    if (await User.exists({ email: email.toLowerCase() })) {
+      throw new UserAdminError('User already exists with this email');
+    }
+
+    const user = new User({ name, email, role, status: 'INVITED', invitedBy: actor._id });
+    const token = user.createInviteToken(this.getInviteTtlHours());
+    await user.save();
+
+    await this.audit(user, 'invited', { to: role, reason, actor });
+    logger.info(`User invited: ${user.email} as ${role} by ${actor.email}`);
+
+    return { user, inviteUrl: this.inviteUrl(token), expiresAt: user.inviteExpiresAt };
+  }
+
+  /**
+   * Issue a fresh invite link, invalidating the previous one
+   * @returns {{ user, inviteUrl, expiresAt }}
+   * Time Complexity: O(log n)
+   */
+  async resendInvite(userId, actor) {
+    const user = await this.findUser(userId);
+    if (user.status !== 'INVITED') {
+      throw new UserAdminError('User has already accepted their invite');
+    }
+
+    const token = user.createInviteToken(this.getInviteTtlHours());
+    await user.save();
+
+    logger.info(`Invite re-sent to ${user.email} by ${actor.email}`);
+
+    return { user, inviteUrl: this.inviteUrl(token), expiresAt: user.inviteExpiresAt };
+  }
+
+  /**
+   * Invited user for a raw invite token
+   * @throws {UserAdminError} 400 when the token is unknown or expired
+   * Time Complexity: O(log n)
+   */
+  async findInvite(token) {
+    const user = await User.findOne({
+      inviteTokenHash: User.hashInviteToken(token),
+      status: 'INVITED',
+      inviteExpiresAt: { $gt: new Date() }
+    });
+
+    if (!user) {
+      throw new UserAdminError('Invite is invalid or has expired', 400);
+    }
+    return user;
+  }
+
+  /**
+   * Set the password of an invited user and activate the account
+   * Time Complexity: O(log n) plus password hashing
+   */
+  async acceptInvite(token, password) {
+    const user = await this.findInvite(token);
+
+    user.password = password;
+    user.status = 'ACTIVE';
+    user.inviteTokenHash = undefined;
+    user.inviteExpiresAt = undefined;
+    await user.save();
+
+    await this.audit(user, 'invite_accepted', { to: 'ACTIVE' });
+    logger.info(`Invite accepted: ${user.email}`);
+
+    return user;
+  }
+
+  /**
+   * Change the role of a user
+   * Time Complexity: O(log n)
+   */
+  async changeRole(userId, role, actor, reason) {
+    const user = await this.findUser(userId);
+    this.assertNotSelf(user, actor, 'role');
+
+    const from = user.role;
+    if (from === role) return user;
+
+    await this.assertCanManage(user, actor);
+    await this.assertCanGrant(role, actor);
+    if (from === ADMIN_ROLE) await this.assertOtherAdmin(user);
+
+    user.role = role;
+    await user.save();
+
+    await this.audit(user, 'role_changed', { from, to: role, reason, actor });
+    logger.info(`Role of ${user.email} changed from ${from} to ${role} by ${actor.email}`);
+
+    return user;
+  }
+
+  /**
+   * Enable or disable a user; disabling revokes all of their sessions
+   * Time Complexity: O(log n + s) where s is the user's sessions
+   */
+  async changeStatus(userId, status, actor, reason) {
+    const user = await this.findUser(userId);
+    this.assertNotSelf(user, actor, 'status');
+
+    const from = user.status;
+    if (from === status) return user;
+
+    if (from === 'INVITED') {
+      throw new UserAdminError('Invited users become active by accepting their invite');
+    }
+    await this.assertCanManage(user, actor);
+    if (status === 'DISABLED' && user.role === ADMIN_ROLE) await this.assertOtherAdmin(user);
+
+    user.status = status;
+    await user.save();
+
+    if (status === 'DISABLED') {
+      await tokenService.revokeAll(user._id, 'admin');
+    }
+
+    await this.audit(user, 'status_changed', { from, to: status, reason, actor });
+    logger.info(`Status of ${user.email} changed from ${from} to ${status} by ${actor.email}`);
+
+    return user;
+  }
+
+  /**
+   * User by id
+   * @throws {UserAdminError} 404 when missing
+   * Time Complexity: O(log n)
+   */
+  async findUser(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new UserAdminError('User not found', 404);
+    }
+    return user;
+  }
+
+  /**
+   * Nobody can grant a role with permissions their own role lacks
+   * Time Complexity: O(p) where p is number of permissions
+   */
+  async assertCanGrant(role, actor) {
+    const missing = await roleRegistry.lacking(actor, await roleRegistry.getPermissions(role));
+    if (missing.length > 0) {
+      throw new UserAdminError(
+        `Cannot grant role '${role}': your role lacks '${missing.join("', '")}'`,
+        403
+      );
+    }
+  }
+
+  /**
+   * Nobody can change a user whose current role has permissions their own role lacks
+   * Time Complexity: O(p) where p is number of permissions
+   */
+  async assertCanManage(user, actor) {
+    const missing = await roleRegistry.lacking(actor, await roleRegistry.getPermissions(user.role));
+    if (missing.length > 0) {
+      throw new UserAdminError(
+        `Cannot change a user with role '${user.role}': your role lacks '${missing.join("', '")}'`,
+        403
+      );
+    }
+  }
+
+  /**
+   * Admins cannot lock themselves out
+   * Time Complexity: O(1)
+   */
+  assertNotSelf(user, actor, field) {
+    if (user._id.equals(actor._id)) {
+      throw new UserAdminError(`You cannot change your own ${field}`, 403);
+    }
+  }
+
+  /**
+   * Another active admin must remain
+   * Time Complexity: O(log n)
+   */
+  async assertOtherAdmin(user) {
+    // $nin rather than 'ACTIVE': accounts created before statuses existed have none
+    const others = await User.countDocuments({
+      _id: { $ne: user._id },
+      role: ADMIN_ROLE,
+      status: { $nin: ['INVITED', 'DISABLED'] }
+    });
+    if (others === 0) {
+      throw new UserAdminError('The last active admin cannot be demoted or disabled');
+    }
+  }
+}
+
+// Export singleton instance
+const userAdmin = new UserAdminService();
+export default userAdmin;
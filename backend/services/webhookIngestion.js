@@ -0,0 +1,271 @@
+import IngestSource from '../models/IngestSource.js';
+import IngestEvent from '../models/IngestEvent.js';
+import { logger } from '../utils/logger.js';
+import cacheManager from '../utils/cache.js';
+import { evaluateExpression } from '../utils/expression.js';
+import alertIngestion from './alertIngestion.js';
+import ruleEngine from './ruleEngine.js';
+
+const SEVERITIES = ['INFO', 'WARNING', 'CRITICAL'];
+const MAX_SAMPLE_LENGTH = 8 * 1024;
+const REDACTED_HEADERS = ['authorization', 'cookie'];
+const SOURCE_IDS_CACHE_KEY = 'ingest:sourceIds';
+const CACHE_TTL_SECS = 300;
+
+/**
+ * Error raised when a webhook delivery is rejected
+ * statusCode is picked up by the global error handler
+ */
+export class IngestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'IngestError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Webhook Ingestion Service
+ * Receives vendor payloads on /api/ingest/:sourceId and turns them into alerts
+ *
+ * Pipeline: signature check → mapping → replay check → alert ingestion → rule engine
+ * Rejected deliveries are stored on the source (last INGEST_MAX_REJECTED_SAMPLES)
+ * so admins can see what the vendor actually sent.
+ *
+ * Time Complexity: O(b + m + log n) per delivery where b is body size, m is mapping size
+ * Space Complexity: O(b)
+ *
+ * Trade-offs:
+ * - Replay protection by event id only: vendors must send a stable id per event,
+ *   but no clock synchronisation is required
+ * - Duplicates answer 200 so vendors stop retrying, without creating an alert
+ */
+class WebhookIngestionService {
+  /**
+   * How long accepted event ids are remembered for replay protection
+   * Time Complexity: O(1)
+   */
+  getReplayWindowMs() {
+    return (parseInt(process.env.INGEST_REPLAY_WINDOW_HOURS) || 72) * 60 * 60 * 1000;
+  }
+
+  getMaxRejectedSamples() {
+    return parseInt(process.env.INGEST_MAX_REJECTED_SAMPLES) || 20;
+  }
+
+  /**
+   * Source ids are stored lowercase, so "Acme" and "acme" are one source
+   * Time Complexity: O(k) where k is id length
+   */
+  normalizeSourceId(sourceId) {
+    return String(sourceId).trim().toLowerCase();
+  }
+
+  /**
+   * Whether an id belongs to a registered source
+   * Ids are cached so the rate limiters can tell deliveries for known sources
+   * from probes of random ids without a query per request
+   * Time Complexity: O(s) on cache miss where s is number of sources, O(1) on hit
+   */
+  async isRegistered(sourceId) {
+    let sourceIds = cacheManager.get(SOURCE_IDS_CACHE_KEY);
+    if (!sourceIds) {
+      sourceIds = new Set(await IngestSource.distinct('sourceId'));
+      cacheManager.set(SOURCE_IDS_CACHE_KEY, sourceIds, CACHE_TTL_SECS);
+    }
+    return sourceIds.has(this.normalizeSourceId(sourceId));
+  }
+
+  /**
+   * Drop the cached source ids after a source is created or deleted
+   * Time Complexity: O(1)
+   */
+  invalidateSources() {
+    cacheManager.delete(SOURCE_IDS_CACHE_KEY);
+  }
+
+  /**
+   * Transform a vendor payload into alert data using the source's mapping
+   *
+   * @returns {{ eventId, data: { sourceType, severity, metadata } }}
+   * @throws {IngestError} 422 when the mapping cannot be applied
+   * Time Complexity: O(m) where m is total mapping AST size
+   */
+  mapPayload(source, payload, headers = {}) {
+    const compiled = source.compiledMapping || {};
+    const context = { payload, headers };
+    const evaluate = (entry, path) => {
+      if (!entry?.ast) return undefined;
+      try {
+        return evaluateExpression(entry.ast, context);
+      } catch (error) {
+        throw new IngestError(`Mapping ${path} failed: ${error.message}`, 422);
+      }
+    };
+
+    const eventId = evaluate(compiled.eventId, 'eventId');
+    if (eventId === undefined || eventId === null || eventId === '') {
+      throw new IngestError('Missing event id', 422);
+    }
+
+    const { mapping = {} } = source;
+    let severity = mapping.defaultSeverity || 'INFO';
+    const rawSeverity = evaluate(compiled.severity, 'severity');
+    if (rawSeverity !== undefined && rawSeverity !== null) {
+      const mapped = mapping.severityMap?.get(String(rawSeverity));
+      const normalized = String(rawSeverity).toUpperCase();
+      if (mapped) severity = mapped;
+      else if (SEVERITIES.includes(normalized)) severity = normalized;
+    }
+
+    const metadata = {};
+    for (const [field, entry] of Object.entries(compiled.metadata || {})) {
+      const value = evaluate(entry, `metadata.${field}`);
+      if (value !== undefined && value !== null) {
+        metadata[field] = value;
+      }
+    }
+
+    return {
+      eventId: String(eventId),
+      data: { sourceType: source.sourceType, severity, metadata }
+    };
+  }
+
+  /**
+   * Reduce a rejected delivery to something safe and small enough to store
+   * The body is kept as text so arbitrary vendor keys never reach MongoDB as field names
+   * Time Complexity: O(b)
+   */
+  buildSample({ payload, rawBody, headers }) {
+    const safeHeaders = Object.fromEntries(
+      Object.entries(headers || {}).filter(([name]) => !REDACTED_HEADERS.includes(name))
+    );
+    const body = rawBody ? rawBody.toString('utf8') : JSON.stringify(payload ?? null);
+
+    return {
+      headers: safeHeaders,
+      body: body.slice(0, MAX_SAMPLE_LENGTH),
+      truncated: body.length > MAX_SAMPLE_LENGTH
+    };
+  }
+
+  /**
+   * Record a rejected delivery on the source and raise the error
+   * Time Complexity: O(b + s) where s is stored samples
+   */
+  async reject(source, error, delivery, eventId) {
+    await IngestSource.updateOne(
+      { _id: source._id },
+      {
+        $inc: { 'stats.rejected': 1 },
+        $push: {
+          rejectedSamples: {
+            $each: [{
+              receivedAt: new Date(),
+              statusCode: error.statusCode,
+              reason: error.message,
+              eventId,
+              ...this.buildSample(delivery)
+            }],
+            $slice: -this.getMaxRejectedSamples()
+          }
+        }
+      }
+    );
+
+    logger.warn(`Webhook from ${source.sourceId} rejected: ${error.message}`);
+    throw error;
+  }
+
+  /**
+   * Handle one webhook delivery
+   *
+   * @param {string} sourceId
+   * @param {Object} delivery - { payload, rawBody, headers }
+   * @returns {{ duplicate, eventId, alert?, deduplicated? }}
+   * @throws {IngestError} with statusCode 404 | 401 | 400 | 422
+   * Time Complexity: O(b + m + log n)
+   */
+  async receive(sourceId, delivery) {
+    const source = await IngestSource.findOne({ sourceId: this.normalizeSourceId(sourceId) }).select('+secret');
+    if (!source || !source.enabled) {
+      throw new IngestError('Ingest source not found', 404);
+    }
+
+    await IngestSource.updateOne(
+      { _id: source._id },
+      { $inc: { 'stats.received': 1 }, $set: { 'stats.lastReceivedAt': new Date() } }
+    );
+
+    const { payload, rawBody, headers } = delivery;
+
+    if (!source.verifySignature(rawBody, headers[source.signatureHeader])) {
+      return this.reject(source, new IngestError('Invalid signature', 401), delivery);
+    }
+
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+      return this.reject(source, new IngestError('Payload must be a JSON object', 400), delivery);
+    }
+
+    let mapped;
+    try {
+      mapped = this.mapPayload(source, payload, headers);
+    } catch (error) {
+      if (!(error instanceof IngestError)) throw error;
+      return this.reject(source, error, delivery);
+    }
+
+    const { eventId, data } = mapped;
+
+    // Claim the event id; the unique index rejects replays atomically
+    try {
+      await IngestEvent.create({
+        sourceId: source.sourceId,
+        eventId,
+        expiresAt: new Date(Date.now() + this.getReplayWindowMs())
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      await IngestSource.updateOne({ _id: source._id }, { $inc: { 'stats.duplicates': 1 } });
+      logger.info(`Duplicate webhook event ${eventId} from ${source.sourceId} ignored`);
+      return { duplicate: true, eventId };
+    }
+
+    let result;
+    try {
+      result = await alertIngestion.ingest(data);
+    } catch (error) {
+      // Release the event id so the vendor's retry can succeed
+      await IngestEvent.deleteOne({ sourceId: source.sourceId, eventId });
+
+      if (error.name === 'SourceTypeError') {
+        return this.reject(source, new IngestError(`Mapped alert is invalid: ${error.message}`, 422), delivery, eventId);
+      }
+      if (error.name !== 'ValidationError') throw error;
+      const message = Object.values(error.errors).map(err => err.message).join(', ');
+      return this.reject(source, new IngestError(`Mapped alert is invalid: ${message}`, 422), delivery, eventId);
+    }
+
+    const { alert, deduplicated } = result;
+
+    await Promise.all([
+      IngestEvent.updateOne({ sourceId: source.sourceId, eventId }, { $set: { alertId: alert.alertId } }),
+      IngestSource.updateOne(
+        { _id: source._id },
+        { $inc: { 'stats.accepted': 1 }, $set: { 'stats.lastAcceptedAt': new Date() } }
+      )
+    ]);
+
+    await ruleEngine.processAlert(alert);
+
+    logger.info(`Webhook event ${eventId} from ${source.sourceId} ${deduplicated ? 'folded into' : 'created'} alert ${alert.alertId}`);
+
+    return { duplicate: false, eventId, alert, deduplicated };
+  }
+}
+
+// Export singleton instance
+const webhookIngestion = new WebhookIngestionService();
+export default webhookIngestion;
@@ -0,0 +1,61 @@
+/**
+ * Structural diff of plain objects
+ * Used to record what changed between rule versions
+ *
+ * Time Complexity: O(n) where n is number of leaf values
+ * Space Complexity: O(n)
+ */
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+/**
+ * Flatten an object into dotted paths; arrays and dates are compared as leaves
+ */
+function flatten(value, prefix = '', result = {}) {
+  if (!isPlainObject(value)) {
+    if (prefix) result[prefix] = value;
+    return result;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    flatten(child, prefix ? `${prefix}.${key}` : key, result);
+  }
+  return result;
+}
+
+/**
+ * Normalise a leaf for comparison; empty values are treated as unset
+ */
+function normalizeLeaf(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (Array.isArray(value) && value.length === 0) return undefined;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+/**
+ * List the leaf paths whose values differ between two objects
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<{ path, from, to }>} sorted by path
+ */
+export function diffObjects(before, after) {
+  const left = flatten(before || {});
+  const right = flatten(after || {});
+  const paths = new Set([...Object.keys(left), ...Object.keys(right)]);
+  const changes = [];
+
+  for (const path of [...paths].sort()) {
+    const from = normalizeLeaf(left[path]);
+    const to = normalizeLeaf(right[path]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from, to });
+    }
+  }
+
+  return changes;
+}
+
+export default { diffObjects };
@@ -0,0 +1,104 @@
+import { EventEmitter } from 'events';
+import { logger } from './logger.js';
+
+/**
+ * Alert lifecycle event names, keyed by the status an alert transitions to
+ * (REOPENED: a closed alert transitioning back to OPEN)
+ */
+export const ALERT_EVENTS = {
+  OPEN: 'alert.created',
+  REOPENED: 'alert.reopened',
+  ACKNOWLEDGED: 'alert.acknowledged',
+  ESCALATED: 'alert.escalated',
+  AUTO_CLOSED: 'alert.auto_closed',
+  RESOLVED: 'alert.resolved'
+};
+
+/**
+ * Alert activity event names, keyed by the history entry's metadata.activity
+ * (entries that record work on an alert without changing its status)
+ */
+export const ACTIVITY_EVENTS = {
+  assign: 'alert.assigned',
+  comment: 'alert.commented'
+};
+
+/**
+ * Published when repeat events are folded into an existing alert; the alert
+ * keeps its status, so no history entry (and no lifecycle event) is recorded
+ */
+export const OCCURRENCE_EVENT = 'alert.occurrence';
+
+/**
+ * Alert fields carried in alert event payloads
+ * Time Complexity: O(1)
+ */
+export const summarizeAlert = (alert) => ({
+  alertId: alert.alertId,
+  sourceType: alert.sourceType,
+  severity: alert.severity,
+  status: alert.status,
+  timestamp: alert.timestamp,
+  lastSeenAt: alert.lastSeenAt,
+  driverId: alert.metadata?.driverId,
+  driverName: alert.metadata?.driverName,
+  vehicleId: alert.metadata?.vehicleId,
+  vehicleNumber: alert.metadata?.vehicleNumber,
+  eventCount: alert.metadata?.eventCount,
+  incidentId: alert.incidentId
+});
+
+/**
+ * Event Bus - In-process publish/subscribe for alert lifecycle events
+ * Published wherever a transition is recorded in AlertHistory, consumed by
+ * the real-time stream (and anything else that wants to react to alerts).
+ *
+ * Listener errors are logged and never propagate to the publisher.
+ *
+ * Time Complexity: O(l) per publish where l is number of listeners
+ * Space Complexity: O(l)
+ *
+ * Trade-offs:
+ * - In-process only: each server instance streams the transitions it records
+ */
+class EventBus {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per connected stream client is expected
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Publish an event to all subscribers
+   * Time Complexity: O(l)
+   */
+  publish(type, payload) {
+    try {
+      this.emitter.emit('event', { type, payload, publishedAt: new Date().toISOString() });
+    } catch (error) {
+      logger.error(`Event bus listener failed for ${type}:`, error);
+    }
+  }
+
+  /**
+   * Subscribe to all events
+   * @returns {Function} unsubscribe
+   * Time Complexity: O(1)
+   */
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  /**
+   * Number of active subscribers
+   * Time Complexity: O(1)
+   */
+  getSubscriberCount() {
+    return this.emitter.listenerCount('event');
+  }
+}
+
+// Export singleton instance
+const eventBus = new EventBus();
+export default eventBus;
@@ -0,0 +1,607 @@
+/**
+ * Condition Expression Language
+ * Safe, sandboxed expressions used by rule conditions (auto_close_if, escalate_if)
+ *
+ * Expressions are parsed once into a plain JSON AST (storable in MongoDB) and
+ * evaluated per alert against a read-only context. There is no access to
+ * JavaScript globals, prototypes or arbitrary function calls.
+ *
+ * Syntax:
+ * - Literals: 42, 3.5, 'text', "text", true, false, null, [1, 2, 3]
+ * - Access: metadata.speed, metadata.additionalInfo['zone'], alert.severity
+ * - Arithmetic: + - * / %
+ * - Comparison: == != < <= > >= in
+ * - Logic: and, or, not (also &&, ||, !)
+ * - Functions: now(), date(x), minutesSince(x), hoursSince(x), daysSince(x),
+ *   daysUntil(x), abs(x), round(x), min(...), max(...), exists(x), lower(x),
+ *   upper(x), len(x), contains(haystack, needle)
+ *
+ * Example: "metadata.speed > metadata.speedLimit * 1.2 and hoursSince(alert.timestamp) < 1"
+ *
+ * Time Complexity: O(n) to parse where n is source length, O(m) to evaluate where m is AST size
+ * Space Complexity: O(m)
+ */
+
+const MAX_SOURCE_LENGTH = 1000;
+const MAX_DEPTH = 50;
+
+const KEYWORDS = new Set(['and', 'or', 'not', 'in', 'true', 'false', 'null']);
+const FORBIDDEN_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+const DEFAULT_ROOTS = ['metadata', 'alert'];
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Legacy auto-close keywords kept for rules created before the expression language
+ */
+const LEGACY_CONDITIONS = {
+  document_valid: 'metadata.documentValid == true or (exists(metadata.expiryDate) and date(metadata.expiryDate) > now())',
+  speed_normalized: 'metadata.speed <= metadata.speedLimit',
+  feedback_improved: 'metadata.feedbackRating >= 3'
+};
+
+/**
+ * Error raised for invalid expressions
+ * Carries the 0-based offset of the offending token in `position`
+ */
+export class ExpressionError extends Error {
+  constructor(message, position, source) {
+    super(position !== undefined ? `${message} at column ${position + 1}` : message);
+    this.name = 'ExpressionError';
+    this.position = position;
+    this.source = source;
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Function whitelist: [minArgs, maxArgs, implementation, usesClock]
+ * Clock-dependent implementations receive the evaluation time as first argument
+ */
+const FUNCTIONS = {
+  now: [0, 0, (clock) => clock, true],
+  date: [1, 1, (value) => toTime(value)],
+  minutesSince: [1, 1, (clock, value) => elapsed(value, 1, clock), true],
+  hoursSince: [1, 1, (clock, value) => elapsed(value, 60, clock), true],
+  daysSince: [1, 1, (clock, value) => elapsed(value, 60 * 24, clock), true],
+  daysUntil: [1, 1, (clock, value) => {
+    const since = elapsed(value, 60 * 24, clock);
+    return since === null ? null : -since;
+  }, true],
+  abs: [1, 1, (value) => (typeof value === 'number' ? Math.abs(value) : null)],
+  round: [1, 1, (value) => (typeof value === 'number' ? Math.round(value) : null)],
+  min: [1, Infinity, (...values) => numericReduce(values, Math.min)],
+  max: [1, Infinity, (...values) => numericReduce(values, Math.max)],
+  exists: [1, 1, (value) => value !== undefined && value !== null],
+  lower: [1, 1, (value) => (typeof value === 'string' ? value.toLowerCase() : null)],
+  upper: [1, 1, (value) => (typeof value === 'string' ? value.toUpperCase() : null)],
+  len: [1, 1, (value) => (typeof value === 'string' || Array.isArray(value) ? value.length : null)],
+  contains: [2, 2, (haystack, needle) => {
+    if (typeof haystack === 'string' && typeof needle === 'string') return haystack.includes(needle);
+    if (Array.isArray(haystack)) return haystack.some(item => equals(item, needle));
+    return false;
+  }]
+};
+
+/**
+ * Convert a date-like value to epoch milliseconds
+ */
+function toTime(value) {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string') {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+function elapsed(value, unitMinutes, clock) {
+  const time = toTime(value);
+  if (time === null) return null;
+  return (clock - time) / (unitMinutes * MS_PER_MINUTE);
+}
+
+function numericReduce(values, reducer) {
+  const numbers = values.map(normalize).filter(v => typeof v === 'number');
+  return numbers.length > 0 ? reducer(...numbers) : null;
+}
+
+/**
+ * Dates are compared and combined as epoch milliseconds
+ */
+function normalize(value) {
+  return value instanceof Date ? value.getTime() : value;
+}
+
+function equals(a, b) {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === undefined || left === null) return right === undefined || right === null;
+  return left === right;
+}
+
+/**
+ * Tokenizer
+ * Time Complexity: O(n)
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1]))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      let value = '';
+      let j = i + 1;
+      while (j < source.length && source[j] !== ch) {
+        if (source[j] === '\\' && j + 1 < source.length) {
+          const next = source[j + 1];
+          value += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+          j += 2;
+        } else {
+          value += source[j++];
+        }
+      }
+      if (j >= source.length) {
+        throw new ExpressionError('Unterminated string', i, source);
+      }
+      tokens.push({ type: 'string', value, pos: i });
+      i = j + 1;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(ch)) {
+      const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+      const word = match[0];
+      tokens.push({ type: KEYWORDS.has(word) ? 'keyword' : 'identifier', value: word, pos: i });
+      i += word.length;
+      continue;
+    }
+
+    const two = source.slice(i, i + 2);
+    if (['==', '!=', '<=', '>=', '&&', '||'].includes(two)) {
+      const aliases = { '&&': 'and', '||': 'or' };
+      tokens.push(aliases[two]
+        ? { type: 'keyword', value: aliases[two], pos: i }
+        : { type: 'operator', value: two, pos: i });
+      i += 2;
+      continue;
+    }
+
+    if ('<>+-*/%().,[]'.includes(ch)) {
+      tokens.push({ type: 'operator', value: ch, pos: i });
+      i++;
+      continue;
+    }
+
+    if (ch === '!') {
+      tokens.push({ type: 'keyword', value: 'not', pos: i });
+      i++;
+      continue;
+    }
+
+    throw new ExpressionError(`Unexpected character '${ch}'`, i, source);
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: source.length });
+  return tokens;
+}
+
+/**
+ * Recursive descent parser producing a JSON-serialisable AST
+ * Time Complexity: O(t) where t is number of tokens
+ */
+class Parser {
+  constructor(source, options) {
+    this.source = source;
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+    this.roots = new Set(options.roots || DEFAULT_ROOTS);
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  is(type, value) {
+    const token = this.peek();
+    return token.type === type && (value === undefined || token.value === value);
+  }
+
+  expect(type, value) {
+    const token = this.peek();
+    if (!this.is(type, value)) {
+      throw this.unexpected(token, `Expected '${value || type}'`);
+    }
+    return this.next();
+  }
+
+  unexpected(token, prefix) {
+    const found = token.type === 'eof' ? 'end of expression' : `'${token.value}'`;
+    return new ExpressionError(`${prefix ? `${prefix} but found` : 'Unexpected'} ${found}`, token.pos, this.source);
+  }
+
+  enter(token) {
+    if (++this.depth > MAX_DEPTH) {
+      throw new ExpressionError('Expression is nested too deeply', token.pos, this.source);
+    }
+  }
+
+  parse() {
+    const ast = this.parseOr();
+    if (!this.is('eof')) {
+      throw this.unexpected(this.peek());
+    }
+    return ast;
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.is('keyword', 'or')) {
+      this.next();
+      left = { type: 'Logical', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.is('keyword', 'and')) {
+      this.next();
+      left = { type: 'Logical', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.is('keyword', 'not')) {
+      const token = this.next();
+      this.enter(token);
+      const node = { type: 'Unary', op: 'not', argument: this.parseNot() };
+      this.depth--;
+      return node;
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    const left = this.parseAdditive();
+    const token = this.peek();
+
+    if (token.type === 'operator' && ['==', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.next();
+      return { type: 'Binary', op: token.value, left, right: this.parseAdditive() };
+    }
+
+    if (this.is('keyword', 'in')) {
+      this.next();
+      return { type: 'Binary', op: 'in', left, right: this.parseAdditive() };
+    }
+
+    return left;
+  }
+
+  parseAdditive() {
+    let left = this.parseMultiplicative();
+    while (this.is('operator', '+') || this.is('operator', '-')) {
+      const op = this.next().value;
+      left = { type: 'Binary', op, left, right: this.parseMultiplicative() };
+    }
+    return left;
+  }
+
+  parseMultiplicative() {
+    let left = this.parseUnary();
+    while (this.is('operator', '*') || this.is('operator', '/') || this.is('operator', '%')) {
+      const op = this.next().value;
+      left = { type: 'Binary', op, left, right: this.parseUnary() };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.is('operator', '-')) {
+      const token = this.next();
+      this.enter(token);
+      const node = { type: 'Unary', op: '-', argument: this.parseUnary() };
+      this.depth--;
+      return node;
+    }
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    while (this.is('operator', '.') || this.is('operator', '[')) {
+      const token = this.next();
+      if (token.value === '.') {
+        const property = this.peek();
+        if (property.type !== 'identifier' && property.type !== 'keyword') {
+          throw this.unexpected(property, 'Expected property name');
+        }
+        this.next();
+        this.checkProperty(property.value, property.pos);
+        node = { type: 'Member', object: node, property: { type: 'Literal', value: property.value } };
+      } else {
+        const property = this.parseOr();
+        if (property.type === 'Literal') {
+          this.checkProperty(String(property.value), token.pos + 1);
+        }
+        this.expect('operator', ']');
+        node = { type: 'Member', object: node, property };
+      }
+    }
+
+    return node;
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.next();
+      return { type: 'Literal', value: token.value };
+    }
+
+    if (token.type === 'keyword' && ['true', 'false', 'null'].includes(token.value)) {
+      this.next();
+      return { type: 'Literal', value: token.value === 'null' ? null : token.value === 'true' };
+    }
+
+    if (this.is('operator', '(')) {
+      this.next();
+      this.enter(token);
+      const node = this.parseOr();
+      this.depth--;
+      this.expect('operator', ')');
+      return node;
+    }
+
+    if (this.is('operator', '[')) {
+      this.next();
+      const items = [];
+      if (!this.is('operator', ']')) {
+        do {
+          items.push(this.parseOr());
+        } while (this.is('operator', ',') && this.next());
+      }
+      this.expect('operator', ']');
+      return { type: 'List', items };
+    }
+
+    if (token.type === 'identifier') {
+      this.next();
+
+      if (this.is('operator', '(')) {
+        return this.parseCall(token);
+      }
+
+      if (!this.roots.has(token.value)) {
+        throw new ExpressionError(
+          `Unknown identifier '${token.value}' (expected one of: ${[...this.roots].join(', ')})`,
+          token.pos,
+          this.source
+        );
+      }
+      return { type: 'Identifier', name: token.value };
+    }
+
+    throw this.unexpected(token);
+  }
+
+  parseCall(token) {
+    const definition = Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)
+      ? FUNCTIONS[token.value]
+      : null;
+    if (!definition) {
+      throw new ExpressionError(`Unknown function '${token.value}'`, token.pos, this.source);
+    }
+
+    this.expect('operator', '(');
+    this.enter(token);
+    const args = [];
+    if (!this.is('operator', ')')) {
+      do {
+        args.push(this.parseOr());
+      } while (this.is('operator', ',') && this.next());
+    }
+    this.depth--;
+    this.expect('operator', ')');
+
+    const [minArgs, maxArgs] = definition;
+    if (args.length < minArgs || args.length > maxArgs) {
+      const expected = minArgs === maxArgs ? `${minArgs}` : `at least ${minArgs}`;
+      throw new ExpressionError(
+        `Function '${token.value}' expects ${expected} argument(s), got ${args.length}`,
+        token.pos,
+        this.source
+      );
+    }
+
+    return { type: 'Call', name: token.value, args };
+  }
+
+  checkProperty(name, pos) {
+    if (FORBIDDEN_PROPERTIES.has(name)) {
+      throw new ExpressionError(`Access to '${name}' is not allowed`, pos, this.source);
+    }
+  }
+}
+
+/**
+ * Parse an expression into an AST
+ * Throws ExpressionError with the offending position on invalid input
+ *
+ * @param {string} source - Expression source
+ * @param {Object} [options]
+ * @param {string[]} [options.roots] - Identifiers the expression may reference
+ */
+export function compileExpression(source, options = {}) {
+  if (typeof source !== 'string' || source.trim() === '') {
+    throw new ExpressionError('Expression must be a non-empty string');
+  }
+  if (source.length > MAX_SOURCE_LENGTH) {
+    throw new ExpressionError(`Expression exceeds ${MAX_SOURCE_LENGTH} characters`);
+  }
+  return new Parser(source, options).parse();
+}
+
+/**
+ * Compile a rule condition, accepting the legacy single-keyword form
+ * (e.g. 'document_valid' or 'maintenance_completed') used by older rules
+ */
+export function compileCondition(source, options = {}) {
+  const trimmed = typeof source === 'string' ? source.trim() : source;
+
+  if (typeof trimmed === 'string' && /^[A-Za-z_]\w*$/.test(trimmed) && !KEYWORDS.has(trimmed)) {
+    if (LEGACY_CONDITIONS[trimmed]) {
+      return compileExpression(LEGACY_CONDITIONS[trimmed], options);
+    }
+    const roots = options.roots || DEFAULT_ROOTS;
+    if (!roots.includes(trimmed) && roots.includes('metadata')) {
+      return compileExpression(`metadata.${trimmed} == true`, options);
+    }
+  }
+
+  return compileExpression(trimmed, options);
+}
+
+/**
+ * Evaluate a compiled AST against a context object
+ * Never throws for data-dependent problems: missing fields and type
+ * mismatches evaluate to null so conditions fail closed.
+ *
+ * Time functions (now, minutesSince, ...) read `options.now` (epoch ms) when
+ * given, so expressions can be evaluated as of a past instant.
+ *
+ * Time Complexity: O(m) where m is AST size
+ */
+export function evaluateExpression(node, context = {}, options = {}) {
+  return evaluateNode(node, context, options.now ?? Date.now());
+}
+
+function evaluateNode(node, context, clock) {
+  switch (node.type) {
+    case 'Literal':
+      return node.value;
+
+    case 'List':
+      return node.items.map(item => evaluateNode(item, context, clock));
+
+    case 'Identifier':
+      return readProperty(context, node.name);
+
+    case 'Member': {
+      const object = evaluateNode(node.object, context, clock);
+      const property = evaluateNode(node.property, context, clock);
+      return readProperty(object, property);
+    }
+
+    case 'Call': {
+      const definition = FUNCTIONS[node.name];
+      if (!definition) return null;
+      const args = node.args.map(arg => evaluateNode(arg, context, clock));
+      return definition[3] ? definition[2](clock, ...args) : definition[2](...args);
+    }
+
+    case 'Unary': {
+      const value = evaluateNode(node.argument, context, clock);
+      if (node.op === 'not') return !truthy(value);
+      const number = normalize(value);
+      return typeof number === 'number' ? -number : null;
+    }
+
+    case 'Logical': {
+      const left = truthy(evaluateNode(node.left, context, clock));
+      if (node.op === 'and') return left && truthy(evaluateNode(node.right, context, clock));
+      return left || truthy(evaluateNode(node.right, context, clock));
+    }
+
+    case 'Binary':
+      return evaluateBinary(node.op, evaluateNode(node.left, context, clock), evaluateNode(node.right, context, clock));
+
+    default:
+      return null;
+  }
+}
+
+function evaluateBinary(op, rawLeft, rawRight) {
+  if (op === '==') return equals(rawLeft, rawRight);
+  if (op === '!=') return !equals(rawLeft, rawRight);
+  if (op === 'in') {
+    if (Array.isArray(rawRight)) return rawRight.some(item => equals(item, rawLeft));
+    if (typeof rawRight === 'string' && typeof rawLeft === 'string') return rawRight.includes(rawLeft);
+    return false;
+  }
+
+  const left = normalize(rawLeft);
+  const right = normalize(rawRight);
+
+  if (op === '+' && typeof left === 'string' && typeof right === 'string') {
+    return left + right;
+  }
+
+  if (['<', '<=', '>', '>='].includes(op)) {
+    const comparable = (typeof left === 'number' && typeof right === 'number') ||
+      (typeof left === 'string' && typeof right === 'string');
+    if (!comparable) return false;
+    if (op === '<') return left < right;
+    if (op === '<=') return left <= right;
+    if (op === '>') return left > right;
+    return left >= right;
+  }
+
+  if (typeof left !== 'number' || typeof right !== 'number') return null;
+
+  switch (op) {
+    case '+': return left + right;
+    case '-': return left - right;
+    case '*': return left * right;
+    case '/': return right === 0 ? null : left / right;
+    case '%': return right === 0 ? null : left % right;
+    default: return null;
+  }
+}
+
+function readProperty(object, property) {
+  if (object === null || object === undefined) return null;
+  if (typeof object !== 'object') return null;
+
+  const key = typeof property === 'number' ? property : String(property);
+  if (FORBIDDEN_PROPERTIES.has(String(key))) return null;
+  if (!Object.prototype.hasOwnProperty.call(object, key)) return null;
+
+  const value = object[key];
+  return typeof value === 'function' ? null : value;
+}
+
+function truthy(value) {
+  return Boolean(value);
+}
+
+export default {
+  compileExpression,
+  compileCondition,
+  evaluateExpression,
+  ExpressionError
+};
@@ -0,0 +1,143 @@
+/**
+ * Minimal JSON Schema validation
+ * Used for the metadata schemas of source types
+ *
+ * Supported keywords: type (string, number, integer, boolean, object, array,
+ * null, or a list of them), enum, required, properties, additionalProperties
+ * (boolean), items, minimum, maximum, minLength, maxLength, pattern and
+ * format: 'date-time'. Other keywords are rejected by checkSchema so a schema
+ * never silently validates less than it says.
+ *
+ * Time Complexity: O(v) per validation where v is number of values in the document
+ * Space Complexity: O(d) for recursion depth d
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const KEYWORDS = new Set([
+  '$schema', 'title', 'description', 'type', 'enum', 'required', 'properties',
+  'additionalProperties', 'items', 'minimum', 'maximum', 'minLength', 'maxLength',
+  'pattern', 'format', 'default', 'examples'
+]);
+
+/**
+ * JSON type of a value as JSON Schema sees it
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'string';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Check that a schema only uses supported keywords and well-formed values
+ * @returns {string[]} problems, empty when the schema is usable
+ */
+export function checkSchema(schema, path = '') {
+  const at = path || 'schema';
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    return [`${at} must be an object`];
+  }
+
+  const problems = Object.keys(schema)
+    .filter(keyword => !KEYWORDS.has(keyword))
+    .map(keyword => `${at}: unsupported keyword "${keyword}"`);
+
+  const types = [].concat(schema.type ?? []);
+  types.filter(type => !TYPES.includes(type)).forEach(type => problems.push(`${at}: unknown type "${type}"`));
+
+  if (schema.required !== undefined && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+    problems.push(`${at}: required must be an array of property names`);
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    problems.push(`${at}: enum must be an array`);
+  }
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch {
+      problems.push(`${at}: pattern is not a valid regular expression`);
+    }
+  }
+  if (schema.format !== undefined && schema.format !== 'date-time') {
+    problems.push(`${at}: unsupported format "${schema.format}"`);
+  }
+
+  Object.entries(schema.properties || {}).forEach(([name, child]) => {
+    problems.push(...checkSchema(child, `${path ? `${path}.` : ''}properties.${name}`));
+  });
+  if (schema.items !== undefined) {
+    problems.push(...checkSchema(schema.items, `${path ? `${path}.` : ''}items`));
+  }
+
+  return problems;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema
+ * @param {*} value
+ * @param {string} [path] - Name of the value in messages
+ * @returns {string[]} errors, empty when valid
+ */
+export function validateSchema(schema, value, path = 'value') {
+  if (!schema || Object.keys(schema).length === 0) return [];
+
+  const types = [].concat(schema.type ?? []);
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [`${path} must be ${types.join(' or ')}`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push(`${path} must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+      errors.push(`${path} must be a date-time`);
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || [])
+      .filter(name => value[name] === undefined || value[name] === null)
+      .forEach(name => errors.push(`${path}.${name} is required`));
+
+    Object.entries(value).forEach(([name, child]) => {
+      if (child === undefined) return;
+      if (schema.properties?.[name]) {
+        errors.push(...validateSchema(schema.properties[name], child, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name} is not allowed`);
+      }
+    });
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+  }
+
+  return errors;
+}
@@ -0,0 +1,6 @@
+/**
+ * Escape user input for use as a literal in a regular expression
+ * (e.g. case-insensitive search filters)
+ * Time Complexity: O(n) where n is input length
+ */
+export const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
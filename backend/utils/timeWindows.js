@@ -0,0 +1,87 @@
+/**
+ * Weekly time windows evaluated in an IANA timezone
+ * Used by rule activation schedules
+ *
+ * A window is { days: [0-6] (0 = Sunday), start: 'HH:mm', end: 'HH:mm' }.
+ * When end is not after start the window runs past midnight and belongs to
+ * the day it starts on; start == end covers the whole day.
+ *
+ * Time Complexity: O(w) per check where w is number of windows
+ * Space Complexity: O(1)
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+/**
+ * Check that a timezone name is known to the runtime
+ */
+export function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Parse 'HH:mm' into minutes since midnight (null when malformed)
+ */
+export function parseTime(value) {
+  const match = typeof value === 'string' ? TIME_PATTERN.exec(value) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Weekday and minute of day of an instant in a timezone
+ * Formatters are cached per timezone since creating them is comparatively slow
+ */
+export function getLocalTime(date, timezone = 'UTC') {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = {};
+  formatters.get(timezone).formatToParts(date).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    day: WEEKDAYS[parts.weekday],
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+/**
+ * Whether an instant falls inside any of the windows
+ * An empty window list means "always"
+ */
+export function isWithinWindows(windows, date = new Date(), timezone = 'UTC') {
+  if (!windows || windows.length === 0) return true;
+
+  const { day, minutes } = getLocalTime(date, timezone);
+  const previousDay = (day + 6) % 7;
+
+  return windows.some(window => {
+    const start = parseTime(window.start);
+    const end = parseTime(window.end);
+    if (start === null || end === null) return false;
+
+    const days = window.days?.length > 0 ? window.days : [0, 1, 2, 3, 4, 5, 6];
+    if (start < end) {
+      return days.includes(day) && minutes >= start && minutes < end;
+    }
+    // Past midnight: the evening part on the start day, the morning part on the next day
+    return (days.includes(day) && minutes >= start) || (days.includes(previousDay) && minutes < end);
+  });
+}
+
+export default { isValidTimezone, parseTime, getLocalTime, isWithinWindows };
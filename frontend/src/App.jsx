@@ -4,9 +4,20 @@ import { AuthProvider } from './context/AuthContext';
 import PrivateRoute from './components/PrivateRoute';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import AcceptInvite from './pages/AcceptInvite';
 import Dashboard from './pages/Dashboard';
 import Alerts from './pages/Alerts';
 import Rules from './pages/Rules';
+import Silences from './pages/Silences';
+import Groups from './pages/Groups';
+import Incidents from './pages/Incidents';
+import SourceTypes from './pages/SourceTypes';
+import Drivers from './pages/Drivers';
+import DriverProfile from './pages/DriverProfile';
+import Vehicles from './pages/Vehicles';
+import Users from './pages/Users';
+import Roles from './pages/Roles';
+import ApiKeys from './pages/ApiKeys';
 
 function App() {
   return (
@@ -40,6 +51,7 @@ function App() {
           <Routes>
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<Register />} />
+            <Route path="/accept-invite" element={<AcceptInvite />} />
             <Route
               path="/dashboard"
               element={
@@ -56,6 +68,38 @@ function App() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/incidents"
+              element={
+                <PrivateRoute>
+                  <Incidents />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/drivers"
+              element={
+                <PrivateRoute>
+                  <Drivers />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/drivers/:driverId"
+              element={
+                <PrivateRoute>
+                  <DriverProfile />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/vehicles"
+              element={
+                <PrivateRoute>
+                  <Vehicles />
+                </PrivateRoute>
+              }
+            />
             <Route
               path="/rules"
               element={
@@ -64,6 +108,54 @@ function App() {
                 </PrivateRoute>
               }
             />
+            <Route
+              path="/silences"
+              element={
+                <PrivateRoute>
+                  <Silences />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/groups"
+              element={
+                <PrivateRoute>
+                  <Groups />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/source-types"
+              element={
+                <PrivateRoute>
+                  <SourceTypes />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/users"
+              element={
+                <PrivateRoute>
+                  <Users />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/roles"
+              element={
+                <PrivateRoute>
+                  <Roles />
+                </PrivateRoute>
+              }
+            />
+            <Route
+              path="/api-keys"
+              element={
+                <PrivateRoute>
+                  <ApiKeys />
+                </PrivateRoute>
+              }
+            />
             <Route path="/" element={<Navigate to="/dashboard" replace />} />
             <Route path="*" element={<Navigate to="/dashboard" replace />} />
           </Routes>
@@ -0,0 +1,23 @@
+/**
+ * Live Indicator Component
+ * Shows whether the real-time alert stream is connected
+ */
+const STATUS_STYLES = {
+  connected: { label: 'Live', dot: 'bg-green-500', text: 'text-green-700' },
+  connecting: { label: 'Connecting', dot: 'bg-yellow-400', text: 'text-yellow-700' },
+  reconnecting: { label: 'Reconnecting', dot: 'bg-yellow-400', text: 'text-yellow-700' },
+  unauthorized: { label: 'Offline', dot: 'bg-gray-400', text: 'text-gray-600' },
+};
+
+const LiveIndicator = ({ status }) => {
+  const style = STATUS_STYLES[status] || STATUS_STYLES.connecting;
+
+  return (
+    <span className={`inline-flex items-center text-sm font-medium ${style.text}`}>
+      <span className={`h-2 w-2 rounded-full mr-2 ${style.dot} ${status === 'connected' ? 'animate-pulse' : ''}`}></span>
+      {style.label}
+    </span>
+  );
+};
+
+export default LiveIndicator;
@@ -6,20 +6,42 @@ import {
   Settings,
   LogOut,
   User,
-  Bell
+  Bell,
+  BellOff,
+  Users,
+  Layers,
+  Tags,
+  UserCircle,
+  Car,
+  UserCog,
+  ShieldCheck,
+  KeyRound
 } from 'lucide-react';
 
 const Navbar = () => {
-  const { user, logout } = useAuth();
+  const { user, can, logout, logoutAll } = useAuth();
   const location = useLocation();
 
   const navigation = [
-    { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard },
-    { name: 'Alerts', href: '/alerts', icon: AlertTriangle },
-    { name: 'Rules', href: '/rules', icon: Settings },
-  ];
+    { name: 'Dashboard', href: '/dashboard', icon: LayoutDashboard, permission: 'alerts:read' },
+    { name: 'Alerts', href: '/alerts', icon: AlertTriangle, permission: 'alerts:read' },
+    { name: 'Incidents', href: '/incidents', icon: Layers, permission: 'alerts:read' },
+    { name: 'Drivers', href: '/drivers', icon: UserCircle },
+    { name: 'Vehicles', href: '/vehicles', icon: Car },
+    { name: 'Rules', href: '/rules', icon: Settings, permission: 'rules:read' },
+    { name: 'Groups', href: '/groups', icon: Users },
+    { name: 'Source Types', href: '/source-types', icon: Tags },
+    { name: 'Silences', href: '/silences', icon: BellOff },
+    { name: 'Users', href: '/users', icon: UserCog, permission: 'users:manage' },
+    { name: 'Roles', href: '/roles', icon: ShieldCheck, permission: 'roles:manage' },
+    { name: 'API Keys', href: '/api-keys', icon: KeyRound, permission: 'apiKeys:manage' },
+  ].filter((item) => !item.permission || can(item.permission));
 
-  const isActive = (path) => location.pathname === path;
+  const handleLogoutAll = () => {
+    if (window.confirm('Log out of Sentinel on all devices?')) logoutAll();
+  };
+
+  const isActive = (path) => location.pathname === path || location.pathname.startsWith(`${path}/`);
 
   return (
     <nav className="bg-white shadow-md">
@@ -61,6 +83,13 @@ const Navbar = () => {
                 <div className="font-medium text-gray-900">{user?.name}</div>
                 <div className="text-gray-500 capitalize">{user?.role}</div>
               </div>
+              <button
+                onClick={handleLogoutAll}
+                className="text-sm text-gray-500 hover:text-gray-700"
+                title="Revoke every session of this account"
+              >
+                All devices
+              </button>
               <button
                 onClick={logout}
                 className="inline-flex items-center px-3 py-2 border border-transparent text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-red-500"
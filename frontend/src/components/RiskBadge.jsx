@@ -0,0 +1,19 @@
+const LEVEL_CLASSES = {
+  HIGH: 'badge-critical',
+  MEDIUM: 'badge-warning',
+  LOW: 'badge-success',
+};
+
+/**
+ * Risk score badge for a driver or vehicle risk profile
+ */
+const RiskBadge = ({ risk }) => {
+  const level = risk?.level || 'LOW';
+  return (
+    <span className={`badge ${LEVEL_CLASSES[level]}`} title={`${level} risk`}>
+      Risk {risk?.score ?? 0}
+    </span>
+  );
+};
+
+export default RiskBadge;
@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback } from 'react';
+import ruleService from '../services/ruleService';
+import { useAuth } from '../context/AuthContext';
+import toast from 'react-hot-toast';
+import { XCircle, RotateCcw } from 'lucide-react';
+import { format } from 'date-fns';
+
+const ACTION_LABELS = {
+  baseline: 'Baseline',
+  create: 'Created',
+  update: 'Updated',
+  toggle: 'Toggled',
+  rollback: 'Rolled back',
+  delete: 'Deleted',
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Rule History Component
+ * Lists the versions of a rule with their changes and allows rolling back
+ */
+const RuleHistory = ({ rule, onClose, onRolledBack }) => {
+  const [versions, setVersions] = useState([]);
+  const [currentVersion, setCurrentVersion] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState(null);
+  const { can } = useAuth();
+
+  const fetchVersions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await ruleService.getRuleVersions(rule.ruleId);
+      setVersions(response.data.versions);
+      setCurrentVersion(response.data.currentVersion);
+    } catch (error) {
+      toast.error('Failed to fetch rule history');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [rule.ruleId]);
+
+  useEffect(() => {
+    fetchVersions();
+  }, [fetchVersions]);
+
+  const handleRollback = async (version) => {
+    if (!window.confirm(`Roll back "${rule.name}" to version ${version}?`)) return;
+
+    setRollingBack(version);
+    try {
+      const response = await ruleService.rollbackRule(rule.ruleId, version);
+      toast.success(response.message || `Rolled back to version ${version}`);
+      fetchVersions();
+      onRolledBack();
+    } catch (error) {
+      toast.error(error.message || 'Failed to roll back rule');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Rule History</h2>
+            <p className="text-gray-600 mt-1">{rule.name}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : versions.length === 0 ? (
+          <p className="text-gray-500 text-center py-8">No versions recorded yet</p>
+        ) : (
+          <div className="space-y-3">
+            {versions.map((version) => (
+              <div key={version._id} className="bg-gray-50 p-4 rounded-lg">
+                <div className="flex justify-between items-start">
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <p className="font-medium text-gray-900">Version {version.version}</p>
+                      <span className="badge bg-gray-100 text-gray-800">{ACTION_LABELS[version.action]}</span>
+                      {version.version === currentVersion && (
+                        <span className="badge badge-success">Current</span>
+                      )}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {version.author?.name || version.authorEmail || 'System'} • {format(new Date(version.createdAt), 'MMM dd, yyyy HH:mm:ss')}
+                    </p>
+                    {version.comment && (
+                      <p className="text-sm text-gray-600 mt-1">{version.comment}</p>
+                    )}
+                  </div>
+                  {can('rules:write') && version.version !== currentVersion && version.action !== 'delete' && currentVersion !== null && (
+                    <button
+                      onClick={() => handleRollback(version.version)}
+                      disabled={rollingBack !== null}
+                      className="btn btn-secondary flex items-center text-sm"
+                    >
+                      <RotateCcw className="h-4 w-4 mr-2" />
+                      {rollingBack === version.version ? 'Rolling back...' : 'Roll back'}
+                    </button>
+                  )}
+                </div>
+
+                {version.action !== 'baseline' && version.changes?.length > 0 && (
+                  <div className="mt-3 space-y-1 text-sm font-mono">
+                    {version.changes.map((change) => (
+                      <p key={change.path} className="text-gray-700">
+                        <span className="text-gray-500">{change.path}:</span>{' '}
+                        <span className="text-red-600">{formatValue(change.from)}</span>
+                        {' → '}
+                        <span className="text-green-700">{formatValue(change.to)}</span>
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RuleHistory;
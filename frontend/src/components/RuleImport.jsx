@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import ruleService from '../services/ruleService';
+import toast from 'react-hot-toast';
+import { XCircle, Upload } from 'lucide-react';
+
+const ACTION_STYLES = {
+  create: 'badge-success',
+  update: 'badge-info',
+  delete: 'badge-critical',
+  unchanged: 'bg-gray-100 text-gray-800',
+  invalid: 'badge-warning',
+};
+
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Rule Import Component
+ * Loads a JSON or YAML bundle, shows the dry-run plan and applies it
+ */
+const RuleImport = ({ onClose, onImported }) => {
+  const [bundleText, setBundleText] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [prune, setPrune] = useState(false);
+  const [comment, setComment] = useState('');
+  const [plan, setPlan] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setFileName(file.name);
+    setBundleText(await file.text());
+    setPlan(null);
+  };
+
+  const runImport = async (dryRun) => {
+    setLoading(true);
+    try {
+      const response = await ruleService.importRules(bundleText, {
+        dryRun,
+        prune,
+        ...(comment.trim() && { comment: comment.trim() }),
+      });
+      setPlan(response.data);
+      if (!dryRun) {
+        toast.success(response.message || 'Rules imported');
+        onImported();
+        onClose();
+      }
+    } catch (error) {
+      if (error.data?.operations) setPlan(error.data);
+      toast.error(error.message || 'Failed to import rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const hasChanges = plan && (plan.summary.create + plan.summary.update + plan.summary.delete) > 0;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">Import Rules</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Bundle file (JSON or YAML)</label>
+            <input type="file" accept=".json,.yaml,.yml" onChange={handleFile} className="input" />
+            {fileName && <p className="text-xs text-gray-500 mt-1">{fileName}</p>}
+          </div>
+
+          <div className="flex items-center">
+            <input
+              type="checkbox"
+              checked={prune}
+              onChange={(e) => {
+                setPrune(e.target.checked);
+                setPlan(null);
+              }}
+              className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+            />
+            <label className="ml-2 block text-sm text-gray-700">Delete rules that are not in the bundle</label>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Change note</label>
+            <input
+              type="text"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              className="input"
+              maxLength={500}
+              placeholder="e.g. Sync from staging"
+            />
+          </div>
+
+          {plan && (
+            <div className="space-y-3 pt-4 border-t">
+              <div className="flex flex-wrap gap-2 text-sm">
+                {Object.entries(plan.summary).map(([action, count]) => (
+                  <span key={action} className={`badge ${ACTION_STYLES[action]}`}>
+                    {count} {action}
+                  </span>
+                ))}
+              </div>
+
+              {plan.operations
+                .filter((operation) => operation.action !== 'unchanged')
+                .map((operation) => (
+                  <div key={`${operation.action}-${operation.ruleId}-${operation.index}`} className="bg-gray-50 p-3 rounded-lg">
+                    <div className="flex items-center gap-2">
+                      <span className={`badge ${ACTION_STYLES[operation.action]}`}>{operation.action}</span>
+                      <span className="font-medium text-gray-900">{operation.ruleId || `Rule #${operation.index + 1}`}</span>
+                    </div>
+                    {operation.errors?.map((message) => (
+                      <p key={message} className="text-sm text-red-600 mt-1">{message}</p>
+                    ))}
+                    {operation.action === 'update' && operation.changes.map((change) => (
+                      <p key={change.path} className="text-sm font-mono text-gray-700 mt-1">
+                        <span className="text-gray-500">{change.path}:</span>{' '}
+                        <span className="text-red-600">{formatValue(change.from)}</span>
+                        {' → '}
+                        <span className="text-green-700">{formatValue(change.to)}</span>
+                      </p>
+                    ))}
+                  </div>
+                ))}
+
+              {plan.valid && !hasChanges && (
+                <p className="text-sm text-gray-500">All rules already match the bundle.</p>
+              )}
+            </div>
+          )}
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={() => runImport(true)}
+              disabled={!bundleText || loading}
+              className="btn btn-secondary flex-1"
+            >
+              {loading ? 'Checking...' : 'Preview Changes'}
+            </button>
+            <button
+              type="button"
+              onClick={() => runImport(false)}
+              disabled={!plan?.valid || !hasChanges || loading}
+              className="btn btn-primary flex-1 flex items-center justify-center"
+            >
+              <Upload className="h-4 w-4 mr-2" />
+              Apply Import
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RuleImport;
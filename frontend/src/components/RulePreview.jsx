@@ -0,0 +1,138 @@
+import { useState } from 'react';
+import ruleService from '../services/ruleService';
+import toast from 'react-hot-toast';
+import { PlayCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+const RANGES = [
+  { value: 1, label: 'Last 24 hours' },
+  { value: 7, label: 'Last 7 days' },
+  { value: 30, label: 'Last 30 days' },
+];
+const MAX_ROWS = 50;
+
+const formatTime = (value) => (value ? format(new Date(value), 'MMM dd, HH:mm') : '—');
+
+/**
+ * Rule Preview Component
+ * Replays the rule being edited against past alerts; nothing is modified
+ */
+const RulePreview = ({ buildRule }) => {
+  const [days, setDays] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [simulation, setSimulation] = useState(null);
+
+  const runPreview = async () => {
+    setLoading(true);
+    try {
+      const to = new Date();
+      const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+      const response = await ruleService.simulateDraft(buildRule(), {
+        from: from.toISOString(),
+        to: to.toISOString(),
+      });
+      setSimulation(response.data);
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to run preview');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const summary = simulation?.summary;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-gray-900">Preview</h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="input py-1"
+          >
+            {RANGES.map((range) => (
+              <option key={range.value} value={range.value}>{range.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={runPreview}
+            disabled={loading}
+            className="btn btn-secondary flex items-center whitespace-nowrap"
+          >
+            <PlayCircle className="h-4 w-4 mr-2" />
+            {loading ? 'Running...' : 'Run Preview'}
+          </button>
+        </div>
+      </div>
+
+      {summary && (
+        <>
+          <div className="grid grid-cols-3 gap-4 text-center">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-2xl font-bold text-gray-900">{summary.evaluated}</p>
+              <p className="text-xs text-gray-500">
+                Alerts replayed{summary.outOfScope > 0 ? ` (${summary.outOfScope} out of scope)` : ''}
+              </p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-3">
+              <p className="text-2xl font-bold text-red-700">{summary.wouldEscalate}</p>
+              <p className="text-xs text-gray-500">Would escalate ({summary.actuallyEscalated} did)</p>
+            </div>
+            <div className="bg-green-50 rounded-lg p-3">
+              <p className="text-2xl font-bold text-green-700">{summary.wouldAutoClose}</p>
+              <p className="text-xs text-gray-500">Would auto-close ({summary.actuallyAutoClosed} did)</p>
+            </div>
+          </div>
+
+          {summary.truncated && (
+            <p className="text-sm text-yellow-700">
+              Too many alerts in this range; only the oldest were replayed.
+            </p>
+          )}
+
+          {simulation.results.length > 0 ? (
+            <div className="overflow-x-auto border rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Alert</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Driver</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Escalates</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Auto-closes</th>
+                    <th className="px-3 py-2 text-left font-medium text-gray-500">Actual</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {simulation.results.slice(0, MAX_ROWS).map((result) => (
+                    <tr key={result.alertId}>
+                      <td className="px-3 py-2 font-mono text-xs">{result.alertId}</td>
+                      <td className="px-3 py-2">{result.driverName || result.driverId || '—'}</td>
+                      <td className="px-3 py-2" title={result.escalateReason || ''}>
+                        {formatTime(result.escalateAt)}
+                      </td>
+                      <td className="px-3 py-2" title={result.autoCloseReason || ''}>
+                        {formatTime(result.autoCloseAt)}
+                      </td>
+                      <td className="px-3 py-2">{result.actual.status}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {simulation.results.length > MAX_ROWS && (
+                <p className="px-3 py-2 text-xs text-gray-500">
+                  Showing {MAX_ROWS} of {simulation.results.length} affected alerts
+                </p>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500">This rule would not have acted on any alert in this range.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default RulePreview;
@@ -20,6 +20,11 @@ export const AuthProvider = ({ children }) => {
     const currentUser = authService.getCurrentUser();
     if (currentUser) {
       setUser(currentUser);
+      // Pick up role and permission changes made since the user logged in
+      authService
+        .getProfile()
+        .then((response) => setUser(response.data.user))
+        .catch(() => {});
     }
     setLoading(false);
   }, []);
@@ -36,16 +41,36 @@ export const AuthProvider = ({ children }) => {
     return response;
   };
 
-  const logout = () => {
-    authService.logout();
+  const acceptInvite = async (token, password) => {
+    const response = await authService.acceptInvite(token, password);
+    setUser(response.data.user);
+    return response;
+  };
+
+  const logout = async () => {
+    await authService.logout();
     setUser(null);
   };
 
+  const logoutAll = async () => {
+    try {
+      await authService.logoutAll();
+    } finally {
+      setUser(null);
+    }
+  };
+
+  // Whether the user's role grants a permission (see backend models/permissions.js)
+  const can = (permission) => !!user?.permissions?.includes(permission);
+
   const value = {
     user,
+    can,
     login,
     register,
+    acceptInvite,
     logout,
+    logoutAll,
     isAuthenticated: !!user,
     loading,
   };
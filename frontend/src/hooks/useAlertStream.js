@@ -0,0 +1,59 @@
+import { useState, useEffect, useRef } from 'react';
+import streamService from '../services/streamService';
+
+/**
+ * Subscribe a component to real-time alert events
+ * Events are batched so a burst of alerts triggers one onEvents([...]) call
+ * per batchMs. After a reconnect onEvents([]) is called, since events may
+ * have been missed while disconnected.
+ *
+ * Returns the stream status (connecting | connected | reconnecting | unauthorized)
+ */
+export const useAlertStream = (onEvents, { batchMs = 1000 } = {}) => {
+  const [status, setStatus] = useState('connecting');
+  const handlerRef = useRef(onEvents);
+
+  useEffect(() => {
+    handlerRef.current = onEvents;
+  }, [onEvents]);
+
+  useEffect(() => {
+    let timer = null;
+    let pending = [];
+    let wasConnected = false;
+
+    const flush = () => {
+      timer = null;
+      const events = pending;
+      pending = [];
+      handlerRef.current?.(events);
+    };
+
+    const unsubscribe = streamService.subscribeToAlerts(
+      (event) => {
+        pending.push(event);
+        if (!timer) {
+          timer = setTimeout(flush, batchMs);
+        }
+      },
+      {
+        onStatusChange: (nextStatus) => {
+          setStatus(nextStatus);
+          if (nextStatus === 'connected') {
+            if (wasConnected) handlerRef.current?.([]);
+            wasConnected = true;
+          }
+        },
+      }
+    );
+
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [batchMs]);
+
+  return status;
+};
+
+export default useAlertStream;
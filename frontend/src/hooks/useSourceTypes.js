@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import sourceTypeService from '../services/sourceTypeService';
+
+/**
+ * Load the registered source types
+ * Returns { sourceTypes, labelFor, reload }; labelFor(name) falls back to
+ * the raw name for types that are no longer registered
+ */
+export const useSourceTypes = () => {
+  const [sourceTypes, setSourceTypes] = useState([]);
+
+  const reload = useCallback(async () => {
+    try {
+      const response = await sourceTypeService.getSourceTypes();
+      setSourceTypes(response.data.sourceTypes);
+    } catch (error) {
+      console.error('Failed to fetch source types:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const labelFor = useCallback(
+    (name) => sourceTypes.find((sourceType) => sourceType.name === name)?.label || name?.replace('_', ' '),
+    [sourceTypes]
+  );
+
+  return { sourceTypes, labelFor, reload };
+};
+
+export default useSourceTypes;
@@ -0,0 +1,160 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import authService from '../services/authService';
+import toast from 'react-hot-toast';
+import { Bell, Lock, Loader } from 'lucide-react';
+
+const AcceptInvite = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [invite, setInvite] = useState(null);
+  const [inviteError, setInviteError] = useState(null);
+  const [formData, setFormData] = useState({ password: '', confirmPassword: '' });
+  const [loading, setLoading] = useState(false);
+  const { acceptInvite } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    if (!token) {
+      setInviteError('This invite link is incomplete');
+      return;
+    }
+    authService
+      .getInvite(token)
+      .then((response) => setInvite(response.data.invite))
+      .catch((error) => setInviteError(error.message || 'Invite is invalid or has expired'));
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.password !== formData.confirmPassword) {
+      toast.error('Passwords do not match');
+      return;
+    }
+
+    if (formData.password.length < 6) {
+      toast.error('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      await acceptInvite(token, formData.password);
+      toast.success('Welcome to Sentinel!');
+      navigate('/dashboard');
+    } catch (error) {
+      toast.error(error.message || 'Failed to accept invite');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-primary-50 to-primary-100 py-12 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-md w-full space-y-8 bg-white p-8 rounded-xl shadow-lg">
+        <div className="text-center">
+          <div className="flex justify-center">
+            <Bell className="h-16 w-16 text-primary-600" />
+          </div>
+          <h2 className="mt-4 text-3xl font-extrabold text-gray-900">
+            Accept Invite
+          </h2>
+          {invite && (
+            <p className="mt-2 text-sm text-gray-600">
+              {invite.name} ({invite.email}), you have been invited as <span className="capitalize">{invite.role}</span>.
+              Choose a password to continue.
+            </p>
+          )}
+        </div>
+
+        {inviteError ? (
+          <div className="text-center space-y-4">
+            <p className="text-sm text-red-600">{inviteError}</p>
+            <p className="text-sm text-gray-600">Ask an administrator to send you a new invite.</p>
+            <Link to="/login" className="font-medium text-primary-600 hover:text-primary-500 text-sm">
+              Go to sign in
+            </Link>
+          </div>
+        ) : !invite ? (
+          <div className="flex justify-center py-8">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="space-y-4">
+              <div>
+                <label htmlFor="password" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="password"
+                    name="password"
+                    type="password"
+                    required
+                    className="input pl-10"
+                    placeholder="••••••••"
+                    value={formData.password}
+                    onChange={handleChange}
+                  />
+                </div>
+              </div>
+              <div>
+                <label htmlFor="confirmPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                  Confirm Password
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id="confirmPassword"
+                    name="confirmPassword"
+                    type="password"
+                    required
+                    className="input pl-10"
+                    placeholder="••••••••"
+                    value={formData.confirmPassword}
+                    onChange={handleChange}
+                  />
+                </div>
+              </div>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={loading}
+                className="w-full btn btn-primary flex items-center justify-center"
+              >
+                {loading ? (
+                  <>
+                    <Loader className="animate-spin h-5 w-5 mr-2" />
+                    Activating account...
+                  </>
+                ) : (
+                  'Activate account'
+                )}
+              </button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AcceptInvite;
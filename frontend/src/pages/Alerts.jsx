@@ -1,10 +1,18 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import LiveIndicator from '../components/LiveIndicator';
 import alertService from '../services/alertService';
+import userService from '../services/userService';
+import useAlertStream from '../hooks/useAlertStream';
+import useSourceTypes from '../hooks/useSourceTypes';
 import toast from 'react-hot-toast';
-import { AlertTriangle, Check, XCircle, Filter, Plus, Eye } from 'lucide-react';
+import { AlertTriangle, Check, XCircle, Filter, Plus, Eye, Hand, UserPlus, MessageSquare, Reply, RotateCcw } from 'lucide-react';
 import { format } from 'date-fns';
 
+const ACTIVE_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'ESCALATED'];
+
 const Alerts = () => {
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -19,13 +27,18 @@ const Alerts = () => {
   const [selectedAlert, setSelectedAlert] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [showCreateModal, setShowCreateModal] = useState(false);
+  const { sourceTypes, labelFor } = useSourceTypes();
+  const { can } = useAuth();
 
   useEffect(() => {
     fetchAlerts();
   }, [filters]);
 
-  const fetchAlerts = async () => {
-    setLoading(true);
+  // Refresh the current page in place when alerts are created or change state
+  const streamStatus = useAlertStream(() => fetchAlerts({ silent: true }));
+
+  const fetchAlerts = async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true);
     try {
       const response = await alertService.getAlerts(filters);
       setAlerts(response.data.alerts);
@@ -48,7 +61,17 @@ const Alerts = () => {
       toast.success('Alert resolved successfully');
       fetchAlerts();
     } catch (err) {
-      toast.error('Failed to resolve alert');
+      toast.error(err.message || 'Failed to resolve alert');
+    }
+  };
+
+  const handleAcknowledge = async (alertId) => {
+    try {
+      await alertService.acknowledgeAlert(alertId);
+      toast.success('Alert acknowledged');
+      fetchAlerts({ silent: true });
+    } catch (err) {
+      toast.error(err.message || 'Failed to acknowledge alert');
     }
   };
 
@@ -74,6 +97,7 @@ const Alerts = () => {
   const getStatusBadge = (status) => {
     const badges = {
       OPEN: 'badge-info',
+      ACKNOWLEDGED: 'badge-warning',
       ESCALATED: 'badge-critical',
       AUTO_CLOSED: 'badge-success',
       RESOLVED: 'badge-success'
@@ -90,13 +114,18 @@ const Alerts = () => {
             <h1 className="text-3xl font-bold text-gray-900">Alerts</h1>
             <p className="text-gray-600 mt-1">Manage and monitor system alerts</p>
           </div>
-          <button
-            onClick={() => setShowCreateModal(true)}
-            className="btn btn-primary flex items-center"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Create Alert
-          </button>
+          <div className="flex items-center space-x-4">
+            <LiveIndicator status={streamStatus} />
+            {can('alerts:create') && (
+              <button
+                onClick={() => setShowCreateModal(true)}
+                className="btn btn-primary flex items-center"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Create Alert
+              </button>
+            )}
+          </div>
         </div>
 
         {/* Filters */}
@@ -110,6 +139,7 @@ const Alerts = () => {
             >
               <option value="">All Status</option>
               <option value="OPEN">Open</option>
+              <option value="ACKNOWLEDGED">Acknowledged</option>
               <option value="ESCALATED">Escalated</option>
               <option value="AUTO_CLOSED">Auto-Closed</option>
               <option value="RESOLVED">Resolved</option>
@@ -130,10 +160,9 @@ const Alerts = () => {
               className="input max-w-xs"
             >
               <option value="">All Sources</option>
-              <option value="overspeed">Overspeed</option>
-              <option value="compliance">Compliance</option>
-              <option value="feedback_negative">Negative Feedback</option>
-              <option value="maintenance">Maintenance</option>
+              {sourceTypes.map((sourceType) => (
+                <option key={sourceType.name} value={sourceType.name}>{sourceType.label}</option>
+              ))}
             </select>
             <button
               onClick={() => setFilters({ status: '', severity: '', sourceType: '', page: 1, limit: 20 })}
@@ -176,18 +205,37 @@ const Alerts = () => {
                       <tr key={alert._id} className="hover:bg-gray-50">
                         <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-primary-600">
                           {alert.alertId}
+                          {alert.metadata?.eventCount > 1 && (
+                            <span className="ml-2 badge bg-gray-100 text-gray-800" title="Folded repeat events">
+                              ×{alert.metadata.eventCount}
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 capitalize">
-                          {alert.sourceType.replace('_', ' ')}
+                          {labelFor(alert.sourceType)}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={getSeverityBadge(alert.severity)}>{alert.severity}</span>
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap">
                           <span className={getStatusBadge(alert.status)}>{alert.status}</span>
+                          {alert.status === 'ESCALATED' && alert.escalationLevel > 1 && (
+                            <span className="ml-2 badge bg-gray-100 text-gray-800" title="Escalation level">
+                              L{alert.escalationLevel}
+                            </span>
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                          {alert.metadata?.driverName || alert.metadata?.driverId || 'N/A'}
+                          {alert.metadata?.driverId ? (
+                            <Link
+                              to={`/drivers/${encodeURIComponent(alert.metadata.driverId)}`}
+                              className="text-primary-600 hover:text-primary-900"
+                            >
+                              {alert.metadata.driverName || alert.metadata.driverId}
+                            </Link>
+                          ) : (
+                            alert.metadata?.driverName || 'N/A'
+                          )}
                         </td>
                         <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                           {format(new Date(alert.timestamp), 'MMM dd, yyyy HH:mm')}
@@ -199,10 +247,20 @@ const Alerts = () => {
                           >
                             <Eye className="h-4 w-4 inline" />
                           </button>
-                          {(alert.status === 'OPEN' || alert.status === 'ESCALATED') && (
+                          {can('alerts:acknowledge') && (alert.status === 'OPEN' || alert.status === 'ESCALATED') && (
+                            <button
+                              onClick={() => handleAcknowledge(alert.alertId)}
+                              className="text-yellow-600 hover:text-yellow-900"
+                              title="Acknowledge"
+                            >
+                              <Hand className="h-4 w-4 inline" />
+                            </button>
+                          )}
+                          {can('alerts:resolve') && ACTIVE_STATUSES.includes(alert.status) && (
                             <button
                               onClick={() => handleResolve(alert.alertId)}
                               className="text-green-600 hover:text-green-900"
+                              title="Resolve"
                             >
                               <Check className="h-4 w-4 inline" />
                             </button>
@@ -252,6 +310,10 @@ const Alerts = () => {
             setSelectedAlert(null);
           }}
           onResolve={handleResolve}
+          onRefresh={() => {
+            handleViewDetails(selectedAlert.alert);
+            fetchAlerts({ silent: true });
+          }}
           fetchAlerts={fetchAlerts}
         />
       )}
@@ -261,6 +323,7 @@ const Alerts = () => {
         <CreateAlertModal
           onClose={() => setShowCreateModal(false)}
           fetchAlerts={fetchAlerts}
+          sourceTypes={sourceTypes}
         />
       )}
     </Layout>
@@ -268,7 +331,73 @@ const Alerts = () => {
 };
 
 // Alert Details Modal Component
-const AlertDetailsModal = ({ alert, onClose, onResolve, fetchAlerts }) => {
+const AlertDetailsModal = ({ alert, onClose, onResolve, onRefresh, fetchAlerts }) => {
+  const [users, setUsers] = useState([]);
+  const [assignee, setAssignee] = useState(alert.alert.assignedTo?._id || '');
+  const [comment, setComment] = useState('');
+  const [replyTo, setReplyTo] = useState(null);
+  const [reply, setReply] = useState('');
+  const [reopenReason, setReopenReason] = useState('');
+  const [busy, setBusy] = useState(false);
+  const { can } = useAuth();
+
+  const isActive = ACTIVE_STATUSES.includes(alert.alert.status);
+  const canAssign = can('alerts:assign');
+
+  useEffect(() => {
+    if (!canAssign) return;
+    userService.getUsers({ status: 'ACTIVE' })
+      .then((response) => setUsers(response.data.users))
+      .catch(() => toast.error('Failed to fetch users'));
+  }, [canAssign]);
+
+  useEffect(() => {
+    setAssignee(alert.alert.assignedTo?._id || '');
+  }, [alert.alert.assignedTo]);
+
+  const run = async (action, successMessage) => {
+    setBusy(true);
+    try {
+      await action();
+      toast.success(successMessage);
+      onRefresh();
+      return true;
+    } catch (err) {
+      toast.error(err.errors?.[0]?.message || err.message || 'Action failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAcknowledge = () =>
+    run(() => alertService.acknowledgeAlert(alert.alert.alertId), 'Alert acknowledged');
+
+  const handleAssign = () =>
+    run(() => alertService.assignAlert(alert.alert.alertId, assignee), 'Alert assigned');
+
+  const handleReopen = async (e) => {
+    e.preventDefault();
+    if (await run(() => alertService.reopenAlert(alert.alert.alertId, reopenReason), 'Alert reopened')) {
+      setReopenReason('');
+    }
+  };
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (await run(() => alertService.addComment(alert.alert.alertId, comment), 'Comment added')) {
+      setComment('');
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (await run(() => alertService.addComment(alert.alert.alertId, reply, replyTo), 'Reply added')) {
+      setReply('');
+      setReplyTo(null);
+    }
+  };
+
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
       <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
@@ -295,10 +424,141 @@ const AlertDetailsModal = ({ alert, onClose, onResolve, fetchAlerts }) => {
             </div>
             <div>
               <label className="text-sm font-medium text-gray-500">Status</label>
-              <p><span className={`badge ${alert.alert.status === 'ESCALATED' ? 'badge-critical' : alert.alert.status.includes('CLOSED') || alert.alert.status === 'RESOLVED' ? 'badge-success' : 'badge-info'}`}>{alert.alert.status}</span></p>
+              <p><span className={`badge ${alert.alert.status === 'ESCALATED' ? 'badge-critical' : alert.alert.status === 'ACKNOWLEDGED' ? 'badge-warning' : alert.alert.status.includes('CLOSED') || alert.alert.status === 'RESOLVED' ? 'badge-success' : 'badge-info'}`}>{alert.alert.status}</span></p>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="text-sm font-medium text-gray-500">Assigned To</label>
+              <p className="text-lg text-gray-900">
+                {alert.alert.assignedTo ? alert.alert.assignedTo.name : 'Unassigned'}
+              </p>
+              {alert.alert.assignedAt && (
+                <p className="text-xs text-gray-500">
+                  since {format(new Date(alert.alert.assignedAt), 'MMM dd, yyyy HH:mm')}
+                </p>
+              )}
             </div>
+            {alert.alert.acknowledgedAt && (
+              <div>
+                <label className="text-sm font-medium text-gray-500">Acknowledged</label>
+                <p className="text-lg text-gray-900">
+                  {alert.alert.acknowledgedBy?.name || 'Unknown user'}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {format(new Date(alert.alert.acknowledgedAt), 'MMM dd, yyyy HH:mm')}
+                </p>
+              </div>
+            )}
           </div>
 
+          {isActive && canAssign && (
+            <div className="flex gap-2 items-center">
+              <select
+                value={assignee}
+                onChange={(e) => setAssignee(e.target.value)}
+                className="input flex-1"
+              >
+                <option value="">Select a user...</option>
+                {users.map((user) => (
+                  <option key={user._id} value={user._id}>
+                    {user.name} ({user.email})
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleAssign}
+                disabled={busy || !assignee || assignee === alert.alert.assignedTo?._id}
+                className="btn btn-secondary flex items-center disabled:opacity-50"
+              >
+                <UserPlus className="h-4 w-4 mr-2" />
+                {alert.alert.assignedTo ? 'Reassign' : 'Assign'}
+              </button>
+            </div>
+          )}
+
+          {alert.alert.incidentId && (
+            <div>
+              <label className="text-sm font-medium text-gray-500">Incident</label>
+              <p>
+                <Link to={`/incidents?id=${alert.alert.incidentId}`} className="text-primary-600 hover:text-primary-900">
+                  {alert.alert.incidentId}
+                </Link>
+              </p>
+            </div>
+          )}
+
+          {alert.alert.escalationLevel > 0 && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium text-gray-500">Escalation Level</label>
+                <p className="text-lg text-gray-900">
+                  Level {alert.alert.escalationLevel}
+                  {alert.alert.escalationRuleId && (
+                    <span className="text-sm text-gray-500"> (rule {alert.alert.escalationRuleId})</span>
+                  )}
+                </p>
+              </div>
+              {alert.alert.nextEscalationAt && (
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Next Step-up</label>
+                  <p className="text-lg text-gray-900">
+                    {format(new Date(alert.alert.nextEscalationAt), 'MMM dd, yyyy HH:mm')}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {alert.alert.metadata?.eventCount > 1 && (
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="text-sm font-medium text-gray-500">Occurrences</label>
+                <p className="text-lg text-gray-900">{alert.alert.metadata.eventCount}</p>
+              </div>
+              {alert.alert.lastSeenAt && (
+                <div>
+                  <label className="text-sm font-medium text-gray-500">Last Seen</label>
+                  <p className="text-lg text-gray-900">
+                    {format(new Date(alert.alert.lastSeenAt), 'MMM dd, yyyy HH:mm:ss')}
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {alert.alert.tags?.length > 0 && (
+            <div>
+              <label className="text-sm font-medium text-gray-500">Tags</label>
+              <div className="flex flex-wrap gap-2 mt-1">
+                {alert.alert.tags.map((tag) => (
+                  <span key={tag} className="badge bg-gray-100 text-gray-800">{tag}</span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {alert.alert.suppressions?.length > 0 && (
+            <div>
+              <label className="text-sm font-medium text-gray-500 mb-2 block">Silenced</label>
+              <div className="space-y-2">
+                {alert.alert.suppressions.map((suppression) => (
+                  <div key={`${suppression.silenceId}-${suppression.effect}`} className="bg-yellow-50 p-3 rounded-lg text-sm">
+                    <p className="font-medium text-gray-900 capitalize">
+                      {suppression.effect} suppressed by {suppression.silenceId}
+                      {suppression.count > 1 ? ` (${suppression.count} times)` : ''}
+                    </p>
+                    {suppression.reason && <p className="text-gray-600">{suppression.reason}</p>}
+                    <p className="text-xs text-gray-500 mt-1">
+                      Last {format(new Date(suppression.lastAt), 'MMM dd, yyyy HH:mm:ss')}
+                    </p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div>
             <label className="text-sm font-medium text-gray-500">Metadata</label>
             <div className="mt-2 bg-gray-50 p-4 rounded-lg">
@@ -316,11 +576,20 @@ const AlertDetailsModal = ({ alert, onClose, onResolve, fetchAlerts }) => {
                   <div className="flex justify-between items-start">
                     <div>
                       <p className="font-medium text-gray-900">
-                        {event.fromStatus || 'NEW'} → {event.toStatus}
+                        {event.metadata?.activity
+                          ? (event.metadata.activity === 'assign' ? 'Assignment' : 'Comment')
+                          : `${event.fromStatus || 'NEW'} → ${event.toStatus}`}
                       </p>
                       <p className="text-sm text-gray-600">{event.reason}</p>
+                      {event.metadata?.rule && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          Rule {event.metadata.rule}
+                          {event.metadata.ruleVersion ? ` (version ${event.metadata.ruleVersion})` : ''}
+                          {event.metadata.escalationLevel ? ` • level ${event.metadata.escalationLevel}` : ''}
+                        </p>
+                      )}
                       <p className="text-xs text-gray-500 mt-1">
-                        {event.triggeredBy} • {format(new Date(event.timestamp), 'MMM dd, yyyy HH:mm:ss')}
+                        {event.triggeredBy}{event.userId?.name ? ` (${event.userId.name})` : event.apiKey?.name ? ` (API key: ${event.apiKey.name})` : ''} • {format(new Date(event.timestamp), 'MMM dd, yyyy HH:mm:ss')}
                       </p>
                     </div>
                   </div>
@@ -329,19 +598,115 @@ const AlertDetailsModal = ({ alert, onClose, onResolve, fetchAlerts }) => {
             </div>
           </div>
 
-          {(alert.alert.status === 'OPEN' || alert.alert.status === 'ESCALATED') && (
-            <div className="flex gap-2 pt-4">
-              <button
-                onClick={async () => {
-                  await onResolve(alert.alert.alertId);
-                  onClose();
-                  fetchAlerts();
-                }}
-                className="btn btn-success flex-1"
-              >
-                <Check className="h-4 w-4 mr-2" />
-                Resolve Alert
+          <div>
+            <label className="text-sm font-medium text-gray-500 mb-2 block">Comments</label>
+            <div className="space-y-2">
+              {(alert.comments || []).length === 0 && (
+                <p className="text-sm text-gray-500">No comments yet</p>
+              )}
+              {(alert.comments || []).map((thread) => (
+                <div key={thread._id} className="bg-gray-50 p-3 rounded-lg">
+                  <CommentBody comment={thread} />
+                  {thread.replies.length > 0 && (
+                    <div className="mt-2 ml-4 pl-3 border-l-2 border-gray-200 space-y-2">
+                      {thread.replies.map((replyComment) => (
+                        <CommentBody key={replyComment._id} comment={replyComment} />
+                      ))}
+                    </div>
+                  )}
+                  {replyTo === thread._id ? (
+                    <form onSubmit={handleReply} className="mt-2 ml-4 flex gap-2">
+                      <input
+                        type="text"
+                        value={reply}
+                        onChange={(e) => setReply(e.target.value)}
+                        className="input flex-1"
+                        placeholder="Write a reply..."
+                        autoFocus
+                        required
+                      />
+                      <button type="submit" disabled={busy} className="btn btn-primary">
+                        Reply
+                      </button>
+                      <button type="button" onClick={() => setReplyTo(null)} className="btn btn-secondary">
+                        Cancel
+                      </button>
+                    </form>
+                  ) : can('alerts:comment') && (
+                    <button
+                      onClick={() => {
+                        setReplyTo(thread._id);
+                        setReply('');
+                      }}
+                      className="mt-2 text-xs text-primary-600 hover:text-primary-900 flex items-center"
+                    >
+                      <Reply className="h-3 w-3 mr-1" />
+                      Reply
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+            {can('alerts:comment') && (
+              <form onSubmit={handleComment} className="mt-3 flex gap-2">
+                <input
+                  type="text"
+                  value={comment}
+                  onChange={(e) => setComment(e.target.value)}
+                  className="input flex-1"
+                  placeholder="Add a comment..."
+                  required
+                />
+                <button type="submit" disabled={busy} className="btn btn-primary flex items-center">
+                  <MessageSquare className="h-4 w-4 mr-2" />
+                  Comment
+                </button>
+              </form>
+            )}
+          </div>
+
+          {!isActive && can('alerts:resolve') && (
+            <form onSubmit={handleReopen} className="flex gap-2 pt-4">
+              <input
+                type="text"
+                value={reopenReason}
+                onChange={(e) => setReopenReason(e.target.value)}
+                className="input flex-1"
+                placeholder="Why is this alert being reopened?"
+                required
+              />
+              <button type="submit" disabled={busy} className="btn btn-secondary flex items-center">
+                <RotateCcw className="h-4 w-4 mr-2" />
+                Reopen Alert
               </button>
+            </form>
+          )}
+
+          {isActive && (can('alerts:acknowledge') || can('alerts:resolve')) && (
+            <div className="flex gap-2 pt-4">
+              {can('alerts:acknowledge') && alert.alert.status !== 'ACKNOWLEDGED' && (
+                <button
+                  onClick={handleAcknowledge}
+                  disabled={busy}
+                  className="btn btn-secondary flex-1 flex items-center justify-center"
+                >
+                  <Hand className="h-4 w-4 mr-2" />
+                  Acknowledge
+                </button>
+              )}
+              {can('alerts:resolve') && (
+                <button
+                  onClick={async () => {
+                    await onResolve(alert.alert.alertId);
+                    onClose();
+                    fetchAlerts();
+                  }}
+                  className="btn btn-success flex-1"
+                >
+                  <Check className="h-4 w-4 mr-2" />
+                  Resolve Alert
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -350,11 +715,22 @@ const AlertDetailsModal = ({ alert, onClose, onResolve, fetchAlerts }) => {
   );
 };
 
+// Single comment (thread root or reply)
+const CommentBody = ({ comment }) => (
+  <div>
+    <p className="text-sm text-gray-900 whitespace-pre-wrap">{comment.body}</p>
+    <p className="text-xs text-gray-500 mt-1">
+      {comment.author?.name || 'Unknown user'} • {format(new Date(comment.createdAt), 'MMM dd, yyyy HH:mm')}
+    </p>
+  </div>
+);
+
 // Create Alert Modal Component
-const CreateAlertModal = ({ onClose, fetchAlerts }) => {
+const CreateAlertModal = ({ onClose, fetchAlerts, sourceTypes }) => {
+  const enabledTypes = sourceTypes.filter((sourceType) => sourceType.enabled);
   const [formData, setFormData] = useState({
-    sourceType: 'overspeed',
-    severity: 'INFO',
+    sourceType: enabledTypes[0]?.name || '',
+    severity: enabledTypes[0]?.defaultSeverity || 'INFO',
     metadata: {
       driverId: '',
       driverName: '',
@@ -368,12 +744,12 @@ const CreateAlertModal = ({ onClose, fetchAlerts }) => {
     e.preventDefault();
     setLoading(true);
     try {
-      await alertService.createAlert(formData);
-      toast.success('Alert created successfully');
+      const response = await alertService.createAlert(formData);
+      toast.success(response.message || 'Alert created successfully');
       onClose();
       fetchAlerts();
     } catch (err) {
-      toast.error('Failed to create alert');
+      toast.error(err.errors?.[0]?.message || err.message || 'Failed to create alert');
     } finally {
       setLoading(false);
     }
@@ -394,14 +770,17 @@ const CreateAlertModal = ({ onClose, fetchAlerts }) => {
             <label className="block text-sm font-medium text-gray-700 mb-2">Source Type</label>
             <select
               value={formData.sourceType}
-              onChange={(e) => setFormData({ ...formData, sourceType: e.target.value })}
+              onChange={(e) => {
+                // Start from the source type's default severity
+                const sourceType = enabledTypes.find((type) => type.name === e.target.value);
+                setFormData({ ...formData, sourceType: e.target.value, severity: sourceType?.defaultSeverity || formData.severity });
+              }}
               className="input"
               required
             >
-              <option value="overspeed">Overspeed</option>
-              <option value="compliance">Compliance</option>
-              <option value="feedback_negative">Negative Feedback</option>
-              <option value="maintenance">Maintenance</option>
+              {enabledTypes.map((sourceType) => (
+                <option key={sourceType.name} value={sourceType.name}>{sourceType.label}</option>
+              ))}
             </select>
           </div>
 
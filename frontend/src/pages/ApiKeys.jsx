@@ -0,0 +1,340 @@
+import { useState, useEffect } from 'react';
+import Layout from '../components/Layout';
+import apiKeyService from '../services/apiKeyService';
+import useSourceTypes from '../hooks/useSourceTypes';
+import toast from 'react-hot-toast';
+import { KeyRound, Plus, Edit, Ban, XCircle, Copy } from 'lucide-react';
+import { format } from 'date-fns';
+
+// Permissions a key can be scoped to (see API_KEY_SCOPES on the server)
+const SCOPES = [
+  { name: 'alerts:create', description: 'Raise alerts' },
+  { name: 'alerts:read', description: 'Read alerts, incidents and the dashboard' },
+];
+
+const statusOf = (apiKey) => {
+  if (apiKey.revokedAt) return { label: 'Revoked', badge: 'bg-gray-100 text-gray-800' };
+  if (apiKey.expiresAt && new Date(apiKey.expiresAt) <= new Date()) return { label: 'Expired', badge: 'badge-warning' };
+  return { label: 'Active', badge: 'badge-success' };
+};
+
+const ApiKeys = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingKey, setEditingKey] = useState(null);
+  const [issuedKey, setIssuedKey] = useState(null);
+  const { labelFor } = useSourceTypes();
+
+  useEffect(() => {
+    fetchApiKeys();
+  }, []);
+
+  const fetchApiKeys = async () => {
+    try {
+      const response = await apiKeyService.getApiKeys();
+      setApiKeys(response.data.apiKeys);
+    } catch (error) {
+      toast.error('Failed to fetch API keys');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    if (!window.confirm('Revoke this API key? Systems using it will be rejected at once.')) return;
+    try {
+      await apiKeyService.revokeApiKey(id);
+      toast.success('API key revoked');
+      fetchApiKeys();
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke API key');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">API Keys</h1>
+            <p className="text-gray-600 mt-1">Credentials for systems that send alerts, sent in the X-API-Key header</p>
+          </div>
+          <button
+            onClick={() => {
+              setEditingKey(null);
+              setShowModal(true);
+            }}
+            className="btn btn-primary flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New API Key
+          </button>
+        </div>
+
+        {/* API Keys List */}
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : apiKeys.length === 0 ? (
+          <div className="card text-center py-12">
+            <KeyRound className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No API keys issued yet</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 gap-4">
+            {apiKeys.map((apiKey) => {
+              const status = statusOf(apiKey);
+              return (
+                <div key={apiKey._id} className={`card ${apiKey.revokedAt ? 'opacity-60' : ''}`}>
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <div className="flex items-center gap-3 mb-2">
+                        <h3 className="text-lg font-semibold text-gray-900">{apiKey.name}</h3>
+                        <span className="badge bg-gray-100 text-gray-800 font-mono">{apiKey.prefix}…</span>
+                        <span className={`badge ${status.badge}`}>{status.label}</span>
+                      </div>
+                      {apiKey.description && <p className="text-gray-600 mb-2">{apiKey.description}</p>}
+                      <div className="flex flex-wrap gap-1 mb-2">
+                        {apiKey.scopes.map((scope) => (
+                          <span key={scope} className="badge bg-gray-100 text-gray-800 font-mono">{scope}</span>
+                        ))}
+                        <span className="text-sm text-gray-600 ml-2">
+                          {apiKey.sourceTypes.length === 0
+                            ? 'All source types'
+                            : apiKey.sourceTypes.map(labelFor).join(', ')}
+                        </span>
+                      </div>
+                      <p className="text-sm text-gray-500">
+                        Created {format(new Date(apiKey.createdAt), 'MMM dd, yyyy')}
+                        {apiKey.createdBy && ` by ${apiKey.createdBy.name}`}
+                        {' • '}
+                        {apiKey.expiresAt ? `Expires ${format(new Date(apiKey.expiresAt), 'MMM dd, yyyy HH:mm')}` : 'No expiry'}
+                        {' • '}
+                        {apiKey.lastUsedAt
+                          ? `Last used ${format(new Date(apiKey.lastUsedAt), 'MMM dd, yyyy HH:mm')} from ${apiKey.lastUsedIp}`
+                          : 'Never used'}
+                        {apiKey.revokedAt && ` • Revoked ${format(new Date(apiKey.revokedAt), 'MMM dd, yyyy HH:mm')}`}
+                        {apiKey.revokedBy && ` by ${apiKey.revokedBy.name}`}
+                      </p>
+                    </div>
+                    {!apiKey.revokedAt && (
+                      <div className="flex gap-2 ml-4">
+                        <button
+                          onClick={() => {
+                            setEditingKey(apiKey);
+                            setShowModal(true);
+                          }}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                          title="Edit"
+                        >
+                          <Edit className="h-5 w-5" />
+                        </button>
+                        <button
+                          onClick={() => handleRevoke(apiKey._id)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Revoke"
+                        >
+                          <Ban className="h-5 w-5" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <ApiKeyModal
+          apiKey={editingKey}
+          onClose={() => {
+            setShowModal(false);
+            setEditingKey(null);
+          }}
+          onSaved={(result) => {
+            if (result.key) setIssuedKey({ name: result.apiKey.name, key: result.key });
+            fetchApiKeys();
+          }}
+        />
+      )}
+
+      {/* Issued Key Modal */}
+      {issuedKey && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 max-w-xl w-full">
+            <div className="flex justify-between items-start mb-4">
+              <h2 className="text-2xl font-bold text-gray-900">API Key Issued</h2>
+              <button onClick={() => setIssuedKey(null)} className="text-gray-400 hover:text-gray-600">
+                <XCircle className="h-6 w-6" />
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Copy the key for {issuedKey.name} now and store it in the sending system. It is not shown again.
+            </p>
+            <div className="flex gap-2">
+              <input type="text" readOnly value={issuedKey.key} className="input font-mono text-xs" />
+              <button
+                onClick={() => {
+                  navigator.clipboard.writeText(issuedKey.key);
+                  toast.success('API key copied');
+                }}
+                className="btn btn-secondary flex items-center"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </Layout>
+  );
+};
+
+const toLocalInput = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+// API Key Modal Component
+const ApiKeyModal = ({ apiKey, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    name: apiKey?.name || '',
+    description: apiKey?.description || '',
+    scopes: apiKey?.scopes || ['alerts:create'],
+    sourceTypes: apiKey?.sourceTypes || [],
+    expiresAt: apiKey?.expiresAt ? toLocalInput(new Date(apiKey.expiresAt)) : '',
+  });
+  const [loading, setLoading] = useState(false);
+  const { sourceTypes } = useSourceTypes();
+
+  const toggle = (field, value) => {
+    const values = formData[field].includes(value)
+      ? formData[field].filter((item) => item !== value)
+      : [...formData[field], value];
+    setFormData({ ...formData, [field]: values });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const payload = {
+      ...formData,
+      expiresAt: formData.expiresAt ? new Date(formData.expiresAt).toISOString() : null,
+    };
+    try {
+      let response;
+      if (apiKey) {
+        response = await apiKeyService.updateApiKey(apiKey._id, payload);
+        toast.success('API key updated successfully');
+      } else {
+        response = await apiKeyService.createApiKey(payload);
+        toast.success('API key created successfully');
+      }
+      onClose();
+      onSaved(response.data);
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to save API key');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">{apiKey ? 'Edit API Key' : 'New API Key'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="input"
+                placeholder="e.g. Telematics gateway"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Expires</label>
+              <input
+                type="datetime-local"
+                value={formData.expiresAt}
+                onChange={(e) => setFormData({ ...formData, expiresAt: e.target.value })}
+                className="input"
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Scopes</label>
+            <div className="space-y-1">
+              {SCOPES.map((scope) => (
+                <label key={scope.name} className="flex items-start gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.scopes.includes(scope.name)}
+                    onChange={() => toggle('scopes', scope.name)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="font-mono">{scope.name}</span>
+                    <span className="text-gray-500"> — {scope.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Source Types</label>
+            <p className="text-xs text-gray-500 mb-2">Leave all unchecked to allow every source type</p>
+            <div className="grid grid-cols-2 gap-1">
+              {sourceTypes.map((sourceType) => (
+                <label key={sourceType.name} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.sourceTypes.includes(sourceType.name)}
+                    onChange={() => toggle('sourceTypes', sourceType.name)}
+                  />
+                  {sourceType.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading || formData.scopes.length === 0} className="btn btn-primary flex-1">
+              {loading ? 'Saving...' : (apiKey ? 'Update API Key' : 'Create API Key')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeys;
@@ -1,6 +1,10 @@
 import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import Layout from '../components/Layout';
+import LiveIndicator from '../components/LiveIndicator';
+import RiskBadge from '../components/RiskBadge';
 import dashboardService from '../services/dashboardService';
+import useAlertStream from '../hooks/useAlertStream';
 import toast from 'react-hot-toast';
 import {
   AlertTriangle,
@@ -9,7 +13,8 @@ import {
   TrendingUp,
   Users,
   Clock,
-  Activity
+  Activity,
+  ShieldAlert
 } from 'lucide-react';
 import {
   LineChart,
@@ -31,6 +36,7 @@ const COLORS = {
   WARNING: '#f59e0b',
   INFO: '#3b82f6',
   OPEN: '#8b5cf6',
+  ACKNOWLEDGED: '#f59e0b',
   ESCALATED: '#dc2626',
   AUTO_CLOSED: '#10b981',
   RESOLVED: '#059669',
@@ -43,15 +49,16 @@ const Dashboard = () => {
   const [autoClosedAlerts, setAutoClosedAlerts] = useState([]);
   const [trends, setTrends] = useState([]);
   const [bySource, setBySource] = useState([]);
+  const [risk, setRisk] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     fetchDashboardData();
-    // Refresh every 30 seconds
-    const interval = setInterval(fetchDashboardData, 30000);
-    return () => clearInterval(interval);
   }, []);
 
+  // Refresh when alerts are created or change state
+  const streamStatus = useAlertStream(() => fetchDashboardData());
+
   const fetchDashboardData = async () => {
     try {
       const [
@@ -60,14 +67,16 @@ const Dashboard = () => {
         eventsData,
         autoClosedData,
         trendsData,
-        sourceData
+        sourceData,
+        riskData
       ] = await Promise.all([
         dashboardService.getOverview(),
         dashboardService.getTopOffenders(5),
         dashboardService.getRecentEvents(10),
         dashboardService.getAutoClosedAlerts(10),
         dashboardService.getTrends(7),
-        dashboardService.getAlertsBySource()
+        dashboardService.getAlertsBySource(),
+        dashboardService.getRiskOverview(5)
       ]);
 
       setOverview(overviewData.data);
@@ -76,6 +85,7 @@ const Dashboard = () => {
       setAutoClosedAlerts(autoClosedData.data.autoClosedAlerts);
       setTrends(trendsData.data.trends);
       setBySource(sourceData.data.bySource);
+      setRisk(riskData.data);
       setLoading(false);
     } catch (err) {
       toast.error('Failed to load dashboard data');
@@ -103,13 +113,16 @@ const Dashboard = () => {
             <h1 className="text-3xl font-bold text-gray-900">Dashboard</h1>
             <p className="text-gray-600 mt-1">Real-time alert monitoring and analytics</p>
           </div>
-          <button
-            onClick={fetchDashboardData}
-            className="btn btn-primary"
-          >
-            <Activity className="h-4 w-4 mr-2" />
-            Refresh
-          </button>
+          <div className="flex items-center space-x-4">
+            <LiveIndicator status={streamStatus} />
+            <button
+              onClick={fetchDashboardData}
+              className="btn btn-primary"
+            >
+              <Activity className="h-4 w-4 mr-2" />
+              Refresh
+            </button>
+          </div>
         </div>
 
         {/* Severity Cards */}
@@ -155,6 +168,7 @@ const Dashboard = () => {
                   <Pie
                     data={[
                       { name: 'Open', value: overview.status.OPEN },
+                      { name: 'Acknowledged', value: overview.status.ACKNOWLEDGED },
                       { name: 'Escalated', value: overview.status.ESCALATED },
                       { name: 'Auto-Closed', value: overview.status.AUTO_CLOSED },
                       { name: 'Resolved', value: overview.status.RESOLVED }
@@ -167,7 +181,7 @@ const Dashboard = () => {
                     fill="#8884d8"
                     dataKey="value"
                   >
-                    {[COLORS.OPEN, COLORS.ESCALATED, COLORS.AUTO_CLOSED, COLORS.RESOLVED].map((color, index) => (
+                    {[COLORS.OPEN, COLORS.ACKNOWLEDGED, COLORS.ESCALATED, COLORS.AUTO_CLOSED, COLORS.RESOLVED].map((color, index) => (
                       <Cell key={`cell-${index}`} fill={color} />
                     ))}
                   </Pie>
@@ -228,6 +242,7 @@ const Dashboard = () => {
               <Tooltip />
               <Legend />
               <Line type="monotone" dataKey="OPEN" stroke={COLORS.OPEN} strokeWidth={2} />
+              <Line type="monotone" dataKey="ACKNOWLEDGED" stroke={COLORS.ACKNOWLEDGED} strokeWidth={2} />
               <Line type="monotone" dataKey="ESCALATED" stroke={COLORS.ESCALATED} strokeWidth={2} />
               <Line type="monotone" dataKey="AUTO_CLOSED" stroke={COLORS.AUTO_CLOSED} strokeWidth={2} />
               <Line type="monotone" dataKey="RESOLVED" stroke={COLORS.RESOLVED} strokeWidth={2} />
@@ -235,6 +250,68 @@ const Dashboard = () => {
           </ResponsiveContainer>
         </div>
 
+        {/* Highest Risk Drivers and Vehicles */}
+        {risk && (
+          <div className="card">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">
+                  Highest Risk
+                </h3>
+                <p className="text-xs text-gray-500 mt-1">
+                  Active drivers: {risk.levels.HIGH} high, {risk.levels.MEDIUM} medium, {risk.levels.LOW} low risk
+                </p>
+              </div>
+              <ShieldAlert className="h-5 w-5 text-gray-400" />
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700">Drivers</p>
+                {risk.drivers.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-4">No drivers</p>
+                ) : (
+                  risk.drivers.map((driver) => (
+                    <Link
+                      key={driver.driverId}
+                      to={`/drivers/${encodeURIComponent(driver.driverId)}`}
+                      className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100 transition-colors"
+                    >
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{driver.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {driver.driverId}{driver.vehicleId ? ` • ${driver.vehicleId}` : ''}
+                        </p>
+                      </div>
+                      <RiskBadge risk={driver.risk} />
+                    </Link>
+                  ))
+                )}
+              </div>
+              <div className="space-y-2">
+                <p className="text-sm font-medium text-gray-700">Vehicles</p>
+                {risk.vehicles.length === 0 ? (
+                  <p className="text-sm text-gray-500 text-center py-4">No vehicles</p>
+                ) : (
+                  risk.vehicles.map((vehicle) => (
+                    <div
+                      key={vehicle.vehicleId}
+                      className="flex items-center justify-between p-3 bg-gray-50 rounded-lg"
+                    >
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">
+                          {vehicle.registrationNumber || vehicle.vehicleId}
+                        </p>
+                        <p className="text-xs text-gray-500">{vehicle.vehicleId}</p>
+                      </div>
+                      <RiskBadge risk={vehicle.risk} />
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Top Offenders and Recent Events */}
         <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
           {/* Top Offenders */}
@@ -259,10 +336,16 @@ const Dashboard = () => {
                         {index + 1}
                       </div>
                       <div>
-                        <p className="text-sm font-medium text-gray-900">
+                        <Link
+                          to={`/drivers/${encodeURIComponent(offender.driverId)}`}
+                          className="text-sm font-medium text-gray-900 hover:text-primary-600"
+                        >
                           {offender.driverName || offender.driverId}
-                        </p>
-                        <p className="text-xs text-gray-500">ID: {offender.driverId}</p>
+                        </Link>
+                        <div className="flex items-center gap-2 mt-1">
+                          <p className="text-xs text-gray-500">ID: {offender.driverId}</p>
+                          <RiskBadge risk={{ score: offender.riskScore, level: offender.riskLevel }} />
+                        </div>
                       </div>
                     </div>
                     <div className="text-right">
@@ -434,6 +517,7 @@ const formatTrendsData = (trends) => {
   return trends.map(trend => {
     const statuses = {
       OPEN: 0,
+      ACKNOWLEDGED: 0,
       ESCALATED: 0,
       AUTO_CLOSED: 0,
       RESOLVED: 0
@@ -453,6 +537,7 @@ const formatTrendsData = (trends) => {
 const getStatusBadgeClass = (status) => {
   const classes = {
     OPEN: 'badge-info',
+    ACKNOWLEDGED: 'badge-warning',
     ESCALATED: 'badge-critical',
     AUTO_CLOSED: 'badge-success',
     RESOLVED: 'badge-success'
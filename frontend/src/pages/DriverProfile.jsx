@@ -0,0 +1,228 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Layout from '../components/Layout';
+import RiskBadge from '../components/RiskBadge';
+import driverService from '../services/driverService';
+import useSourceTypes from '../hooks/useSourceTypes';
+import useAlertStream from '../hooks/useAlertStream';
+import toast from 'react-hot-toast';
+import { ArrowLeft, UserCircle, Phone, Mail, CreditCard, Car, AlertTriangle, Layers } from 'lucide-react';
+import { format } from 'date-fns';
+
+const SEVERITY_BADGES = {
+  CRITICAL: 'badge-critical',
+  WARNING: 'badge-warning',
+  INFO: 'badge-info',
+};
+
+const STATUS_BADGES = {
+  OPEN: 'badge-info',
+  ACKNOWLEDGED: 'badge-warning',
+  ESCALATED: 'badge-critical',
+  AUTO_CLOSED: 'badge-success',
+  RESOLVED: 'badge-success',
+  CLOSED: 'badge-success',
+};
+
+const DriverProfile = () => {
+  const { driverId } = useParams();
+  const { labelFor } = useSourceTypes();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchProfile = useCallback(async () => {
+    try {
+      const response = await driverService.getDriver(driverId);
+      setProfile(response.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to fetch driver');
+      setProfile(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [driverId]);
+
+  useEffect(() => {
+    fetchProfile();
+  }, [fetchProfile]);
+
+  // Alerts and the risk score change as this driver's alerts arrive
+  // (an empty batch follows a reconnect, when events may have been missed)
+  useAlertStream((events) => {
+    if (events.length === 0 || events.some((event) => event.data?.alert?.driverId === driverId)) {
+      fetchProfile();
+    }
+  });
+
+  if (loading) {
+    return (
+      <Layout>
+        <div className="flex items-center justify-center h-64">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+        </div>
+      </Layout>
+    );
+  }
+
+  if (!profile) {
+    return (
+      <Layout>
+        <div className="text-center py-12">
+          <UserCircle className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+          <p className="text-gray-500 mb-4">Driver not found</p>
+          <Link to="/drivers" className="text-primary-600 hover:underline">Back to drivers</Link>
+        </div>
+      </Layout>
+    );
+  }
+
+  const { driver, alerts, incidents, stats } = profile;
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div>
+          <Link to="/drivers" className="inline-flex items-center text-sm text-gray-600 hover:text-gray-900 mb-2">
+            <ArrowLeft className="h-4 w-4 mr-1" />
+            Drivers
+          </Link>
+          <div className="flex items-center gap-3">
+            <h1 className="text-3xl font-bold text-gray-900">{driver.name}</h1>
+            <RiskBadge risk={driver.risk} />
+            <span className={`badge ${driver.status === 'ACTIVE' ? 'badge-success' : 'bg-gray-100 text-gray-800'}`}>
+              {driver.status}
+            </span>
+          </div>
+          <p className="text-gray-600 mt-1">{driver.driverId}</p>
+        </div>
+
+        {/* Details & Stats */}
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="card space-y-3 text-sm text-gray-700">
+            <h2 className="text-lg font-semibold text-gray-900">Details</h2>
+            <p className="flex items-center"><Phone className="h-4 w-4 mr-2 text-gray-400" />{driver.phone || '—'}</p>
+            <p className="flex items-center"><Mail className="h-4 w-4 mr-2 text-gray-400" />{driver.email || '—'}</p>
+            <p className="flex items-center">
+              <CreditCard className="h-4 w-4 mr-2 text-gray-400" />
+              {driver.licenseNumber || '—'}
+              {driver.licenseExpiresAt && (
+                <span className="ml-2 text-gray-500">
+                  (expires {format(new Date(driver.licenseExpiresAt), 'MMM dd, yyyy')})
+                </span>
+              )}
+            </p>
+            <p className="flex items-center"><Car className="h-4 w-4 mr-2 text-gray-400" />{driver.vehicleId || '—'}</p>
+          </div>
+
+          <div className="card lg:col-span-2">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Risk & Alerts</h2>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              <div>
+                <p className="text-sm text-gray-600">Risk Score</p>
+                <p className="text-3xl font-bold text-gray-900">{driver.risk?.score ?? 0}</p>
+                <p className="text-xs text-gray-500">{driver.risk?.level || 'LOW'}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Recent Alerts</p>
+                <p className="text-3xl font-bold text-gray-900">{driver.risk?.alertCount || 0}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">Active Alerts</p>
+                <p className="text-3xl font-bold text-orange-600">{stats.active}</p>
+              </div>
+              <div>
+                <p className="text-sm text-gray-600">All-time Alerts</p>
+                <p className="text-3xl font-bold text-gray-900">{stats.total}</p>
+              </div>
+            </div>
+            {driver.risk?.updatedAt && (
+              <p className="text-xs text-gray-500 mt-4">
+                Score updated {format(new Date(driver.risk.updatedAt), 'MMM dd, yyyy HH:mm')}
+              </p>
+            )}
+          </div>
+        </div>
+
+        {/* Incidents */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <Layers className="h-5 w-5 mr-2 text-gray-400" />
+            Incidents ({incidents.length})
+          </h2>
+          {incidents.length === 0 ? (
+            <p className="text-gray-500 text-sm">No incidents for this driver</p>
+          ) : (
+            <div className="space-y-2">
+              {incidents.map((incident) => (
+                <Link
+                  key={incident._id}
+                  to={`/incidents?id=${incident.incidentId}`}
+                  className="flex items-center justify-between p-3 bg-gray-50 rounded-lg hover:bg-gray-100"
+                >
+                  <div className="flex items-center gap-3">
+                    <span className="text-sm font-medium text-primary-600">{incident.incidentId}</span>
+                    <span className="text-sm text-gray-700">{incident.alertCount} alerts</span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className={`badge ${STATUS_BADGES[incident.status]}`}>{incident.status}</span>
+                    <span className={`badge ${SEVERITY_BADGES[incident.severity]}`}>{incident.severity}</span>
+                    <span className="text-xs text-gray-500">
+                      {format(new Date(incident.lastAlertAt), 'MMM dd, HH:mm')}
+                    </span>
+                  </div>
+                </Link>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {/* Alerts */}
+        <div className="card">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <AlertTriangle className="h-5 w-5 mr-2 text-gray-400" />
+            Alerts ({alerts.length < stats.total ? `latest ${alerts.length} of ${stats.total}` : alerts.length})
+          </h2>
+          {alerts.length === 0 ? (
+            <p className="text-gray-500 text-sm">No alerts for this driver</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Alert ID</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Severity</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vehicle</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Time</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {alerts.map((alert) => (
+                    <tr key={alert._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-gray-900">{alert.alertId}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{labelFor(alert.sourceType)}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge ${SEVERITY_BADGES[alert.severity]}`}>{alert.severity}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge ${STATUS_BADGES[alert.status]}`}>{alert.status}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{alert.metadata?.vehicleNumber || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {format(new Date(alert.timestamp), 'MMM dd, yyyy HH:mm')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default DriverProfile;
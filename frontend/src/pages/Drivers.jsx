@@ -0,0 +1,327 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import RiskBadge from '../components/RiskBadge';
+import driverService from '../services/driverService';
+import toast from 'react-hot-toast';
+import { UserCircle, Plus, Edit, Trash2, XCircle, Filter, Search } from 'lucide-react';
+import { format } from 'date-fns';
+
+const Drivers = () => {
+  const [drivers, setDrivers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({ search: '', riskLevel: '', status: '', page: 1, limit: 20 });
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingDriver, setEditingDriver] = useState(null);
+  const { can } = useAuth();
+
+  const fetchDrivers = useCallback(async () => {
+    try {
+      const response = await driverService.getDrivers(filters);
+      setDrivers(response.data.drivers);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to fetch drivers');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchDrivers();
+  }, [fetchDrivers]);
+
+  const handleDelete = async (driverId) => {
+    if (!window.confirm('Are you sure you want to delete this driver?')) return;
+    try {
+      await driverService.deleteDriver(driverId);
+      toast.success('Driver deleted');
+      fetchDrivers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete driver');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Drivers</h1>
+            <p className="text-gray-600 mt-1">Driver records and risk scores computed from their alerts</p>
+          </div>
+          {can('fleet:write') && (
+            <button
+              onClick={() => {
+                setEditingDriver(null);
+                setShowModal(true);
+              }}
+              className="btn btn-primary flex items-center"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Driver
+            </button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="card">
+          <div className="flex items-center gap-4 flex-wrap">
+            <Filter className="h-5 w-5 text-gray-400" />
+            <div className="relative max-w-xs w-full">
+              <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
+                className="input pl-9"
+                placeholder="Search by ID or name"
+              />
+            </div>
+            <select
+              value={filters.riskLevel}
+              onChange={(e) => setFilters({ ...filters, riskLevel: e.target.value, page: 1 })}
+              className="input max-w-xs"
+            >
+              <option value="">All Risk Levels</option>
+              <option value="HIGH">High</option>
+              <option value="MEDIUM">Medium</option>
+              <option value="LOW">Low</option>
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+              className="input max-w-xs"
+            >
+              <option value="">All Status</option>
+              <option value="ACTIVE">Active</option>
+              <option value="INACTIVE">Inactive</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Drivers Table */}
+        <div className="card">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+            </div>
+          ) : drivers.length === 0 ? (
+            <div className="text-center py-12">
+              <UserCircle className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-500">No drivers found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Driver</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vehicle</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Risk</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Recent Alerts</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Alert</th>
+                    {can('fleet:write') && (
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {drivers.map((driver) => (
+                    <tr key={driver._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <Link to={`/drivers/${encodeURIComponent(driver.driverId)}`} className="text-sm font-medium text-primary-600 hover:underline">
+                          {driver.name}
+                        </Link>
+                        <p className="text-xs text-gray-500">{driver.driverId}</p>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{driver.vehicleId || '—'}</td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge ${driver.status === 'ACTIVE' ? 'badge-success' : 'bg-gray-100 text-gray-800'}`}>
+                          {driver.status}
+                        </span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap"><RiskBadge risk={driver.risk} /></td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{driver.risk?.alertCount || 0}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {driver.risk?.lastAlertAt ? format(new Date(driver.risk.lastAlertAt), 'MMM dd, HH:mm') : '—'}
+                      </td>
+                      {can('fleet:write') && (
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => {
+                                setEditingDriver(driver);
+                                setShowModal(true);
+                              }}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                              title="Edit"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(driver.driverId)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Pagination */}
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing page {pagination.page} of {pagination.pages} ({pagination.total} total)
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.page - 1 })}
+                disabled={pagination.page === 1}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.page + 1 })}
+                disabled={pagination.page === pagination.pages}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <DriverModal
+          driver={editingDriver}
+          onClose={() => {
+            setShowModal(false);
+            setEditingDriver(null);
+          }}
+          onSaved={fetchDrivers}
+        />
+      )}
+    </Layout>
+  );
+};
+
+// Driver Modal Component
+const DriverModal = ({ driver, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    driverId: driver?.driverId || '',
+    name: driver?.name || '',
+    phone: driver?.phone || '',
+    email: driver?.email || '',
+    licenseNumber: driver?.licenseNumber || '',
+    licenseExpiresAt: driver?.licenseExpiresAt ? format(new Date(driver.licenseExpiresAt), 'yyyy-MM-dd') : '',
+    vehicleId: driver?.vehicleId || '',
+    status: driver?.status || 'ACTIVE',
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const payload = {
+      name: formData.name,
+      phone: formData.phone,
+      email: formData.email,
+      licenseNumber: formData.licenseNumber,
+      licenseExpiresAt: formData.licenseExpiresAt ? new Date(formData.licenseExpiresAt).toISOString() : null,
+      vehicleId: formData.vehicleId,
+      status: formData.status,
+    };
+    try {
+      if (driver) {
+        await driverService.updateDriver(driver.driverId, payload);
+        toast.success('Driver updated successfully');
+      } else {
+        await driverService.createDriver({ ...payload, driverId: formData.driverId });
+        toast.success('Driver created successfully');
+      }
+      onClose();
+      onSaved();
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to save driver');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const field = (name, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <input
+        type="text"
+        value={formData[name]}
+        onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+        className="input"
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">{driver ? 'Edit Driver' : 'New Driver'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {field('driverId', 'Driver ID *', { disabled: !!driver, required: true, placeholder: 'e.g. DRV005' })}
+            {field('name', 'Name *', { required: true })}
+            {field('phone', 'Phone')}
+            {field('email', 'Email', { type: 'email' })}
+            {field('licenseNumber', 'License Number')}
+            {field('licenseExpiresAt', 'License Expires', { type: 'date' })}
+            {field('vehicleId', 'Vehicle ID')}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+              <select
+                value={formData.status}
+                onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+                className="input"
+              >
+                <option value="ACTIVE">Active</option>
+                <option value="INACTIVE">Inactive</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn btn-primary flex-1">
+              {loading ? 'Saving...' : (driver ? 'Update Driver' : 'Create Driver')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Drivers;
@@ -0,0 +1,252 @@
+import { useState, useEffect } from 'react';
+import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import groupService from '../services/groupService';
+import toast from 'react-hot-toast';
+import { Users, Plus, Edit, Trash2, XCircle } from 'lucide-react';
+
+const parseList = (value) => value.split(',').map((item) => item.trim()).filter(Boolean);
+
+const Groups = () => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingGroup, setEditingGroup] = useState(null);
+  const { can } = useAuth();
+
+  useEffect(() => {
+    fetchGroups();
+  }, []);
+
+  const fetchGroups = async () => {
+    try {
+      const response = await groupService.getGroups();
+      setGroups(response.data.groups);
+    } catch (error) {
+      toast.error('Failed to fetch groups');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (groupId) => {
+    if (!window.confirm('Are you sure you want to delete this group?')) return;
+    try {
+      await groupService.deleteGroup(groupId);
+      toast.success('Group deleted');
+      fetchGroups();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete group');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Groups</h1>
+            <p className="text-gray-600 mt-1">Named sets of drivers and vehicles that rules can be scoped to</p>
+          </div>
+          {can('groups:write') && (
+            <button
+              onClick={() => {
+                setEditingGroup(null);
+                setShowModal(true);
+              }}
+              className="btn btn-primary flex items-center"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Group
+            </button>
+          )}
+        </div>
+
+        {/* Groups List */}
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : groups.length === 0 ? (
+          <div className="card text-center py-12">
+            <Users className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No groups defined yet</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 gap-4">
+            {groups.map((group) => (
+              <div key={group._id} className="card">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="flex items-center gap-3 mb-2">
+                      <h3 className="text-lg font-semibold text-gray-900">{group.name}</h3>
+                      <span className="badge bg-gray-100 text-gray-800">{group.groupId}</span>
+                    </div>
+                    {group.description && <p className="text-gray-600 mb-2">{group.description}</p>}
+                    <div className="text-sm text-gray-600 space-y-1">
+                      <p>• Drivers: {group.driverIds?.length ? group.driverIds.join(', ') : 'none'}</p>
+                      <p>• Vehicles: {group.vehicleIds?.length ? group.vehicleIds.join(', ') : 'none'}</p>
+                    </div>
+                  </div>
+                  {can('groups:write') && (
+                    <div className="flex gap-2 ml-4">
+                      <button
+                        onClick={() => {
+                          setEditingGroup(group);
+                          setShowModal(true);
+                        }}
+                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                        title="Edit"
+                      >
+                        <Edit className="h-5 w-5" />
+                      </button>
+                      <button
+                        onClick={() => handleDelete(group.groupId)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Delete"
+                      >
+                        <Trash2 className="h-5 w-5" />
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <GroupModal
+          group={editingGroup}
+          onClose={() => {
+            setShowModal(false);
+            setEditingGroup(null);
+          }}
+          fetchGroups={fetchGroups}
+        />
+      )}
+    </Layout>
+  );
+};
+
+// Group Modal Component
+const GroupModal = ({ group, onClose, fetchGroups }) => {
+  const [formData, setFormData] = useState({
+    groupId: group?.groupId || '',
+    name: group?.name || '',
+    description: group?.description || '',
+    driverIds: (group?.driverIds || []).join(', '),
+    vehicleIds: (group?.vehicleIds || []).join(', '),
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const payload = {
+      name: formData.name,
+      description: formData.description,
+      driverIds: parseList(formData.driverIds),
+      vehicleIds: parseList(formData.vehicleIds),
+    };
+    try {
+      if (group) {
+        await groupService.updateGroup(group.groupId, payload);
+        toast.success('Group updated successfully');
+      } else {
+        await groupService.createGroup({ ...payload, groupId: formData.groupId });
+        toast.success('Group created successfully');
+      }
+      onClose();
+      fetchGroups();
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to save group');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">{group ? 'Edit Group' : 'New Group'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Group ID *</label>
+              <input
+                type="text"
+                value={formData.groupId}
+                onChange={(e) => setFormData({ ...formData, groupId: e.target.value })}
+                className="input"
+                placeholder="e.g. trainees"
+                disabled={!!group}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Driver IDs (comma-separated)</label>
+            <textarea
+              value={formData.driverIds}
+              onChange={(e) => setFormData({ ...formData, driverIds: e.target.value })}
+              className="input"
+              rows="2"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Vehicle IDs (comma-separated)</label>
+            <textarea
+              value={formData.vehicleIds}
+              onChange={(e) => setFormData({ ...formData, vehicleIds: e.target.value })}
+              className="input"
+              rows="2"
+            />
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn btn-primary flex-1">
+              {loading ? 'Saving...' : (group ? 'Update Group' : 'Create Group')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Groups;
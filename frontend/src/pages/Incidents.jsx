@@ -0,0 +1,272 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Layout from '../components/Layout';
+import LiveIndicator from '../components/LiveIndicator';
+import incidentService from '../services/incidentService';
+import useAlertStream from '../hooks/useAlertStream';
+import toast from 'react-hot-toast';
+import { Layers, Filter, Eye, XCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+const SEVERITY_BADGES = {
+  CRITICAL: 'badge-critical',
+  WARNING: 'badge-warning',
+  INFO: 'badge-info',
+};
+
+const STATUS_BADGES = {
+  OPEN: 'badge-info',
+  ACKNOWLEDGED: 'badge-warning',
+  ESCALATED: 'badge-critical',
+  AUTO_CLOSED: 'badge-success',
+  RESOLVED: 'badge-success',
+  CLOSED: 'badge-success',
+};
+
+const describeKey = (key) => {
+  const [field, ...value] = key.split(':');
+  return `${field.replace('Id', '')} ${value.join(':')}`;
+};
+
+const Incidents = () => {
+  const [incidents, setIncidents] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({ status: 'OPEN', severity: '', page: 1, limit: 20 });
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [searchParams] = useSearchParams();
+
+  const fetchIncidents = useCallback(async ({ silent = false } = {}) => {
+    if (!silent) setLoading(true);
+    try {
+      const response = await incidentService.getIncidents(filters);
+      setIncidents(response.data.incidents);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to fetch incidents');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchIncidents();
+  }, [fetchIncidents]);
+
+  // Incidents change as their alerts are created and transition
+  const streamStatus = useAlertStream(() => fetchIncidents({ silent: true }));
+
+  const handleView = async (incidentId) => {
+    try {
+      const response = await incidentService.getIncident(incidentId);
+      setSelected(response.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to fetch incident');
+    }
+  };
+
+  // Opened from an alert's incident link
+  useEffect(() => {
+    const incidentId = searchParams.get('id');
+    if (incidentId) handleView(incidentId);
+  }, [searchParams]);
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Incidents</h1>
+            <p className="text-gray-600 mt-1">Related alerts correlated by driver, vehicle and time</p>
+          </div>
+          <LiveIndicator status={streamStatus} />
+        </div>
+
+        {/* Filters */}
+        <div className="card">
+          <div className="flex items-center gap-4 flex-wrap">
+            <Filter className="h-5 w-5 text-gray-400" />
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+              className="input max-w-xs"
+            >
+              <option value="">All Status</option>
+              <option value="OPEN">Open</option>
+              <option value="CLOSED">Closed</option>
+            </select>
+            <select
+              value={filters.severity}
+              onChange={(e) => setFilters({ ...filters, severity: e.target.value, page: 1 })}
+              className="input max-w-xs"
+            >
+              <option value="">All Severity</option>
+              <option value="CRITICAL">Critical</option>
+              <option value="WARNING">Warning</option>
+              <option value="INFO">Info</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Incidents List */}
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : incidents.length === 0 ? (
+          <div className="card text-center py-12">
+            <Layers className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No incidents found</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 gap-4">
+            {incidents.map((incident) => (
+              <div key={incident._id} className="card">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="flex items-center gap-3 mb-2">
+                      <h3 className="text-lg font-semibold text-gray-900">
+                        {incident.alertCount} alerts{incident.driverName ? ` for ${incident.driverName}` : ''}
+                      </h3>
+                      <span className={`badge ${STATUS_BADGES[incident.status]}`}>{incident.status}</span>
+                      <span className={`badge ${SEVERITY_BADGES[incident.severity]}`}>{incident.severity}</span>
+                    </div>
+                    <div className="text-sm text-gray-600 space-y-1">
+                      <p>• {incident.incidentId}</p>
+                      <p className="capitalize">• {incident.keys.map(describeKey).join(', ')}</p>
+                      <p className="capitalize">• Sources: {incident.sourceTypes.map((type) => type.replace('_', ' ')).join(', ')}</p>
+                      {incident.firstAlertAt && (
+                        <p>
+                          • {format(new Date(incident.firstAlertAt), 'MMM dd, yyyy HH:mm')} – {format(new Date(incident.lastAlertAt), 'MMM dd, yyyy HH:mm')}
+                        </p>
+                      )}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => handleView(incident.incidentId)}
+                    className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg"
+                    title="View"
+                  >
+                    <Eye className="h-5 w-5" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Pagination */}
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing page {pagination.page} of {pagination.pages} ({pagination.total} total)
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.page - 1 })}
+                disabled={pagination.page === 1}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.page + 1 })}
+                disabled={pagination.page === pagination.pages}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {selected && <IncidentModal data={selected} onClose={() => setSelected(null)} />}
+    </Layout>
+  );
+};
+
+// Incident Details Modal Component
+const IncidentModal = ({ data, onClose }) => {
+  const { incident, alerts, timeline } = data;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-3xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">Incident Details</h2>
+            <p className="text-sm text-gray-500">{incident.incidentId}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          <div className="flex gap-2">
+            <span className={`badge ${STATUS_BADGES[incident.status]}`}>{incident.status}</span>
+            <span className={`badge ${SEVERITY_BADGES[incident.severity]}`}>{incident.severity}</span>
+            {incident.closedAt && (
+              <span className="text-sm text-gray-500">
+                closed {format(new Date(incident.closedAt), 'MMM dd, yyyy HH:mm')}
+              </span>
+            )}
+          </div>
+
+          <div>
+            <label className="text-sm font-medium text-gray-500 mb-2 block">Alerts</label>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Alert ID</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Source</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Severity</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-3 py-2 text-left text-xs font-medium text-gray-500 uppercase">Timestamp</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {alerts.map((alert) => (
+                    <tr key={alert._id}>
+                      <td className="px-3 py-2 font-medium text-primary-600">{alert.alertId}</td>
+                      <td className="px-3 py-2 capitalize">{alert.sourceType.replace('_', ' ')}</td>
+                      <td className="px-3 py-2"><span className={`badge ${SEVERITY_BADGES[alert.severity]}`}>{alert.severity}</span></td>
+                      <td className="px-3 py-2"><span className={`badge ${STATUS_BADGES[alert.status]}`}>{alert.status}</span></td>
+                      <td className="px-3 py-2 text-gray-500">{format(new Date(alert.timestamp), 'MMM dd, HH:mm')}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div>
+            <label className="text-sm font-medium text-gray-500 mb-2 block">Timeline</label>
+            <div className="space-y-2">
+              {timeline.map((event) => (
+                <div key={event._id} className="bg-gray-50 p-3 rounded-lg">
+                  <p className="font-medium text-gray-900">
+                    <span className="text-primary-600">{event.alertId}</span>{' '}
+                    {event.metadata?.activity
+                      ? (event.metadata.activity === 'assign' ? 'Assignment' : 'Comment')
+                      : `${event.fromStatus || 'NEW'} → ${event.toStatus}`}
+                  </p>
+                  <p className="text-sm text-gray-600">{event.reason}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {event.triggeredBy}{event.userId?.name ? ` (${event.userId.name})` : event.apiKey?.name ? ` (API key: ${event.apiKey.name})` : ''} • {format(new Date(event.timestamp), 'MMM dd, yyyy HH:mm:ss')}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Incidents;
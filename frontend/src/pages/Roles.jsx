@@ -0,0 +1,281 @@
+import { useState, useEffect } from 'react';
+import Layout from '../components/Layout';
+import roleService from '../services/roleService';
+import toast from 'react-hot-toast';
+import { ShieldCheck, Plus, Edit, Trash2, XCircle } from 'lucide-react';
+
+// The admin role always has every permission and cannot be edited
+const ADMIN_ROLE = 'admin';
+
+// alerts:read -> alerts
+const groupOf = (permission) => permission.split(':')[0];
+
+const Roles = () => {
+  const [roles, setRoles] = useState([]);
+  const [permissions, setPermissions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingRole, setEditingRole] = useState(null);
+
+  useEffect(() => {
+    fetchRoles();
+    roleService.getPermissions()
+      .then((response) => setPermissions(response.data.permissions))
+      .catch(() => toast.error('Failed to fetch permissions'));
+  }, []);
+
+  const fetchRoles = async () => {
+    try {
+      const response = await roleService.getRoles();
+      setRoles(response.data.roles);
+    } catch (error) {
+      toast.error('Failed to fetch roles');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDelete = async (name) => {
+    if (!window.confirm('Are you sure you want to delete this role?')) return;
+    try {
+      await roleService.deleteRole(name);
+      toast.success('Role deleted');
+      fetchRoles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete role');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Roles</h1>
+            <p className="text-gray-600 mt-1">Named sets of permissions; every user has one role</p>
+          </div>
+          <button
+            onClick={() => {
+              setEditingRole(null);
+              setShowModal(true);
+            }}
+            className="btn btn-primary flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            New Role
+          </button>
+        </div>
+
+        {/* Roles List */}
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : roles.length === 0 ? (
+          <div className="card text-center py-12">
+            <ShieldCheck className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No roles defined yet</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 gap-4">
+            {roles.map((role) => (
+              <div key={role._id} className="card">
+                <div className="flex items-start justify-between">
+                  <div>
+                    <div className="flex items-center gap-3 mb-2">
+                      <h3 className="text-lg font-semibold text-gray-900">{role.label}</h3>
+                      <span className="badge bg-gray-100 text-gray-800">{role.name}</span>
+                      {role.builtIn && <span className="badge badge-info">Built-in</span>}
+                      <span className="text-sm text-gray-500">{role.users} user(s)</span>
+                    </div>
+                    {role.description && <p className="text-gray-600 mb-2">{role.description}</p>}
+                    {role.name === ADMIN_ROLE ? (
+                      <p className="text-sm text-gray-600">Every permission</p>
+                    ) : (
+                      <div className="flex flex-wrap gap-1">
+                        {role.permissions.length === 0 && <span className="text-sm text-gray-500">No permissions</span>}
+                        {role.permissions.map((permission) => (
+                          <span key={permission} className="badge bg-gray-100 text-gray-800 font-mono">{permission}</span>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                  {role.name !== ADMIN_ROLE && (
+                    <div className="flex gap-2 ml-4">
+                      <button
+                        onClick={() => {
+                          setEditingRole(role);
+                          setShowModal(true);
+                        }}
+                        className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                        title="Edit"
+                      >
+                        <Edit className="h-5 w-5" />
+                      </button>
+                      {!role.builtIn && (
+                        <button
+                          onClick={() => handleDelete(role.name)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-5 w-5" />
+                        </button>
+                      )}
+                    </div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <RoleModal
+          role={editingRole}
+          permissions={permissions}
+          onClose={() => {
+            setShowModal(false);
+            setEditingRole(null);
+          }}
+          onSaved={fetchRoles}
+        />
+      )}
+    </Layout>
+  );
+};
+
+// Role Modal Component
+const RoleModal = ({ role, permissions, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    name: role?.name || '',
+    label: role?.label || '',
+    description: role?.description || '',
+    permissions: role?.permissions || [],
+  });
+  const [loading, setLoading] = useState(false);
+
+  const groups = [...new Set(permissions.map((permission) => groupOf(permission.name)))];
+
+  const togglePermission = (name) => {
+    const granted = formData.permissions.includes(name)
+      ? formData.permissions.filter((permission) => permission !== name)
+      : [...formData.permissions, name];
+    setFormData({ ...formData, permissions: granted });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const payload = {
+      label: formData.label,
+      description: formData.description,
+      permissions: formData.permissions,
+    };
+    try {
+      if (role) {
+        await roleService.updateRole(role.name, payload);
+        toast.success('Role updated successfully');
+      } else {
+        await roleService.createRole({ ...payload, name: formData.name });
+        toast.success('Role created successfully');
+      }
+      onClose();
+      onSaved();
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to save role');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">{role ? 'Edit Role' : 'New Role'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="input"
+                placeholder="e.g. dispatcher"
+                disabled={!!role}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Label *</label>
+              <input
+                type="text"
+                value={formData.label}
+                onChange={(e) => setFormData({ ...formData, label: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className="input"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Permissions</label>
+            <div className="space-y-3">
+              {groups.map((group) => (
+                <div key={group}>
+                  <p className="text-xs font-medium text-gray-500 uppercase mb-1">{group}</p>
+                  <div className="space-y-1">
+                    {permissions.filter((permission) => groupOf(permission.name) === group).map((permission) => (
+                      <label key={permission.name} className="flex items-start gap-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.permissions.includes(permission.name)}
+                          onChange={() => togglePermission(permission.name)}
+                          className="mt-1"
+                        />
+                        <span>
+                          <span className="font-mono">{permission.name}</span>
+                          <span className="text-gray-500"> — {permission.description}</span>
+                        </span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn btn-primary flex-1">
+              {loading ? 'Saving...' : (role ? 'Update Role' : 'Create Role')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Roles;
@@ -1,14 +1,50 @@
 import { useState, useEffect } from 'react';
 import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import RuleHistory from '../components/RuleHistory';
+import RuleImport from '../components/RuleImport';
+import RulePreview from '../components/RulePreview';
 import ruleService from '../services/ruleService';
+import groupService from '../services/groupService';
+import useSourceTypes from '../hooks/useSourceTypes';
 import toast from 'react-hot-toast';
-import { Settings, Plus, Edit, Trash2, ToggleLeft, ToggleRight, XCircle } from 'lucide-react';
+import { Settings, Plus, Edit, Trash2, ToggleLeft, ToggleRight, XCircle, History, Download, Upload } from 'lucide-react';
+
+const NOTIFICATION_CHANNELS = ['email', 'sms', 'webhook', 'slack'];
+const NOTIFY_EVENTS = [
+  { value: 'escalate', label: 'On escalation' },
+  { value: 'auto_close', label: 'On auto-close' }
+];
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const SCOPE_LIST_FIELDS = [
+  { field: 'driverIds', label: 'Drivers' },
+  { field: 'vehicleIds', label: 'Vehicles' },
+  { field: 'locations', label: 'Locations' }
+];
+
+const describeScope = (scope = {}) => [
+  ...SCOPE_LIST_FIELDS,
+  { field: 'groups', label: 'Groups' }
+]
+  .filter(({ field }) => scope[field]?.length > 0)
+  .map(({ field, label }) => `${label}: ${scope[field].join(', ')}`)
+  .join(' • ');
+
+const describeWindow = (window) => {
+  const days = window.days?.length ? window.days.map((day) => DAY_NAMES[day]).join(', ') : 'Every day';
+  return `${days} ${window.start}–${window.end}`;
+};
 
 const Rules = () => {
   const [rules, setRules] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showModal, setShowModal] = useState(false);
   const [editingRule, setEditingRule] = useState(null);
+  const [historyRule, setHistoryRule] = useState(null);
+  const [showImport, setShowImport] = useState(false);
+  const { labelFor } = useSourceTypes();
+  const { can } = useAuth();
 
   useEffect(() => {
     fetchRules();
@@ -37,6 +73,22 @@ const Rules = () => {
     }
   };
 
+  const handleExport = async (format) => {
+    try {
+      const content = await ruleService.exportRules(format);
+      const blob = new Blob([content], { type: format === 'yaml' ? 'application/yaml' : 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `sentinel-rules-${new Date().toISOString().slice(0, 10)}.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      toast.error('Failed to export rules');
+      console.error(error);
+    }
+  };
+
   const handleDelete = async (ruleId) => {
     if (!window.confirm('Are you sure you want to delete this rule?')) return;
     
@@ -58,16 +110,34 @@ const Rules = () => {
             <h1 className="text-3xl font-bold text-gray-900">Rules</h1>
             <p className="text-gray-600 mt-1">Configure alert escalation and auto-close rules</p>
           </div>
-          <button
-            onClick={() => {
-              setEditingRule(null);
-              setShowModal(true);
-            }}
-            className="btn btn-primary flex items-center"
-          >
-            <Plus className="h-4 w-4 mr-2" />
-            Create Rule
-          </button>
+          <div className="flex gap-2">
+            <button onClick={() => handleExport('yaml')} className="btn btn-secondary flex items-center">
+              <Download className="h-4 w-4 mr-2" />
+              Export YAML
+            </button>
+            <button onClick={() => handleExport('json')} className="btn btn-secondary flex items-center">
+              <Download className="h-4 w-4 mr-2" />
+              Export JSON
+            </button>
+            {can('rules:write') && (
+              <>
+                <button onClick={() => setShowImport(true)} className="btn btn-secondary flex items-center">
+                  <Upload className="h-4 w-4 mr-2" />
+                  Import
+                </button>
+                <button
+                  onClick={() => {
+                    setEditingRule(null);
+                    setShowModal(true);
+                  }}
+                  className="btn btn-primary flex items-center"
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  Create Rule
+                </button>
+              </>
+            )}
+          </div>
         </div>
 
         {/* Rules List */}
@@ -92,10 +162,27 @@ const Rules = () => {
                         {rule.enabled ? 'Enabled' : 'Disabled'}
                       </span>
                       <span className="badge badge-info capitalize">
-                        {rule.sourceType.replace('_', ' ')}
+                        {labelFor(rule.sourceType)}
+                      </span>
+                      <span className="badge bg-gray-100 text-gray-800">
+                        Priority {rule.priority}
                       </span>
+                      {rule.version > 0 && (
+                        <span className="badge bg-gray-100 text-gray-800">v{rule.version}</span>
+                      )}
+                      {rule.stopProcessing && (
+                        <span className="badge badge-warning">Stops processing</span>
+                      )}
                     </div>
                     <p className="text-gray-600 mb-4">{rule.description}</p>
+                    {describeScope(rule.scope) && (
+                      <p className="text-sm text-gray-500 mb-2">Scope: {describeScope(rule.scope)}</p>
+                    )}
+                    {rule.schedule?.windows?.length > 0 && (
+                      <p className="text-sm text-gray-500 mb-4">
+                        Active {rule.schedule.windows.map(describeWindow).join('; ')} ({rule.schedule.timezone})
+                      </p>
+                    )}
                     
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4 bg-gray-50 p-4 rounded-lg">
                       <div>
@@ -107,8 +194,11 @@ const Rules = () => {
                           {rule.conditions.window_mins && (
                             <p>• Within {rule.conditions.window_mins} minutes</p>
                           )}
+                          {rule.conditions.escalate_if && (
+                            <p>• Escalate if: <code className="text-xs">{rule.conditions.escalate_if}</code></p>
+                          )}
                           {rule.conditions.auto_close_if && (
-                            <p>• Auto-close if: {rule.conditions.auto_close_if}</p>
+                            <p>• Auto-close if: <code className="text-xs">{rule.conditions.auto_close_if}</code></p>
                           )}
                           {rule.conditions.auto_close_after_mins && (
                             <p>• Auto-close after {rule.conditions.auto_close_after_mins} minutes</p>
@@ -121,9 +211,25 @@ const Rules = () => {
                           {rule.actions.escalate_to_severity && (
                             <p>• Escalate to: {rule.actions.escalate_to_severity}</p>
                           )}
+                          {rule.actions.add_tags?.length > 0 && (
+                            <p>• Add tags: {rule.actions.add_tags.join(', ')}</p>
+                          )}
+                          {rule.actions.assign_to && (
+                            <p>• Assign to owner</p>
+                          )}
                           {rule.actions.notify && (
-                            <p>• Send notifications: {rule.actions.notificationChannels?.join(', ')}</p>
+                            <p>
+                              • Send notifications: {rule.actions.notificationChannels?.join(', ')}
+                              {' '}({(rule.actions.notify_on?.length ? rule.actions.notify_on : ['escalate']).join(', ').replace('_', '-')})
+                            </p>
                           )}
+                          {rule.escalationPolicy?.levels?.map((level, index) => (
+                            <p key={index}>
+                              • Level {index + 2} after {level.after_mins} more minutes
+                              {level.severity ? `: ${level.severity}` : ''}
+                              {level.notificationChannels?.length > 0 ? `, notify ${level.notificationChannels.join(', ')}` : ''}
+                            </p>
+                          ))}
                         </div>
                       </div>
                     </div>
@@ -132,28 +238,40 @@ const Rules = () => {
                   <div className="flex flex-col gap-2 ml-4">
                     <button
                       onClick={() => handleToggle(rule.ruleId)}
-                      className={`p-2 rounded-lg ${rule.enabled ? 'text-green-600 hover:bg-green-50' : 'text-gray-400 hover:bg-gray-100'}`}
-                      title={rule.enabled ? 'Disable' : 'Enable'}
+                      disabled={!can('rules:toggle')}
+                      className={`p-2 rounded-lg disabled:cursor-not-allowed ${rule.enabled ? 'text-green-600 hover:bg-green-50' : 'text-gray-400 hover:bg-gray-100'}`}
+                      title={can('rules:toggle') ? (rule.enabled ? 'Disable' : 'Enable') : (rule.enabled ? 'Enabled' : 'Disabled')}
                     >
                       {rule.enabled ? <ToggleRight className="h-6 w-6" /> : <ToggleLeft className="h-6 w-6" />}
                     </button>
+                    {can('rules:write') && (
+                      <button
+                        onClick={() => {
+                          setEditingRule(rule);
+                          setShowModal(true);
+                        }}
+                        className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg"
+                        title="Edit"
+                      >
+                        <Edit className="h-5 w-5" />
+                      </button>
+                    )}
                     <button
-                      onClick={() => {
-                        setEditingRule(rule);
-                        setShowModal(true);
-                      }}
-                      className="p-2 text-primary-600 hover:bg-primary-50 rounded-lg"
-                      title="Edit"
-                    >
-                      <Edit className="h-5 w-5" />
-                    </button>
-                    <button
-                      onClick={() => handleDelete(rule.ruleId)}
-                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
-                      title="Delete"
+                      onClick={() => setHistoryRule(rule)}
+                      className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                      title="History"
                     >
-                      <Trash2 className="h-5 w-5" />
+                      <History className="h-5 w-5" />
                     </button>
+                    {can('rules:write') && (
+                      <button
+                        onClick={() => handleDelete(rule.ruleId)}
+                        className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                        title="Delete"
+                      >
+                        <Trash2 className="h-5 w-5" />
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
@@ -173,6 +291,20 @@ const Rules = () => {
           fetchRules={fetchRules}
         />
       )}
+
+      {/* Rule History Modal */}
+      {historyRule && (
+        <RuleHistory
+          rule={historyRule}
+          onClose={() => setHistoryRule(null)}
+          onRolledBack={fetchRules}
+        />
+      )}
+
+      {/* Rule Import Modal */}
+      {showImport && (
+        <RuleImport onClose={() => setShowImport(false)} onImported={fetchRules} />
+      )}
     </Layout>
   );
 };
@@ -181,40 +313,111 @@ const Rules = () => {
 const RuleModal = ({ rule, onClose, fetchRules }) => {
   const [formData, setFormData] = useState(rule || {
     ruleId: `RULE_${Date.now()}`,
-    sourceType: 'overspeed',
+    sourceType: '',
     name: '',
     description: '',
     enabled: true,
     priority: 0,
+    stopProcessing: false,
     conditions: {
       escalate_if_count: 0,
       window_mins: 0,
+      escalate_if: '',
       auto_close_if: '',
       auto_close_after_mins: 0
     },
     actions: {
       escalate_to_severity: '',
+      add_tags: [],
       notify: false,
-      notificationChannels: []
+      notificationChannels: [],
+      notify_on: ['escalate']
+    },
+    schedule: {
+      timezone: 'UTC',
+      windows: []
     }
   });
+  const [scopeText, setScopeText] = useState(() => Object.fromEntries(
+    SCOPE_LIST_FIELDS.map(({ field }) => [field, (rule?.scope?.[field] || []).join(', ')])
+  ));
+  const [groups, setGroups] = useState([]);
+  const { sourceTypes } = useSourceTypes();
+  const [comment, setComment] = useState('');
   const [loading, setLoading] = useState(false);
 
+  useEffect(() => {
+    groupService.getGroups()
+      .then((response) => setGroups(response.data.groups))
+      .catch(() => setGroups([]));
+  }, []);
+
+  const toggleListValue = (list = [], value) => (
+    list.includes(value) ? list.filter((item) => item !== value) : [...list, value]
+  );
+
+  const schedule = formData.schedule || { timezone: 'UTC', windows: [] };
+  const levels = formData.escalationPolicy?.levels || [];
+
+  const setLevels = (nextLevels) => {
+    setFormData({ ...formData, escalationPolicy: { levels: nextLevels } });
+  };
+
+  const updateLevel = (index, changes) => {
+    setLevels(levels.map((level, i) => (i === index ? { ...level, ...changes } : level)));
+  };
+
+  const setWindows = (windows) => {
+    setFormData({ ...formData, schedule: { ...schedule, windows } });
+  };
+
+  const updateWindow = (index, changes) => {
+    setWindows(schedule.windows.map((window, i) => (i === index ? { ...window, ...changes } : window)));
+  };
+
+  const scopeGroups = formData.scope?.groups || [];
+
+  const buildPayload = () => ({
+    ...formData,
+    scope: {
+      ...Object.fromEntries(SCOPE_LIST_FIELDS.map(({ field }) => [
+        field,
+        scopeText[field].split(',').map((item) => item.trim()).filter(Boolean)
+      ])),
+      groups: scopeGroups
+    },
+    actions: {
+      ...formData.actions,
+      escalate_to_severity: formData.actions.escalate_to_severity || undefined
+    },
+    escalationPolicy: {
+      levels: levels.map((level) => ({
+        ...level,
+        severity: level.severity || undefined,
+        recipients: (level.recipients || []).filter(Boolean)
+      }))
+    }
+  });
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
+    const payload = { ...buildPayload(), comment: comment.trim() || undefined };
     try {
       if (rule) {
-        await ruleService.updateRule(rule.ruleId, formData);
+        await ruleService.updateRule(rule.ruleId, payload);
         toast.success('Rule updated successfully');
       } else {
-        await ruleService.createRule(formData);
+        await ruleService.createRule(payload);
         toast.success('Rule created successfully');
       }
       onClose();
       fetchRules();
     } catch (error) {
-      toast.error(rule ? 'Failed to update rule' : 'Failed to create rule');
+      toast.error(
+        error.errors?.[0]?.message || error.message ||
+        (rule ? 'Failed to update rule' : 'Failed to create rule')
+      );
     } finally {
       setLoading(false);
     }
@@ -251,10 +454,12 @@ const RuleModal = ({ rule, onClose, fetchRules }) => {
                 className="input"
                 required
               >
-                <option value="overspeed">Overspeed</option>
-                <option value="compliance">Compliance</option>
-                <option value="feedback_negative">Negative Feedback</option>
-                <option value="maintenance">Maintenance</option>
+                <option value="">Select a source type</option>
+                {sourceTypes.map((sourceType) => (
+                  <option key={sourceType.name} value={sourceType.name}>
+                    {sourceType.label}{sourceType.enabled ? '' : ' (disabled)'}
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -263,11 +468,24 @@ const RuleModal = ({ rule, onClose, fetchRules }) => {
               <input
                 type="number"
                 value={formData.priority}
-                onChange={(e) => setFormData({ ...formData, priority: parseInt(e.target.value) })}
+                onChange={(e) => setFormData({ ...formData, priority: parseInt(e.target.value) || 0 })}
                 className="input"
               />
             </div>
 
+            <div className="md:col-span-2 flex items-center">
+              <input
+                id="stopProcessing"
+                type="checkbox"
+                checked={!!formData.stopProcessing}
+                onChange={(e) => setFormData({ ...formData, stopProcessing: e.target.checked })}
+                className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+              />
+              <label htmlFor="stopProcessing" className="ml-2 block text-sm text-gray-700">
+                Stop processing lower-priority rules for this source type when this rule matches
+              </label>
+            </div>
+
             <div className="md:col-span-2">
               <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
               <textarea
@@ -308,18 +526,36 @@ const RuleModal = ({ rule, onClose, fetchRules }) => {
                 />
               </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Auto-close if</label>
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Escalate if (expression)</label>
+                <input
+                  type="text"
+                  value={formData.conditions.escalate_if || ''}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    conditions: { ...formData.conditions, escalate_if: e.target.value }
+                  })}
+                  className="input font-mono text-sm"
+                  placeholder="e.g., metadata.speed > metadata.speedLimit * 1.5"
+                />
+              </div>
+
+              <div className="md:col-span-2">
+                <label className="block text-sm font-medium text-gray-700 mb-2">Auto-close if (expression)</label>
                 <input
                   type="text"
-                  value={formData.conditions.auto_close_if}
+                  value={formData.conditions.auto_close_if || ''}
                   onChange={(e) => setFormData({
                     ...formData,
                     conditions: { ...formData.conditions, auto_close_if: e.target.value }
                   })}
-                  className="input"
-                  placeholder="e.g., document_valid"
+                  className="input font-mono text-sm"
+                  placeholder="e.g., document_valid or daysUntil(metadata.expiryDate) > 0"
                 />
+                <p className="text-xs text-gray-500 mt-1">
+                  Supports comparisons, and/or/not, arithmetic, metadata.* and alert.* fields,
+                  and functions such as now(), hoursSince(), daysUntil() and exists().
+                </p>
               </div>
 
               <div>
@@ -350,13 +586,30 @@ const RuleModal = ({ rule, onClose, fetchRules }) => {
                   })}
                   className="input"
                 >
-                  <option value="">None</option>
+                  <option value="">Default (Critical)</option>
                   <option value="INFO">Info</option>
                   <option value="WARNING">Warning</option>
                   <option value="CRITICAL">Critical</option>
                 </select>
               </div>
 
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Add tags on escalation</label>
+                <input
+                  type="text"
+                  value={(formData.actions.add_tags || []).join(', ')}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    actions: {
+                      ...formData.actions,
+                      add_tags: e.target.value.split(',').map((tag) => tag.trim()).filter(Boolean)
+                    }
+                  })}
+                  className="input"
+                  placeholder="e.g., safety, needs-review"
+                />
+              </div>
+
               <div className="flex items-center">
                 <input
                   type="checkbox"
@@ -369,9 +622,267 @@ const RuleModal = ({ rule, onClose, fetchRules }) => {
                 />
                 <label className="ml-2 block text-sm text-gray-700">Enable notifications</label>
               </div>
+
+              {formData.actions.notify && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 pl-6">
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Channels</p>
+                    {NOTIFICATION_CHANNELS.map((channel) => (
+                      <label key={channel} className="flex items-center text-sm text-gray-700 capitalize">
+                        <input
+                          type="checkbox"
+                          checked={formData.actions.notificationChannels?.includes(channel) || false}
+                          onChange={() => setFormData({
+                            ...formData,
+                            actions: {
+                              ...formData.actions,
+                              notificationChannels: toggleListValue(formData.actions.notificationChannels, channel)
+                            }
+                          })}
+                          className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        {channel}
+                      </label>
+                    ))}
+                  </div>
+                  <div>
+                    <p className="text-sm font-medium text-gray-700 mb-2">Send</p>
+                    {NOTIFY_EVENTS.map((item) => (
+                      <label key={item.value} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={formData.actions.notify_on?.includes(item.value) || false}
+                          onChange={() => setFormData({
+                            ...formData,
+                            actions: {
+                              ...formData.actions,
+                              notify_on: toggleListValue(formData.actions.notify_on, item.value)
+                            }
+                          })}
+                          className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        {item.label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="border-t pt-4">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Escalation Policy</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Level 1 is this rule's escalation. Each further level applies once the alert has stayed escalated for its delay.
+            </p>
+            <div className="space-y-4">
+              {levels.map((level, index) => (
+                <div key={index} className="bg-gray-50 p-3 rounded-lg space-y-3">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-semibold text-gray-700">Level {index + 2}</p>
+                    <button
+                      type="button"
+                      onClick={() => setLevels(levels.filter((_, i) => i !== index))}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      title="Remove level"
+                    >
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  </div>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">After (minutes at previous level)</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={level.after_mins}
+                        onChange={(e) => updateLevel(index, { after_mins: parseInt(e.target.value) || 1 })}
+                        className="input"
+                        required
+                      />
+                    </div>
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Severity</label>
+                      <select
+                        value={level.severity || ''}
+                        onChange={(e) => updateLevel(index, { severity: e.target.value })}
+                        className="input"
+                      >
+                        <option value="">Unchanged</option>
+                        <option value="INFO">INFO</option>
+                        <option value="WARNING">WARNING</option>
+                        <option value="CRITICAL">CRITICAL</option>
+                      </select>
+                    </div>
+                  </div>
+                  <div className="flex flex-wrap gap-4">
+                    {NOTIFICATION_CHANNELS.map((channel) => (
+                      <label key={channel} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={level.notificationChannels?.includes(channel) || false}
+                          onChange={() => updateLevel(index, {
+                            notificationChannels: toggleListValue(level.notificationChannels, channel)
+                          })}
+                          className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        {channel}
+                      </label>
+                    ))}
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">Recipients (comma-separated, optional)</label>
+                    <input
+                      type="text"
+                      value={(level.recipients || []).join(',')}
+                      onChange={(e) => updateLevel(index, {
+                        recipients: e.target.value.split(',').map((item) => item.trim())
+                      })}
+                      className="input"
+                      placeholder="Defaults to the channel's configured recipients"
+                    />
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setLevels([...levels, { after_mins: 30, severity: '', notificationChannels: [], recipients: [] }])}
+                className="btn btn-secondary flex items-center"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Level
+              </button>
             </div>
           </div>
 
+          <div className="border-t pt-4">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Scope</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Leave empty to apply fleet-wide. Every filled-in field must match; the most specific matching rule decides.
+            </p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              {SCOPE_LIST_FIELDS.map(({ field, label }) => (
+                <div key={field}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">{label} (comma-separated)</label>
+                  <input
+                    type="text"
+                    value={scopeText[field]}
+                    onChange={(e) => setScopeText({ ...scopeText, [field]: e.target.value })}
+                    className="input"
+                  />
+                </div>
+              ))}
+            </div>
+            {groups.length > 0 && (
+              <div className="mt-4">
+                <p className="text-sm font-medium text-gray-700 mb-2">Groups</p>
+                <div className="flex flex-wrap gap-4">
+                  {groups.map((group) => (
+                    <label key={group.groupId} className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={scopeGroups.includes(group.groupId)}
+                        onChange={() => setFormData({
+                          ...formData,
+                          scope: { ...formData.scope, groups: toggleListValue(scopeGroups, group.groupId) }
+                        })}
+                        className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                      />
+                      {group.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="border-t pt-4">
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Schedule</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              Without windows the rule is always active. End before start spans midnight.
+            </p>
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Timezone</label>
+                <input
+                  type="text"
+                  value={schedule.timezone}
+                  onChange={(e) => setFormData({ ...formData, schedule: { ...schedule, timezone: e.target.value } })}
+                  className="input"
+                  placeholder="e.g. Asia/Kolkata"
+                />
+              </div>
+              {schedule.windows.map((window, index) => (
+                <div key={index} className="bg-gray-50 p-3 rounded-lg space-y-2">
+                  <div className="flex flex-wrap gap-3">
+                    {DAY_NAMES.map((day, dayIndex) => (
+                      <label key={day} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={window.days?.includes(dayIndex) || false}
+                          onChange={() => updateWindow(index, {
+                            days: toggleListValue(window.days, dayIndex).sort((a, b) => a - b)
+                          })}
+                          className="h-4 w-4 mr-1 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                        />
+                        {day}
+                      </label>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="time"
+                      value={window.start}
+                      onChange={(e) => updateWindow(index, { start: e.target.value })}
+                      className="input"
+                      required
+                    />
+                    <span className="text-gray-500">to</span>
+                    <input
+                      type="time"
+                      value={window.end}
+                      onChange={(e) => updateWindow(index, { end: e.target.value })}
+                      className="input"
+                      required
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setWindows(schedule.windows.filter((_, i) => i !== index))}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                      title="Remove window"
+                    >
+                      <Trash2 className="h-5 w-5" />
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button
+                type="button"
+                onClick={() => setWindows([...schedule.windows, { days: [1, 2, 3, 4, 5], start: '09:00', end: '18:00' }])}
+                className="btn btn-secondary flex items-center"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Window
+              </button>
+            </div>
+          </div>
+
+          <div className="pt-4 border-t">
+            <RulePreview buildRule={buildPayload} />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Change note</label>
+            <input
+              type="text"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              className="input"
+              maxLength={500}
+              placeholder="Why is this rule being changed?"
+            />
+          </div>
+
           <div className="flex gap-2 pt-4 border-t">
             <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
               Cancel
@@ -0,0 +1,337 @@
+import { useState, useEffect, useCallback } from 'react';
+import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import silenceService from '../services/silenceService';
+import useSourceTypes from '../hooks/useSourceTypes';
+import toast from 'react-hot-toast';
+import { BellOff, Plus, Trash2, StopCircle, XCircle } from 'lucide-react';
+import { format } from 'date-fns';
+
+const STATES = [
+  { value: 'current', label: 'Active & upcoming' },
+  { value: 'active', label: 'Active' },
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'all', label: 'All' },
+];
+
+const describeScope = (scope = {}) => {
+  const parts = [];
+  if (scope.sourceType) parts.push(`Source: ${scope.sourceType.replace('_', ' ')}`);
+  if (scope.driverId) parts.push(`Driver: ${scope.driverId}`);
+  if (scope.vehicleId) parts.push(`Vehicle: ${scope.vehicleId}`);
+  return parts.join(' • ');
+};
+
+const getState = (silence) => {
+  const now = new Date();
+  if (new Date(silence.endsAt) <= now) return { label: 'Expired', className: 'bg-gray-100 text-gray-800' };
+  if (new Date(silence.startsAt) > now) return { label: 'Upcoming', className: 'badge-info' };
+  return { label: 'Active', className: 'badge-warning' };
+};
+
+const Silences = () => {
+  const [silences, setSilences] = useState([]);
+  const [state, setState] = useState('current');
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const { can } = useAuth();
+
+  const fetchSilences = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await silenceService.getSilences({ state });
+      setSilences(response.data.silences);
+    } catch (error) {
+      toast.error('Failed to fetch silences');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [state]);
+
+  useEffect(() => {
+    fetchSilences();
+  }, [fetchSilences]);
+
+  const handleExpire = async (silenceId) => {
+    if (!window.confirm('End this silence now?')) return;
+    try {
+      await silenceService.expireSilence(silenceId);
+      toast.success('Silence ended');
+      fetchSilences();
+    } catch (error) {
+      toast.error(error.message || 'Failed to end silence');
+    }
+  };
+
+  const handleDelete = async (silenceId) => {
+    if (!window.confirm('Are you sure you want to delete this silence?')) return;
+    try {
+      await silenceService.deleteSilence(silenceId);
+      toast.success('Silence deleted');
+      fetchSilences();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete silence');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Silences</h1>
+            <p className="text-gray-600 mt-1">Suppress escalations and notifications during planned work</p>
+          </div>
+          <div className="flex gap-2">
+            <select value={state} onChange={(e) => setState(e.target.value)} className="input">
+              {STATES.map((item) => (
+                <option key={item.value} value={item.value}>{item.label}</option>
+              ))}
+            </select>
+            {can('silences:write') && (
+              <button onClick={() => setShowModal(true)} className="btn btn-primary flex items-center whitespace-nowrap">
+                <Plus className="h-4 w-4 mr-2" />
+                New Silence
+              </button>
+            )}
+          </div>
+        </div>
+
+        {/* Silences List */}
+        {loading ? (
+          <div className="flex justify-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+          </div>
+        ) : silences.length === 0 ? (
+          <div className="card text-center py-12">
+            <BellOff className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No silences found</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 gap-4">
+            {silences.map((silence) => {
+              const silenceState = getState(silence);
+              return (
+                <div key={silence._id} className="card">
+                  <div className="flex items-start justify-between">
+                    <div>
+                      <div className="flex items-center gap-3 mb-2">
+                        <h3 className="text-lg font-semibold text-gray-900">{describeScope(silence.scope)}</h3>
+                        <span className={`badge ${silenceState.className}`}>{silenceState.label}</span>
+                        {silence.suppress.map((effect) => (
+                          <span key={effect} className="badge bg-gray-100 text-gray-800 capitalize">{effect}</span>
+                        ))}
+                      </div>
+                      <p className="text-gray-600">{silence.reason}</p>
+                      <p className="text-sm text-gray-500 mt-2">
+                        {format(new Date(silence.startsAt), 'MMM dd, yyyy HH:mm')} → {format(new Date(silence.endsAt), 'MMM dd, yyyy HH:mm')}
+                        {silence.createdBy?.name && ` • by ${silence.createdBy.name}`}
+                      </p>
+                    </div>
+                    {can('silences:write') && (
+                      <div className="flex gap-2 ml-4">
+                        {silenceState.label === 'Active' && (
+                          <button
+                            onClick={() => handleExpire(silence.silenceId)}
+                            className="p-2 text-yellow-600 hover:bg-yellow-50 rounded-lg"
+                            title="End now"
+                          >
+                            <StopCircle className="h-5 w-5" />
+                          </button>
+                        )}
+                        <button
+                          onClick={() => handleDelete(silence.silenceId)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-5 w-5" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <SilenceModal
+          onClose={() => setShowModal(false)}
+          fetchSilences={fetchSilences}
+        />
+      )}
+    </Layout>
+  );
+};
+
+// Silence Modal Component
+const toLocalInput = (date) => format(date, "yyyy-MM-dd'T'HH:mm");
+
+const SilenceModal = ({ onClose, fetchSilences }) => {
+  const [formData, setFormData] = useState({
+    sourceType: '',
+    driverId: '',
+    vehicleId: '',
+    startsAt: toLocalInput(new Date()),
+    endsAt: toLocalInput(new Date(Date.now() + 2 * 60 * 60 * 1000)),
+    suppress: ['escalation', 'notification'],
+    reason: '',
+  });
+  const [loading, setLoading] = useState(false);
+  const { sourceTypes } = useSourceTypes();
+
+  const toggleEffect = (effect) => {
+    const suppress = formData.suppress.includes(effect)
+      ? formData.suppress.filter((item) => item !== effect)
+      : [...formData.suppress, effect];
+    setFormData({ ...formData, suppress });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      await silenceService.createSilence({
+        scope: {
+          sourceType: formData.sourceType || undefined,
+          driverId: formData.driverId.trim() || undefined,
+          vehicleId: formData.vehicleId.trim() || undefined,
+        },
+        startsAt: new Date(formData.startsAt).toISOString(),
+        endsAt: new Date(formData.endsAt).toISOString(),
+        suppress: formData.suppress,
+        reason: formData.reason,
+      });
+      toast.success('Silence created successfully');
+      onClose();
+      fetchSilences();
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to create silence');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">New Silence</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-6">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 mb-1">Scope</h3>
+            <p className="text-sm text-gray-500 mb-4">Alerts matching every field you fill in are silenced.</p>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Source Type</label>
+                <select
+                  value={formData.sourceType}
+                  onChange={(e) => setFormData({ ...formData, sourceType: e.target.value })}
+                  className="input"
+                >
+                  <option value="">Any</option>
+                  {sourceTypes.map((sourceType) => (
+                    <option key={sourceType.name} value={sourceType.name}>{sourceType.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Driver ID</label>
+                <input
+                  type="text"
+                  value={formData.driverId}
+                  onChange={(e) => setFormData({ ...formData, driverId: e.target.value })}
+                  className="input"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Vehicle ID</label>
+                <input
+                  type="text"
+                  value={formData.vehicleId}
+                  onChange={(e) => setFormData({ ...formData, vehicleId: e.target.value })}
+                  className="input"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Starts *</label>
+              <input
+                type="datetime-local"
+                value={formData.startsAt}
+                onChange={(e) => setFormData({ ...formData, startsAt: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Ends *</label>
+              <input
+                type="datetime-local"
+                value={formData.endsAt}
+                onChange={(e) => setFormData({ ...formData, endsAt: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Suppress</p>
+            {['escalation', 'notification'].map((effect) => (
+              <label key={effect} className="flex items-center text-sm text-gray-700 capitalize">
+                <input
+                  type="checkbox"
+                  checked={formData.suppress.includes(effect)}
+                  onChange={() => toggleEffect(effect)}
+                  className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                {effect}
+              </label>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason *</label>
+            <input
+              type="text"
+              value={formData.reason}
+              onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+              className="input"
+              placeholder="e.g. Vehicle in scheduled service"
+              required
+            />
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={loading || formData.suppress.length === 0}
+              className="btn btn-primary flex-1"
+            >
+              {loading ? 'Saving...' : 'Create Silence'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Silences;
@@ -0,0 +1,324 @@
+import { useState } from 'react';
+import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import sourceTypeService from '../services/sourceTypeService';
+import useSourceTypes from '../hooks/useSourceTypes';
+import toast from 'react-hot-toast';
+import {
+  Tags,
+  Plus,
+  Edit,
+  Trash2,
+  XCircle,
+  AlertCircle,
+  Gauge,
+  FileWarning,
+  ThumbsDown,
+  Wrench,
+  Car,
+  Fuel,
+  MapPin,
+  Clock,
+  ShieldAlert,
+} from 'lucide-react';
+
+// Icons offered for source types; unknown names fall back to AlertCircle
+const ICONS = { AlertCircle, Gauge, FileWarning, ThumbsDown, Wrench, Car, Fuel, MapPin, Clock, ShieldAlert };
+
+const SEVERITY_BADGES = {
+  CRITICAL: 'badge-critical',
+  WARNING: 'badge-warning',
+  INFO: 'badge-info',
+};
+
+const SourceTypes = () => {
+  const { sourceTypes, reload } = useSourceTypes();
+  const [showModal, setShowModal] = useState(false);
+  const [editingType, setEditingType] = useState(null);
+  const { can } = useAuth();
+
+  const handleDelete = async (name) => {
+    if (!window.confirm('Are you sure you want to delete this source type?')) return;
+    try {
+      await sourceTypeService.deleteSourceType(name);
+      toast.success('Source type deleted');
+      reload();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete source type');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Source Types</h1>
+            <p className="text-gray-600 mt-1">Kinds of alert source, with the metadata each one must carry</p>
+          </div>
+          {can('sourceTypes:write') && (
+            <button
+              onClick={() => {
+                setEditingType(null);
+                setShowModal(true);
+              }}
+              className="btn btn-primary flex items-center"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Source Type
+            </button>
+          )}
+        </div>
+
+        {/* Source Types List */}
+        {sourceTypes.length === 0 ? (
+          <div className="card text-center py-12">
+            <Tags className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+            <p className="text-gray-500">No source types registered yet</p>
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 gap-4">
+            {sourceTypes.map((sourceType) => {
+              const Icon = ICONS[sourceType.icon] || AlertCircle;
+              return (
+                <div key={sourceType._id} className="card">
+                  <div className="flex items-start justify-between">
+                    <div className="flex gap-4">
+                      <Icon className="h-8 w-8 text-primary-600 flex-shrink-0" />
+                      <div>
+                        <div className="flex items-center gap-3 mb-2">
+                          <h3 className="text-lg font-semibold text-gray-900">{sourceType.label}</h3>
+                          <span className="badge bg-gray-100 text-gray-800">{sourceType.name}</span>
+                          <span className={`badge ${sourceType.enabled ? 'badge-success' : 'bg-gray-100 text-gray-800'}`}>
+                            {sourceType.enabled ? 'Enabled' : 'Disabled'}
+                          </span>
+                          <span className={`badge ${SEVERITY_BADGES[sourceType.defaultSeverity]}`}>
+                            {sourceType.defaultSeverity}
+                          </span>
+                        </div>
+                        {sourceType.description && <p className="text-gray-600 mb-2">{sourceType.description}</p>}
+                        <p className="text-sm text-gray-600">• Risk weight: {sourceType.riskWeight ?? 1}</p>
+                        <p className="text-sm text-gray-600">
+                          • Metadata fields: {Object.keys(sourceType.metadataSchema?.properties || {}).join(', ') || 'any'}
+                        </p>
+                      </div>
+                    </div>
+                    {can('sourceTypes:write') && (
+                      <div className="flex gap-2 ml-4">
+                        <button
+                          onClick={() => {
+                            setEditingType(sourceType);
+                            setShowModal(true);
+                          }}
+                          className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                          title="Edit"
+                        >
+                          <Edit className="h-5 w-5" />
+                        </button>
+                        <button
+                          onClick={() => handleDelete(sourceType.name)}
+                          className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-5 w-5" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <SourceTypeModal
+          sourceType={editingType}
+          onClose={() => {
+            setShowModal(false);
+            setEditingType(null);
+          }}
+          onSaved={reload}
+        />
+      )}
+    </Layout>
+  );
+};
+
+// Source Type Modal Component
+const SourceTypeModal = ({ sourceType, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    name: sourceType?.name || '',
+    label: sourceType?.label || '',
+    description: sourceType?.description || '',
+    defaultSeverity: sourceType?.defaultSeverity || 'INFO',
+    riskWeight: sourceType?.riskWeight ?? 1,
+    icon: sourceType?.icon || 'AlertCircle',
+    enabled: sourceType?.enabled ?? true,
+    metadataSchema: JSON.stringify(sourceType?.metadataSchema || { type: 'object', properties: {} }, null, 2),
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    let metadataSchema;
+    try {
+      metadataSchema = JSON.parse(formData.metadataSchema);
+    } catch {
+      toast.error('Metadata schema is not valid JSON');
+      return;
+    }
+
+    setLoading(true);
+    const payload = {
+      label: formData.label,
+      description: formData.description,
+      defaultSeverity: formData.defaultSeverity,
+      riskWeight: parseFloat(formData.riskWeight),
+      icon: formData.icon,
+      enabled: formData.enabled,
+      metadataSchema,
+    };
+    try {
+      if (sourceType) {
+        await sourceTypeService.updateSourceType(sourceType.name, payload);
+        toast.success('Source type updated successfully');
+      } else {
+        await sourceTypeService.createSourceType({ ...payload, name: formData.name });
+        toast.success('Source type created successfully');
+      }
+      onClose();
+      onSaved();
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to save source type');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">{sourceType ? 'Edit Source Type' : 'New Source Type'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+              <input
+                type="text"
+                value={formData.name}
+                onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+                className="input"
+                placeholder="e.g. harsh_braking"
+                disabled={!!sourceType}
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Label *</label>
+              <input
+                type="text"
+                value={formData.label}
+                onChange={(e) => setFormData({ ...formData, label: e.target.value })}
+                className="input"
+                required
+              />
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Description</label>
+            <input
+              type="text"
+              value={formData.description}
+              onChange={(e) => setFormData({ ...formData, description: e.target.value })}
+              className="input"
+            />
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Default Severity</label>
+              <select
+                value={formData.defaultSeverity}
+                onChange={(e) => setFormData({ ...formData, defaultSeverity: e.target.value })}
+                className="input"
+              >
+                <option value="INFO">Info</option>
+                <option value="WARNING">Warning</option>
+                <option value="CRITICAL">Critical</option>
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Risk Weight</label>
+              <input
+                type="number"
+                value={formData.riskWeight}
+                onChange={(e) => setFormData({ ...formData, riskWeight: e.target.value })}
+                className="input"
+                min="0"
+                step="0.1"
+                required
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Icon</label>
+              <select
+                value={formData.icon}
+                onChange={(e) => setFormData({ ...formData, icon: e.target.value })}
+                className="input"
+              >
+                {Object.keys(ICONS).map((icon) => (
+                  <option key={icon} value={icon}>{icon}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-end pb-2">
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.enabled}
+                  onChange={(e) => setFormData({ ...formData, enabled: e.target.checked })}
+                />
+                Accept new alerts
+              </label>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Metadata Schema (JSON Schema)</label>
+            <textarea
+              value={formData.metadataSchema}
+              onChange={(e) => setFormData({ ...formData, metadataSchema: e.target.value })}
+              className="input font-mono text-sm"
+              rows="10"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Supports type, required, properties, additionalProperties, items, enum, minimum/maximum, minLength/maxLength, pattern and format: date-time.
+            </p>
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn btn-primary flex-1">
+              {loading ? 'Saving...' : (sourceType ? 'Update Source Type' : 'Create Source Type')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default SourceTypes;
@@ -0,0 +1,452 @@
+import { useState, useEffect, useCallback } from 'react';
+import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import userService from '../services/userService';
+import roleService from '../services/roleService';
+import toast from 'react-hot-toast';
+import { Users as UsersIcon, UserPlus, XCircle, Filter, Eye, Mail, Ban, CheckCircle, LogOut, Copy } from 'lucide-react';
+import { format } from 'date-fns';
+
+const STATUS_BADGES = {
+  ACTIVE: 'badge-success',
+  INVITED: 'badge-info',
+  DISABLED: 'bg-gray-100 text-gray-800',
+};
+
+const describeAudit = (entry) => {
+  switch (entry.action) {
+    case 'registered':
+      return `Registered as ${entry.to}`;
+    case 'invited':
+      return `Invited as ${entry.to}`;
+    case 'invite_accepted':
+      return 'Accepted invite';
+    case 'role_changed':
+      return `Role changed from ${entry.from} to ${entry.to}`;
+    case 'status_changed':
+      return `Status changed from ${entry.from} to ${entry.to}`;
+    default:
+      return entry.action;
+  }
+};
+
+const Users = () => {
+  const { user: currentUser } = useAuth();
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState([]);
+  const [filters, setFilters] = useState({ role: '', status: '' });
+  const [loading, setLoading] = useState(true);
+  const [showInvite, setShowInvite] = useState(false);
+  const [inviteLink, setInviteLink] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      const params = Object.fromEntries(Object.entries(filters).filter(([, value]) => value));
+      const response = await userService.getUsers(params);
+      setUsers(response.data.users);
+    } catch (error) {
+      toast.error('Failed to fetch users');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  useEffect(() => {
+    roleService.getRoles()
+      .then((response) => setRoles(response.data.roles))
+      .catch(() => toast.error('Failed to fetch roles'));
+  }, []);
+
+  const handleRoleChange = async (user, role) => {
+    const reason = window.prompt(`Change ${user.name}'s role from ${user.role} to ${role}? Reason (optional):`);
+    if (reason === null) return;
+    try {
+      await userService.updateRole(user._id, role, reason || undefined);
+      toast.success('Role updated');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update role');
+    }
+  };
+
+  const handleStatusChange = async (user, status) => {
+    const verb = status === 'DISABLED' ? 'Disable' : 'Enable';
+    const reason = window.prompt(`${verb} ${user.name}? Reason (optional):`);
+    if (reason === null) return;
+    try {
+      await userService.updateStatus(user._id, status, reason || undefined);
+      toast.success(status === 'DISABLED' ? 'User disabled and logged out' : 'User enabled');
+      fetchUsers();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update status');
+    }
+  };
+
+  const handleResendInvite = async (user) => {
+    try {
+      const response = await userService.resendInvite(user._id);
+      setInviteLink({ email: user.email, ...response.data });
+    } catch (error) {
+      toast.error(error.message || 'Failed to renew invite');
+    }
+  };
+
+  const handleRevokeSessions = async (user) => {
+    if (!window.confirm(`Log ${user.name} out of all devices?`)) return;
+    try {
+      const response = await userService.revokeSessions(user._id);
+      toast.success(`Revoked ${response.data.revoked} session(s)`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke sessions');
+    }
+  };
+
+  const handleView = async (user) => {
+    try {
+      const response = await userService.getUser(user._id);
+      setSelected(response.data);
+    } catch (error) {
+      toast.error(error.message || 'Failed to fetch user');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Users</h1>
+            <p className="text-gray-600 mt-1">Invite users, manage roles and access; every change is audited</p>
+          </div>
+          <button onClick={() => setShowInvite(true)} className="btn btn-primary flex items-center">
+            <UserPlus className="h-4 w-4 mr-2" />
+            Invite User
+          </button>
+        </div>
+
+        {/* Filters */}
+        <div className="card">
+          <div className="flex items-center gap-4">
+            <Filter className="h-5 w-5 text-gray-400" />
+            <select
+              value={filters.role}
+              onChange={(e) => setFilters({ ...filters, role: e.target.value })}
+              className="input max-w-xs"
+            >
+              <option value="">All Roles</option>
+              {roles.map((role) => (
+                <option key={role.name} value={role.name}>{role.label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value })}
+              className="input max-w-xs"
+            >
+              <option value="">All Status</option>
+              <option value="ACTIVE">Active</option>
+              <option value="INVITED">Invited</option>
+              <option value="DISABLED">Disabled</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Users Table */}
+        <div className="card">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+            </div>
+          ) : users.length === 0 ? (
+            <div className="text-center py-12">
+              <UsersIcon className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-500">No users found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">User</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Role</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Joined</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {users.map((user) => {
+                    const isSelf = user._id === currentUser?.id;
+                    const status = user.status || 'ACTIVE';
+                    return (
+                      <tr key={user._id} className="hover:bg-gray-50">
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <p className="text-sm font-medium text-gray-900">{user.name}{isSelf && ' (you)'}</p>
+                          <p className="text-xs text-gray-500">{user.email}</p>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <select
+                            value={user.role}
+                            onChange={(e) => handleRoleChange(user, e.target.value)}
+                            disabled={isSelf}
+                            className="input py-1 disabled:opacity-50"
+                            title={isSelf ? 'You cannot change your own role' : 'Change role'}
+                          >
+                            {roles.map((role) => (
+                              <option key={role.name} value={role.name}>{role.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <span className={`badge ${STATUS_BADGES[status]}`}>{status}</span>
+                          {status === 'INVITED' && user.inviteExpiresAt && (
+                            <p className="text-xs text-gray-500 mt-1">
+                              until {format(new Date(user.inviteExpiresAt), 'MMM dd, HH:mm')}
+                            </p>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                          {user.createdAt ? format(new Date(user.createdAt), 'MMM dd, yyyy') : '—'}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleView(user)}
+                              className="p-2 text-gray-600 hover:bg-gray-100 rounded-lg"
+                              title="View audit trail"
+                            >
+                              <Eye className="h-4 w-4" />
+                            </button>
+                            {status === 'INVITED' && (
+                              <button
+                                onClick={() => handleResendInvite(user)}
+                                className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                                title="New invite link"
+                              >
+                                <Mail className="h-4 w-4" />
+                              </button>
+                            )}
+                            {!isSelf && status === 'ACTIVE' && (
+                              <>
+                                <button
+                                  onClick={() => handleRevokeSessions(user)}
+                                  className="p-2 text-orange-600 hover:bg-orange-50 rounded-lg"
+                                  title="Log out of all devices"
+                                >
+                                  <LogOut className="h-4 w-4" />
+                                </button>
+                                <button
+                                  onClick={() => handleStatusChange(user, 'DISABLED')}
+                                  className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                                  title="Disable"
+                                >
+                                  <Ban className="h-4 w-4" />
+                                </button>
+                              </>
+                            )}
+                            {!isSelf && status === 'DISABLED' && (
+                              <button
+                                onClick={() => handleStatusChange(user, 'ACTIVE')}
+                                className="p-2 text-green-600 hover:bg-green-50 rounded-lg"
+                                title="Enable"
+                              >
+                                <CheckCircle className="h-4 w-4" />
+                              </button>
+                            )}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {showInvite && (
+        <InviteModal
+          roles={roles}
+          onClose={() => setShowInvite(false)}
+          onInvited={(result) => {
+            setShowInvite(false);
+            setInviteLink({ email: result.user.email, inviteUrl: result.inviteUrl, expiresAt: result.expiresAt });
+            fetchUsers();
+          }}
+        />
+      )}
+
+      {/* Invite Link Modal */}
+      {inviteLink && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 max-w-xl w-full">
+            <div className="flex justify-between items-start mb-4">
+              <h2 className="text-2xl font-bold text-gray-900">Invite Link</h2>
+              <button onClick={() => setInviteLink(null)} className="text-gray-400 hover:text-gray-600">
+                <XCircle className="h-6 w-6" />
+              </button>
+            </div>
+            <p className="text-sm text-gray-600 mb-3">
+              Send this link to {inviteLink.email}. It works once and expires on{' '}
+              {format(new Date(inviteLink.expiresAt), 'MMM dd, yyyy HH:mm')}. It is not shown again.
+            </p>
+            <div className="flex gap-2">
+              <input type="text" readOnly value={inviteLink.inviteUrl} className="input font-mono text-xs" />
+              <button
+                onClick={() => {
+                  navigator.clipboard.writeText(inviteLink.inviteUrl);
+                  toast.success('Invite link copied');
+                }}
+                className="btn btn-secondary flex items-center"
+              >
+                <Copy className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* User Audit Modal */}
+      {selected && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+            <div className="flex justify-between items-start mb-6">
+              <div>
+                <h2 className="text-2xl font-bold text-gray-900">{selected.user.name}</h2>
+                <p className="text-sm text-gray-600">
+                  {selected.user.email} • <span className="capitalize">{selected.user.role}</span> • {selected.sessions} active session(s)
+                </p>
+                {selected.user.invitedBy && (
+                  <p className="text-sm text-gray-500">Invited by {selected.user.invitedBy.name}</p>
+                )}
+              </div>
+              <button onClick={() => setSelected(null)} className="text-gray-400 hover:text-gray-600">
+                <XCircle className="h-6 w-6" />
+              </button>
+            </div>
+
+            <h3 className="text-lg font-semibold text-gray-900 mb-3">Audit Trail</h3>
+            {selected.audit.length === 0 ? (
+              <p className="text-gray-500 text-sm">No recorded changes</p>
+            ) : (
+              <div className="space-y-3">
+                {selected.audit.map((entry) => (
+                  <div key={entry._id} className="border-l-4 border-primary-500 pl-4 py-1">
+                    <p className="text-sm font-medium text-gray-900">{describeAudit(entry)}</p>
+                    <p className="text-xs text-gray-500">
+                      {format(new Date(entry.createdAt), 'MMM dd, yyyy HH:mm')}
+                      {entry.actorEmail && ` • by ${entry.actorEmail}`}
+                    </p>
+                    {entry.reason && <p className="text-sm text-gray-600 mt-1">{entry.reason}</p>}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </Layout>
+  );
+};
+
+// Invite Modal Component
+const InviteModal = ({ roles, onClose, onInvited }) => {
+  const [formData, setFormData] = useState({ name: '', email: '', role: 'user', reason: '' });
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const response = await userService.inviteUser({
+        name: formData.name,
+        email: formData.email,
+        role: formData.role,
+        reason: formData.reason || undefined,
+      });
+      toast.success('User invited');
+      onInvited(response.data);
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to invite user');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-lg w-full">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">Invite User</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name *</label>
+            <input
+              type="text"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="input"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Email *</label>
+            <input
+              type="email"
+              value={formData.email}
+              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+              className="input"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Role</label>
+            <select
+              value={formData.role}
+              onChange={(e) => setFormData({ ...formData, role: e.target.value })}
+              className="input"
+            >
+              {roles.map((role) => (
+                <option key={role.name} value={role.name}>{role.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Reason</label>
+            <input
+              type="text"
+              value={formData.reason}
+              onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+              className="input"
+              placeholder="e.g. New on-call operator"
+            />
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn btn-primary flex-1">
+              {loading ? 'Inviting...' : 'Send Invite'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Users;
@@ -0,0 +1,326 @@
+import { useState, useEffect, useCallback } from 'react';
+import Layout from '../components/Layout';
+import { useAuth } from '../context/AuthContext';
+import RiskBadge from '../components/RiskBadge';
+import vehicleService from '../services/vehicleService';
+import toast from 'react-hot-toast';
+import { Car, Plus, Edit, Trash2, XCircle, Filter, Search } from 'lucide-react';
+import { format } from 'date-fns';
+
+const STATUS_BADGES = {
+  ACTIVE: 'badge-success',
+  IN_MAINTENANCE: 'badge-warning',
+  INACTIVE: 'bg-gray-100 text-gray-800',
+};
+
+const Vehicles = () => {
+  const [vehicles, setVehicles] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [filters, setFilters] = useState({ search: '', riskLevel: '', status: '', page: 1, limit: 20 });
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingVehicle, setEditingVehicle] = useState(null);
+  const { can } = useAuth();
+
+  const fetchVehicles = useCallback(async () => {
+    try {
+      const response = await vehicleService.getVehicles(filters);
+      setVehicles(response.data.vehicles);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      toast.error('Failed to fetch vehicles');
+      console.error(error);
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchVehicles();
+  }, [fetchVehicles]);
+
+  const handleDelete = async (vehicleId) => {
+    if (!window.confirm('Are you sure you want to delete this vehicle?')) return;
+    try {
+      await vehicleService.deleteVehicle(vehicleId);
+      toast.success('Vehicle deleted');
+      fetchVehicles();
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete vehicle');
+    }
+  };
+
+  return (
+    <Layout>
+      <div className="space-y-6">
+        {/* Header */}
+        <div className="flex justify-between items-center">
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">Vehicles</h1>
+            <p className="text-gray-600 mt-1">Vehicle records and risk scores computed from their alerts</p>
+          </div>
+          {can('fleet:write') && (
+            <button
+              onClick={() => {
+                setEditingVehicle(null);
+                setShowModal(true);
+              }}
+              className="btn btn-primary flex items-center"
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              New Vehicle
+            </button>
+          )}
+        </div>
+
+        {/* Filters */}
+        <div className="card">
+          <div className="flex items-center gap-4 flex-wrap">
+            <Filter className="h-5 w-5 text-gray-400" />
+            <div className="relative max-w-xs w-full">
+              <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+              <input
+                type="text"
+                value={filters.search}
+                onChange={(e) => setFilters({ ...filters, search: e.target.value, page: 1 })}
+                className="input pl-9"
+                placeholder="Search by ID or registration"
+              />
+            </div>
+            <select
+              value={filters.riskLevel}
+              onChange={(e) => setFilters({ ...filters, riskLevel: e.target.value, page: 1 })}
+              className="input max-w-xs"
+            >
+              <option value="">All Risk Levels</option>
+              <option value="HIGH">High</option>
+              <option value="MEDIUM">Medium</option>
+              <option value="LOW">Low</option>
+            </select>
+            <select
+              value={filters.status}
+              onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+              className="input max-w-xs"
+            >
+              <option value="">All Status</option>
+              <option value="ACTIVE">Active</option>
+              <option value="INACTIVE">Inactive</option>
+              <option value="IN_MAINTENANCE">In Maintenance</option>
+            </select>
+          </div>
+        </div>
+
+        {/* Vehicles Table */}
+        <div className="card">
+          {loading ? (
+            <div className="flex justify-center py-8">
+              <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+            </div>
+          ) : vehicles.length === 0 ? (
+            <div className="text-center py-12">
+              <Car className="h-16 w-16 text-gray-300 mx-auto mb-4" />
+              <p className="text-gray-500">No vehicles found</p>
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Vehicle</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Make / Model</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Risk</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Recent Alerts</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Last Alert</th>
+                    {can('fleet:write') && (
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Actions</th>
+                    )}
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {vehicles.map((vehicle) => (
+                    <tr key={vehicle._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <p className="text-sm font-medium text-gray-900">{vehicle.registrationNumber || vehicle.vehicleId}</p>
+                        <p className="text-xs text-gray-500">{vehicle.vehicleId}</p>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {[vehicle.make, vehicle.model, vehicle.year].filter(Boolean).join(' ') || '—'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        <span className={`badge ${STATUS_BADGES[vehicle.status]}`}>{vehicle.status}</span>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap"><RiskBadge risk={vehicle.risk} /></td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{vehicle.risk?.alertCount || 0}</td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                        {vehicle.risk?.lastAlertAt ? format(new Date(vehicle.risk.lastAlertAt), 'MMM dd, HH:mm') : '—'}
+                      </td>
+                      {can('fleet:write') && (
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => {
+                                setEditingVehicle(vehicle);
+                                setShowModal(true);
+                              }}
+                              className="p-2 text-blue-600 hover:bg-blue-50 rounded-lg"
+                              title="Edit"
+                            >
+                              <Edit className="h-4 w-4" />
+                            </button>
+                            <button
+                              onClick={() => handleDelete(vehicle.vehicleId)}
+                              className="p-2 text-red-600 hover:bg-red-50 rounded-lg"
+                              title="Delete"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Pagination */}
+        {pagination && pagination.pages > 1 && (
+          <div className="flex items-center justify-between">
+            <div className="text-sm text-gray-700">
+              Showing page {pagination.page} of {pagination.pages} ({pagination.total} total)
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.page - 1 })}
+                disabled={pagination.page === 1}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                Previous
+              </button>
+              <button
+                onClick={() => setFilters({ ...filters, page: pagination.page + 1 })}
+                disabled={pagination.page === pagination.pages}
+                className="btn btn-secondary disabled:opacity-50"
+              >
+                Next
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {showModal && (
+        <VehicleModal
+          vehicle={editingVehicle}
+          onClose={() => {
+            setShowModal(false);
+            setEditingVehicle(null);
+          }}
+          onSaved={fetchVehicles}
+        />
+      )}
+    </Layout>
+  );
+};
+
+// Vehicle Modal Component
+const VehicleModal = ({ vehicle, onClose, onSaved }) => {
+  const [formData, setFormData] = useState({
+    vehicleId: vehicle?.vehicleId || '',
+    registrationNumber: vehicle?.registrationNumber || '',
+    make: vehicle?.make || '',
+    model: vehicle?.model || '',
+    year: vehicle?.year || '',
+    status: vehicle?.status || 'ACTIVE',
+  });
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    const payload = {
+      registrationNumber: formData.registrationNumber,
+      make: formData.make,
+      model: formData.model,
+      year: formData.year ? parseInt(formData.year) : null,
+      status: formData.status,
+    };
+    try {
+      if (vehicle) {
+        await vehicleService.updateVehicle(vehicle.vehicleId, payload);
+        toast.success('Vehicle updated successfully');
+      } else {
+        await vehicleService.createVehicle({ ...payload, vehicleId: formData.vehicleId });
+        toast.success('Vehicle created successfully');
+      }
+      onClose();
+      onSaved();
+    } catch (error) {
+      toast.error(error.errors?.[0]?.message || error.message || 'Failed to save vehicle');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const field = (name, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <input
+        type="text"
+        value={formData[name]}
+        onChange={(e) => setFormData({ ...formData, [name]: e.target.value })}
+        className="input"
+        {...props}
+      />
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        <div className="flex justify-between items-start mb-6">
+          <h2 className="text-2xl font-bold text-gray-900">{vehicle ? 'Edit Vehicle' : 'New Vehicle'}</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XCircle className="h-6 w-6" />
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            {field('vehicleId', 'Vehicle ID *', { disabled: !!vehicle, required: true, placeholder: 'e.g. VEH005' })}
+            {field('registrationNumber', 'Registration Number', { placeholder: 'e.g. KA01AB1234' })}
+            {field('make', 'Make')}
+            {field('model', 'Model')}
+            {field('year', 'Year', { type: 'number', min: 1900, max: 2100 })}
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Status</label>
+              <select
+                value={formData.status}
+                onChange={(e) => setFormData({ ...formData, status: e.target.value })}
+                className="input"
+              >
+                <option value="ACTIVE">Active</option>
+                <option value="IN_MAINTENANCE">In Maintenance</option>
+                <option value="INACTIVE">Inactive</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="flex gap-2 pt-4 border-t">
+            <button type="button" onClick={onClose} className="btn btn-secondary flex-1">
+              Cancel
+            </button>
+            <button type="submit" disabled={loading} className="btn btn-primary flex-1">
+              {loading ? 'Saving...' : (vehicle ? 'Update Vehicle' : 'Create Vehicle')}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Vehicles;
@@ -41,6 +41,41 @@ export const alertService = {
     return await api.put(`/alerts/${alertId}/resolve`, { notes });
   },
 
+  /**
+   * Acknowledge alert (stops further escalation)
+   */
+  acknowledgeAlert: async (alertId, notes) => {
+    return await api.put(`/alerts/${alertId}/acknowledge`, { notes });
+  },
+
+  /**
+   * Reopen a resolved or auto-closed alert
+   */
+  reopenAlert: async (alertId, reason) => {
+    return await api.put(`/alerts/${alertId}/reopen`, { reason });
+  },
+
+  /**
+   * Assign or reassign alert to a user
+   */
+  assignAlert: async (alertId, userId) => {
+    return await api.put(`/alerts/${alertId}/assign`, { userId });
+  },
+
+  /**
+   * Get alert comment threads
+   */
+  getComments: async (alertId) => {
+    return await api.get(`/alerts/${alertId}/comments`);
+  },
+
+  /**
+   * Comment on alert, or reply to a comment
+   */
+  addComment: async (alertId, body, parentId) => {
+    return await api.post(`/alerts/${alertId}/comments`, { body, parentId });
+  },
+
   /**
    * Delete alert
    */
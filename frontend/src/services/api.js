@@ -12,6 +12,64 @@ const api = axios.create({
   },
 });
 
+// Endpoints whose 401 means bad credentials, not an expired session
+const PUBLIC_AUTH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+/**
+ * Store the tokens (and user) returned by login, register or refresh
+ */
+export const saveSession = ({ token, refreshToken, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  if (user) {
+    localStorage.setItem('user', JSON.stringify(user));
+  }
+};
+
+/**
+ * Forget the stored session
+ */
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('user');
+};
+
+let refreshPromise = null;
+
+/**
+ * Exchange the stored refresh token for a new token pair
+ * Refresh tokens are single-use, so concurrent callers share one request.
+ * Resolves to the new access token; rejects when the session is over.
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const refreshToken = localStorage.getItem('refreshToken');
+
+    const request = refreshToken
+      ? axios.post('/api/auth/refresh', { refreshToken }, { timeout: 10000 })
+      : Promise.reject(new Error('No refresh token'));
+
+    refreshPromise = request
+      .then(({ data }) => {
+        saveSession(data.data);
+        return data.data.token;
+      })
+      .catch((error) => {
+        // Another tab may have rotated the refresh token first
+        const current = localStorage.getItem('refreshToken');
+        if (current && current !== refreshToken) {
+          return localStorage.getItem('token');
+        }
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
 /**
  * Request Interceptor
  * Adds authentication token to requests
@@ -37,12 +95,24 @@ api.interceptors.response.use(
   (response) => {
     return response.data;
   },
-  (error) => {
+  async (error) => {
     if (error.response) {
-      // Handle 401 Unauthorized
-      if (error.response.status === 401) {
-        localStorage.removeItem('token');
-        localStorage.removeItem('user');
+      const { config } = error;
+
+      // Handle 401 Unauthorized: refresh the access token once and retry,
+      // and only send the user to the login page when the session is over
+      if (error.response.status === 401 && !PUBLIC_AUTH_URLS.includes(config.url)) {
+        if (!config._retried) {
+          try {
+            const token = await refreshAccessToken();
+            config._retried = true;
+            config.headers.Authorization = `Bearer ${token}`;
+            return api(config);
+          } catch {
+            // Refresh token expired or revoked; fall through to log out
+          }
+        }
+        clearSession();
         window.location.href = '/login';
       }
       // Return error message from server
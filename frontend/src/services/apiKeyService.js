@@ -0,0 +1,38 @@
+import api from './api';
+
+/**
+ * API Key Service
+ * Handles API key API calls
+ */
+
+export const apiKeyService = {
+  /**
+   * Get all API keys
+   */
+  getApiKeys: async () => {
+    return await api.get('/api-keys');
+  },
+
+  /**
+   * Issue API key; the response holds the key, shown only once
+   */
+  createApiKey: async (apiKeyData) => {
+    return await api.post('/api-keys', apiKeyData);
+  },
+
+  /**
+   * Update API key
+   */
+  updateApiKey: async (id, apiKeyData) => {
+    return await api.put(`/api-keys/${id}`, apiKeyData);
+  },
+
+  /**
+   * Revoke API key
+   */
+  revokeApiKey: async (id) => {
+    return await api.post(`/api-keys/${id}/revoke`);
+  },
+};
+
+export default apiKeyService;
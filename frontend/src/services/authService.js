@@ -1,4 +1,4 @@
-import api from './api';
+import api, { saveSession, clearSession } from './api';
 
 /**
  * Authentication Service
@@ -12,8 +12,7 @@ export const authService = {
   login: async (credentials) => {
     const response = await api.post('/auth/login', credentials);
     if (response.success && response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
+      saveSession(response.data);
     }
     return response;
   },
@@ -24,18 +23,61 @@ export const authService = {
   register: async (userData) => {
     const response = await api.post('/auth/register', userData);
     if (response.success && response.data.token) {
-      localStorage.setItem('token', response.data.token);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
+      saveSession(response.data);
+    }
+    return response;
+  },
+
+  /**
+   * Get the invitee of an invite link
+   */
+  getInvite: async (token) => {
+    return await api.get(`/auth/invites/${encodeURIComponent(token)}`);
+  },
+
+  /**
+   * Accept an invite by choosing a password; logs the user in
+   */
+  acceptInvite: async (token, password) => {
+    const response = await api.post('/auth/accept-invite', { token, password });
+    if (response.success && response.data.token) {
+      saveSession(response.data);
     }
     return response;
   },
 
   /**
-   * Logout user
+   * Logout user, revoking this session on the server
    */
-  logout: () => {
-    localStorage.removeItem('token');
-    localStorage.removeItem('user');
+  logout: async () => {
+    const refreshToken = localStorage.getItem('refreshToken');
+    try {
+      if (refreshToken) {
+        await api.post('/auth/logout', { refreshToken });
+      }
+    } catch {
+      // The session is forgotten locally either way
+    } finally {
+      clearSession();
+    }
+  },
+
+  /**
+   * Logout user from every device
+   */
+  logoutAll: async () => {
+    try {
+      return await api.post('/auth/logout-all');
+    } finally {
+      clearSession();
+    }
+  },
+
+  /**
+   * Get active sessions of the current user
+   */
+  getSessions: async () => {
+    return await api.get('/auth/sessions');
   },
 
   /**
@@ -50,14 +92,18 @@ export const authService = {
    * Check if user is authenticated
    */
   isAuthenticated: () => {
-    return !!localStorage.getItem('token');
+    return !!localStorage.getItem('refreshToken');
   },
 
   /**
    * Get user profile
    */
   getProfile: async () => {
-    return await api.get('/auth/me');
+    const response = await api.get('/auth/me');
+    if (response.success && response.data.user) {
+      localStorage.setItem('user', JSON.stringify(response.data.user));
+    }
+    return response;
   },
 
   /**
@@ -20,6 +20,13 @@ export const dashboardService = {
     return await api.get('/dashboard/top-offenders', { params: { limit } });
   },
 
+  /**
+   * Get riskiest drivers and vehicles
+   */
+  getRiskOverview: async (limit = 5) => {
+    return await api.get('/dashboard/risk', { params: { limit } });
+  },
+
   /**
    * Get recent events
    */
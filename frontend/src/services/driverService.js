@@ -0,0 +1,45 @@
+import api from './api';
+
+/**
+ * Driver Service
+ * Handles driver master data API calls
+ */
+
+export const driverService = {
+  /**
+   * Get drivers with filters
+   */
+  getDrivers: async (filters = {}) => {
+    return await api.get('/drivers', { params: filters });
+  },
+
+  /**
+   * Get driver profile with alerts and incidents
+   */
+  getDriver: async (driverId) => {
+    return await api.get(`/drivers/${encodeURIComponent(driverId)}`);
+  },
+
+  /**
+   * Create driver
+   */
+  createDriver: async (driverData) => {
+    return await api.post('/drivers', driverData);
+  },
+
+  /**
+   * Update driver
+   */
+  updateDriver: async (driverId, driverData) => {
+    return await api.put(`/drivers/${encodeURIComponent(driverId)}`, driverData);
+  },
+
+  /**
+   * Delete driver
+   */
+  deleteDriver: async (driverId) => {
+    return await api.delete(`/drivers/${encodeURIComponent(driverId)}`);
+  },
+};
+
+export default driverService;
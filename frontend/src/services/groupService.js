@@ -0,0 +1,38 @@
+import api from './api';
+
+/**
+ * Group Service
+ * Handles driver/vehicle group API calls
+ */
+
+export const groupService = {
+  /**
+   * Get all groups
+   */
+  getGroups: async () => {
+    return await api.get('/groups');
+  },
+
+  /**
+   * Create group
+   */
+  createGroup: async (groupData) => {
+    return await api.post('/groups', groupData);
+  },
+
+  /**
+   * Update group
+   */
+  updateGroup: async (groupId, groupData) => {
+    return await api.put(`/groups/${groupId}`, groupData);
+  },
+
+  /**
+   * Delete group
+   */
+  deleteGroup: async (groupId) => {
+    return await api.delete(`/groups/${groupId}`);
+  },
+};
+
+export default groupService;
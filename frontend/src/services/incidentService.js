@@ -0,0 +1,24 @@
+import api from './api';
+
+/**
+ * Incident Service
+ * Handles correlated incident API calls
+ */
+
+export const incidentService = {
+  /**
+   * Get incidents with filters
+   */
+  getIncidents: async (params = {}) => {
+    return await api.get('/incidents', { params });
+  },
+
+  /**
+   * Get single incident with member alerts and timeline
+   */
+  getIncident: async (incidentId) => {
+    return await api.get(`/incidents/${incidentId}`);
+  },
+};
+
+export default incidentService;
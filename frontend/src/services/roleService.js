@@ -0,0 +1,45 @@
+import api from './api';
+
+/**
+ * Role Service
+ * Handles role and permission API calls
+ */
+
+export const roleService = {
+  /**
+   * Get all roles with their permissions and user counts
+   */
+  getRoles: async () => {
+    return await api.get('/roles');
+  },
+
+  /**
+   * Get the permission catalogue
+   */
+  getPermissions: async () => {
+    return await api.get('/roles/permissions');
+  },
+
+  /**
+   * Create role
+   */
+  createRole: async (roleData) => {
+    return await api.post('/roles', roleData);
+  },
+
+  /**
+   * Update role
+   */
+  updateRole: async (name, roleData) => {
+    return await api.put(`/roles/${name}`, roleData);
+  },
+
+  /**
+   * Delete role
+   */
+  deleteRole: async (name) => {
+    return await api.delete(`/roles/${name}`);
+  },
+};
+
+export default roleService;
@@ -47,6 +47,52 @@ export const ruleService = {
   toggleRule: async (ruleId) => {
     return await api.patch(`/rules/${ruleId}/toggle`);
   },
+
+  /**
+   * Get version history of a rule
+   */
+  getRuleVersions: async (ruleId, params = {}) => {
+    return await api.get(`/rules/${ruleId}/versions`, { params });
+  },
+
+  /**
+   * Roll a rule back to an earlier version
+   */
+  rollbackRule: async (ruleId, version, comment) => {
+    return await api.post(`/rules/${ruleId}/rollback`, { version, comment });
+  },
+
+  /**
+   * Export all rules as bundle text (json or yaml)
+   */
+  exportRules: async (format = 'json') => {
+    return await api.get('/rules/export', { params: { format }, responseType: 'text' });
+  },
+
+  /**
+   * Import a rule bundle given as JSON or YAML text
+   * options: { dryRun, prune, comment }
+   */
+  importRules: async (bundleText, options = {}) => {
+    return await api.post('/rules/import', bundleText, {
+      params: options,
+      headers: { 'Content-Type': 'text/plain' },
+    });
+  },
+
+  /**
+   * Replay a saved rule against historical alerts
+   */
+  simulateRule: async (ruleId, range = {}) => {
+    return await api.post(`/rules/${ruleId}/simulate`, range);
+  },
+
+  /**
+   * Replay an unsaved rule definition against historical alerts
+   */
+  simulateDraft: async (rule, range = {}) => {
+    return await api.post('/rules/simulate', { rule, ...range });
+  },
 };
 
 export default ruleService;
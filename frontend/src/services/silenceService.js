@@ -0,0 +1,45 @@
+import api from './api';
+
+/**
+ * Silence Service
+ * Handles maintenance silence API calls
+ */
+
+export const silenceService = {
+  /**
+   * Get silences (state: current | active | upcoming | expired | all)
+   */
+  getSilences: async (params = {}) => {
+    return await api.get('/silences', { params });
+  },
+
+  /**
+   * Create silence
+   */
+  createSilence: async (silenceData) => {
+    return await api.post('/silences', silenceData);
+  },
+
+  /**
+   * Update silence
+   */
+  updateSilence: async (silenceId, silenceData) => {
+    return await api.put(`/silences/${silenceId}`, silenceData);
+  },
+
+  /**
+   * End a running silence now
+   */
+  expireSilence: async (silenceId) => {
+    return await api.post(`/silences/${silenceId}/expire`);
+  },
+
+  /**
+   * Delete silence
+   */
+  deleteSilence: async (silenceId) => {
+    return await api.delete(`/silences/${silenceId}`);
+  },
+};
+
+export default silenceService;
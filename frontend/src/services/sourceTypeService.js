@@ -0,0 +1,38 @@
+import api from './api';
+
+/**
+ * Source Type Service
+ * Handles source type registry API calls
+ */
+
+export const sourceTypeService = {
+  /**
+   * Get all source types
+   */
+  getSourceTypes: async () => {
+    return await api.get('/source-types');
+  },
+
+  /**
+   * Create source type
+   */
+  createSourceType: async (sourceTypeData) => {
+    return await api.post('/source-types', sourceTypeData);
+  },
+
+  /**
+   * Update source type
+   */
+  updateSourceType: async (name, sourceTypeData) => {
+    return await api.put(`/source-types/${name}`, sourceTypeData);
+  },
+
+  /**
+   * Delete source type
+   */
+  deleteSourceType: async (name) => {
+    return await api.delete(`/source-types/${name}`);
+  },
+};
+
+export default sourceTypeService;
@@ -0,0 +1,133 @@
+import { refreshAccessToken } from './api';
+
+/**
+ * Stream Service
+ * Subscribes to real-time alert events pushed by the backend (Server-Sent Events)
+ *
+ * Uses fetch instead of EventSource so the token travels in the Authorization
+ * header rather than the URL. Reconnects with exponential backoff until unsubscribed.
+ */
+
+const STREAM_URL = '/api/stream/alerts';
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+/**
+ * Parse one SSE frame into { type, data }
+ */
+const parseFrame = (frame) => {
+  let type = 'message';
+  const data = [];
+
+  frame.split('\n').forEach((line) => {
+    if (line.startsWith('event:')) {
+      type = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).trim());
+    }
+  });
+
+  if (data.length === 0) return null;
+
+  try {
+    return { type, data: JSON.parse(data.join('\n')) };
+  } catch {
+    return null;
+  }
+};
+
+export const streamService = {
+  /**
+   * Subscribe to alert lifecycle events
+   * onEvent receives { type, data } where type is alert.created | alert.escalated |
+   * alert.auto_closed | alert.resolved | alert.occurrence | ...
+   * onStatusChange receives connecting | connected | reconnecting | unauthorized
+   * Returns an unsubscribe function
+   */
+  subscribeToAlerts: (onEvent, { onStatusChange } = {}) => {
+    let controller = null;
+    let retryTimer = null;
+    let retryMs = MIN_RETRY_MS;
+    let stopped = false;
+    let refreshed = false;
+
+    const connect = async () => {
+      controller = new AbortController();
+      onStatusChange?.('connecting');
+
+      try {
+        const token = localStorage.getItem('token');
+        const response = await fetch(STREAM_URL, {
+          headers: {
+            Accept: 'text/event-stream',
+            ...(token && { Authorization: `Bearer ${token}` }),
+          },
+          signal: controller.signal,
+        });
+
+        if (response.status === 401) {
+          // The access token expired: refresh it once and reconnect
+          if (!refreshed) {
+            refreshed = true;
+            try {
+              await refreshAccessToken();
+              if (!stopped) connect();
+              return;
+            } catch {
+              // Session is over
+            }
+          }
+          stopped = true;
+          onStatusChange?.('unauthorized');
+          return;
+        }
+
+        if (!response.ok || !response.body) {
+          throw new Error(`Stream request failed with status ${response.status}`);
+        }
+
+        onStatusChange?.('connected');
+        retryMs = MIN_RETRY_MS;
+        refreshed = false;
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        for (;;) {
+          const { value, done } = await reader.read();
+          if (done) break;
+
+          buffer += decoder.decode(value, { stream: true });
+          const frames = buffer.split('\n\n');
+          buffer = frames.pop();
+
+          frames.forEach((frame) => {
+            const event = parseFrame(frame);
+            if (event && event.type.startsWith('alert.')) {
+              onEvent(event);
+            }
+          });
+        }
+      } catch {
+        // Connection dropped or aborted; reconnect below unless unsubscribed
+      }
+
+      if (stopped) return;
+
+      onStatusChange?.('reconnecting');
+      retryTimer = setTimeout(connect, retryMs);
+      retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+    };
+
+    connect();
+
+    return () => {
+      stopped = true;
+      clearTimeout(retryTimer);
+      controller?.abort();
+    };
+  },
+};
+
+export default streamService;
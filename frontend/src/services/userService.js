@@ -0,0 +1,66 @@
+import api from './api';
+
+/**
+ * User Service
+ * Handles user directory and user administration API calls
+ */
+
+export const userService = {
+  /**
+   * Get all users
+   */
+  getUsers: async (filters = {}) => {
+    return await api.get('/users', { params: filters });
+  },
+
+  /**
+   * Get a user with their audit trail (admin)
+   */
+  getUser: async (id) => {
+    return await api.get(`/users/${id}`);
+  },
+
+  /**
+   * Get the user administration audit log (admin)
+   */
+  getAudit: async (filters = {}) => {
+    return await api.get('/users/audit', { params: filters });
+  },
+
+  /**
+   * Invite a user; the response carries the invite link (admin)
+   */
+  inviteUser: async (inviteData) => {
+    return await api.post('/users/invite', inviteData);
+  },
+
+  /**
+   * Issue a new invite link (admin)
+   */
+  resendInvite: async (id) => {
+    return await api.post(`/users/${id}/invite`);
+  },
+
+  /**
+   * Change the role of a user (admin)
+   */
+  updateRole: async (id, role, reason) => {
+    return await api.patch(`/users/${id}/role`, { role, reason });
+  },
+
+  /**
+   * Enable or disable a user (admin)
+   */
+  updateStatus: async (id, status, reason) => {
+    return await api.patch(`/users/${id}/status`, { status, reason });
+  },
+
+  /**
+   * Revoke every session of a user (admin)
+   */
+  revokeSessions: async (id) => {
+    return await api.delete(`/users/${id}/sessions`);
+  },
+};
+
+export default userService;
@@ -0,0 +1,45 @@
+import api from './api';
+
+/**
+ * Vehicle Service
+ * Handles vehicle master data API calls
+ */
+
+export const vehicleService = {
+  /**
+   * Get vehicles with filters
+   */
+  getVehicles: async (filters = {}) => {
+    return await api.get('/vehicles', { params: filters });
+  },
+
+  /**
+   * Get vehicle profile with alerts, incidents and drivers
+   */
+  getVehicle: async (vehicleId) => {
+    return await api.get(`/vehicles/${encodeURIComponent(vehicleId)}`);
+  },
+
+  /**
+   * Create vehicle
+   */
+  createVehicle: async (vehicleData) => {
+    return await api.post('/vehicles', vehicleData);
+  },
+
+  /**
+   * Update vehicle
+   */
+  updateVehicle: async (vehicleId, vehicleData) => {
+    return await api.put(`/vehicles/${encodeURIComponent(vehicleId)}`, vehicleData);
+  },
+
+  /**
+   * Delete vehicle
+   */
+  deleteVehicle: async (vehicleId) => {
+    return await api.delete(`/vehicles/${encodeURIComponent(vehicleId)}`);
+  },
+};
+
+export default vehicleService;